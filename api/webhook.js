@@ -1,9 +1,12 @@
 import { Telegraf } from 'telegraf';
 import { validateConfig } from '../src/config.js';
+import { validatePromptExperiment } from '../src/ai/promptRegistry.js';
 import { createBot } from '../src/bot.js';
 import { loadKnowledge } from '../src/knowledge/loader.js';
 import logger from '../src/utils/logger.js';
 import { initAnalytics, trackBotStart } from '../src/analytics/index.js';
+import { initBudget } from '../src/ai/budget.js';
+import { initRuntimeRules } from '../src/safety/runtimeRules.js';
 
 /**
  * Pepper Pal — Vercel Webhook Handler
@@ -12,21 +15,33 @@ import { initAnalytics, trackBotStart } from '../src/analytics/index.js';
  * It initializes the bot on cold starts and processes incoming updates.
  */
 
-// Singleton bot instance (persists across warm invocations)
-let bot = null;
-let isInitialized = false;
+// Singleton bot initialization (persists across warm invocations)
+let botPromise = null;
 
 /**
  * Initialize bot once per serverless instance
+ * Concurrent first requests share one initialization; a failed one is retried.
+ * @returns {Promise<Telegraf>}
  */
 function initializeBot() {
-  if (isInitialized) {
-    return bot;
+  if (!botPromise) {
+    botPromise = createInstance().catch((err) => {
+      botPromise = null;
+      throw err;
+    });
   }
+  return botPromise;
+}
 
+/**
+ * Set up the bot the same way index.js does, without launching it
+ * @returns {Promise<Telegraf>}
+ */
+async function createInstance() {
   try {
     // Validate configuration
     validateConfig();
+    validatePromptExperiment();
 
     // Load knowledge system
     const knowledgeResult = loadKnowledge();
@@ -41,12 +56,17 @@ function initializeBot() {
       });
     }
 
-    // Create bot instance (without launching)
-    bot = createBot();
-    isInitialized = true;
-
     // Initialize analytics (non-blocking, optional)
     initAnalytics();
+
+    // Each instance keeps its own ledger, so start from the spend already recorded
+    await initBudget();
+
+    // Refusal rules admins added with /rules
+    await initRuntimeRules();
+
+    // Create bot instance (without launching)
+    const bot = createBot();
     
     // Track cold start (non-blocking)
     trackBotStart({ deploymentType: 'vercel-webhook' });
@@ -96,7 +116,7 @@ export default async function handler(req, res) {
 
   try {
     // Initialize bot if needed
-    const botInstance = initializeBot();
+    const botInstance = await initializeBot();
 
     // Process the update
     await botInstance.handleUpdate(req.body);
@@ -0,0 +1,102 @@
+/**
+ * Replay LLM
+ * Local OpenAI-compatible endpoint that answers from recorded responses,
+ * so evals run deterministically in CI without an API key.
+ *
+ * Recordings are matched on the first line of the system prompt (which
+ * call it is: classification or answer) plus the user question, so they
+ * survive prompt wording changes further down the prompt.
+ * In record mode, unknown requests are forwarded to the real providers
+ * and their answers saved.
+ */
+
+import http from 'http';
+import fs from 'fs';
+
+/**
+ * @typedef {Object} Recording
+ * @property {string} system - First line of the first system message
+ * @property {string} user - Last user message
+ * @property {string} content - Recorded completion
+ */
+
+/**
+ * Build the lookup key for a request
+ * @param {{ role: string, content: string }[]} messages
+ * @returns {{ system: string, user: string }}
+ */
+export function recordingKey(messages) {
+  const system = (messages.find(m => m.role === 'system')?.content || '').split('\n')[0].trim();
+  const user = [...messages].reverse().find(m => m.role === 'user')?.content || '';
+  return { system, user };
+}
+
+/**
+ * Load recordings from disk
+ * @param {string} file
+ * @returns {Recording[]}
+ */
+export function loadRecordings(file) {
+  if (!fs.existsSync(file)) return [];
+  return JSON.parse(fs.readFileSync(file, 'utf-8'));
+}
+
+/**
+ * Start the replay endpoint
+ * @param {Object} options
+ * @param {Recording[]} options.recordings
+ * @param {(messages: Object[], body: Object) => Promise<string|null>} [options.record] - Fetch and return a real answer for unknown requests
+ * @returns {Promise<{ baseUrl: string, misses: Object[], recorded: Recording[], close: () => Promise<void> }>}
+ */
+export async function startReplayServer({ recordings, record }) {
+  const misses = [];
+  const recorded = [];
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', async () => {
+      const body = JSON.parse(raw || '{}');
+      const key = recordingKey(body.messages || []);
+
+      let content = [...recordings, ...recorded]
+        .find(r => r.system === key.system && r.user === key.user)?.content ?? null;
+
+      if (content === null && record) {
+        content = await record(body.messages, body);
+        if (content !== null) {
+          recorded.push({ ...key, content });
+        }
+      }
+
+      if (content === null) {
+        if (!misses.some(m => m.system === key.system && m.user === key.user)) {
+          misses.push(key);
+        }
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'No recording for this request' }));
+        return;
+      }
+
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        choices: [{ message: { content }, finish_reason: 'stop' }],
+        usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 },
+      }));
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    misses,
+    recorded,
+    close: () => new Promise(resolve => {
+      server.closeAllConnections?.();
+      server.close(resolve);
+    }),
+  };
+}
+
+export default { startReplayServer, loadRecordings, recordingKey };
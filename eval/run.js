@@ -0,0 +1,200 @@
+/**
+ * Eval Runner
+ * Runs the golden question set through the full pipeline and prints a
+ * scored report, diffed against the previous run.
+ *
+ * Usage:
+ *   node eval/run.js                  Replay recorded LLM answers (CI, no API key)
+ *   node eval/run.js --mode live      Use the configured AI providers
+ *   node eval/run.js --mode record    Replay, fetching and saving answers that are missing
+ *   node eval/run.js --only contract,chain-id --min-score 0.9
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { scoreCase, buildRun, diffRuns, formatReport } from './scoring.js';
+import { startReplayServer, loadRecordings } from './replayServer.js';
+
+const EVAL_DIR = path.dirname(fileURLToPath(import.meta.url));
+const GOLDEN_FILE = path.join(EVAL_DIR, 'golden.json');
+const RECORDINGS_FILE = path.join(EVAL_DIR, 'recordings.json');
+const LAST_RUN_FILE = path.join(EVAL_DIR, '.last-run.json');
+
+const MODES = ['replay', 'live', 'record'];
+
+// Every case runs in the same chat, so a prompt experiment gives them one variant
+const EVAL_CHAT_ID = 0;
+
+/**
+ * Parse command line flags
+ * @param {string[]} argv
+ * @returns {{ mode: string, only: string[]|null, minScore: number|null, golden: string }}
+ */
+function parseArgs(argv) {
+  const args = { mode: 'replay', only: null, minScore: null, golden: GOLDEN_FILE };
+
+  for (let i = 0; i < argv.length; i++) {
+    const value = argv[i + 1];
+    switch (argv[i]) {
+      case '--mode': args.mode = value; i++; break;
+      case '--only': args.only = value.split(','); i++; break;
+      case '--min-score': args.minScore = parseFloat(value); i++; break;
+      case '--golden': args.golden = path.resolve(value); i++; break;
+      default: throw new Error(`Unknown flag: ${argv[i]}`);
+    }
+  }
+
+  if (!MODES.includes(args.mode)) {
+    throw new Error(`--mode must be one of ${MODES.join(', ')}`);
+  }
+
+  return args;
+}
+
+/**
+ * Seed for a case, from its id (FNV-1a)
+ * @param {string} id
+ * @returns {number}
+ */
+function caseSeed(id) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < id.length; i++) {
+    hash = Math.imul(hash ^ id.charCodeAt(i), 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Deterministic stand-in for Math.random (mulberry32)
+ * @param {number} seed
+ * @returns {() => number} 0 <= n < 1
+ */
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Read the previous run, if any
+ * @returns {import('./scoring.js').EvalRun|null}
+ */
+function loadLastRun() {
+  try {
+    return JSON.parse(fs.readFileSync(LAST_RUN_FILE, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  // Keep pipeline logs out of the report unless asked for
+  process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'ERROR';
+
+  const { default: config } = await import('../src/config.js');
+  const { loadKnowledge } = await import('../src/knowledge/loader.js');
+  const { process: runPipeline } = await import('../src/pipeline/index.js');
+  const { chatCompletion } = await import('../src/ai/openrouterClient.js');
+  const { resetBreakers } = await import('../src/ai/circuitBreaker.js');
+
+  const knowledge = loadKnowledge();
+  if (!knowledge.success) {
+    throw new Error(`Knowledge failed to load: ${knowledge.errors.join(', ')}`);
+  }
+
+  const realProviders = [...config.aiProviders];
+  let replay = null;
+
+  if (args.mode !== 'live') {
+    if (args.mode === 'record' && !realProviders.some(p => p.apiKey)) {
+      throw new Error('--mode record needs a configured AI provider');
+    }
+
+    replay = await startReplayServer({
+      recordings: loadRecordings(RECORDINGS_FILE),
+      record: args.mode === 'record'
+        ? async (messages, body) => {
+          const result = await chatCompletion(messages, {
+            model: body.model,
+            maxTokens: body.max_tokens,
+            temperature: body.temperature,
+            providers: realProviders,
+          });
+          return result.success ? result.content : null;
+        }
+        : null,
+    });
+
+    // Point the pipeline at the replay endpoint
+    config.aiProviders.splice(0, config.aiProviders.length, {
+      name: 'replay',
+      baseUrl: replay.baseUrl,
+      apiKey: 'replay',
+      model: null,
+      timeoutMs: null,
+    });
+  }
+
+  const golden = JSON.parse(fs.readFileSync(args.golden, 'utf-8'))
+    .filter(c => !args.only || args.only.includes(c.id));
+
+  const cases = [];
+  for (const [i, testCase] of golden.entries()) {
+    // A replay miss must not trip the breaker for the next case
+    resetBreakers();
+
+    // Templates and refusals are picked at random; pin the pick per case so
+    // the diff against the last run only shows real changes (also with --only)
+    Math.random = seededRandom(caseSeed(testCase.id));
+
+    const delivery = await runPipeline({
+      message: { text: testCase.question, message_id: i + 1 },
+      chat: { id: EVAL_CHAT_ID, type: 'private' },
+      from: { id: EVAL_CHAT_ID },
+    });
+    cases.push(scoreCase(testCase, delivery));
+  }
+
+  const run = buildRun(cases, args.mode);
+  const previous = loadLastRun();
+  console.log(formatReport(run, diffRuns(previous, run)));
+
+  if (replay) {
+    await replay.close();
+
+    if (replay.misses.length > 0) {
+      console.log('\nNo recording for (run with --mode record):');
+      for (const miss of replay.misses) {
+        console.log(`  [${miss.system.substring(0, 40)}…] ${miss.user}`);
+      }
+    }
+
+    if (replay.recorded.length > 0) {
+      const recordings = [...loadRecordings(RECORDINGS_FILE), ...replay.recorded];
+      fs.writeFileSync(RECORDINGS_FILE, `${JSON.stringify(recordings, null, 2)}\n`);
+      console.log(`\nRecorded ${replay.recorded.length} new answers to ${path.relative(process.cwd(), RECORDINGS_FILE)}`);
+    }
+  }
+
+  // Partial runs would make the next full run look like it added cases
+  if (!args.only) {
+    fs.writeFileSync(LAST_RUN_FILE, `${JSON.stringify(run, null, 2)}\n`);
+  }
+
+  return args.minScore !== null && run.score < args.minScore ? 1 : 0;
+}
+
+main()
+  .then(code => process.exit(code))
+  .catch(err => {
+    console.error(`Eval failed: ${err.message}`);
+    process.exit(1);
+  });
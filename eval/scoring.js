@@ -0,0 +1,179 @@
+/**
+ * Eval Scoring
+ * Scores pipeline answers against the golden set and compares runs.
+ */
+
+/**
+ * @typedef {Object} GoldenCase
+ * @property {string} id - Stable case ID (used to diff runs)
+ * @property {string} question
+ * @property {string} expectedIntent
+ * @property {string[]} mustContain - Case-insensitive substrings the answer needs
+ * @property {string[]} mustNotContain - Case-insensitive regexes the answer must not match
+ */
+
+/**
+ * @typedef {Object} CaseResult
+ * @property {string} id
+ * @property {string} question
+ * @property {string|null} intent - Intent the pipeline routed by
+ * @property {string} answer
+ * @property {{ name: string, passed: boolean }[]} checks
+ * @property {number} score - Passed checks / total checks, 0-1
+ */
+
+/**
+ * @typedef {Object} EvalRun
+ * @property {string} startedAt - ISO timestamp
+ * @property {string} mode - replay, live or record
+ * @property {number} score - Mean case score, 0-1
+ * @property {CaseResult[]} cases
+ */
+
+/**
+ * Score one answer
+ * @param {GoldenCase} testCase
+ * @param {{ message: string, intent: string|null }} delivery - Pipeline output
+ * @returns {CaseResult}
+ */
+export function scoreCase(testCase, delivery) {
+  const answer = delivery.message || '';
+  const lower = answer.toLowerCase();
+
+  const checks = [
+    { name: `intent = ${testCase.expectedIntent}`, passed: delivery.intent === testCase.expectedIntent },
+    ...(testCase.mustContain || []).map(fact => ({
+      name: `contains "${fact}"`,
+      passed: lower.includes(fact.toLowerCase()),
+    })),
+    ...(testCase.mustNotContain || []).map(pattern => ({
+      name: `lacks /${pattern}/`,
+      passed: !new RegExp(pattern, 'i').test(answer),
+    })),
+  ];
+
+  return {
+    id: testCase.id,
+    question: testCase.question,
+    intent: delivery.intent ?? null,
+    answer,
+    checks,
+    score: checks.filter(c => c.passed).length / checks.length,
+  };
+}
+
+/**
+ * Build a run from case results
+ * @param {CaseResult[]} cases
+ * @param {string} mode
+ * @returns {EvalRun}
+ */
+export function buildRun(cases, mode) {
+  const score = cases.length
+    ? cases.reduce((sum, c) => sum + c.score, 0) / cases.length
+    : 0;
+
+  return { startedAt: new Date().toISOString(), mode, score, cases };
+}
+
+/**
+ * Compare a run with the previous one
+ * @param {EvalRun|null} previous
+ * @param {EvalRun} current
+ * @returns {{ scoreDelta: number|null, changes: { id: string, before: number|null, after: number, answerChanged: boolean, beforeAnswer: string|null, afterAnswer: string }[] }}
+ */
+export function diffRuns(previous, current) {
+  if (!previous) {
+    return { scoreDelta: null, changes: [] };
+  }
+
+  const before = new Map(previous.cases.map(c => [c.id, c]));
+  const changes = [];
+
+  for (const c of current.cases) {
+    const old = before.get(c.id);
+    const answerChanged = !old || old.answer !== c.answer;
+    if (!old || old.score !== c.score || answerChanged) {
+      changes.push({
+        id: c.id,
+        before: old ? old.score : null,
+        after: c.score,
+        answerChanged,
+        beforeAnswer: old ? old.answer : null,
+        afterAnswer: c.answer,
+      });
+    }
+  }
+
+  return { scoreDelta: current.score - previous.score, changes };
+}
+
+/**
+ * Format a percentage
+ * @param {number} value - 0-1
+ * @returns {string}
+ */
+function pct(value) {
+  return `${(value * 100).toFixed(1)}%`;
+}
+
+/**
+ * Shorten an answer for one-line display
+ * @param {string} text
+ * @returns {string}
+ */
+function snippet(text) {
+  const flat = (text || '').replace(/\s+/g, ' ').trim();
+  return flat.length > 100 ? `${flat.substring(0, 100)}…` : flat;
+}
+
+/**
+ * Render the report printed by the runner
+ * @param {EvalRun} run
+ * @param {ReturnType<typeof diffRuns>} diff
+ * @returns {string}
+ */
+export function formatReport(run, diff) {
+  const lines = [`Pepper Pal eval (${run.mode}) — ${run.cases.length} cases`, ''];
+
+  for (const c of run.cases) {
+    const mark = c.score === 1 ? '✅' : '❌';
+    lines.push(`${mark} ${c.id.padEnd(20)} ${pct(c.score).padStart(6)}  intent=${c.intent}`);
+    for (const check of c.checks.filter(ch => !ch.passed)) {
+      lines.push(`     ✗ ${check.name}`);
+    }
+    if (c.score < 1) {
+      lines.push(`     answer: ${snippet(c.answer)}`);
+    }
+  }
+
+  lines.push('', `Score: ${pct(run.score)}`);
+
+  if (diff.scoreDelta === null) {
+    lines.push('No previous run to compare against.');
+    return lines.join('\n');
+  }
+
+  const sign = diff.scoreDelta > 0 ? '+' : '';
+  lines.push(`Change since previous run: ${sign}${(diff.scoreDelta * 100).toFixed(1)} points`);
+
+  for (const change of diff.changes) {
+    const before = change.before === null ? 'new' : pct(change.before);
+    const trend = change.before === null || change.after === change.before
+      ? '•'
+      : change.after > change.before ? '▲' : '▼';
+    lines.push(`${trend} ${change.id}: ${before} → ${pct(change.after)}`);
+    if (change.answerChanged && change.beforeAnswer !== null) {
+      lines.push(`   - ${snippet(change.beforeAnswer)}`);
+      lines.push(`   + ${snippet(change.afterAnswer)}`);
+    }
+  }
+
+  if (diff.changes.length === 0) {
+    lines.push('No answers changed.');
+  }
+
+  return lines.join('\n');
+}
+
+export default { scoreCase, buildRun, diffRuns, formatReport };
@@ -1,8 +1,12 @@
 import { validateConfig } from './src/config.js';
+import { validatePromptExperiment } from './src/ai/promptRegistry.js';
 import { createBot } from './src/bot.js';
 import logger from './src/utils/logger.js';
 import { loadKnowledge, isKnowledgeAvailable } from './src/knowledge/loader.js';
 import { initAnalytics, trackBotStart } from './src/analytics/index.js';
+import { initBudget } from './src/ai/budget.js';
+import { closeStores } from './src/cache/store.js';
+import { initRuntimeRules } from './src/safety/runtimeRules.js';
 
 /**
  * Pepper Pal — Entry Point
@@ -16,6 +20,7 @@ async function main() {
   // Validate configuration before starting
   try {
     validateConfig();
+    validatePromptExperiment();
   } catch (err) {
     logger.error('Configuration error', { error: err.message });
     process.exit(1);
@@ -40,6 +45,12 @@ async function main() {
   // Initialize analytics (non-blocking, optional)
   initAnalytics();
 
+  // Carry today's and this month's AI spend over restarts
+  await initBudget();
+
+  // Refusal rules admins added with /rules
+  await initRuntimeRules();
+
   // Create bot instance
   const bot = createBot();
 
@@ -47,6 +58,7 @@ async function main() {
   const shutdown = async (signal) => {
     logger.info(`Received ${signal}, shutting down gracefully...`);
     bot.stop(signal);
+    await closeStores();
     process.exit(0);
   };
 
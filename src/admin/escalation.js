@@ -0,0 +1,274 @@
+/**
+ * Moderator Escalation
+ * Questions the knowledge base can't back are forwarded to the moderator
+ * chat (MODERATOR_CHAT_ID) with a link and the bot's draft answer.
+ * A moderator's reply there is sent to everyone waiting on that question;
+ * starting the reply with /save also stores it as the answer from now on.
+ *
+ * Open escalations live in the cache store (CACHE_BACKEND), so replies
+ * still reach users after a restart on the file and Redis backends.
+ */
+
+import config from '../config.js';
+import { ESCALATION } from '../constants.js';
+import { createStore } from '../cache/store.js';
+import { normalizeKey } from '../cache/responseCache.js';
+import { saveOverride } from '../knowledge/overrides.js';
+import { localize } from '../templates/localize.js';
+import logger from '../utils/logger.js';
+
+/**
+ * @typedef {'ungrounded'|'unsupported'|'validation'} EscalationReason
+ */
+
+/**
+ * @typedef {Object} Escalation
+ * @property {EscalationReason} reason
+ * @property {string} question - User's question
+ * @property {string} draft - What the bot answered (or would have)
+ * @property {string|null} language - Language code of the question
+ */
+
+/**
+ * @typedef {Object} Waiter
+ * @property {number} chatId
+ * @property {number} messageId - The question message, replied to with the answer
+ * @property {number|null} userId
+ */
+
+/**
+ * @typedef {Object} EscalationRecord
+ * @property {string} question
+ * @property {string|null} language
+ * @property {EscalationReason} reason
+ * @property {Waiter[]} waiting - Everyone who asked before a moderator replied
+ * @property {string} createdAt - ISO timestamp
+ */
+
+const REASONS = {
+  ungrounded: 'the AI answer failed the grounding check',
+  unsupported: 'no knowledge section supports the answer',
+  validation: 'the answer failed validation',
+};
+
+// Keys: "m:<moderator message id>" -> record, "q:<language>:<question>" -> moderator message id
+const escalations = createStore('escalations', { maxEntries: ESCALATION.MAX_OPEN * 2 });
+
+/**
+ * Whether a moderator chat is configured
+ * @returns {boolean}
+ */
+export function isEscalationEnabled() {
+  return Boolean(config.moderatorChatId);
+}
+
+/**
+ * Link to a message, when Telegram has one
+ * Public groups link by username, private supergroups by internal id;
+ * basic groups and private chats have no message links.
+ * @param {Object} chat - Telegram chat
+ * @param {number} messageId
+ * @returns {string|null}
+ */
+export function getMessageLink(chat, messageId) {
+  if (!chat || !messageId) return null;
+
+  if (chat.username) {
+    return `https://t.me/${chat.username}/${messageId}`;
+  }
+
+  const id = String(chat.id);
+  return id.startsWith('-100') ? `https://t.me/c/${id.slice(4)}/${messageId}` : null;
+}
+
+/**
+ * Describe who asked and where
+ * @param {Object} ctx - Telegraf context
+ * @returns {string}
+ */
+function describeAsker(ctx) {
+  const user = ctx.from || {};
+  const name = [user.first_name, user.last_name].filter(Boolean).join(' ') || 'Unknown user';
+  const who = user.username ? `${name} (@${user.username})` : name;
+
+  return ctx.chat?.type === 'private'
+    ? `${who} in a private chat`
+    : `${who} in ${ctx.chat?.title || 'a group'}`;
+}
+
+/**
+ * Moderator chat message for an escalation
+ * @param {Object} ctx - Telegraf context of the question
+ * @param {Escalation} escalation
+ * @returns {string}
+ */
+export function formatEscalation(ctx, escalation) {
+  const link = getMessageLink(ctx.chat, ctx.message?.message_id);
+  const draft = escalation.draft.length > ESCALATION.MAX_DRAFT_LENGTH
+    ? `${escalation.draft.substring(0, ESCALATION.MAX_DRAFT_LENGTH)}…`
+    : escalation.draft;
+
+  return [
+    `🙋 Question for a moderator (${REASONS[escalation.reason] || escalation.reason})`,
+    '',
+    `From: ${describeAsker(ctx)}`,
+    ...(link ? [`Link: ${link}`] : []),
+    ...(escalation.language && escalation.language !== 'en' ? [`Language: ${escalation.language}`] : []),
+    '',
+    'Question:',
+    escalation.question,
+    '',
+    "Bot's draft answer:",
+    draft,
+    '',
+    'Reply to this message to answer. Start with /save to also use your answer for this question from now on.',
+  ].join('\n');
+}
+
+/**
+ * Question key, so repeats of an open question join it
+ * @param {string} question
+ * @param {string|null} language
+ * @returns {string}
+ */
+function questionKey(question, language) {
+  return `q:${language || 'en'}:${normalizeKey(question)}`;
+}
+
+/**
+ * Send a low-confidence question to the moderator chat
+ * The same question asked again while it is open adds the asker to the
+ * waiting list instead of posting it twice.
+ * @param {Object} ctx - Telegraf context of the question
+ * @param {Escalation} escalation
+ * @returns {Promise<boolean>} Whether moderators have the question
+ */
+export async function escalate(ctx, escalation) {
+  if (!isEscalationEnabled()) return false;
+
+  const waiter = {
+    chatId: ctx.chat?.id,
+    messageId: ctx.message?.message_id,
+    userId: ctx.from?.id ?? null,
+  };
+
+  const openId = await escalations.get(questionKey(escalation.question, escalation.language));
+  const open = openId ? await escalations.get(`m:${openId}`) : null;
+  if (open) {
+    open.waiting.push(waiter);
+    await escalations.set(`m:${openId}`, open, ESCALATION.TTL_MS);
+    logger.info('Question joined open escalation', { moderatorMessageId: openId, waiting: open.waiting.length });
+    return true;
+  }
+
+  try {
+    const sent = await ctx.telegram.sendMessage(config.moderatorChatId, formatEscalation(ctx, escalation), {
+      disable_web_page_preview: true,
+    });
+
+    /** @type {EscalationRecord} */
+    const record = {
+      question: escalation.question,
+      language: escalation.language || null,
+      reason: escalation.reason,
+      waiting: [waiter],
+      createdAt: new Date().toISOString(),
+    };
+
+    await escalations.set(`m:${sent.message_id}`, record, ESCALATION.TTL_MS);
+    await escalations.set(questionKey(escalation.question, escalation.language), sent.message_id, ESCALATION.TTL_MS);
+
+    logger.info('Question escalated to moderators', {
+      reason: escalation.reason,
+      chatId: waiter.chatId,
+      moderatorMessageId: sent.message_id,
+    });
+    return true;
+  } catch (err) {
+    logger.warn('Failed to escalate question', { error: err.message, moderatorChatId: config.moderatorChatId });
+    return false;
+  }
+}
+
+/**
+ * Answer an escalated question from a moderator's reply
+ * Handles only replies to escalation messages in the moderator chat.
+ * @param {Object} ctx - Telegraf context of the moderator's message
+ * @returns {Promise<boolean>} Whether the message was a moderator answer
+ */
+export async function handleModeratorReply(ctx) {
+  const repliedTo = ctx.message?.reply_to_message;
+  if (!isEscalationEnabled() || ctx.chat?.id !== config.moderatorChatId || !repliedTo) {
+    return false;
+  }
+
+  const record = await escalations.get(`m:${repliedTo.message_id}`);
+  if (!record) return false;
+
+  const text = (ctx.message.text || '').trim();
+  const save = /^\/save(@\w+)?(\s|$)/i.test(text);
+  const answer = save ? text.replace(/^\/save(@\w+)?/i, '').trim() : text;
+
+  if (!answer) {
+    await ctx.reply('Write the answer after /save, or reply without it to answer only this time.');
+    return true;
+  }
+
+  const reply = `${localize(record.language, 'messages.moderatorAnswer', 'A moderator answered your question:')}\n\n${answer}`;
+  let delivered = 0;
+
+  for (const waiter of record.waiting) {
+    try {
+      await ctx.telegram.sendMessage(waiter.chatId, reply, {
+        reply_to_message_id: waiter.messageId,
+        allow_sending_without_reply: true,
+        disable_web_page_preview: true,
+      });
+      delivered++;
+    } catch (err) {
+      logger.warn('Failed to deliver moderator answer', { chatId: waiter.chatId, error: err.message });
+    }
+  }
+
+  if (save) {
+    await saveOverride({
+      question: record.question,
+      answer,
+      language: record.language,
+      createdBy: ctx.from?.id ?? null,
+    });
+  }
+
+  // Later askers start a new escalation; further replies still reach these users
+  await escalations.delete(questionKey(record.question, record.language));
+
+  logger.info('Moderator answered escalation', {
+    moderatorId: ctx.from?.id,
+    delivered,
+    waiting: record.waiting.length,
+    saved: save,
+  });
+
+  await ctx.reply(
+    `✅ Sent to ${delivered} of ${record.waiting.length} user(s).` +
+    (save ? ' Saved as the answer to this question.' : '')
+  );
+  return true;
+}
+
+/**
+ * Remove every open escalation (tests)
+ * @returns {Promise<void>}
+ */
+export async function clearEscalations() {
+  await escalations.clear();
+}
+
+export default {
+  isEscalationEnabled,
+  getMessageLink,
+  formatEscalation,
+  escalate,
+  handleModeratorReply,
+  clearEscalations,
+};
@@ -0,0 +1,35 @@
+import config from '../config.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Send a direct message to every allowlisted admin (ADMIN_USER_IDS)
+ * Admins who never started a private chat with the bot can't be reached;
+ * those failures are logged and skipped.
+ *
+ * @param {object} telegram - Telegraf telegram instance
+ * @param {string} text - Plain-text message
+ * @returns {Promise<number>} Number of admins reached
+ */
+export async function notifyAdmins(telegram, text) {
+  if (config.adminUserIds.length === 0) {
+    logger.warn('No ADMIN_USER_IDS configured, admin notification not sent', {
+      text: text.substring(0, 100),
+    });
+    return 0;
+  }
+
+  let sent = 0;
+
+  for (const adminId of config.adminUserIds) {
+    try {
+      await telegram.sendMessage(adminId, text);
+      sent++;
+    } catch (err) {
+      logger.warn('Failed to notify admin', { adminId, error: err.message });
+    }
+  }
+
+  return sent;
+}
+
+export default notifyAdmins;
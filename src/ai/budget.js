@@ -0,0 +1,220 @@
+/**
+ * AI Budget
+ * Keeps a running ledger of AI spend for the current UTC day and month
+ * and turns it into a budget mode:
+ *   normal  - route as configured
+ *   economy - past BUDGET.ECONOMY_RATIO of a budget: cheapest routed model only
+ *   local   - past BUDGET.LOCAL_RATIO: FAQ/template answers, no AI calls
+ * At 100% the client refuses AI calls outright.
+ * The ledger is seeded from analytics at startup, so restarts don't reset it.
+ */
+
+import config from '../config.js';
+import { BUDGET } from '../constants.js';
+import { getAISpend } from '../analytics/reporter.js';
+import logger from '../utils/logger.js';
+
+/**
+ * @typedef {'normal'|'economy'|'local'} BudgetMode
+ */
+
+/**
+ * @typedef {Object} BudgetSpend
+ * @property {number} dailyUsd - Spent today (UTC)
+ * @property {number} monthlyUsd - Spent this month (UTC)
+ * @property {number} dailyBudgetUsd
+ * @property {number} monthlyBudgetUsd
+ * @property {number} ratio - Highest share of either budget used, 0-1+
+ */
+
+const MODE_RANK = { normal: 0, economy: 1, local: 2 };
+
+const ledger = {
+  day: null,
+  month: null,
+  dailyUsd: 0,
+  monthlyUsd: 0,
+};
+
+// Last mode seen, so listeners hear about each step up only once
+let currentMode = 'normal';
+
+const listeners = [];
+
+/**
+ * Start a new day/month when the UTC date has moved on
+ * @param {Date} [now]
+ */
+function rollOver(now = new Date()) {
+  const day = now.toISOString().slice(0, 10);
+  const month = day.slice(0, 7);
+
+  if (ledger.month !== month) {
+    ledger.month = month;
+    ledger.monthlyUsd = 0;
+  }
+  if (ledger.day !== day) {
+    ledger.day = day;
+    ledger.dailyUsd = 0;
+  }
+}
+
+/**
+ * Share of a budget used
+ * A zero budget counts as already spent.
+ * @param {number} spent
+ * @param {number} budget
+ * @returns {number}
+ */
+function usedRatio(spent, budget) {
+  return budget > 0 ? spent / budget : Infinity;
+}
+
+/**
+ * Current spend against the configured budgets
+ * @param {{ dailyUsd: number, monthlyUsd: number }} [budget] - Default: config.budget
+ * @returns {BudgetSpend}
+ */
+export function getSpend(budget = config.budget) {
+  rollOver();
+  return {
+    dailyUsd: ledger.dailyUsd,
+    monthlyUsd: ledger.monthlyUsd,
+    dailyBudgetUsd: budget.dailyUsd,
+    monthlyBudgetUsd: budget.monthlyUsd,
+    ratio: Math.max(
+      usedRatio(ledger.dailyUsd, budget.dailyUsd),
+      usedRatio(ledger.monthlyUsd, budget.monthlyUsd),
+    ),
+  };
+}
+
+/**
+ * Budget mode for the next request
+ * @param {{ dailyUsd: number, monthlyUsd: number }} [budget] - Default: config.budget
+ * @returns {BudgetMode}
+ */
+export function getBudgetMode(budget = config.budget) {
+  const { ratio } = getSpend(budget);
+  if (ratio >= BUDGET.LOCAL_RATIO) return 'local';
+  if (ratio >= BUDGET.ECONOMY_RATIO) return 'economy';
+  return 'normal';
+}
+
+/**
+ * Whether a budget is fully spent (no AI calls at all)
+ * @param {{ dailyUsd: number, monthlyUsd: number }} [budget] - Default: config.budget
+ * @returns {boolean}
+ */
+export function isBudgetExhausted(budget = config.budget) {
+  return getSpend(budget).ratio >= 1;
+}
+
+/**
+ * Add the cost of an AI call to the ledger
+ * @param {number} costUsd
+ */
+export function recordSpend(costUsd) {
+  if (!(costUsd > 0)) return;
+
+  rollOver();
+  ledger.dailyUsd += costUsd;
+  ledger.monthlyUsd += costUsd;
+
+  checkModeChange();
+}
+
+/**
+ * Start from spend recorded before this process started
+ * Takes the larger value, since calls made since startup are in both.
+ * @param {{ dailyUsd: number, monthlyUsd: number }} spend
+ */
+export function seedSpend({ dailyUsd, monthlyUsd }) {
+  rollOver();
+  ledger.dailyUsd = Math.max(ledger.dailyUsd, dailyUsd || 0);
+  ledger.monthlyUsd = Math.max(ledger.monthlyUsd, monthlyUsd || 0);
+
+  checkModeChange();
+}
+
+/**
+ * Load today's and this month's spend from analytics (non-blocking)
+ * @returns {Promise<void>}
+ */
+export async function initBudget() {
+  const now = new Date();
+  const spend = await getAISpend(
+    new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate())),
+    new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)),
+  );
+
+  if (!spend) {
+    logger.info('AI budget starts from zero (no analytics history)');
+    return;
+  }
+
+  seedSpend(spend);
+  logger.info('AI budget loaded', { ...getSpend(), mode: currentMode });
+}
+
+/**
+ * Notify listeners when the mode steps up
+ */
+function checkModeChange() {
+  const mode = getBudgetMode();
+  const previous = currentMode;
+  currentMode = mode;
+
+  if (MODE_RANK[mode] <= MODE_RANK[previous]) return;
+
+  const spend = getSpend();
+  logger.warn('AI budget mode changed', { from: previous, to: mode, ...spend });
+
+  for (const listener of listeners) {
+    Promise.resolve()
+      .then(() => listener(mode, spend))
+      .catch(err => logger.error('Budget listener failed', { error: err.message }));
+  }
+}
+
+/**
+ * Be told when spending moves to economy or local mode
+ * @param {(mode: BudgetMode, spend: BudgetSpend) => void|Promise<void>} listener
+ */
+export function onBudgetModeChange(listener) {
+  listeners.push(listener);
+}
+
+/**
+ * Describe spend for /health
+ * @returns {string}
+ */
+export function describeBudget() {
+  const spend = getSpend();
+  return `$${spend.dailyUsd.toFixed(4)} / $${spend.dailyBudgetUsd} today, ` +
+    `$${spend.monthlyUsd.toFixed(4)} / $${spend.monthlyBudgetUsd} this month (${getBudgetMode()})`;
+}
+
+/**
+ * Clear the ledger and listeners (for testing)
+ */
+export function resetBudget() {
+  ledger.day = null;
+  ledger.month = null;
+  ledger.dailyUsd = 0;
+  ledger.monthlyUsd = 0;
+  currentMode = 'normal';
+  listeners.length = 0;
+}
+
+export default {
+  getSpend,
+  getBudgetMode,
+  isBudgetExhausted,
+  recordSpend,
+  seedSpend,
+  initBudget,
+  onBudgetModeChange,
+  describeBudget,
+  resetBudget,
+};
@@ -0,0 +1,131 @@
+import { AI_RESILIENCE } from '../constants.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Circuit Breaker
+ * Tracks consecutive failures per AI provider. After BREAKER_THRESHOLD
+ * failures the breaker opens and the provider is skipped for
+ * BREAKER_COOLDOWN_MS. Once the cool-down passes, one trial request is
+ * let through (half-open): success closes the breaker, failure re-opens it.
+ * Other requests are turned away while the trial is in flight; a trial that
+ * never reports back frees the slot after another cool-down.
+ */
+
+/**
+ * In-memory breaker store
+ * Maps provider name to { failures, openedUntil, trialUntil }
+ */
+const breakers = new Map();
+
+/**
+ * Get (or create) the breaker for a provider
+ * @param {string} name
+ * @returns {{ failures: number, openedUntil: number, trialUntil: number }}
+ */
+function getBreaker(name) {
+  let breaker = breakers.get(name);
+  if (!breaker) {
+    breaker = { failures: 0, openedUntil: 0, trialUntil: 0 };
+    breakers.set(name, breaker);
+  }
+  return breaker;
+}
+
+/**
+ * Check whether a provider could be called right now, without claiming
+ * the half-open trial
+ * @param {string} name - Provider name
+ * @returns {boolean}
+ */
+export function isAvailable(name) {
+  const breaker = getBreaker(name);
+  const now = Date.now();
+  return now >= breaker.openedUntil && now >= breaker.trialUntil;
+}
+
+/**
+ * Check whether a provider may be called right now
+ * When half-open this claims the one trial request, so call it right
+ * before the request and report the outcome with recordSuccess/recordFailure.
+ * @param {string} name - Provider name
+ * @returns {boolean}
+ */
+export function canRequest(name) {
+  if (!isAvailable(name)) return false;
+
+  const breaker = getBreaker(name);
+  if (breaker.openedUntil > 0) {
+    breaker.trialUntil = Date.now() + AI_RESILIENCE.BREAKER_COOLDOWN_MS;
+    logger.info('Circuit breaker half-open, sending trial request', { provider: name });
+  }
+  return true;
+}
+
+/**
+ * Record a successful call (closes the breaker)
+ * @param {string} name - Provider name
+ */
+export function recordSuccess(name) {
+  const breaker = getBreaker(name);
+
+  if (breaker.openedUntil > 0) {
+    logger.info('Circuit breaker closed', { provider: name });
+  }
+
+  breaker.failures = 0;
+  breaker.openedUntil = 0;
+  breaker.trialUntil = 0;
+}
+
+/**
+ * Record a failed call (opens the breaker at the threshold)
+ * @param {string} name - Provider name
+ */
+export function recordFailure(name) {
+  const breaker = getBreaker(name);
+  breaker.failures++;
+  breaker.trialUntil = 0;
+
+  if (breaker.failures >= AI_RESILIENCE.BREAKER_THRESHOLD) {
+    breaker.openedUntil = Date.now() + AI_RESILIENCE.BREAKER_COOLDOWN_MS;
+    logger.warn('Circuit breaker opened', {
+      provider: name,
+      failures: breaker.failures,
+      cooldownMs: AI_RESILIENCE.BREAKER_COOLDOWN_MS,
+    });
+  }
+}
+
+/**
+ * Get breaker state for a provider
+ * @param {string} name - Provider name
+ * @returns {{ state: 'closed'|'open'|'half-open', failures: number }}
+ */
+export function getBreakerState(name) {
+  const breaker = getBreaker(name);
+
+  let state = 'closed';
+  if (breaker.openedUntil > Date.now()) {
+    state = 'open';
+  } else if (breaker.openedUntil > 0) {
+    state = 'half-open';
+  }
+
+  return { state, failures: breaker.failures };
+}
+
+/**
+ * Reset all breakers
+ */
+export function resetBreakers() {
+  breakers.clear();
+}
+
+export default {
+  isAvailable,
+  canRequest,
+  recordSuccess,
+  recordFailure,
+  getBreakerState,
+  resetBreakers,
+};
@@ -0,0 +1,81 @@
+/**
+ * Model Router
+ * Resolves the model, token limit, temperature and fallback model for an
+ * answer from the routing table in config (MODEL_ROUTES).
+ */
+
+import config from '../config.js';
+import { COMPLEXITY_THRESHOLDS } from '../constants.js';
+import { getModelPrice } from './pricing.js';
+
+/**
+ * @typedef {Object} ModelRoute
+ * @property {string} responseClass - Response class or '*'
+ * @property {'simple'|'medium'|'complex'|'*'} complexity - Complexity band or '*'
+ * @property {string} model
+ * @property {number} maxTokens
+ * @property {number} temperature
+ * @property {string|null} fallbackModel - Tried on the same provider when the model fails
+ */
+
+/**
+ * Map a complexity score to its band
+ * @param {number} complexity - 0-10
+ * @returns {'simple'|'medium'|'complex'}
+ */
+export function getComplexityBand(complexity) {
+  if (complexity <= COMPLEXITY_THRESHOLDS.SIMPLE) return 'simple';
+  if (complexity <= COMPLEXITY_THRESHOLDS.MEDIUM) return 'medium';
+  return 'complex';
+}
+
+/**
+ * Find the route for an answer (first match wins)
+ * @param {string} responseClass
+ * @param {number} complexity - 0-10
+ * @param {ModelRoute[]} [routes] - Override table (default: config.modelRoutes)
+ * @returns {ModelRoute}
+ */
+export function resolveRoute(responseClass, complexity, routes = config.modelRoutes) {
+  const band = getComplexityBand(complexity);
+
+  // Startup validation guarantees coverage; the last route is the catch-all otherwise
+  return routes.find(r =>
+    (r.responseClass === '*' || r.responseClass === responseClass) &&
+    (r.complexity === '*' || r.complexity === band)
+  ) || routes[routes.length - 1];
+}
+
+/**
+ * Cheapest version of a route, used while the budget is in economy mode
+ * Keeps whichever of the model and fallback model costs less and drops
+ * the fallback, so a failure doesn't retry on the expensive one.
+ * @param {ModelRoute} route
+ * @returns {ModelRoute}
+ */
+export function economyRoute(route) {
+  const cost = model => {
+    const price = getModelPrice(model);
+    return price.prompt + price.completion;
+  };
+
+  const model = route.fallbackModel && cost(route.fallbackModel) < cost(route.model)
+    ? route.fallbackModel
+    : route.model;
+
+  return { ...route, model, fallbackModel: null };
+}
+
+/**
+ * Describe the routing table, one line per route (for /health)
+ * @param {ModelRoute[]} [routes]
+ * @returns {string[]}
+ */
+export function describeRoutes(routes = config.modelRoutes) {
+  return routes.map(r =>
+    `${r.responseClass}/${r.complexity} → ${r.model} (${r.maxTokens} tok, t=${r.temperature}` +
+    `${r.fallbackModel ? `, fallback ${r.fallbackModel}` : ''})`
+  );
+}
+
+export default { getComplexityBand, resolveRoute, economyRoute, describeRoutes };
@@ -1,56 +1,283 @@
 import config from '../config.js';
 import logger from '../utils/logger.js';
 import { trackAICall } from '../analytics/index.js';
+import { AI_RESILIENCE } from '../constants.js';
+import { isAvailable, canRequest, recordSuccess, recordFailure, getBreakerState } from './circuitBreaker.js';
+import { calculateCost } from './pricing.js';
+import { recordSpend, isBudgetExhausted } from './budget.js';
 
 /**
  * OpenRouter API Client
- * Handles communication with OpenRouter for LLM requests.
- * Single model, low temperature, stateless execution.
+ * Handles communication with OpenRouter (and other OpenAI-compatible
+ * providers) for LLM requests.
+ * Providers are tried in order; the next one is used on errors, timeouts,
+ * and empty or reasoning-only outputs.
+ * Rate limits, 5xx and network errors are retried with jittered backoff
+ * first, and providers with an open circuit breaker are skipped.
+ * Passing onDelta switches the request to a streamed (SSE) completion.
+ * Every call is priced and charged to the AI budget; once a budget is
+ * spent, no request is sent.
+ * Low temperature, stateless execution.
  */
 
-const OPENROUTER_API_URL = 'https://openrouter.ai/api/v1/chat/completions';
-
 /**
  * @typedef {Object} ChatMessage
  * @property {'system'|'user'|'assistant'} role
  * @property {string} content
  */
 
+/**
+ * @typedef {Object} AIProvider
+ * @property {string} name - Provider name (reported in analytics)
+ * @property {string} baseUrl - OpenAI-compatible base URL (without /chat/completions)
+ * @property {string} [apiKey] - Bearer token
+ * @property {string|null} [model] - Pinned model; null uses the requested model
+ * @property {number|null} [timeoutMs] - Per-provider timeout override
+ */
+
 /**
  * @typedef {Object} OpenRouterResponse
  * @property {boolean} success
  * @property {string|null} content - The AI response content
  * @property {string|null} error - Error message if failed
  * @property {Object|null} usage - Token usage stats
+ * @property {string|null} provider - Name of the provider that served the answer
+ * @property {string|null} model - Model that served the answer
  */
 
 /**
- * Make a chat completion request to OpenRouter
+ * @typedef {OpenRouterResponse & { retryable: boolean, retryAfterMs: number|null }} AttemptResult
+ */
+
+/**
+ * Make a chat completion request, failing over across providers
  * @param {ChatMessage[]} messages - Array of messages
  * @param {Object} [options] - Optional overrides
  * @param {string} [options.model] - Override model
+ * @param {string|null} [options.fallbackModel] - Tried on each provider when the model fails
  * @param {number} [options.maxTokens] - Override max tokens
  * @param {number} [options.temperature] - Override temperature
+ * @param {number} [options.maxRetries] - Override retries per provider (default: AI_RESILIENCE.MAX_RETRIES)
+ * @param {number} [options.timeoutMs] - Cap on the per-provider timeout for this call
+ * @param {(text: string) => void} [options.onDelta] - Stream the completion; called with the text so far
+ * @param {AIProvider[]} [options.providers] - Override provider chain (default: config.aiProviders)
+ * @param {boolean} [options.breaker=true] - Record the outcome on the provider's circuit breaker;
+ *   side calls with tight timeouts pass false so they cannot open it for answers
  * @returns {Promise<OpenRouterResponse>}
  */
 export async function chatCompletion(messages, options = {}) {
-  const { apiKey, model: defaultModel, temperature: defaultTemp, maxTokens: defaultMaxTokens, timeoutMs } = config.openRouter;
+  const configured = (options.providers || config.aiProviders).filter(p => p.apiKey);
 
-  // Allow option overrides
-  const model = options.model || defaultModel;
-  const temperature = options.temperature ?? defaultTemp;
-  const maxTokens = options.maxTokens || defaultMaxTokens;
-
-  if (!apiKey) {
-    logger.error('OpenRouter API key not configured');
+  if (configured.length === 0) {
+    logger.error('No AI provider configured');
     return {
       success: false,
       content: null,
       error: 'AI service not configured',
       usage: null,
+      provider: null,
+      model: null,
     };
   }
 
+  if (isBudgetExhausted()) {
+    logger.warn('AI budget exhausted, skipping AI call');
+    return {
+      success: false,
+      content: null,
+      error: 'AI budget exhausted',
+      usage: null,
+      provider: null,
+      model: null,
+    };
+  }
+
+  const providers = configured.filter(p => isAvailable(p.name));
+
+  if (providers.length === 0) {
+    logger.warn('All AI providers have an open circuit breaker', {
+      providers: configured.map(p => p.name),
+    });
+    return {
+      success: false,
+      content: null,
+      error: 'AI service temporarily unavailable',
+      usage: null,
+      provider: null,
+      model: null,
+    };
+  }
+
+  const tracked = options.breaker !== false;
+  let lastResult = null;
+
+  for (let i = 0; i < providers.length; i++) {
+    const provider = providers[i];
+    // Another request may have taken a half-open provider's trial meanwhile;
+    // untracked calls never take the trial, since they would not report back
+    if (tracked ? !canRequest(provider.name) : !isAvailable(provider.name)) continue;
+
+    const result = await requestWithFallbackModel(provider, messages, options);
+
+    if (result.success) {
+      if (tracked) recordSuccess(provider.name);
+      if (i > 0) {
+        logger.info('AI request served by fallback provider', {
+          provider: provider.name,
+          attempt: i + 1,
+        });
+      }
+      return result;
+    }
+
+    if (tracked) recordFailure(provider.name);
+    lastResult = result;
+
+    if (i < providers.length - 1) {
+      logger.warn('AI provider failed, failing over', {
+        provider: provider.name,
+        next: providers[i + 1].name,
+        error: result.error,
+      });
+    }
+  }
+
+  if (!lastResult) {
+    logger.warn('AI providers busy with circuit breaker trials', {
+      providers: providers.map(p => p.name),
+    });
+    return {
+      success: false,
+      content: null,
+      error: 'AI service temporarily unavailable',
+      usage: null,
+      provider: null,
+      model: null,
+    };
+  }
+
+  logger.error('All AI providers failed', {
+    providers: providers.map(p => p.name),
+    error: lastResult?.error,
+  });
+
+  return lastResult;
+}
+
+/**
+ * Call one provider with the requested model, then with the fallback model
+ * Providers with a pinned model never switch models.
+ * @param {AIProvider} provider
+ * @param {ChatMessage[]} messages
+ * @param {Object} options - Same overrides as chatCompletion
+ * @returns {Promise<OpenRouterResponse>}
+ */
+async function requestWithFallbackModel(provider, messages, options) {
+  const result = await requestWithRetry(provider, messages, options);
+
+  const { fallbackModel, model } = options;
+  if (result.success || !fallbackModel || fallbackModel === model || provider.model) {
+    return result;
+  }
+
+  logger.warn('AI model failed, trying fallback model', {
+    provider: provider.name,
+    model: result.model,
+    fallbackModel,
+    error: result.error,
+  });
+
+  return requestWithRetry(provider, messages, { ...options, model: fallbackModel });
+}
+
+/**
+ * Call one provider, retrying transient failures with backoff
+ * @param {AIProvider} provider
+ * @param {ChatMessage[]} messages
+ * @param {Object} options - Same overrides as chatCompletion
+ * @returns {Promise<OpenRouterResponse>}
+ */
+async function requestWithRetry(provider, messages, options) {
+  const maxRetries = options.maxRetries ?? AI_RESILIENCE.MAX_RETRIES;
+
+  for (let attempt = 0; ; attempt++) {
+    const { retryable, retryAfterMs, ...result } = await requestCompletion(provider, messages, options);
+
+    if (result.success || !retryable || attempt >= maxRetries) {
+      return result;
+    }
+
+    // A Retry-After longer than we are willing to wait: fail over instead
+    if (retryAfterMs !== null && retryAfterMs > AI_RESILIENCE.MAX_BACKOFF_MS) {
+      logger.warn('Retry-After exceeds backoff cap, not retrying', {
+        provider: provider.name,
+        retryAfterMs,
+      });
+      return result;
+    }
+
+    const delayMs = getBackoffDelay(attempt, retryAfterMs);
+    logger.warn('Retrying AI request', {
+      provider: provider.name,
+      attempt: attempt + 1,
+      delayMs,
+      error: result.error,
+    });
+    await new Promise(resolve => setTimeout(resolve, delayMs));
+  }
+}
+
+/**
+ * Compute the wait before a retry
+ * Honors Retry-After when given, otherwise exponential backoff with full jitter.
+ * @param {number} attempt - Zero-based attempt that just failed
+ * @param {number|null} [retryAfterMs] - Server-requested delay
+ * @returns {number}
+ */
+export function getBackoffDelay(attempt, retryAfterMs = null) {
+  if (retryAfterMs !== null) {
+    return Math.min(retryAfterMs, AI_RESILIENCE.MAX_BACKOFF_MS);
+  }
+
+  const ceiling = Math.min(AI_RESILIENCE.BASE_BACKOFF_MS * 2 ** attempt, AI_RESILIENCE.MAX_BACKOFF_MS);
+  return Math.floor(Math.random() * ceiling);
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date)
+ * @param {string|null} value
+ * @returns {number|null} Delay in ms, or null if absent/invalid
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Make a single chat completion request to one provider
+ * @param {AIProvider} provider
+ * @param {ChatMessage[]} messages
+ * @param {Object} options - Same overrides as chatCompletion
+ * @returns {Promise<AttemptResult>}
+ */
+async function requestCompletion(provider, messages, options) {
+  const { model: defaultModel, temperature: defaultTemp, maxTokens: defaultMaxTokens, timeoutMs: defaultTimeoutMs } = config.openRouter;
+
+  // Pinned provider model wins; otherwise allow option overrides
+  const model = provider.model || options.model || defaultModel;
+  const temperature = options.temperature ?? defaultTemp;
+  const maxTokens = options.maxTokens || defaultMaxTokens;
+  const timeoutMs = Math.min(provider.timeoutMs || defaultTimeoutMs, options.timeoutMs || Infinity);
+  const isOpenRouter = provider.baseUrl.includes('openrouter.ai');
+  const isStream = typeof options.onDelta === 'function';
+
   const requestBody = {
     model: model,
     messages: messages,
@@ -58,17 +285,38 @@ export async function chatCompletion(messages, options = {}) {
     max_tokens: maxTokens,
     // Prevent the model from going off-topic
     top_p: 0.9,
+  };
+
+  if (isStream) {
+    requestBody.stream = true;
+    // Ask for token usage in the final chunk (OpenRouter sends it regardless)
+    requestBody.stream_options = { include_usage: true };
+  }
+
+  if (isOpenRouter) {
     // Disable reasoning mode for reasoning models - we want direct content output
     // This prevents models from using all tokens for "thinking" and leaving content empty
-    reasoning: {
+    requestBody.reasoning = {
       effort: 'none',
-    },
+    };
+  }
+
+  const headers = {
+    'Content-Type': 'application/json',
+    Authorization: `Bearer ${provider.apiKey}`,
   };
 
-  logger.debug('OpenRouter request', {
+  if (isOpenRouter) {
+    headers['HTTP-Referer'] = 'https://github.com/peppercoin/pepper-pal';
+    headers['X-Title'] = 'Pepper Pal';
+  }
+
+  logger.debug('AI request', {
+    provider: provider.name,
     model: model,
     messageCount: messages.length,
     temperature: temperature,
+    stream: isStream,
   });
 
   // Create abort controller for timeout
@@ -76,69 +324,96 @@ export async function chatCompletion(messages, options = {}) {
   const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
   const requestStartTime = Date.now();
 
+  // Failed calls can still bill tokens (e.g. reasoning-only answers)
+  const charge = (usage) => {
+    const costUsd = calculateCost(model, usage?.prompt_tokens || 0, usage?.completion_tokens || 0);
+    recordSpend(costUsd);
+    return costUsd;
+  };
+
+  const fail = (error, usage = null, { retryable = false, retryAfterMs = null } = {}) => {
+    // Track failed AI call (non-blocking)
+    trackAICall({
+      latencyMs: Date.now() - requestStartTime,
+      tokensUsed: usage?.total_tokens || 0,
+      promptTokens: usage?.prompt_tokens || 0,
+      completionTokens: usage?.completion_tokens || 0,
+      costUsd: charge(usage),
+      success: false,
+      model: model,
+      provider: provider.name,
+      error,
+    });
+
+    return {
+      success: false,
+      content: null,
+      error,
+      usage,
+      provider: provider.name,
+      model,
+      retryable,
+      retryAfterMs,
+    };
+  };
+
   try {
-    const response = await fetch(OPENROUTER_API_URL, {
+    const response = await fetch(`${provider.baseUrl}/chat/completions`, {
       method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        Authorization: `Bearer ${apiKey}`,
-        'HTTP-Referer': 'https://github.com/peppercoin/pepper-pal',
-        'X-Title': 'Pepper Pal',
-      },
+      headers,
       body: JSON.stringify(requestBody),
       signal: controller.signal,
     });
 
-    clearTimeout(timeoutId);
-
     if (!response.ok) {
       const errorBody = await response.text();
-      logger.error('OpenRouter API error', {
+      clearTimeout(timeoutId);
+      logger.error('AI provider API error', {
+        provider: provider.name,
         status: response.status,
         body: errorBody,
       });
 
-      return {
-        success: false,
-        content: null,
-        error: `API error: ${response.status}`,
-        usage: null,
-      };
+      // Rate limits and server errors are transient; other 4xx are not
+      return fail(`API error: ${response.status}`, null, {
+        retryable: response.status === 429 || response.status >= 500,
+        retryAfterMs: parseRetryAfter(response.headers.get('retry-after')),
+      });
     }
 
-    const data = await response.json();
+    const data = isStream
+      ? await readStream(response, options.onDelta)
+      : await response.json();
+    clearTimeout(timeoutId);
 
     // Extract the response content
     const choice = data.choices?.[0];
-    let content = choice?.message?.content;
+    const content = choice?.message?.content;
+    const reasoning = choice?.message?.reasoning || choice?.message?.reasoning_content;
 
-    // Some reasoning models put content in reasoning field when content is empty
-    // Check if we got cut off during reasoning (finish_reason: "length")
-    if (!content && choice?.finish_reason === 'length') {
-      // Model ran out of tokens during reasoning - this is a problem
-      logger.warn('Model ran out of tokens during reasoning', {
+    // Some reasoning models put everything in the reasoning field and leave content empty
+    if (!content?.trim() && reasoning) {
+      logger.warn('Model returned reasoning without content', {
+        provider: provider.name,
         model: model,
-        reasoning: choice?.message?.reasoning?.substring(0, 100),
+        finishReason: choice?.finish_reason,
+        reasoning: reasoning.substring(0, 100),
       });
-      return {
-        success: false,
-        content: null,
-        error: 'Model ran out of tokens - try a simpler question',
-        usage: data.usage || null,
-      };
+      return fail(
+        choice?.finish_reason === 'length'
+          ? 'Model ran out of tokens - try a simpler question'
+          : 'Reasoning-only response from AI',
+        data.usage || null
+      );
     }
 
-    if (!content) {
-      logger.warn('OpenRouter returned empty response', { data });
-      return {
-        success: false,
-        content: null,
-        error: 'Empty response from AI',
-        usage: data.usage || null,
-      };
+    if (!content?.trim()) {
+      logger.warn('AI provider returned empty response', { provider: provider.name, data });
+      return fail('Empty response from AI', data.usage || null);
     }
 
-    logger.debug('OpenRouter response received', {
+    logger.debug('AI response received', {
+      provider: provider.name,
       contentLength: content.length,
       usage: data.usage,
       finishReason: choice.finish_reason,
@@ -150,8 +425,10 @@ export async function chatCompletion(messages, options = {}) {
       tokensUsed: data.usage?.total_tokens || 0,
       promptTokens: data.usage?.prompt_tokens || 0,
       completionTokens: data.usage?.completion_tokens || 0,
+      costUsd: charge(data.usage),
       success: true,
       model: model,
+      provider: provider.name,
     });
 
     return {
@@ -159,48 +436,132 @@ export async function chatCompletion(messages, options = {}) {
       content: content.trim(),
       error: null,
       usage: data.usage || null,
+      provider: provider.name,
+      model,
+      retryable: false,
+      retryAfterMs: null,
     };
   } catch (err) {
     clearTimeout(timeoutId);
-    
-    // Track failed AI call (non-blocking)
-    trackAICall({
-      latencyMs: Date.now() - requestStartTime,
-      tokensUsed: 0,
-      success: false,
-      model: model,
-      error: err.name === 'AbortError' ? 'timeout' : err.message,
-    });
 
+    // Timeouts are not retried: the full timeout was already spent
     if (err.name === 'AbortError') {
-      logger.error('OpenRouter request timed out', { timeoutMs });
-      return {
-        success: false,
-        content: null,
-        error: 'Request timed out',
-        usage: null,
-      };
+      logger.error('AI request timed out', { provider: provider.name, timeoutMs });
+      return fail('Request timed out');
     }
 
-    logger.error('OpenRouter request failed', { error: err.message });
-    return {
-      success: false,
-      content: null,
-      error: err.message,
-      usage: null,
-    };
+    logger.error('AI request failed', { provider: provider.name, error: err.message });
+    return fail(err.message, null, { retryable: true });
+  }
+}
+
+/**
+ * Read a streamed (SSE) completion
+ * Accumulates content deltas and returns the same shape as a
+ * non-streamed response so both paths share validation.
+ * @param {Response} response - fetch response with an SSE body
+ * @param {(text: string) => void} onDelta - Called with the content so far
+ * @returns {Promise<Object>}
+ */
+async function readStream(response, onDelta) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let content = '';
+  let reasoning = '';
+  let finishReason = null;
+  let usage = null;
+
+  const handleLine = (line) => {
+    // Skip SSE comments (": OPENROUTER PROCESSING") and blank keep-alives
+    if (!line.startsWith('data:')) return;
+
+    const payload = line.slice(5).trim();
+    if (!payload || payload === '[DONE]') return;
+
+    let chunk;
+    try {
+      chunk = JSON.parse(payload);
+    } catch {
+      logger.debug('Skipping malformed stream chunk', { payload: payload.substring(0, 100) });
+      return;
+    }
+
+    if (chunk.error) {
+      throw new Error(chunk.error.message || 'Stream error');
+    }
+
+    const choice = chunk.choices?.[0];
+    const delta = choice?.delta || {};
+
+    if (delta.reasoning || delta.reasoning_content) {
+      reasoning += delta.reasoning || delta.reasoning_content;
+    }
+    if (delta.content) {
+      content += delta.content;
+      onDelta(content);
+    }
+    if (choice?.finish_reason) {
+      finishReason = choice.finish_reason;
+    }
+    if (chunk.usage) {
+      usage = chunk.usage;
+    }
+  };
+
+  for await (const bytes of response.body) {
+    buffer += decoder.decode(bytes, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    lines.forEach(line => handleLine(line.trim()));
   }
+  buffer += decoder.decode();
+  handleLine(buffer.trim());
+
+  return {
+    choices: [
+      {
+        message: { content, reasoning: reasoning || undefined },
+        finish_reason: finishReason,
+      },
+    ],
+    usage,
+  };
 }
 
 /**
- * Check if OpenRouter is configured and ready
+ * Check if at least one AI provider is configured and ready
  * @returns {boolean}
  */
 export function isOpenRouterConfigured() {
-  return Boolean(config.openRouter.apiKey);
+  return config.aiProviders.some(p => Boolean(p.apiKey));
+}
+
+/**
+ * Check if at least one configured provider can be called right now
+ * False while every provider's circuit breaker is open.
+ * @returns {boolean}
+ */
+export function isAIAvailable() {
+  return config.aiProviders.some(p => p.apiKey && isAvailable(p.name));
+}
+
+/**
+ * Get the configured provider chain (names and models only, no keys)
+ * @returns {Array<{ name: string, model: string|null, configured: boolean, breaker: string }>}
+ */
+export function getProviderChain() {
+  return config.aiProviders.map(p => ({
+    name: p.name,
+    model: p.model,
+    configured: Boolean(p.apiKey),
+    breaker: getBreakerState(p.name).state,
+  }));
 }
 
 export default {
   chatCompletion,
+  getBackoffDelay,
   isOpenRouterConfigured,
+  isAIAvailable,
+  getProviderChain,
 };
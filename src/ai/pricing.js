@@ -0,0 +1,73 @@
+/**
+ * Model Pricing
+ * Turns token usage into USD using the per-model price table
+ * (config.modelPricing, USD per 1M prompt/completion tokens).
+ * Unpriced models are charged at UNKNOWN_MODEL_PRICING so they are
+ * never mistaken for free.
+ */
+
+import config from '../config.js';
+import { UNKNOWN_MODEL_PRICING } from '../constants.js';
+import logger from '../utils/logger.js';
+
+const TOKENS_PER_UNIT = 1_000_000;
+
+// Unpriced models already warned about (once per process is enough)
+const warnedModels = new Set();
+
+/**
+ * Look up the price of a model
+ * @param {string|null} model
+ * @param {Object<string, { prompt: number, completion: number }>} [pricing] - Default: config.modelPricing
+ * @returns {{ prompt: number, completion: number, known: boolean }}
+ */
+export function getModelPrice(model, pricing = config.modelPricing) {
+  const price = model ? pricing[model] : null;
+  if (price) {
+    return { ...price, known: true };
+  }
+
+  if (model && !warnedModels.has(model)) {
+    warnedModels.add(model);
+    logger.warn('No price for model, assuming the unknown-model rate', {
+      model,
+      ...UNKNOWN_MODEL_PRICING,
+    });
+  }
+
+  return { ...UNKNOWN_MODEL_PRICING, known: false };
+}
+
+/**
+ * Cost of one call
+ * @param {string|null} model
+ * @param {number} promptTokens
+ * @param {number} completionTokens
+ * @param {Object<string, { prompt: number, completion: number }>} [pricing] - Default: config.modelPricing
+ * @returns {number} USD
+ */
+export function calculateCost(model, promptTokens, completionTokens, pricing = config.modelPricing) {
+  const price = getModelPrice(model, pricing);
+  return ((promptTokens || 0) * price.prompt + (completionTokens || 0) * price.completion) / TOKENS_PER_UNIT;
+}
+
+/**
+ * Cost of a tracked ai_call event
+ * Uses the cost recorded at call time, so later price changes don't
+ * rewrite history; older events without one are priced now.
+ * @param {{ metadata?: Object }} event - Row from metrics_events
+ * @returns {number} USD
+ */
+export function getEventCost(event) {
+  const meta = event.metadata || {};
+  if (typeof meta.costUsd === 'number') {
+    return meta.costUsd;
+  }
+  return calculateCost(meta.model || null, meta.promptTokens, meta.completionTokens);
+}
+
+export default {
+  getModelPrice,
+  calculateCost,
+  getEventCost,
+};
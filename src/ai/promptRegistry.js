@@ -0,0 +1,155 @@
+/**
+ * Prompt Registry
+ * Looks up versioned prompt templates, renders their variables and
+ * assigns chats to prompt variants when an experiment is running.
+ * Assignment hashes the chat ID, so a chat keeps its variant across
+ * messages and restarts.
+ */
+
+import crypto from 'crypto';
+import config from '../config.js';
+import { PROMPT_TEMPLATES, DEFAULT_PROMPT } from './prompts.js';
+import logger from '../utils/logger.js';
+
+/**
+ * @typedef {Object} PromptSelection
+ * @property {string} id - Resolved prompt, "name@version"
+ * @property {string|null} experiment - Experiment name, null when none is running
+ */
+
+/**
+ * @typedef {Object} PromptVariables
+ * @property {number} charBudget
+ * @property {string} responseClass
+ * @property {string} [language] - Language to reply in (default: the question's language)
+ */
+
+const DEFAULT_LANGUAGE = 'the same language as the question';
+
+/**
+ * Find a template by "name" (latest version) or "name@version"
+ * @param {string} ref
+ * @returns {import('./prompts.js').PromptTemplate|null}
+ */
+export function getPrompt(ref) {
+  const [name, version] = String(ref || '').split('@');
+  const matches = PROMPT_TEMPLATES.filter(t => t.name === name && (!version || t.version === version));
+  if (matches.length === 0) return null;
+
+  return matches.reduce((latest, t) => compareVersions(t.version, latest.version) > 0 ? t : latest);
+}
+
+/**
+ * Compare two semver strings
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} Negative, zero or positive
+ */
+function compareVersions(a, b) {
+  const pa = a.split('.').map(Number);
+  const pb = b.split('.').map(Number);
+  for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+    const diff = (pa[i] || 0) - (pb[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+/**
+ * Render a prompt with its variables
+ * @param {string} ref - "name" or "name@version"
+ * @param {PromptVariables} variables
+ * @returns {string}
+ */
+export function renderPrompt(ref, variables) {
+  const prompt = getPrompt(ref) || getPrompt(DEFAULT_PROMPT);
+
+  const values = {
+    language: DEFAULT_LANGUAGE,
+    ...variables,
+    classGuidance: prompt.guidance[variables.responseClass] || '',
+  };
+
+  return prompt.template
+    .replace(/\{\{(\w+)\}\}/g, (match, key) => (key in values ? String(values[key]) : match))
+    .replace(/\n{3,}/g, '\n\n');
+}
+
+/**
+ * Pick the prompt for a chat
+ * @param {string|number} chatId
+ * @param {{ name: string, variants: Object<string, number> }|null} [experiment] - Default: config.promptExperiment
+ * @returns {PromptSelection}
+ */
+export function selectPrompt(chatId, experiment = config.promptExperiment) {
+  if (!experiment) {
+    return { id: toId(DEFAULT_PROMPT), experiment: null };
+  }
+
+  const variants = Object.entries(experiment.variants);
+  const total = variants.reduce((sum, [, weight]) => sum + weight, 0);
+
+  // Same chat + experiment always lands in the same bucket
+  const hash = crypto.createHash('sha256').update(`${experiment.name}:${chatId}`).digest();
+  let bucket = hash.readUInt32BE(0) % total;
+
+  for (const [ref, weight] of variants) {
+    if (bucket < weight) {
+      return { id: toId(ref), experiment: experiment.name };
+    }
+    bucket -= weight;
+  }
+
+  return { id: toId(DEFAULT_PROMPT), experiment: null };
+}
+
+/**
+ * Resolve a prompt reference to "name@version"
+ * @param {string} ref
+ * @returns {string}
+ */
+function toId(ref) {
+  const prompt = getPrompt(ref) || getPrompt(DEFAULT_PROMPT);
+  return `${prompt.name}@${prompt.version}`;
+}
+
+/**
+ * Check that every experiment variant is a registered prompt
+ * @param {{ name: string, variants: Object<string, number> }|null} [experiment] - Default: config.promptExperiment
+ * @throws {Error} if a variant is unknown
+ */
+export function validatePromptExperiment(experiment = config.promptExperiment) {
+  if (!experiment) return;
+
+  const unknown = Object.keys(experiment.variants).filter(ref => !getPrompt(ref));
+  if (unknown.length > 0) {
+    throw new Error(`PROMPT_EXPERIMENT references unknown prompts: ${unknown.join(', ')}`);
+  }
+
+  logger.info('Prompt experiment active', {
+    experiment: experiment.name,
+    variants: Object.keys(experiment.variants).map(toId),
+  });
+}
+
+/**
+ * Describe the prompt setup (for /health)
+ * @returns {string}
+ */
+export function describePrompts() {
+  const experiment = config.promptExperiment;
+  if (!experiment) return toId(DEFAULT_PROMPT);
+
+  const variants = Object.entries(experiment.variants)
+    .map(([ref, weight]) => `${toId(ref)} ${weight}`)
+    .join(' / ');
+  return `${experiment.name}: ${variants}`;
+}
+
+export default {
+  getPrompt,
+  renderPrompt,
+  selectPrompt,
+  validatePromptExperiment,
+  describePrompts,
+};
@@ -3,7 +3,8 @@
  * Aggregates raw events into hourly and daily summaries
  */
 
-import { getClient, isEnabled, safeExecute } from './client.js';
+import { getClient, isEnabled, safeExecute, fetchAll } from './client.js';
+import { getEventCost } from '../ai/pricing.js';
 import logger from '../utils/logger.js';
 
 /**
@@ -19,6 +20,92 @@ function percentile(arr, p) {
   return sorted[Math.max(0, index)];
 }
 
+/**
+ * Share of helpful votes as a percentage
+ * @param {number} helpful
+ * @param {number} votes
+ * @returns {number|null}
+ */
+function helpfulRate(helpful, votes) {
+  return votes > 0 ? Math.round((helpful / votes) * 10000) / 100 : null;
+}
+
+/**
+ * Add votes to a { votes, helpful } tally, keyed by name
+ * @param {Object} tallies
+ * @param {string} key
+ * @param {number} votes
+ * @param {number} helpful
+ */
+function addVotes(tallies, key, votes, helpful) {
+  const tally = tallies[key] || (tallies[key] = { votes: 0, helpful: 0 });
+  tally.votes += votes;
+  tally.helpful += helpful;
+}
+
+/**
+ * Fill in the helpful rate of each tally
+ * @param {Object} tallies
+ * @returns {Object}
+ */
+function withRates(tallies) {
+  Object.values(tallies).forEach(t => { t.rate = helpfulRate(t.helpful, t.votes); });
+  return tallies;
+}
+
+/**
+ * Summarize feedback votes, overall and per prompt variant and model
+ * @param {Object[]} events - 'feedback' events
+ * @returns {{ votes: number, helpful: number, rate: number|null, variants: Object, models: Object }}
+ */
+export function summarizeFeedback(events) {
+  const variants = {};
+  const models = {};
+  let helpful = 0;
+  
+  events.forEach(e => {
+    const vote = e.success ? 1 : 0;
+    helpful += vote;
+    addVotes(variants, e.metadata?.promptVariant || 'unknown', 1, vote);
+    addVotes(models, e.metadata?.model || 'cache', 1, vote);
+  });
+  
+  return {
+    votes: events.length,
+    helpful,
+    rate: helpfulRate(helpful, events.length),
+    variants: withRates(variants),
+    models: withRates(models),
+  };
+}
+
+/**
+ * Merge feedback summaries (hourly into daily)
+ * @param {Array<Object|null|undefined>} summaries - Results of summarizeFeedback
+ * @returns {{ votes: number, helpful: number, rate: number|null, variants: Object, models: Object }}
+ */
+export function mergeFeedback(summaries) {
+  const variants = {};
+  const models = {};
+  let votes = 0;
+  let helpful = 0;
+  
+  summaries.filter(Boolean).forEach(s => {
+    votes += s.votes || 0;
+    helpful += s.helpful || 0;
+    Object.entries(s.variants || {}).forEach(([key, t]) => addVotes(variants, key, t.votes, t.helpful));
+    Object.entries(s.models || {}).forEach(([key, t]) => addVotes(models, key, t.votes, t.helpful));
+  });
+  
+  return {
+    votes,
+    helpful,
+    rate: helpfulRate(helpful, votes),
+    variants: withRates(variants),
+    models: withRates(models),
+  };
+}
+
 /**
  * Aggregate events for a specific hour
  * @param {Date} hour - Hour to aggregate (will be truncated)
@@ -35,11 +122,11 @@ export async function aggregateHour(hour) {
     const hourEnd = new Date(hourStart.getTime() + 60 * 60 * 1000);
     
     // Fetch events for this hour
-    const { data: events, error } = await client
+    const { data: events, error } = await fetchAll(() => client
       .from('metrics_events')
       .select('*')
       .gte('created_at', hourStart.toISOString())
-      .lt('created_at', hourEnd.toISOString());
+      .lt('created_at', hourEnd.toISOString()));
     
     if (error) {
       logger.error('Failed to fetch events for aggregation', { error: error.message });
@@ -56,6 +143,7 @@ export async function aggregateHour(hour) {
     const commands = events.filter(e => e.event_type === 'command');
     const errors = events.filter(e => e.event_type === 'error');
     const aiCalls = events.filter(e => e.event_type === 'ai_call');
+    const feedback = events.filter(e => e.event_type === 'feedback');
     
     const responseTimes = questions
       .filter(q => q.response_time_ms > 0)
@@ -88,6 +176,7 @@ export async function aggregateHour(hour) {
       tokens_total: totalTokens,
       intents,
       commands: commandCounts,
+      feedback: summarizeFeedback(feedback),
     };
     
     // Upsert into metrics_hourly
@@ -143,12 +232,12 @@ export async function aggregateDay(date) {
     }
     
     // Fetch unique chat count from raw events
-    const { data: uniqueChats, error: chatError } = await client
+    const { data: uniqueChats, error: chatError } = await fetchAll(() => client
       .from('metrics_events')
       .select('chat_id')
       .gte('created_at', dayStart.toISOString())
       .lt('created_at', dayEnd.toISOString())
-      .not('chat_id', 'is', null);
+      .not('chat_id', 'is', null));
     
     const uniqueChatCount = chatError ? 0 : new Set(uniqueChats?.map(c => c.chat_id)).size;
     
@@ -192,12 +281,12 @@ export async function aggregateDay(date) {
     });
     
     // Error breakdown from raw events
-    const { data: errorEvents } = await client
+    const { data: errorEvents } = await fetchAll(() => client
       .from('metrics_events')
       .select('intent')
       .eq('event_type', 'error')
       .gte('created_at', dayStart.toISOString())
-      .lt('created_at', dayEnd.toISOString());
+      .lt('created_at', dayEnd.toISOString()));
     
     const errorBreakdown = {};
     errorEvents?.forEach(e => {
@@ -205,9 +294,15 @@ export async function aggregateDay(date) {
       errorBreakdown[type] = (errorBreakdown[type] || 0) + 1;
     });
     
-    // Estimate cost (rough approximation based on common model pricing)
-    // Assuming ~$0.0001 per 1K tokens for free/cheap models
-    const estimatedCost = tokensTotal * 0.0000001;
+    // Cost from the per-model prices recorded with each AI call
+    const { data: aiCalls } = await fetchAll(() => client
+      .from('metrics_events')
+      .select('metadata')
+      .eq('event_type', 'ai_call')
+      .gte('created_at', dayStart.toISOString())
+      .lt('created_at', dayEnd.toISOString()));
+    
+    const estimatedCost = (aiCalls || []).reduce((sum, e) => sum + getEventCost(e), 0);
     
     const successRate = questionsTotal > 0 
       ? Math.round((questionsAnswered / questionsTotal) * 10000) / 100
@@ -225,6 +320,7 @@ export async function aggregateDay(date) {
       top_intents: topIntents,
       error_breakdown: errorBreakdown,
       commands_breakdown: commandsBreakdown,
+      feedback: mergeFeedback(hourlyData.map(h => h.feedback)),
     };
     
     // Upsert into metrics_daily
@@ -242,6 +338,7 @@ export async function aggregateDay(date) {
       questions: questionsTotal,
       uniqueChats: uniqueChatCount,
       successRate,
+      feedbackRate: dailySummary.feedback.rate,
     });
     
     return dailySummary;
@@ -275,6 +372,8 @@ export async function runAggregation() {
 }
 
 export default {
+  summarizeFeedback,
+  mergeFeedback,
   aggregateHour,
   aggregateDay,
   runAggregation,
@@ -6,6 +6,7 @@
 import { createClient } from '@supabase/supabase-js';
 import logger from '../utils/logger.js';
 import config from '../config.js';
+import { ANALYTICS_QUERY } from '../constants.js';
 
 let supabaseClient = null;
 let analyticsEnabled = false;
@@ -82,9 +83,38 @@ export async function safeExecute(fn) {
   }
 }
 
+/**
+ * Read every row of a query, one page at a time
+ * Supabase caps a select at 1000 rows, so totals over busy periods
+ * need to page through with .range(). Rows are ordered by id so pages
+ * don't overlap.
+ * @param {Function} buildQuery - Returns a fresh filtered select for each page
+ * @returns {Promise<{ data: Object[]|null, error: Object|null }>}
+ */
+export async function fetchAll(buildQuery) {
+  const rows = [];
+  
+  for (let from = 0; ; from += ANALYTICS_QUERY.PAGE_SIZE) {
+    const { data, error } = await buildQuery()
+      .order('id', { ascending: true })
+      .range(from, from + ANALYTICS_QUERY.PAGE_SIZE - 1);
+    
+    if (error) {
+      return { data: null, error };
+    }
+    
+    rows.push(...(data || []));
+    
+    if (!data || data.length < ANALYTICS_QUERY.PAGE_SIZE) {
+      return { data: rows, error: null };
+    }
+  }
+}
+
 export default {
   initAnalytics,
   getClient,
   isEnabled,
   safeExecute,
+  fetchAll,
 };
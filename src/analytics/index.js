@@ -5,20 +5,26 @@
 
 export { initAnalytics, getClient, isEnabled, safeExecute } from './client.js';
 export { 
+  normalizeQuestion,
   trackQuestion, 
   trackCommand, 
   trackAICall, 
   trackError, 
   trackForbidden,
+  trackFeedback,
   trackRateLimit,
   trackBotStart,
 } from './tracker.js';
-export { aggregateHour, aggregateDay, runAggregation } from './aggregator.js';
+export { aggregateHour, aggregateDay, runAggregation, summarizeFeedback, mergeFeedback } from './aggregator.js';
 export { 
   getTodaySummary, 
   getWeeklySummary, 
+  getAISpend,
   getRecentErrors, 
   checkAlerts,
   formatTelegramSummary,
   formatWeeklySummary,
+  clusterGaps,
+  getKnowledgeGaps,
+  formatGapReport,
 } from './reporter.js';
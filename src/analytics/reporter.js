@@ -3,9 +3,31 @@
  * Generates reports for /analytics command and alerts
  */
 
-import { getClient, isEnabled, safeExecute } from './client.js';
+import { getClient, isEnabled, safeExecute, fetchAll } from './client.js';
+import { getEventCost } from '../ai/pricing.js';
+import { summarizeFeedback, mergeFeedback } from './aggregator.js';
+import { tokenize } from '../knowledge/faqIndex.js';
+import { GAP_REPORT } from '../constants.js';
 import logger from '../utils/logger.js';
 
+/**
+ * @typedef {Object} GapCluster
+ * @property {string[]} keywords - Most common keywords in the cluster
+ * @property {number} count - Questions in the cluster
+ * @property {string[]} examples - Distinct phrasings, most asked first
+ * @property {Object<string, number>} reasons - Fallback reason -> count
+ */
+
+// Nearly every question mentions the token; it says nothing about the topic
+const GENERIC_GAP_TERMS = new Set(['pepper']);
+
+const GAP_REASON_LABELS = {
+  low_confidence: 'low confidence',
+  ungrounded: 'ungrounded',
+  validation: 'validation failed',
+  knowledge_unavailable: 'knowledge unavailable',
+};
+
 /**
  * Get today's metrics summary
  * @returns {Promise<Object|null>}
@@ -20,11 +42,11 @@ export async function getTodaySummary() {
     const tomorrow = new Date(today.getTime() + 24 * 60 * 60 * 1000);
     
     // Fetch today's events
-    const { data: events, error } = await client
+    const { data: events, error } = await fetchAll(() => client
       .from('metrics_events')
       .select('*')
       .gte('created_at', today.toISOString())
-      .lt('created_at', tomorrow.toISOString());
+      .lt('created_at', tomorrow.toISOString()));
     
     if (error) {
       logger.error('Failed to fetch today events', { error: error.message });
@@ -35,6 +57,7 @@ export async function getTodaySummary() {
     const commands = events?.filter(e => e.event_type === 'command') || [];
     const errors = events?.filter(e => e.event_type === 'error') || [];
     const aiCalls = events?.filter(e => e.event_type === 'ai_call') || [];
+    const feedback = events?.filter(e => e.event_type === 'feedback') || [];
     
     const responseTimes = questions
       .filter(q => q.response_time_ms > 0)
@@ -46,6 +69,7 @@ export async function getTodaySummary() {
     
     const uniqueChats = new Set(events?.map(e => e.chat_id).filter(Boolean)).size;
     const totalTokens = aiCalls.reduce((sum, c) => sum + (c.tokens_used || 0), 0);
+    const totalCost = aiCalls.reduce((sum, c) => sum + getEventCost(c), 0);
     
     // Intent breakdown
     const intents = {};
@@ -68,7 +92,8 @@ export async function getTodaySummary() {
       totalTokens,
       successRate,
       intents,
-      estimatedCost: totalTokens * 0.0000001,
+      estimatedCost: totalCost,
+      feedback: summarizeFeedback(feedback),
     };
   });
 }
@@ -107,6 +132,7 @@ export async function getWeeklySummary() {
     
     const totalQuestions = days.reduce((sum, d) => sum + (d.questions_total || 0), 0) + (todaySummary?.questions || 0);
     const totalTokens = days.reduce((sum, d) => sum + (d.total_tokens || 0), 0) + (todaySummary?.totalTokens || 0);
+    const totalCost = days.reduce((sum, d) => sum + (Number(d.estimated_cost_usd) || 0), 0) + (todaySummary?.estimatedCost || 0);
     const totalErrors = days.reduce((sum, d) => {
       const breakdown = d.error_breakdown || {};
       return sum + Object.values(breakdown).reduce((s, v) => s + v, 0);
@@ -122,7 +148,8 @@ export async function getWeeklySummary() {
       totalErrors,
       totalTokens,
       avgSuccessRate,
-      estimatedCost: totalTokens * 0.0000001,
+      estimatedCost: totalCost,
+      feedback: mergeFeedback([...days.map(d => d.feedback), todaySummary?.feedback]),
       dailyBreakdown: [...days, todaySummary ? {
         date: todaySummary.date,
         questions_total: todaySummary.questions,
@@ -132,6 +159,47 @@ export async function getWeeklySummary() {
   });
 }
 
+/**
+ * Get AI spend since the start of a day and of a month
+ * Earlier days come from metrics_daily, the current day from raw events.
+ * @param {Date} dayStart
+ * @param {Date} monthStart
+ * @returns {Promise<{ dailyUsd: number, monthlyUsd: number }|null>}
+ */
+export async function getAISpend(dayStart, monthStart) {
+  return await safeExecute(async () => {
+    const client = getClient();
+    if (!client) return null;
+    
+    const { data: events, error } = await fetchAll(() => client
+      .from('metrics_events')
+      .select('metadata')
+      .eq('event_type', 'ai_call')
+      .gte('created_at', dayStart.toISOString()));
+    
+    if (error) {
+      logger.error('Failed to fetch AI spend', { error: error.message });
+      return null;
+    }
+    
+    const { data: days, error: dailyError } = await client
+      .from('metrics_daily')
+      .select('estimated_cost_usd')
+      .gte('date', monthStart.toISOString().split('T')[0])
+      .lt('date', dayStart.toISOString().split('T')[0]);
+    
+    if (dailyError) {
+      logger.error('Failed to fetch monthly AI spend', { error: dailyError.message });
+      return null;
+    }
+    
+    const dailyUsd = (events || []).reduce((sum, e) => sum + getEventCost(e), 0);
+    const earlierUsd = (days || []).reduce((sum, d) => sum + (Number(d.estimated_cost_usd) || 0), 0);
+    
+    return { dailyUsd, monthlyUsd: earlierUsd + dailyUsd };
+  });
+}
+
 /**
  * Get recent errors for troubleshooting
  * @param {number} limit - Max errors to return
@@ -233,6 +301,172 @@ export async function checkAlerts() {
   }) || [];
 }
 
+/**
+ * Topic terms of a logged question
+ * @param {string} question - Normalized question
+ * @returns {Set<string>}
+ */
+function gapTerms(question) {
+  return new Set(tokenize(question).filter(term => !GENERIC_GAP_TERMS.has(term)));
+}
+
+/**
+ * Jaccard similarity of two term sets
+ * @param {Set<string>} a
+ * @param {Set<string>} b
+ * @returns {number}
+ */
+function jaccard(a, b) {
+  let shared = 0;
+  for (const term of a) {
+    if (b.has(term)) shared++;
+  }
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Most frequent keys of a count map
+ * @param {Map<string, number>} counts
+ * @param {number} limit
+ * @returns {string[]}
+ */
+function topKeys(counts, limit) {
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit)
+    .map(([key]) => key);
+}
+
+/**
+ * Cluster knowledge-gap questions by keyword overlap
+ * A question joins the most similar cluster whose first question shares
+ * enough keywords (GAP_REPORT.MIN_SIMILARITY), or starts a new one.
+ * @param {Array<{ reason: string, question: string }>} gaps - Logged gaps, newest first
+ * @returns {GapCluster[]} Largest clusters first (GAP_REPORT.TOP_CLUSTERS)
+ */
+export function clusterGaps(gaps) {
+  const clusters = [];
+  
+  for (const gap of gaps) {
+    const terms = gapTerms(gap?.question);
+    if (terms.size === 0) continue;
+    
+    let best = null;
+    let bestSimilarity = 0;
+    for (const cluster of clusters) {
+      const similarity = jaccard(terms, cluster.terms);
+      if (similarity >= GAP_REPORT.MIN_SIMILARITY && similarity > bestSimilarity) {
+        best = cluster;
+        bestSimilarity = similarity;
+      }
+    }
+    
+    if (!best) {
+      best = { terms, count: 0, termCounts: new Map(), phrasings: new Map(), reasons: {} };
+      clusters.push(best);
+    }
+    
+    best.count++;
+    terms.forEach(term => best.termCounts.set(term, (best.termCounts.get(term) || 0) + 1));
+    best.phrasings.set(gap.question, (best.phrasings.get(gap.question) || 0) + 1);
+    best.reasons[gap.reason] = (best.reasons[gap.reason] || 0) + 1;
+  }
+  
+  return clusters
+    .sort((a, b) => b.count - a.count)
+    .slice(0, GAP_REPORT.TOP_CLUSTERS)
+    .map(cluster => ({
+      keywords: topKeys(cluster.termCounts, 3),
+      count: cluster.count,
+      examples: topKeys(cluster.phrasings, GAP_REPORT.EXAMPLES),
+      reasons: cluster.reasons,
+    }));
+}
+
+/**
+ * Questions that hit a fallback recently, clustered
+ * Reads the normalized questions trackQuestion/trackError log with a gapReason.
+ * @param {number} [days] - Period to cover (default: GAP_REPORT.DAYS)
+ * @returns {Promise<{ days: number, total: number, clusters: GapCluster[] }|null>}
+ */
+export async function getKnowledgeGaps(days = GAP_REPORT.DAYS) {
+  return await safeExecute(async () => {
+    const client = getClient();
+    if (!client) return null;
+    
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    
+    const { data, error } = await client
+      .from('metrics_events')
+      .select('metadata')
+      .in('event_type', ['question', 'error'])
+      .gte('created_at', since.toISOString())
+      .not('metadata->gap', 'is', null)
+      .order('created_at', { ascending: false })
+      .limit(GAP_REPORT.MAX_EVENTS);
+    
+    if (error) {
+      logger.error('Failed to fetch knowledge gaps', { error: error.message });
+      return null;
+    }
+    
+    const gaps = (data || []).map(e => e.metadata?.gap).filter(Boolean);
+    
+    return { days, total: gaps.length, clusters: clusterGaps(gaps) };
+  });
+}
+
+/**
+ * Format the knowledge-gap report for Telegram
+ * @param {{ days: number, total: number, clusters: GapCluster[] }|null} report
+ * @returns {string}
+ */
+export function formatGapReport(report) {
+  if (!report) {
+    return '❌ Knowledge-gap data unavailable';
+  }
+  
+  if (report.total === 0) {
+    return `✅ No questions hit a fallback in the last ${report.days} days.`;
+  }
+  
+  const lines = [
+    `🕳️ *Knowledge Gaps*`,
+    `📅 Last ${report.days} days: ${report.total} questions hit a fallback`,
+  ];
+  
+  report.clusters.forEach((cluster, i) => {
+    const reasons = Object.entries(cluster.reasons)
+      .sort((a, b) => b[1] - a[1])
+      .map(([reason, count]) => `${GAP_REASON_LABELS[reason] || reason} ${count}`)
+      .join(', ');
+    
+    lines.push(``, `${i + 1}. *${cluster.keywords.join(', ')}* (${cluster.count})`, `   ${reasons}`);
+    cluster.examples.forEach(example => lines.push(`   • ${example}`));
+  });
+  
+  return lines.join('\n');
+}
+
+/**
+ * Feedback lines for the Telegram summaries
+ * @param {Object|null|undefined} feedback - From summarizeFeedback / mergeFeedback
+ * @returns {string[]}
+ */
+function formatFeedbackLines(feedback) {
+  if (!feedback?.votes) return [];
+  
+  const lines = [``, `👍 *Answer feedback:* ${feedback.rate}% helpful (${feedback.votes} votes)`];
+  Object.entries(feedback.variants || {})
+    .sort((a, b) => b[1].votes - a[1].votes)
+    .slice(0, 5)
+    .forEach(([variant, t]) => {
+      lines.push(`  • ${variant}: ${t.rate}% (${t.votes})`);
+    });
+  
+  return lines;
+}
+
 /**
  * Format summary for Telegram message
  * @param {Object} summary - Summary object from getTodaySummary
@@ -255,7 +489,7 @@ export function formatTelegramSummary(summary) {
     `⏱️ Avg response: ${summary.avgResponseTimeMs}ms`,
     `✅ Success rate: ${summary.successRate}%`,
     `🎯 Tokens used: ${summary.totalTokens.toLocaleString()}`,
-    `💰 Est. cost: $${summary.estimatedCost.toFixed(6)}`,
+    `💰 AI cost: $${summary.estimatedCost.toFixed(6)}`,
   ];
   
   if (summary.intents && Object.keys(summary.intents).length > 0) {
@@ -268,6 +502,8 @@ export function formatTelegramSummary(summary) {
     });
   }
   
+  lines.push(...formatFeedbackLines(summary.feedback));
+  
   return lines.join('\n');
 }
 
@@ -289,7 +525,7 @@ export function formatWeeklySummary(weekly) {
     `❌ Total errors: ${weekly.totalErrors}`,
     `✅ Avg success rate: ${weekly.avgSuccessRate}%`,
     `🎯 Total tokens: ${weekly.totalTokens.toLocaleString()}`,
-    `💰 Est. cost: $${weekly.estimatedCost.toFixed(4)}`,
+    `💰 AI cost: $${weekly.estimatedCost.toFixed(4)}`,
     ``,
     `📈 *Daily Breakdown:*`,
   ];
@@ -300,14 +536,20 @@ export function formatWeeklySummary(weekly) {
     }
   });
   
+  lines.push(...formatFeedbackLines(weekly.feedback));
+  
   return lines.join('\n');
 }
 
 export default {
   getTodaySummary,
   getWeeklySummary,
+  getAISpend,
   getRecentErrors,
   checkAlerts,
   formatTelegramSummary,
   formatWeeklySummary,
+  clusterGaps,
+  getKnowledgeGaps,
+  formatGapReport,
 };
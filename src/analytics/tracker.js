@@ -4,6 +4,8 @@
  */
 
 import { getClient, isEnabled, safeExecute } from './client.js';
+import { calculateCost } from '../ai/pricing.js';
+import { GAP_REPORT } from '../constants.js';
 import logger from '../utils/logger.js';
 import crypto from 'crypto';
 
@@ -20,16 +22,59 @@ function hashChatId(chatId) {
     .substring(0, 16);
 }
 
+/**
+ * Normalize a question for the knowledge-gap log
+ * Lowercased, with links, addresses, emails, @handles, long numbers and
+ * markup removed, so no contact details or wallet data are stored.
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalizeQuestion(text) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/https?:\/\/\S+|www\.\S+/g, ' ')
+    .replace(/\b0x[0-9a-f]{6,}\b/g, ' ')
+    .replace(/\S+@\S+\.\S+/g, ' ')
+    .replace(/@\w+/g, ' ')
+    .replace(/\d{5,}/g, ' ')
+    .replace(/[^\p{L}\p{N}\s?'.,-]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .substring(0, GAP_REPORT.MAX_QUESTION_LENGTH);
+}
+
+/**
+ * Knowledge-gap metadata for an event
+ * Only questions that hit a fallback are logged, never every question.
+ * @param {Object} data - Event data with gapReason and question
+ * @returns {{ reason: string, question: string }|null}
+ */
+function gapMetadata(data) {
+  if (!data.gapReason) return null;
+  return { reason: data.gapReason, question: normalizeQuestion(data.question) };
+}
+
 /**
  * Track a question event through the pipeline
  * @param {Object} data
  * @param {string} data.intent - Classified intent
  * @param {string} data.responseClass - Response class (GREETING, FACTUAL, etc.)
+ * @param {string} [data.classificationSource] - Who decided the route (rules, llm, llm_cache)
+ * @param {number} [data.classificationConfidence] - Rule confidence 0-1
+ * @param {string} [data.promptVariant] - Prompt used for the chat ("name@version")
+ * @param {string|null} [data.experiment] - Prompt experiment the chat is enrolled in
+ * @param {string} [data.language] - Language code the answer was given in
  * @param {string} data.strategy - Generation strategy (template, cache, generate)
  * @param {number} data.responseTimeMs - Total response time in ms
  * @param {boolean} data.success - Whether response was successful
  * @param {boolean} data.fromCache - Whether served from cache
  * @param {boolean} data.fromTemplate - Whether from template
+ * @param {string[]} [data.sources] - Knowledge sections cited under the answer
+ * @param {boolean} [data.lowConfidence] - AI answer that no knowledge section supports
+ * @param {boolean} [data.escalated] - Question was sent to the moderator chat
+ * @param {string} [data.gapReason] - Fallback the answer hit (low_confidence, ungrounded, knowledge_unavailable)
+ * @param {string} [data.question] - User's question; stored normalized, and only with gapReason
+ * @param {string} [data.pipelineId] - Pipeline run (joins feedback events)
  * @param {string|number} data.chatId - Chat ID (will be hashed)
  * @returns {Promise<void>}
  */
@@ -46,9 +91,19 @@ export async function trackQuestion(data) {
       chat_id: hashChatId(data.chatId),
       metadata: {
         responseClass: data.responseClass,
+        classificationSource: data.classificationSource || 'rules',
+        classificationConfidence: data.classificationConfidence ?? null,
+        promptVariant: data.promptVariant || null,
+        experiment: data.experiment || null,
+        language: data.language || 'en',
         strategy: data.strategy,
         fromCache: data.fromCache || false,
         fromTemplate: data.fromTemplate || false,
+        sources: data.sources || [],
+        lowConfidence: data.lowConfidence || false,
+        escalated: data.escalated || false,
+        gap: gapMetadata(data),
+        pipelineId: data.pipelineId || null,
       },
     });
     
@@ -93,6 +148,8 @@ export async function trackCommand(data) {
  * @param {number} data.completionTokens - Completion tokens
  * @param {boolean} data.success - Whether call succeeded
  * @param {string} data.model - Model used
+ * @param {string} [data.provider] - Provider that handled the call
+ * @param {number} [data.costUsd] - Call cost (default: priced from the model and tokens)
  * @param {string} data.error - Error message if failed
  * @returns {Promise<void>}
  */
@@ -108,8 +165,10 @@ export async function trackAICall(data) {
       success: data.success !== false,
       metadata: {
         model: data.model,
+        provider: data.provider,
         promptTokens: data.promptTokens,
         completionTokens: data.completionTokens,
+        costUsd: data.costUsd ?? calculateCost(data.model, data.promptTokens, data.completionTokens),
         error: data.error,
       },
     });
@@ -126,6 +185,8 @@ export async function trackAICall(data) {
  * @param {string} data.errorType - Type of error (ai_error, validation_error, etc.)
  * @param {string} data.message - Error message
  * @param {string} data.stage - Pipeline stage where error occurred
+ * @param {string} [data.gapReason] - Fallback the user got (validation, knowledge_unavailable)
+ * @param {string} [data.question] - User's question; stored normalized, and only with gapReason
  * @param {string|number} data.chatId - Chat ID (will be hashed)
  * @returns {Promise<void>}
  */
@@ -142,6 +203,7 @@ export async function trackError(data) {
       metadata: {
         message: data.message,
         stage: data.stage,
+        gap: gapMetadata(data),
       },
     });
     
@@ -155,6 +217,8 @@ export async function trackError(data) {
  * Track a forbidden intent block
  * @param {Object} data
  * @param {string} data.intent - Forbidden intent type
+ * @param {string[]} [data.signals] - Injection signals that matched
+ * @param {string} [data.ruleId] - Admin rule that matched (/rules)
  * @param {string|number} data.chatId - Chat ID (will be hashed)
  * @returns {Promise<void>}
  */
@@ -171,6 +235,8 @@ export async function trackForbidden(data) {
       metadata: {
         blocked: true,
         forbiddenType: data.intent,
+        signals: data.signals || null,
+        ruleId: data.ruleId || null,
       },
     });
     
@@ -180,6 +246,43 @@ export async function trackForbidden(data) {
   });
 }
 
+/**
+ * Track a 👍/👎 vote on an AI answer
+ * @param {Object} data
+ * @param {boolean} data.helpful - 👍 (true) or 👎 (false)
+ * @param {string} data.pipelineId - Pipeline run that produced the answer
+ * @param {string} data.strategy - Generation strategy
+ * @param {string|null} [data.model] - Model that wrote the answer
+ * @param {string} [data.promptVariant] - Prompt used ("name@version")
+ * @param {string|null} [data.experiment] - Prompt experiment
+ * @param {string|number} data.chatId - Chat ID (will be hashed)
+ * @returns {Promise<void>}
+ */
+export async function trackFeedback(data) {
+  await safeExecute(async () => {
+    const client = getClient();
+    if (!client) return;
+    
+    const { error } = await client.from('metrics_events').insert({
+      event_type: 'feedback',
+      intent: data.helpful ? 'helpful' : 'not_helpful',
+      success: data.helpful,
+      chat_id: hashChatId(data.chatId),
+      metadata: {
+        pipelineId: data.pipelineId,
+        strategy: data.strategy,
+        model: data.model || null,
+        promptVariant: data.promptVariant || null,
+        experiment: data.experiment || null,
+      },
+    });
+    
+    if (error) {
+      logger.debug('Failed to track feedback', { error: error.message });
+    }
+  });
+}
+
 /**
  * Track rate limit hit
  * @param {string|number} chatId
@@ -230,11 +333,13 @@ export async function trackBotStart() {
 }
 
 export default {
+  normalizeQuestion,
   trackQuestion,
   trackCommand,
   trackAICall,
   trackError,
   trackForbidden,
+  trackFeedback,
   trackRateLimit,
   trackBotStart,
 };
@@ -10,6 +10,8 @@ import { rateLimit } from './middleware/rateLimit.js';
 // Admin
 import { isAdmin } from './admin/adminCheck.js';
 import { modeFilter, getMode, setMode, getValidModes } from './admin/modes.js';
+import { notifyAdmins } from './admin/notify.js';
+import { handleModeratorReply } from './admin/escalation.js';
 
 // Handlers
 import { startHandler } from './handlers/start.js';
@@ -34,6 +36,8 @@ import {
 } from './handlers/quick.js';
 import { priceHandler } from './handlers/price.js';
 import { analyticsHandler } from './handlers/analytics.js';
+import { rulesHandler } from './handlers/rules.js';
+import { feedbackHandler } from './handlers/feedback.js';
 
 // Knowledge
 import {
@@ -49,6 +53,14 @@ import { recordCommand } from './monitoring/stats.js';
 // Analytics
 import { trackCommand, initAnalytics, trackBotStart } from './analytics/index.js';
 
+// AI budget
+import { onBudgetModeChange } from './ai/budget.js';
+
+const BUDGET_ALERTS = {
+  economy: 'AI spend has passed the economy threshold; answers now use the cheapest routed model.',
+  local: 'AI spend is almost at its cap; only FAQ and template answers are given until the budget resets.',
+};
+
 /**
  * Create and configure the Telegraf bot instance
  * @returns {Telegraf}
@@ -63,16 +75,25 @@ export function createBot() {
   // 1. Ignore messages from bots (including self)
   bot.use(ignoreBots());
 
-  // 2. Rate limiting (before any processing)
+  // 2. 👍/👎 on AI answers (a vote isn't a message, so before rate limiting)
+  bot.action(/^fb:/, feedbackHandler);
+
+  // 3. Rate limiting (before any processing)
   bot.use(rateLimit());
 
-  // 3. Mode-based filtering (silent/maintenance modes)
+  // 4. Mode-based filtering (silent/maintenance modes)
   bot.use(modeFilter());
 
-  // 4. Mention-only filter for groups (after mode check)
+  // 5. Mention-only filter for groups (after mode check)
   bot.use(mentionOnly());
 
-  // 5. Record commands for stats
+  // 6. Moderator replies to escalated questions (moderator chat only)
+  bot.use(async (ctx, next) => {
+    if (await handleModeratorReply(ctx)) return;
+    return next();
+  });
+
+  // 7. Record commands for stats
   bot.use((ctx, next) => {
     if (ctx.message?.text?.startsWith('/')) {
       const commandMatch = ctx.message.text.match(/^\/(\w+)/);
@@ -132,6 +153,9 @@ export function createBot() {
   // /analytics — Admin-only analytics dashboard
   bot.command('analytics', analyticsHandler);
 
+  // /rules — Admin-only runtime refusal rules
+  bot.command('rules', rulesHandler);
+
   // /mode — Admin-only mode control
   bot.command('mode', async (ctx) => {
     const admin = await isAdmin(ctx);
@@ -237,6 +261,17 @@ export function createBot() {
       .catch(() => {});
   });
 
+  // ============================================
+  // BUDGET ALERTS
+  // ============================================
+
+  onBudgetModeChange((mode, spend) => notifyAdmins(bot.telegram, [
+    `⚠️ Pepper Pal AI budget: ${mode} mode`,
+    BUDGET_ALERTS[mode],
+    `Today: $${spend.dailyUsd.toFixed(4)} of $${spend.dailyBudgetUsd}`,
+    `This month: $${spend.monthlyUsd.toFixed(4)} of $${spend.monthlyBudgetUsd}`,
+  ].join('\n')));
+
   return bot;
 }
 
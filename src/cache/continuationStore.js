@@ -0,0 +1,201 @@
+/**
+ * Continuation Store
+ * Keeps the full text of compressed answers so "more" can deliver the rest.
+ * Entries are keyed by user+chat and also indexed by the bot message IDs
+ * they were delivered in, so replying to a truncated message works too.
+ */
+
+import { CONTINUATION } from '../constants.js';
+import { splitMessage } from '../delivery/splitter.js';
+import logger from '../utils/logger.js';
+
+/**
+ * @typedef {Object} ContinuationEntry
+ * @property {number} userId - User who asked the original question
+ * @property {string[]} parts - Remaining parts, in delivery order
+ * @property {number} expiresAt - Expiry timestamp
+ */
+
+/**
+ * In-memory store
+ * @type {Map<string, ContinuationEntry>}
+ */
+const entries = new Map();
+
+/**
+ * Bot message ID -> entry key
+ * Key: `${chatId}:${messageId}`
+ * @type {Map<string, string>}
+ */
+const messageIndex = new Map();
+
+// "more", "say more", "tell me more please", "MORE!"
+const MORE_PATTERN = /^(say\s+|tell\s+me\s+|show\s+)?more(\s+(please|pls|details))?\s*[.!?]*$/i;
+
+/**
+ * Clean up expired entries periodically
+ */
+setInterval(() => {
+  const now = Date.now();
+  let cleaned = 0;
+
+  for (const [key, entry] of entries.entries()) {
+    if (now > entry.expiresAt) {
+      removeEntry(key);
+      cleaned++;
+    }
+  }
+
+  if (cleaned > 0) {
+    logger.debug('Continuation store cleanup', { entriesRemoved: cleaned });
+  }
+}, 60 * 1000); // Run every minute
+
+/**
+ * Remove an entry and its message index
+ * @param {string} key
+ */
+function removeEntry(key) {
+  entries.delete(key);
+  for (const [messageKey, entryKey] of messageIndex.entries()) {
+    if (entryKey === key) {
+      messageIndex.delete(messageKey);
+    }
+  }
+}
+
+// Signal appended by the compressor ("Say MORE." / "Say MORE for full details.")
+const MORE_SIGNAL = /\bSay MORE\b/;
+
+/**
+ * Check if a delivered answer invites a "more" follow-up
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function hasMoreSignal(text) {
+  return MORE_SIGNAL.test(text || '');
+}
+
+/**
+ * Check if text asks for the rest of an answer
+ * @param {string} text - Message text (bot mention already removed)
+ * @returns {boolean}
+ */
+export function isMoreRequest(text) {
+  return MORE_PATTERN.test((text || '').trim());
+}
+
+/**
+ * Work out what the user has not seen yet
+ * Drops the longest shared prefix (backed off to a sentence or line break);
+ * falls back to the full text when the shown version was rewritten.
+ * @param {string} fullText - Uncompressed answer
+ * @param {string} shownText - Compressed answer that was delivered
+ * @returns {string}
+ */
+export function getRemainder(fullText, shownText) {
+  let shared = 0;
+  while (shared < fullText.length && shared < shownText.length && fullText[shared] === shownText[shared]) {
+    shared++;
+  }
+
+  const prefix = fullText.substring(0, shared);
+  const endsSentence = /[.!?]$/.test(prefix) && /^\s/.test(fullText.substring(shared));
+  const boundary = endsSentence
+    ? shared
+    : Math.max(prefix.lastIndexOf('. ') + 1, prefix.lastIndexOf('\n'));
+
+  return (boundary > 0 ? fullText.substring(boundary) : fullText).trim();
+}
+
+/**
+ * Save the remaining content of an answer
+ * @param {number} userId
+ * @param {number} chatId
+ * @param {string} remainder - Content not yet delivered
+ * @returns {number} Number of parts stored
+ */
+export function saveContinuation(userId, chatId, remainder) {
+  const key = `${userId}:${chatId || userId}`;
+  removeEntry(key);
+
+  const parts = splitMessage(remainder, CONTINUATION.PART_LENGTH).filter(Boolean);
+  if (parts.length === 0) return 0;
+
+  // Enforce max entries limit (oldest first)
+  if (entries.size >= CONTINUATION.MAX_ENTRIES) {
+    removeEntry(entries.keys().next().value);
+  }
+
+  entries.set(key, {
+    userId,
+    parts,
+    expiresAt: Date.now() + CONTINUATION.TTL_MS,
+  });
+
+  logger.debug('Continuation saved', { key, parts: parts.length });
+  return parts.length;
+}
+
+/**
+ * Link a delivered bot message to the user's pending continuation
+ * @param {number} userId
+ * @param {number} chatId
+ * @param {number} messageId - Bot message that ends with "Say MORE"
+ */
+export function trackContinuationMessage(userId, chatId, messageId) {
+  const key = `${userId}:${chatId || userId}`;
+  if (!messageId || !entries.has(key)) return;
+  messageIndex.set(`${chatId}:${messageId}`, key);
+}
+
+/**
+ * Take the next part of a pending continuation
+ * Looks up by replied-to message first, then by user+chat.
+ * @param {Object} lookup
+ * @param {number} lookup.userId
+ * @param {number} lookup.chatId
+ * @param {number} [lookup.replyToMessageId] - Message the user replied to
+ * @returns {{ text: string, hasMore: boolean, userId: number }|null}
+ */
+export function takeNextPart({ userId, chatId, replyToMessageId }) {
+  const replyKey = replyToMessageId
+    ? messageIndex.get(`${chatId}:${replyToMessageId}`)
+    : null;
+  const key = replyKey || `${userId}:${chatId || userId}`;
+  const entry = entries.get(key);
+
+  if (!entry) return null;
+
+  if (Date.now() > entry.expiresAt) {
+    removeEntry(key);
+    return null;
+  }
+
+  const text = entry.parts.shift();
+  const hasMore = entry.parts.length > 0;
+
+  if (!hasMore) {
+    removeEntry(key);
+  }
+
+  return { text, hasMore, userId: entry.userId };
+}
+
+/**
+ * Clear all continuations (for testing)
+ */
+export function clearContinuations() {
+  entries.clear();
+  messageIndex.clear();
+}
+
+export default {
+  hasMoreSignal,
+  isMoreRequest,
+  getRemainder,
+  saveContinuation,
+  trackContinuationMessage,
+  takeNextPart,
+  clearContinuations,
+};
@@ -0,0 +1,181 @@
+/**
+ * Conversation Memory
+ * Short-lived memory of recent exchanges, so a reply to one of the bot's
+ * answers ("and how do I unstake?") is answered in context.
+ * Threads are keyed by chat, user and the reply chain they started from,
+ * so parallel conversations in a group never mix.
+ */
+
+import { CONVERSATION_MEMORY } from '../constants.js';
+import logger from '../utils/logger.js';
+
+/**
+ * @typedef {Object} ConversationTurn
+ * @property {string} question - User question
+ * @property {string} answer - Delivered bot answer
+ */
+
+/**
+ * @typedef {Object} ConversationThread
+ * @property {number} userId
+ * @property {ConversationTurn[]} turns - Oldest first, at most MAX_TURNS
+ * @property {string[]} messageKeys - Index keys of bot messages in this thread
+ * @property {number} expiresAt
+ */
+
+/**
+ * Threads by `${chatId}:${userId}:${rootMessageId}`
+ * @type {Map<string, ConversationThread>}
+ */
+const threads = new Map();
+
+/**
+ * Bot message -> thread key
+ * Key: `${chatId}:${messageId}`
+ * @type {Map<string, string>}
+ */
+const messageIndex = new Map();
+
+/**
+ * Clean up expired threads periodically
+ */
+setInterval(() => {
+  const now = Date.now();
+  let cleaned = 0;
+
+  for (const [key, thread] of threads.entries()) {
+    if (now > thread.expiresAt) {
+      removeThread(key);
+      cleaned++;
+    }
+  }
+
+  if (cleaned > 0) {
+    logger.debug('Conversation memory cleanup', { threadsRemoved: cleaned });
+  }
+}, 5 * 60 * 1000); // Run every 5 minutes
+
+/**
+ * Remove a thread and its message index entries
+ * @param {string} key
+ */
+function removeThread(key) {
+  const thread = threads.get(key);
+  if (!thread) return;
+
+  for (const messageKey of thread.messageKeys) {
+    messageIndex.delete(messageKey);
+  }
+  threads.delete(key);
+}
+
+/**
+ * Find the live thread a reply belongs to
+ * Only the user who owns the thread can continue it.
+ * @param {number} chatId
+ * @param {number} userId
+ * @param {number} [replyToMessageId]
+ * @returns {string|null} Thread key
+ */
+function findThreadKey(chatId, userId, replyToMessageId) {
+  if (!replyToMessageId) return null;
+
+  const key = messageIndex.get(`${chatId}:${replyToMessageId}`);
+  const thread = key ? threads.get(key) : null;
+
+  if (!thread || thread.userId !== userId) return null;
+
+  if (Date.now() > thread.expiresAt) {
+    removeThread(key);
+    return null;
+  }
+
+  return key;
+}
+
+/**
+ * Get previous exchanges for a reply to the bot
+ * @param {Object} lookup
+ * @param {number} lookup.chatId
+ * @param {number} lookup.userId
+ * @param {number} [lookup.replyToMessageId] - Bot message the user replied to
+ * @returns {ConversationTurn[]} Oldest first; empty when not a follow-up
+ */
+export function getConversation({ chatId, userId, replyToMessageId }) {
+  const key = findThreadKey(chatId, userId, replyToMessageId);
+  return key ? threads.get(key).turns.map(turn => ({ ...turn })) : [];
+}
+
+/**
+ * Remember a delivered answer
+ * Continues the thread of the replied-to message, or starts a new one.
+ * @param {Object} exchange
+ * @param {number} exchange.chatId
+ * @param {number} exchange.userId
+ * @param {number} [exchange.replyToMessageId] - Bot message the user replied to
+ * @param {number} exchange.botMessageId - Message the answer was delivered in
+ * @param {string} exchange.question
+ * @param {string} exchange.answer
+ */
+export function recordExchange({ chatId, userId, replyToMessageId, botMessageId, question, answer }) {
+  if (!userId || !botMessageId || !question || !answer) return;
+
+  let key = findThreadKey(chatId, userId, replyToMessageId);
+  let thread = key ? threads.get(key) : null;
+
+  if (thread) {
+    // Re-insert so Map order stays least-recently-used first
+    threads.delete(key);
+  } else {
+    key = `${chatId}:${userId}:${botMessageId}`;
+    thread = { userId, turns: [], messageKeys: [] };
+
+    // Enforce max threads limit (oldest first)
+    if (threads.size >= CONVERSATION_MEMORY.MAX_THREADS) {
+      removeThread(threads.keys().next().value);
+    }
+  }
+
+  thread.turns.push({
+    question,
+    answer: answer.length > CONVERSATION_MEMORY.MAX_ANSWER_CHARS
+      ? `${answer.substring(0, CONVERSATION_MEMORY.MAX_ANSWER_CHARS)}…`
+      : answer,
+  });
+  thread.turns = thread.turns.slice(-CONVERSATION_MEMORY.MAX_TURNS);
+
+  const messageKey = `${chatId}:${botMessageId}`;
+  thread.messageKeys.push(messageKey);
+  thread.expiresAt = Date.now() + CONVERSATION_MEMORY.TTL_MS;
+
+  threads.set(key, thread);
+  messageIndex.set(messageKey, key);
+
+  logger.debug('Conversation exchange recorded', {
+    chatId,
+    turns: thread.turns.length,
+  });
+}
+
+/**
+ * Clear all memory (for testing)
+ */
+export function clearConversations() {
+  threads.clear();
+  messageIndex.clear();
+}
+
+/**
+ * Get number of live threads (for stats)
+ * @returns {number}
+ */
+export function getConversationCount() {
+  return threads.size;
+}
+
+export default {
+  getConversation,
+  recordExchange,
+  clearConversations,
+  getConversationCount,
+};
@@ -0,0 +1,81 @@
+/**
+ * File Store
+ * CacheStore persisted as a JSON file, so caches survive restarts on a
+ * single host. Records live in memory and every change is written back
+ * (temp file + rename, one write at a time).
+ * Meant for one process per file; several writers overwrite each other.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createMemoryStore } from './memoryStore.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Read records from disk
+ * @param {string} file
+ * @returns {Object<string, import('./memoryStore.js').StoreRecord>}
+ */
+function readRecords(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      logger.warn('Cache file unreadable, starting empty', { file, error: err.message });
+    }
+    return {};
+  }
+}
+
+/**
+ * Create a file store
+ * @param {string} file - JSON file path (created on first write)
+ * @param {Object} [options]
+ * @param {number} [options.maxEntries] - Evict the oldest write beyond this many entries
+ * @returns {import('./store.js').CacheStore & { flush: () => Promise<void> }}
+ */
+export function createFileStore(file, { maxEntries = Infinity } = {}) {
+  let writing = Promise.resolve();
+  let dirty = false;
+
+  const persist = () => {
+    // Changes made while a write is running are picked up by the next one
+    if (dirty) return;
+    dirty = true;
+
+    writing = writing.then(async () => {
+      dirty = false;
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(tmp, JSON.stringify(memory.snapshot()));
+      await fs.promises.rename(tmp, file);
+    }).catch(err => {
+      logger.warn('Cache file write failed', { file, error: err.message });
+    });
+  };
+
+  const memory = createMemoryStore({
+    maxEntries,
+    initial: readRecords(file),
+    onChange: persist,
+  });
+
+  return {
+    ...memory,
+    type: 'file',
+
+    async close() {
+      await writing;
+    },
+
+    /**
+     * Wait for pending writes
+     * @returns {Promise<void>}
+     */
+    flush() {
+      return writing;
+    },
+  };
+}
+
+export default createFileStore;
@@ -0,0 +1,107 @@
+/**
+ * Memory Store
+ * CacheStore backed by a Map: per process, gone on restart.
+ * Expired records are dropped when read; past maxEntries the oldest
+ * write is evicted first.
+ */
+
+/**
+ * @typedef {Object} StoreRecord
+ * @property {*} value
+ * @property {number} expiresAt - Expiry timestamp
+ * @property {number} writtenAt - Write timestamp (eviction order)
+ */
+
+/**
+ * Create a memory store
+ * @param {Object} [options]
+ * @param {number} [options.maxEntries] - Evict the oldest write beyond this many entries
+ * @param {Object<string, StoreRecord>} [options.initial] - Records to start with
+ * @param {() => void} [options.onChange] - Called after every write, delete or clear
+ * @returns {import('./store.js').CacheStore}
+ */
+export function createMemoryStore({ maxEntries = Infinity, initial = {}, onChange = () => {} } = {}) {
+  /** @type {Map<string, StoreRecord>} */
+  const records = new Map(Object.entries(initial));
+
+  /**
+   * Drop expired records
+   * @returns {boolean} Whether anything was dropped
+   */
+  const purge = () => {
+    const now = Date.now();
+    let purged = false;
+    for (const [key, record] of records.entries()) {
+      if (record.expiresAt <= now) {
+        records.delete(key);
+        purged = true;
+      }
+    }
+    return purged;
+  };
+
+  return {
+    type: 'memory',
+
+    async get(key) {
+      const record = records.get(key);
+      if (!record) return null;
+
+      if (record.expiresAt <= Date.now()) {
+        records.delete(key);
+        onChange();
+        return null;
+      }
+
+      return record.value;
+    },
+
+    async set(key, value, ttlMs) {
+      // Re-inserting moves the key to the back of the eviction order
+      records.delete(key);
+      if (records.size >= maxEntries) {
+        purge();
+      }
+      if (records.size >= maxEntries) {
+        records.delete(records.keys().next().value);
+      }
+
+      const now = Date.now();
+      records.set(key, { value, expiresAt: now + ttlMs, writtenAt: now });
+      onChange();
+    },
+
+    async delete(key) {
+      const deleted = records.delete(key);
+      if (deleted) onChange();
+      return deleted;
+    },
+
+    async entries() {
+      if (purge()) onChange();
+      return [...records.entries()].map(([key, record]) => [key, record.value]);
+    },
+
+    async size() {
+      if (purge()) onChange();
+      return records.size;
+    },
+
+    async clear() {
+      records.clear();
+      onChange();
+    },
+
+    async close() {},
+
+    /**
+     * Raw records, for stores that persist this one
+     * @returns {Object<string, StoreRecord>}
+     */
+    snapshot() {
+      return Object.fromEntries(records);
+    },
+  };
+}
+
+export default createMemoryStore;
@@ -0,0 +1,233 @@
+/**
+ * Redis Client
+ * Minimal RESP2 client for Redis-protocol servers (Redis, Valkey, Upstash,
+ * KeyDB...). Supports only what the cache stores need: pipelined commands
+ * over one connection, AUTH/SELECT from the URL and TLS via rediss://.
+ * Connects lazily and reconnects on the next command after an error.
+ */
+
+import net from 'net';
+import tls from 'tls';
+import { CACHE_STORE } from '../constants.js';
+import logger from '../utils/logger.js';
+
+/**
+ * @typedef {Object} RedisClient
+ * @property {(...args: (string|number)[]) => Promise<*>} command - Send a command, resolve with its reply
+ * @property {() => Promise<void>} close
+ */
+
+/**
+ * Encode a command as a RESP array of bulk strings
+ * @param {(string|number)[]} args
+ * @returns {Buffer}
+ */
+export function encodeCommand(args) {
+  const parts = [`*${args.length}\r\n`];
+  for (const arg of args) {
+    const value = String(arg);
+    parts.push(`$${Buffer.byteLength(value)}\r\n${value}\r\n`);
+  }
+  return Buffer.from(parts.join(''));
+}
+
+/**
+ * Parse one RESP reply
+ * @param {Buffer} buffer
+ * @param {number} [offset]
+ * @returns {{ value: *, offset: number }|null} Null when the reply is incomplete
+ */
+export function parseReply(buffer, offset = 0) {
+  const lineEnd = buffer.indexOf('\r\n', offset);
+  if (lineEnd === -1) return null;
+
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString('utf-8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+':
+      return { value: line, offset: next };
+    case '-':
+      return { value: new Error(line), offset: next };
+    case ':':
+      return { value: Number(line), offset: next };
+    case '$': {
+      const length = Number(line);
+      if (length === -1) return { value: null, offset: next };
+      if (buffer.length < next + length + 2) return null;
+      return { value: buffer.toString('utf-8', next, next + length), offset: next + length + 2 };
+    }
+    case '*': {
+      const count = Number(line);
+      if (count === -1) return { value: null, offset: next };
+
+      const items = [];
+      let position = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buffer, position);
+        if (!item) return null;
+        items.push(item.value);
+        position = item.offset;
+      }
+      return { value: items, offset: position };
+    }
+    default:
+      throw new Error(`Unexpected RESP type "${type}"`);
+  }
+}
+
+/**
+ * Create a client for a redis:// or rediss:// URL
+ * @param {string} url
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs] - Per-command and connect (including AUTH/SELECT) timeout
+ * @returns {RedisClient}
+ */
+export function createRedisClient(url, { timeoutMs = CACHE_STORE.REDIS_TIMEOUT_MS } = {}) {
+  let socket = null;
+  let ready = null;
+  let buffer = Buffer.alloc(0);
+
+  /** @type {{ resolve: Function, reject: Function, timer: NodeJS.Timeout }[]} */
+  const pending = [];
+
+  const failAll = (err) => {
+    while (pending.length > 0) {
+      const request = pending.shift();
+      clearTimeout(request.timer);
+      request.reject(err);
+    }
+  };
+
+  const disconnect = (err) => {
+    if (socket) {
+      socket.destroy();
+      socket = null;
+    }
+    ready = null;
+    buffer = Buffer.alloc(0);
+    failAll(err);
+  };
+
+  // Events from a connection that has since been replaced are ignored
+  const whileCurrent = (conn, handler) => (...args) => {
+    if (socket === conn) handler(...args);
+  };
+
+  const onData = (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+
+    let reply;
+    try {
+      while (pending.length > 0 && (reply = parseReply(buffer))) {
+        buffer = buffer.subarray(reply.offset);
+        const request = pending.shift();
+        clearTimeout(request.timer);
+        if (reply.value instanceof Error) {
+          request.reject(reply.value);
+        } else {
+          request.resolve(reply.value);
+        }
+      }
+    } catch (err) {
+      disconnect(err);
+    }
+  };
+
+  const send = (args) => new Promise((resolve, reject) => {
+    if (!socket) {
+      reject(new Error('Redis connection closed'));
+      return;
+    }
+
+    const timer = setTimeout(() => {
+      // Replies would now arrive out of order, so start over
+      disconnect(new Error(`Redis ${args[0]} timed out after ${timeoutMs}ms`));
+    }, timeoutMs);
+
+    pending.push({ resolve, reject, timer });
+    socket.write(encodeCommand(args));
+  });
+
+  const connect = () => {
+    if (ready) return ready;
+
+    ready = new Promise((resolve, reject) => {
+      // Parsed here so a bad URL fails the command, not the import (validateConfig reports it)
+      const target = new URL(url);
+      const host = target.hostname;
+      const username = decodeURIComponent(target.username);
+      const password = decodeURIComponent(target.password);
+      const db = Number(target.pathname.slice(1)) || 0;
+      const options = { host, port: Number(target.port) || 6379 };
+      const conn = target.protocol === 'rediss:'
+        ? tls.connect({ ...options, servername: host })
+        : net.connect(options);
+      socket = conn;
+
+      // A blackholed host would otherwise hold every command until the OS gives up
+      const connectTimer = setTimeout(() => {
+        const err = new Error(`Redis connect timed out after ${timeoutMs}ms`);
+        if (socket === conn) {
+          logger.warn('Redis connection error', { host, error: err.message });
+          disconnect(err);
+        }
+        conn.destroy();
+        reject(err);
+      }, timeoutMs);
+
+      conn.setNoDelay(true);
+      conn.on('data', whileCurrent(conn, onData));
+      // Always listening: an unhandled 'error' would crash the process
+      conn.on('error', (err) => {
+        if (socket === conn) {
+          logger.warn('Redis connection error', { host, error: err.message });
+          disconnect(err);
+        }
+        clearTimeout(connectTimer);
+        reject(err);
+      });
+      conn.once('close', whileCurrent(conn, () => disconnect(new Error('Redis connection closed'))));
+      conn.once(target.protocol === 'rediss:' ? 'secureConnect' : 'connect', () => {
+        const setup = [];
+        if (password) {
+          setup.push(send(username ? ['AUTH', username, password] : ['AUTH', password]));
+        }
+        if (db) {
+          setup.push(send(['SELECT', db]));
+        }
+        Promise.all(setup).then(() => {
+          clearTimeout(connectTimer);
+          resolve();
+        }, (err) => {
+          clearTimeout(connectTimer);
+          disconnect(err);
+          reject(err);
+        });
+      });
+    });
+
+    // Don't leave an unhandled rejection behind when nobody is waiting
+    ready.catch(() => {});
+    return ready;
+  };
+
+  return {
+    async command(...args) {
+      await connect();
+      return send(args);
+    },
+
+    async close() {
+      if (!socket) return;
+      const closing = socket;
+      await new Promise(resolve => {
+        closing.once('close', resolve);
+        closing.end();
+      });
+    },
+  };
+}
+
+export default createRedisClient;
@@ -0,0 +1,105 @@
+/**
+ * Redis Store
+ * CacheStore kept in one Redis hash per namespace, shared by every
+ * instance (e.g. all serverless cold starts). Field expiry needs newer
+ * servers, so each record carries its own expiry and is dropped when read.
+ */
+
+/**
+ * Decode a stored record
+ * @param {string|null} raw
+ * @returns {import('./memoryStore.js').StoreRecord|null}
+ */
+function decode(raw) {
+  if (raw === null || raw === undefined) return null;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Create a Redis store
+ * @param {import('./redisClient.js').RedisClient} client
+ * @param {string} hashKey - Redis key of the hash holding this store
+ * @param {Object} [options]
+ * @param {number} [options.maxEntries] - Evict the oldest write beyond this many entries
+ * @returns {import('./store.js').CacheStore}
+ */
+export function createRedisStore(client, hashKey, { maxEntries = Infinity } = {}) {
+  /**
+   * Live records, dropping expired and unreadable ones from the server
+   * @returns {Promise<[string, import('./memoryStore.js').StoreRecord][]>}
+   */
+  const liveRecords = async () => {
+    const flat = (await client.command('HGETALL', hashKey)) || [];
+    const now = Date.now();
+    const live = [];
+    const dead = [];
+
+    for (let i = 0; i < flat.length; i += 2) {
+      const record = decode(flat[i + 1]);
+      if (record && record.expiresAt > now) {
+        live.push([flat[i], record]);
+      } else {
+        dead.push(flat[i]);
+      }
+    }
+
+    if (dead.length > 0) {
+      await client.command('HDEL', hashKey, ...dead);
+    }
+
+    return live;
+  };
+
+  return {
+    type: 'redis',
+
+    async get(key) {
+      const record = decode(await client.command('HGET', hashKey, key));
+      if (!record) return null;
+
+      if (record.expiresAt <= Date.now()) {
+        await client.command('HDEL', hashKey, key);
+        return null;
+      }
+
+      return record.value;
+    },
+
+    async set(key, value, ttlMs) {
+      if (Number.isFinite(maxEntries) && (await client.command('HLEN', hashKey)) >= maxEntries) {
+        const records = await liveRecords();
+        if (records.length >= maxEntries && !records.some(([k]) => k === key)) {
+          const [oldest] = records.reduce((a, b) => (b[1].writtenAt < a[1].writtenAt ? b : a));
+          await client.command('HDEL', hashKey, oldest);
+        }
+      }
+
+      const now = Date.now();
+      await client.command('HSET', hashKey, key, JSON.stringify({ value, expiresAt: now + ttlMs, writtenAt: now }));
+    },
+
+    async delete(key) {
+      return (await client.command('HDEL', hashKey, key)) > 0;
+    },
+
+    async entries() {
+      return (await liveRecords()).map(([key, record]) => [key, record.value]);
+    },
+
+    async size() {
+      return (await liveRecords()).length;
+    },
+
+    async clear() {
+      await client.command('DEL', hashKey);
+    },
+
+    async close() {},
+  };
+}
+
+export default createRedisStore;
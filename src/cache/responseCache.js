@@ -1,23 +1,72 @@
 /**
  * Response Cache
- * In-memory cache with TTL for avoiding redundant AI calls
+ * TTL cache for avoiding redundant AI calls, kept in the configured cache
+ * store (memory, file or Redis; see store.js)
+ * Lookups try the normalized query first, then the closest paraphrase:
+ * keywords (classifier stop words removed) are compared as character
+ * trigram sets, so "how can I buy pepper" reuses "how do I buy PEPPER?".
+ * Paraphrase hits need the same intent and response class. Candidates come
+ * from a bounded in-process index, so a miss never scans the whole store
+ * (a full HGETALL with Redis); it is seeded from the store once.
+ * Entries remember the prompt, language and knowledge that produced them:
+ * other prompt variants and languages never see them, and a knowledge
+ * reload drops the ones built from changed knowledge (see invalidateStale).
+ * Lookups check the same on read, so entries a file or Redis store kept
+ * across a restart with new knowledge are never served.
  */
 
+import config from '../config.js';
 import { CACHE_TTL, MAX_CACHE_SIZE } from '../constants.js';
+import { extractKeywords } from '../pipeline/classifier.js';
+import { createStore } from './store.js';
 import logger from '../utils/logger.js';
 
 /**
- * In-memory cache store
- * @type {Map<string, import('../types/index.js').CacheEntry>}
+ * @typedef {Object} CacheContext
+ * @property {string} [intent] - Classified intent of the query
+ * @property {string} [responseClass] - Response class of the query
+ * @property {string} [prompt] - Prompt id ("name@version") the answer is for
+ * @property {string} [language] - Language code the answer is in
+ * @property {import('../knowledge/loader.js').KnowledgeStamp|null} [knowledge] - Knowledge the answer was built from (set only)
+ * @property {string[]} [sources] - Knowledge sections the answer cites (set only)
+ * @property {import('../knowledge/loader.js').KnowledgeStamp|null} [currentKnowledge] - Knowledge now loaded, all sections (get only; entries from other knowledge miss)
  */
-const cache = new Map();
+
+/**
+ * Cache store; expiry and eviction happen there
+ * @type {import('./store.js').CacheStore}
+ */
+const cache = createStore('responses', { maxEntries: MAX_CACHE_SIZE });
+
+/**
+ * @typedef {Object} IndexEntry
+ * @property {string|null} intent
+ * @property {string|null} responseClass
+ * @property {string|null} prompt
+ * @property {string|null} language
+ * @property {Set<string>} trigrams
+ */
+
+/**
+ * Paraphrase candidates by key, oldest write first (this process only)
+ * @type {Map<string, IndexEntry>}
+ */
+const paraphraseIndex = new Map();
+let indexSeeded = false;
+
+// Lookup counters for getStats() (this process only)
+const counters = {
+  lookups: 0,
+  exactHits: 0,
+  fuzzyHits: 0,
+};
 
 /**
  * Normalize query for cache key
  * @param {string} query
  * @returns {string}
  */
-function normalizeKey(query) {
+export function normalizeKey(query) {
   return query
     .toLowerCase()
     .trim()
@@ -25,37 +74,231 @@ function normalizeKey(query) {
     .replace(/\s+/g, ' ');
 }
 
+/**
+ * Character trigrams of the query's keywords
+ * Word order and stop words don't matter; inflections mostly overlap.
+ * @param {string} query
+ * @returns {Set<string>}
+ */
+export function keywordTrigrams(query) {
+  const trigrams = new Set();
+  
+  for (const word of extractKeywords(normalizeKey(query))) {
+    const padded = ` ${word} `;
+    for (let i = 0; i <= padded.length - 3; i++) {
+      trigrams.add(padded.substring(i, i + 3));
+    }
+  }
+  
+  return trigrams;
+}
+
+/**
+ * Jaccard similarity of two sets
+ * @param {Set<string>} a
+ * @param {Set<string>} b
+ * @returns {number} 0-1
+ */
+export function jaccard(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  
+  let shared = 0;
+  for (const item of a) {
+    if (b.has(item)) shared++;
+  }
+  
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Time an entry has left before its TTL runs out
+ * @param {import('../types/index.js').CacheEntry} entry
+ * @returns {number} ms
+ */
+function remainingTtl(entry) {
+  return entry.timestamp + entry.ttl - Date.now();
+}
+
+/**
+ * Whether an entry was generated with the lookup's prompt and language
+ * Lookups and entries without a prompt or language match any.
+ * @param {import('../types/index.js').CacheEntry|IndexEntry} entry
+ * @param {CacheContext} context
+ * @returns {boolean}
+ */
+function sameVariant(entry, context) {
+  const matches = field => !entry[field] || !context[field] || entry[field] === context[field];
+  return matches('prompt') && matches('language');
+}
+
+/**
+ * Whether an entry was built from knowledge other than the current one
+ * Follows CACHE_INVALIDATION, like a reload does.
+ * @param {import('../types/index.js').CacheEntry} entry
+ * @param {CacheContext} context
+ * @returns {boolean}
+ */
+function isStale(entry, context) {
+  if (context.currentKnowledge === undefined) return false;
+  if (!context.currentKnowledge) return true;
+  
+  return !isFresh(entry.knowledge, context.currentKnowledge, config.responseCache.invalidation === 'sections');
+}
+
+/**
+ * Drop an entry built from old knowledge
+ * @param {string} key
+ * @returns {Promise<void>}
+ */
+async function dropStale(key) {
+  await cache.delete(key);
+  paraphraseIndex.delete(key);
+  logger.debug('Cache entry from old knowledge dropped', { key: key.substring(0, 30) });
+}
+
+/**
+ * Add or refresh an entry in the paraphrase index
+ * @param {string} key
+ * @param {import('../types/index.js').CacheEntry} entry
+ */
+function indexEntry(key, entry) {
+  paraphraseIndex.delete(key);
+  if (!entry.trigrams?.length) return;
+  
+  paraphraseIndex.set(key, {
+    intent: entry.intent,
+    responseClass: entry.responseClass,
+    prompt: entry.prompt,
+    language: entry.language,
+    // Stored as an array so every backend can serialize it
+    trigrams: new Set(entry.trigrams),
+  });
+  
+  if (paraphraseIndex.size > MAX_CACHE_SIZE) {
+    paraphraseIndex.delete(paraphraseIndex.keys().next().value);
+  }
+}
+
+/**
+ * Load the entries already in the store into the index, once per process
+ * @returns {Promise<void>}
+ */
+async function seedIndex() {
+  if (indexSeeded) return;
+  indexSeeded = true;
+  
+  for (const [key, entry] of await cache.entries()) {
+    indexEntry(key, entry);
+  }
+}
+
+/**
+ * Find the most similar entry with the same intent and response class
+ * @param {Set<string>} trigrams
+ * @param {CacheContext} context
+ * @returns {Promise<{ key: string, entry: import('../types/index.js').CacheEntry, similarity: number }|null>}
+ */
+async function findParaphrase(trigrams, context) {
+  // Without a classification there is nothing to guard a fuzzy hit with
+  if (!context.intent || !context.responseClass || trigrams.size === 0) return null;
+  
+  await seedIndex();
+  
+  const candidates = [];
+  
+  for (const [key, indexed] of paraphraseIndex) {
+    if (indexed.intent !== context.intent || indexed.responseClass !== context.responseClass) continue;
+    if (!sameVariant(indexed, context)) continue;
+    
+    const similarity = jaccard(trigrams, indexed.trigrams);
+    if (similarity >= config.responseCache.minSimilarity) {
+      candidates.push({ key, similarity });
+    }
+  }
+  
+  // Best first; entries that expired or were evicted drop out of the index
+  for (const { key, similarity } of candidates.sort((a, b) => b.similarity - a.similarity)) {
+    const entry = await cache.get(key);
+    if (!entry) {
+      paraphraseIndex.delete(key);
+    } else if (isStale(entry, context)) {
+      await dropStale(key);
+    } else {
+      return { key, entry, similarity };
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Count a hit on an entry and write it back with the TTL it has left
+ * @param {string} key
+ * @param {import('../types/index.js').CacheEntry} entry
+ * @returns {Promise<void>}
+ */
+async function recordHit(key, entry) {
+  entry.hits++;
+  
+  const ttl = remainingTtl(entry);
+  if (ttl > 0) {
+    await cache.set(key, entry, ttl);
+  }
+}
+
 /**
  * Get cached response if available and fresh
  * @param {string} query - User query
- * @returns {{ hit: boolean, response: string|null }}
+ * @param {CacheContext} [context] - Classification; enables paraphrase matching
+ * @returns {Promise<{ hit: boolean, response: string|null, sources?: string[]|null, fuzzy?: boolean, similarity?: number }>}
  */
-export function get(query) {
+export async function get(query, context = {}) {
   const key = normalizeKey(query);
-  const entry = cache.get(key);
+  let entry = await cache.get(key);
   
-  if (!entry) {
-    return { hit: false, response: null };
+  counters.lookups++;
+  
+  if (entry && isStale(entry, context)) {
+    await dropStale(key);
+    entry = null;
   }
   
-  // Check if expired
-  const now = Date.now();
-  if (now - entry.timestamp > entry.ttl) {
-    cache.delete(key);
-    logger.debug('Cache expired', { key: key.substring(0, 30) });
+  if (entry && sameVariant(entry, context)) {
+    await recordHit(key, entry);
+    // Written by another instance: a candidate from now on
+    if (!paraphraseIndex.has(key)) indexEntry(key, entry);
+    counters.exactHits++;
+    
+    logger.debug('Cache hit', {
+      key: key.substring(0, 30),
+      hits: entry.hits,
+      ageMs: Date.now() - entry.timestamp,
+    });
+    
+    return { hit: true, response: entry.response, sources: entry.sources ?? null, fuzzy: false, similarity: 1 };
+  }
+  
+  const match = await findParaphrase(keywordTrigrams(query), context);
+  if (!match) {
     return { hit: false, response: null };
   }
   
-  // Update hit count
-  entry.hits++;
+  await recordHit(match.key, match.entry);
+  counters.fuzzyHits++;
   
-  logger.debug('Cache hit', {
+  logger.debug('Cache paraphrase hit', {
     key: key.substring(0, 30),
-    hits: entry.hits,
-    ageMs: now - entry.timestamp,
+    matched: match.key.substring(0, 30),
+    similarity: Math.round(match.similarity * 100) / 100,
   });
   
-  return { hit: true, response: entry.response };
+  return {
+    hit: true,
+    response: match.entry.response,
+    sources: match.entry.sources ?? null,
+    fuzzy: true,
+    similarity: match.similarity,
+  };
 }
 
 /**
@@ -63,76 +306,126 @@ export function get(query) {
  * @param {string} query - User query
  * @param {string} response - Generated response
  * @param {number} [ttl] - Time to live in ms (default: FACTS TTL)
+ * @param {CacheContext} [context] - Classification; needed for paraphrase hits
+ * @returns {Promise<void>}
  */
-export function set(query, response, ttl = CACHE_TTL.FACTS) {
-  // Evict if at capacity
-  if (cache.size >= MAX_CACHE_SIZE) {
-    evictOldest();
-  }
-  
+export async function set(query, response, ttl = CACHE_TTL.FACTS, context = {}) {
   const key = normalizeKey(query);
-  
-  cache.set(key, {
+  const entry = {
     response,
     timestamp: Date.now(),
     ttl,
     hits: 0,
-  });
+    intent: context.intent || null,
+    responseClass: context.responseClass || null,
+    prompt: context.prompt || null,
+    language: context.language || null,
+    knowledge: context.knowledge || null,
+    sources: context.sources || null,
+    trigrams: [...keywordTrigrams(query)],
+  };
+  
+  await cache.set(key, entry, ttl);
+  indexEntry(key, entry);
   
   logger.debug('Cache set', {
     key: key.substring(0, 30),
     ttl,
-    cacheSize: cache.size,
+    backend: cache.type,
   });
 }
 
 /**
- * Evict oldest entry from cache
+ * Whether an entry still reflects the current knowledge
+ * @param {import('../knowledge/loader.js').KnowledgeStamp|null} stamp - Entry's stamp
+ * @param {import('../knowledge/loader.js').KnowledgeStamp} current - Stamp with every current section
+ * @param {boolean} sectionsOnly - Keep entries whose own sections are unchanged
+ * @returns {boolean}
  */
-function evictOldest() {
-  let oldestKey = null;
-  let oldestTime = Infinity;
-  
-  for (const [key, entry] of cache.entries()) {
-    if (entry.timestamp < oldestTime) {
-      oldestTime = entry.timestamp;
-      oldestKey = key;
+function isFresh(stamp, current, sectionsOnly) {
+  // Unknown provenance can't be checked
+  if (!stamp) return false;
+  if (stamp.hash === current.hash) return true;
+  if (!sectionsOnly || !stamp.sections) return false;
+
+  return Object.entries(stamp.sections).every(([slug, hash]) => current.sections?.[slug] === hash);
+}
+
+/**
+ * Drop entries generated from knowledge that has since changed
+ * @param {import('../knowledge/loader.js').KnowledgeStamp|null} current - Stamp of the knowledge now loaded (all sections)
+ * @param {Object} [options]
+ * @param {boolean} [options.sectionsOnly] - Only drop entries whose sections changed (default: any change drops all)
+ * @returns {Promise<{ dropped: number, kept: number }>}
+ */
+export async function invalidateStale(current, { sectionsOnly = false } = {}) {
+  let dropped = 0;
+  let kept = 0;
+
+  for (const [key, entry] of await cache.entries()) {
+    if (current && isFresh(entry.knowledge, current, sectionsOnly)) {
+      kept++;
+      if (entry.knowledge.hash === current.hash) continue;
+
+      // Unchanged sections: carry the entry over to the new version
+      entry.knowledge = { ...entry.knowledge, version: current.version, hash: current.hash };
+      await cache.set(key, entry, Math.max(remainingTtl(entry), 1));
+    } else {
+      await cache.delete(key);
+      paraphraseIndex.delete(key);
+      dropped++;
     }
   }
-  
-  if (oldestKey) {
-    cache.delete(oldestKey);
-    logger.debug('Cache evicted', { key: oldestKey.substring(0, 30) });
-  }
+
+  logger.info('Cache invalidated for knowledge change', {
+    dropped,
+    kept,
+    sectionsOnly,
+    version: current?.version,
+  });
+
+  return { dropped, kept };
 }
 
 /**
- * Clear entire cache
+ * Clear entire cache (and its lookup counters)
+ * @returns {Promise<void>}
  */
-export function clear() {
-  const size = cache.size;
-  cache.clear();
+export async function clear() {
+  const size = await cache.size();
+  await cache.clear();
+  paraphraseIndex.clear();
+  indexSeeded = false;
+  counters.lookups = 0;
+  counters.exactHits = 0;
+  counters.fuzzyHits = 0;
   logger.info('Cache cleared', { entriesRemoved: size });
 }
 
 /**
  * Get cache statistics
- * @returns {{ size: number, entries: Array<{ key: string, hits: number, ageMs: number }> }}
+ * Rates are shares of all lookups; fuzzyHitRate is the paraphrase part of hitRate.
+ * @returns {Promise<{ size: number, backend: string, lookups: number, hitRate: number, fuzzyHitRate: number, minSimilarity: number, entries: Array<{ key: string, hits: number, ageMs: number }> }>}
  */
-export function getStats() {
+export async function getStats() {
   const now = Date.now();
-  const entries = [];
+  const all = await cache.entries();
   
-  for (const [key, entry] of cache.entries()) {
-    entries.push({
-      key: key.substring(0, 30),
-      hits: entry.hits,
-      ageMs: now - entry.timestamp,
-    });
-  }
+  const entries = all.map(([key, entry]) => ({
+    key: key.substring(0, 30),
+    hits: entry.hits,
+    ageMs: now - entry.timestamp,
+  }));
+  
+  const rate = count => (counters.lookups > 0 ? count / counters.lookups : 0);
   
   return {
-    size: cache.size,
+    size: all.length,
+    backend: cache.type,
+    lookups: counters.lookups,
+    hitRate: rate(counters.exactHits + counters.fuzzyHits),
+    fuzzyHitRate: rate(counters.fuzzyHits),
+    minSimilarity: config.responseCache.minSimilarity,
     entries: entries.sort((a, b) => b.hits - a.hits).slice(0, 10),
   };
 }
@@ -142,4 +435,8 @@ export default {
   set,
   clear,
   getStats,
+  invalidateStale,
+  normalizeKey,
+  keywordTrigrams,
+  jaccard,
 };
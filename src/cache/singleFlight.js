@@ -0,0 +1,47 @@
+/**
+ * Single Flight
+ * Runs one task per key at a time: callers that arrive while it is running
+ * await the same promise instead of starting their own. The generator uses
+ * it so a question asked by several users at once costs one AI call.
+ */
+
+import logger from '../utils/logger.js';
+
+/**
+ * Tasks in progress
+ * @type {Map<string, Promise<*>>}
+ */
+const flights = new Map();
+
+/**
+ * Run a task, or join the one already running for this key
+ * The key is free again as soon as the task settles (success or failure).
+ * @template T
+ * @param {string} key
+ * @param {() => Promise<T>} task
+ * @returns {Promise<{ value: T, shared: boolean }>} shared: joined another caller's task
+ */
+export async function singleFlight(key, task) {
+  const running = flights.get(key);
+  if (running) {
+    logger.debug('Joining in-flight request', { key: key.substring(0, 50) });
+    return { value: await running, shared: true };
+  }
+
+  const flight = Promise.resolve()
+    .then(task)
+    .finally(() => flights.delete(key));
+  flights.set(key, flight);
+
+  return { value: await flight, shared: false };
+}
+
+/**
+ * Number of tasks in progress
+ * @returns {number}
+ */
+export function getInFlightCount() {
+  return flights.size;
+}
+
+export default { singleFlight, getInFlightCount };
@@ -0,0 +1,143 @@
+/**
+ * Cache Store
+ * Async key/value storage with per-entry TTL, shared by the caches so
+ * they can outlive a process. The backend comes from config
+ * (CACHE_BACKEND): memory, file or redis.
+ * Persistent backends fail soft: errors are logged and read as a miss,
+ * so a broken cache never breaks an answer.
+ */
+
+import path from 'path';
+import config from '../config.js';
+import { CACHE_STORE } from '../constants.js';
+import { createMemoryStore } from './memoryStore.js';
+import { createFileStore } from './fileStore.js';
+import { createRedisStore } from './redisStore.js';
+import { createRedisClient } from './redisClient.js';
+import logger from '../utils/logger.js';
+
+/**
+ * @typedef {Object} CacheStore
+ * @property {string} type - memory, file or redis
+ * @property {(key: string) => Promise<*|null>} get - Value, or null if missing or expired
+ * @property {(key: string, value: *, ttlMs: number) => Promise<void>} set - Value must be JSON-serializable
+ * @property {(key: string) => Promise<boolean>} delete
+ * @property {() => Promise<[string, *][]>} entries - Live entries, oldest write first where the backend knows
+ * @property {() => Promise<number>} size
+ * @property {() => Promise<void>} clear
+ * @property {() => Promise<void>} close
+ */
+
+/**
+ * @typedef {Object} CacheBackend
+ * @property {'memory'|'file'|'redis'} type
+ * @property {string} dir - Directory for file stores
+ * @property {string|null} url - Redis URL
+ */
+
+// One connection per Redis URL, shared by every store
+const redisClients = new Map();
+
+// Stores to close on shutdown (file stores finish their writes)
+const openStores = new Set();
+
+/**
+ * Get (or open) the client for a Redis URL
+ * @param {string} url
+ * @returns {import('./redisClient.js').RedisClient}
+ */
+function getRedisClient(url) {
+  if (!redisClients.has(url)) {
+    redisClients.set(url, createRedisClient(url));
+  }
+  return redisClients.get(url);
+}
+
+/**
+ * Wrap a store so backend errors are logged and read as a miss
+ * @param {CacheStore} store
+ * @param {string} namespace
+ * @returns {CacheStore}
+ */
+function failSoft(store, namespace) {
+  const fallbacks = { get: null, set: undefined, delete: false, entries: [], size: 0, clear: undefined, close: undefined };
+  const wrapped = { ...store };
+
+  for (const [method, fallback] of Object.entries(fallbacks)) {
+    wrapped[method] = async (...args) => {
+      try {
+        return await store[method](...args);
+      } catch (err) {
+        logger.warn('Cache store unavailable', { store: namespace, backend: store.type, method, error: err.message });
+        return fallback;
+      }
+    };
+  }
+
+  return wrapped;
+}
+
+/**
+ * Create a store for one cache
+ * @param {string} namespace - Cache name, e.g. "responses" (file name / Redis key suffix)
+ * @param {Object} [options]
+ * @param {number} [options.maxEntries] - Evict the oldest write beyond this many entries
+ * @param {CacheBackend} [options.backend] - Default: config.cacheBackend
+ * @returns {CacheStore}
+ */
+export function createStore(namespace, { maxEntries = Infinity, backend = config.cacheBackend } = {}) {
+  let store;
+
+  switch (backend.type) {
+    case 'file':
+      store = failSoft(createFileStore(path.join(backend.dir, `${namespace}.json`), { maxEntries }), namespace);
+      break;
+
+    case 'redis':
+      store = failSoft(
+        createRedisStore(getRedisClient(backend.url), `${CACHE_STORE.REDIS_PREFIX}:${namespace}`, { maxEntries }),
+        namespace
+      );
+      break;
+
+    default:
+      store = createMemoryStore({ maxEntries });
+  }
+
+  openStores.add(store);
+  return store;
+}
+
+/**
+ * Close every store and shared connection (on shutdown)
+ * @returns {Promise<void>}
+ */
+export async function closeStores() {
+  const stores = [...openStores];
+  const clients = [...redisClients.values()];
+  openStores.clear();
+  redisClients.clear();
+
+  await Promise.all(stores.map(store => store.close()));
+  await Promise.all(clients.map(client => client.close().catch(() => {})));
+}
+
+/**
+ * Describe the backend (for /health), without credentials
+ * @param {CacheBackend} [backend] - Default: config.cacheBackend
+ * @returns {string}
+ */
+export function describeStore(backend = config.cacheBackend) {
+  switch (backend.type) {
+    case 'file':
+      return `file (${backend.dir})`;
+    case 'redis': {
+      const url = new URL(backend.url);
+      return `redis (${url.host})`;
+    }
+    default:
+      return 'memory';
+  }
+}
+
+export default { createStore, closeStores, describeStore };
@@ -1,10 +1,293 @@
 import 'dotenv/config';
+import fs from 'fs';
+import { CHAR_BUDGETS, MODELS, MODEL_PRICING, SEMANTIC_CACHE } from './constants.js';
 
 /**
  * Configuration loader for Pepper Pal
  * All configuration is loaded from environment variables
  */
 
+const OPENROUTER_BASE_URL = 'https://openrouter.ai/api/v1';
+
+/**
+ * Parse the AI provider failover chain
+ * AI_PROVIDERS is a JSON array of OpenAI-compatible providers, tried in order:
+ *   [{ "name": "openrouter", "baseUrl": "https://openrouter.ai/api/v1", "apiKeyEnv": "OPENROUTER_API_KEY" },
+ *    { "name": "groq", "baseUrl": "https://api.groq.com/openai/v1", "apiKeyEnv": "GROQ_API_KEY", "model": "llama-3.1-8b-instant" }]
+ * Without AI_PROVIDERS, a single OpenRouter provider is built from OPENROUTER_* vars.
+ * @returns {{ providers: Object[], error: string|null }}
+ */
+function parseAIProviders() {
+  const raw = process.env.AI_PROVIDERS;
+
+  if (!raw || !raw.trim()) {
+    return {
+      providers: [
+        {
+          name: 'openrouter',
+          baseUrl: OPENROUTER_BASE_URL,
+          apiKey: process.env.OPENROUTER_API_KEY,
+          // No pinned model: uses the model requested by the pipeline
+          model: null,
+          timeoutMs: null,
+        },
+      ],
+      error: null,
+    };
+  }
+
+  try {
+    const parsed = JSON.parse(raw);
+    if (!Array.isArray(parsed) || parsed.length === 0) {
+      return { providers: [], error: 'AI_PROVIDERS must be a non-empty JSON array' };
+    }
+
+    const providers = parsed.map((p, i) => ({
+      name: p.name || `provider${i + 1}`,
+      baseUrl: String(p.baseUrl || '').replace(/\/+$/, ''),
+      // Prefer referencing another env var so keys stay out of the JSON
+      apiKey: p.apiKeyEnv ? process.env[p.apiKeyEnv] : p.apiKey,
+      model: p.model || null,
+      timeoutMs: p.timeoutMs ? parseInt(p.timeoutMs, 10) : null,
+    }));
+
+    const missingUrl = providers.find((p) => !p.baseUrl);
+    if (missingUrl) {
+      return { providers: [], error: `AI provider "${missingUrl.name}" is missing baseUrl` };
+    }
+
+    return { providers, error: null };
+  } catch (err) {
+    return { providers: [], error: `Invalid AI_PROVIDERS JSON: ${err.message}` };
+  }
+}
+
+const aiProviders = parseAIProviders();
+
+const COMPLEXITY_BANDS = ['simple', 'medium', 'complex'];
+
+/**
+ * Built-in routing table: the configured model for everyday answers,
+ * the quality model for complex ones, each falling back to the other
+ * @param {string} baseModel - OPENROUTER_MODEL
+ * @param {number} temperature
+ * @returns {Object[]}
+ */
+function defaultModelRoutes(baseModel, temperature) {
+  return [
+    { responseClass: 'PROCEDURAL', complexity: 'complex', model: MODELS.QUALITY, maxTokens: 720, temperature, fallbackModel: baseModel },
+    { responseClass: 'PROCEDURAL', complexity: '*', model: baseModel, maxTokens: 720, temperature, fallbackModel: MODELS.QUALITY },
+    { responseClass: 'COMPLEX', complexity: '*', model: MODELS.QUALITY, maxTokens: 1200, temperature, fallbackModel: baseModel },
+    { responseClass: '*', complexity: 'complex', model: MODELS.QUALITY, maxTokens: 600, temperature, fallbackModel: baseModel },
+    { responseClass: '*', complexity: '*', model: baseModel, maxTokens: 600, temperature, fallbackModel: MODELS.QUALITY },
+  ];
+}
+
+/**
+ * Parse the model routing table
+ * MODEL_ROUTES is a JSON array (or a path to a JSON file) of routes, first match wins:
+ *   [{ "responseClass": "PROCEDURAL", "complexity": "complex", "model": "google/gemma-3-4b-it:free",
+ *      "maxTokens": 1200, "temperature": 0.1, "fallbackModel": "liquid/lfm-2.5-1.2b-instruct:free" },
+ *    { "responseClass": "*", "complexity": "*", "model": "liquid/lfm-2.5-1.2b-instruct:free" }]
+ * complexity is a band: simple (0-3), medium (4-6), complex (7-10).
+ * Every response class and band must be covered by some route.
+ * @param {string} baseModel - Default model (OPENROUTER_MODEL)
+ * @param {number} temperature - Default temperature
+ * @param {number} maxTokens - Default max tokens
+ * @returns {{ routes: Object[], error: string|null }}
+ */
+export function parseModelRoutes(baseModel, temperature, maxTokens) {
+  const raw = (process.env.MODEL_ROUTES || '').trim();
+
+  if (!raw) {
+    return { routes: defaultModelRoutes(baseModel, temperature), error: null };
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(raw.startsWith('[') ? raw : fs.readFileSync(raw, 'utf-8'));
+  } catch (err) {
+    return { routes: [], error: `Invalid MODEL_ROUTES: ${err.message}` };
+  }
+
+  if (!Array.isArray(parsed) || parsed.length === 0) {
+    return { routes: [], error: 'MODEL_ROUTES must be a non-empty JSON array' };
+  }
+
+  const responseClasses = Object.keys(CHAR_BUDGETS);
+  const routes = [];
+
+  for (const [i, r] of parsed.entries()) {
+    const label = `MODEL_ROUTES[${i}]`;
+    const route = {
+      responseClass: r.responseClass || '*',
+      complexity: r.complexity || '*',
+      model: r.model,
+      maxTokens: r.maxTokens ?? maxTokens,
+      temperature: r.temperature ?? temperature,
+      fallbackModel: r.fallbackModel || null,
+    };
+
+    if (route.responseClass !== '*' && !responseClasses.includes(route.responseClass)) {
+      return { routes: [], error: `${label}: unknown responseClass "${route.responseClass}"` };
+    }
+    if (route.complexity !== '*' && !COMPLEXITY_BANDS.includes(route.complexity)) {
+      return { routes: [], error: `${label}: complexity must be one of ${COMPLEXITY_BANDS.join(', ')} or *` };
+    }
+    if (typeof route.model !== 'string' || !route.model.trim()) {
+      return { routes: [], error: `${label}: model is required` };
+    }
+    if (!Number.isInteger(route.maxTokens) || route.maxTokens <= 0) {
+      return { routes: [], error: `${label}: maxTokens must be a positive integer` };
+    }
+    if (typeof route.temperature !== 'number' || route.temperature < 0 || route.temperature > 2) {
+      return { routes: [], error: `${label}: temperature must be between 0 and 2` };
+    }
+    if (route.fallbackModel !== null && typeof route.fallbackModel !== 'string') {
+      return { routes: [], error: `${label}: fallbackModel must be a string` };
+    }
+
+    routes.push(route);
+  }
+
+  // Every answer must have a route
+  for (const responseClass of responseClasses) {
+    for (const band of COMPLEXITY_BANDS) {
+      const covered = routes.some((r) =>
+        (r.responseClass === '*' || r.responseClass === responseClass) &&
+        (r.complexity === '*' || r.complexity === band)
+      );
+      if (!covered) {
+        return { routes: [], error: `MODEL_ROUTES has no route for ${responseClass}/${band}; add a "*" route` };
+      }
+    }
+  }
+
+  return { routes, error: null };
+}
+
+/**
+ * Parse the prompt experiment
+ * PROMPT_EXPERIMENT is a JSON object splitting chats between prompt variants by weight:
+ *   { "name": "concise-answers", "variants": { "pepper-pal@3.0.0": 50, "pepper-pal-concise@1.0.0": 50 } }
+ * Variant keys are prompt names, optionally pinned to a version.
+ * @returns {{ experiment: { name: string, variants: Object<string, number> }|null, error: string|null }}
+ */
+function parsePromptExperiment() {
+  const raw = (process.env.PROMPT_EXPERIMENT || '').trim();
+
+  if (!raw) {
+    return { experiment: null, error: null };
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (err) {
+    return { experiment: null, error: `Invalid PROMPT_EXPERIMENT JSON: ${err.message}` };
+  }
+
+  if (!parsed || typeof parsed.name !== 'string' || !parsed.name.trim()) {
+    return { experiment: null, error: 'PROMPT_EXPERIMENT needs a name' };
+  }
+
+  const variants = parsed.variants || {};
+  const entries = Object.entries(variants);
+  if (entries.length < 2) {
+    return { experiment: null, error: 'PROMPT_EXPERIMENT needs at least two variants' };
+  }
+
+  const badWeight = entries.find(([, weight]) => !Number.isInteger(weight) || weight <= 0);
+  if (badWeight) {
+    return { experiment: null, error: `PROMPT_EXPERIMENT variant "${badWeight[0]}" needs a positive integer weight` };
+  }
+
+  return { experiment: { name: parsed.name.trim(), variants }, error: null };
+}
+
+const promptExperiment = parsePromptExperiment();
+
+/**
+ * Parse model prices
+ * MODEL_PRICING is a JSON object of USD per 1M tokens, merged over the built-in table:
+ *   { "openai/gpt-4o-mini": { "prompt": 0.15, "completion": 0.6 } }
+ * @returns {{ pricing: Object<string, { prompt: number, completion: number }>, error: string|null }}
+ */
+export function parseModelPricing() {
+  const raw = (process.env.MODEL_PRICING || '').trim();
+
+  if (!raw) {
+    return { pricing: { ...MODEL_PRICING }, error: null };
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (err) {
+    return { pricing: { ...MODEL_PRICING }, error: `Invalid MODEL_PRICING JSON: ${err.message}` };
+  }
+
+  for (const [model, price] of Object.entries(parsed || {})) {
+    const valid = ['prompt', 'completion'].every((k) => typeof price?.[k] === 'number' && price[k] >= 0);
+    if (!valid) {
+      return { pricing: { ...MODEL_PRICING }, error: `MODEL_PRICING "${model}" needs non-negative prompt and completion prices` };
+    }
+  }
+
+  return { pricing: { ...MODEL_PRICING, ...parsed }, error: null };
+}
+
+/**
+ * Parse a USD budget
+ * @param {string} name - Environment variable
+ * @param {string} fallback - Default amount
+ * @returns {number} NaN when invalid
+ */
+function parseBudget(name, fallback) {
+  const value = Number(process.env[name] || fallback);
+  return Number.isFinite(value) && value >= 0 ? value : NaN;
+}
+
+const CACHE_BACKENDS = ['memory', 'file', 'redis'];
+
+/**
+ * Parse the cache storage backend
+ * CACHE_BACKEND picks where caches live:
+ *   memory - per process (default)
+ *   file   - JSON files in CACHE_FILE_DIR (use /tmp on Vercel)
+ *   redis  - any Redis-protocol server at REDIS_URL (redis:// or rediss://)
+ * @returns {{ backend: { type: string, dir: string, url: string|null }, error: string|null }}
+ */
+function parseCacheBackend() {
+  const type = (process.env.CACHE_BACKEND || 'memory').trim().toLowerCase();
+  const backend = {
+    type,
+    dir: process.env.CACHE_FILE_DIR || '.cache',
+    url: process.env.REDIS_URL || null,
+  };
+
+  if (!CACHE_BACKENDS.includes(type)) {
+    return { backend, error: `CACHE_BACKEND must be one of ${CACHE_BACKENDS.join(', ')}` };
+  }
+
+  if (type === 'redis') {
+    let url;
+    try {
+      url = new URL(backend.url || '');
+    } catch {
+      return { backend, error: 'CACHE_BACKEND=redis needs REDIS_URL (redis://[user:password@]host:port[/db])' };
+    }
+    if (!['redis:', 'rediss:'].includes(url.protocol)) {
+      return { backend, error: 'REDIS_URL must start with redis:// or rediss://' };
+    }
+  }
+
+  return { backend, error: null };
+}
+
+const modelPricing = parseModelPricing();
+const cacheBackend = parseCacheBackend();
+
 const config = {
   // Telegram bot token (required)
   botToken: process.env.BOT_TOKEN,
@@ -18,6 +301,18 @@ const config = {
     ? process.env.ADMIN_USER_IDS.split(',').map((id) => parseInt(id.trim(), 10))
     : [],
 
+  // Chat where unanswerable questions are escalated (group or user id); null disables escalation
+  moderatorChatId: process.env.MODERATOR_CHAT_ID
+    ? parseInt(process.env.MODERATOR_CHAT_ID.trim(), 10)
+    : null,
+
+  // Helpful / not helpful buttons on AI answers
+  feedback: {
+    enabled: (process.env.FEEDBACK_BUTTONS || 'true').trim().toLowerCase() !== 'false',
+    // Remove the buttons this many minutes after the answer (0 keeps them)
+    removeAfterMinutes: parseInt(process.env.FEEDBACK_BUTTONS_MINUTES || '0', 10),
+  },
+
   // Rate limiting
   rateLimit: {
     // Max messages per user within the window
@@ -26,6 +321,17 @@ const config = {
     windowSeconds: parseInt(process.env.RATE_LIMIT_WINDOW || '60', 10),
   },
 
+  // Where caches are stored (see parseCacheBackend)
+  cacheBackend: cacheBackend.backend,
+  cacheBackendError: cacheBackend.error,
+
+  // Response cache: keyword similarity (0-1) a paraphrase needs to reuse a cached answer
+  responseCache: {
+    minSimilarity: parseFloat(process.env.CACHE_SIMILARITY_THRESHOLD || String(SEMANTIC_CACHE.MIN_SIMILARITY)),
+    // What a knowledge reload drops: "sections" (answers built from changed sections) or "all"
+    invalidation: (process.env.CACHE_INVALIDATION || 'sections').trim().toLowerCase(),
+  },
+
   // CoinGecko API configuration (optional - works without key)
   coingecko: {
     // Demo API key (free tier: 10K calls/month)
@@ -33,7 +339,7 @@ const config = {
     apiKey: process.env.COINGECKO_API_KEY || null,
   },
 
-  // OpenRouter AI configuration
+  // OpenRouter AI configuration (defaults for the model routes)
   openRouter: {
     // API key (required for AI features)
     apiKey: process.env.OPENROUTER_API_KEY,
@@ -47,10 +353,41 @@ const config = {
     timeoutMs: parseInt(process.env.OPENROUTER_TIMEOUT_MS || '30000', 10),
   },
 
+  // Ordered failover chain of OpenAI-compatible providers (see parseAIProviders)
+  aiProviders: aiProviders.providers,
+  aiProvidersError: aiProviders.error,
+
+  // A/B split between prompt variants (see parsePromptExperiment)
+  promptExperiment: promptExperiment.experiment,
+  promptExperimentError: promptExperiment.error,
+
+  // USD per 1M tokens by model (see parseModelPricing)
+  modelPricing: modelPricing.pricing,
+  modelPricingError: modelPricing.error,
+
+  // AI spend caps in USD; 0 counts as spent and disables every AI call, free models included
+  budget: {
+    dailyUsd: parseBudget('AI_DAILY_BUDGET_USD', '1'),
+    monthlyUsd: parseBudget('AI_MONTHLY_BUDGET_USD', '20'),
+  },
+
+  // Model per response class and complexity band (see parseModelRoutes)
+  modelRoutes: [],
+  modelRoutesError: null,
+
   // Environment
   nodeEnv: process.env.NODE_ENV || 'development',
 };
 
+// Routes default to the OpenRouter settings above
+const modelRoutes = parseModelRoutes(
+  config.openRouter.model,
+  config.openRouter.temperature,
+  config.openRouter.maxTokens
+);
+config.modelRoutes = modelRoutes.routes;
+config.modelRoutesError = modelRoutes.error;
+
 /**
  * Validate required configuration
  * @throws {Error} if required config is missing
@@ -63,6 +400,39 @@ export function validateConfig() {
   if (!config.botUsername) {
     throw new Error('BOT_USERNAME environment variable is required');
   }
+
+  if (config.aiProvidersError) {
+    throw new Error(config.aiProvidersError);
+  }
+
+  if (config.modelRoutesError) {
+    throw new Error(config.modelRoutesError);
+  }
+
+  if (config.promptExperimentError) {
+    throw new Error(config.promptExperimentError);
+  }
+
+  if (config.modelPricingError) {
+    throw new Error(config.modelPricingError);
+  }
+
+  if (Number.isNaN(config.budget.dailyUsd) || Number.isNaN(config.budget.monthlyUsd)) {
+    throw new Error('AI_DAILY_BUDGET_USD and AI_MONTHLY_BUDGET_USD must be non-negative numbers');
+  }
+
+  const { minSimilarity } = config.responseCache;
+  if (!(minSimilarity > 0 && minSimilarity <= 1)) {
+    throw new Error('CACHE_SIMILARITY_THRESHOLD must be greater than 0 and at most 1');
+  }
+
+  if (config.cacheBackendError) {
+    throw new Error(config.cacheBackendError);
+  }
+
+  if (!['sections', 'all'].includes(config.responseCache.invalidation)) {
+    throw new Error('CACHE_INVALIDATION must be "sections" or "all"');
+  }
 }
 
 /**
@@ -70,7 +440,7 @@ export function validateConfig() {
  * @returns {boolean}
  */
 export function isAIConfigured() {
-  return Boolean(config.openRouter.apiKey);
+  return config.aiProviders.some((p) => Boolean(p.apiKey));
 }
 
 export default config;
@@ -30,6 +30,32 @@ export const TELEGRAM_MAX_MESSAGE_LENGTH = 4096;
 export const TELEGRAM_MAX_MSG = 4096;
 export const TYPING_INTERVAL_MS = 4000;
 
+// Streaming (long AI answers are edited into a placeholder as they arrive)
+export const STREAMING = {
+  RESPONSE_CLASSES: ['PROCEDURAL'],
+  COMPLEXITY_BANDS: ['medium', 'complex'], // Longer answers of any class (see getComplexityBand)
+  PLACEHOLDER: '🌶️ Thinking…',  // English; messages.thinking in the locale packs
+  EDIT_INTERVAL_MS: 1500,        // Min gap between edits in private chats
+  GROUP_EDIT_INTERVAL_MS: 3000,  // Groups allow ~20 messages/min, edits included
+  MAX_FINAL_WAIT_MS: 5000,       // Longest we hold the final edit for a rate limit
+};
+
+// "Say MORE" continuations of compressed answers
+export const CONTINUATION = {
+  TTL_MS: 600000,     // Keep the full answer for 10 minutes
+  PART_LENGTH: 2000,  // Max chars delivered per "more"
+  MAX_ENTRIES: 500,
+  PROMPT: 'Say MORE.', // Appended while parts remain (matches the compressor's signal; messages.morePrompt in the locale packs)
+};
+
+// Follow-up memory (replies to the bot carry the previous exchange)
+export const CONVERSATION_MEMORY = {
+  TTL_MS: 1800000,        // Threads expire 30 minutes after the last answer
+  MAX_THREADS: 500,
+  MAX_TURNS: 3,           // Exchanges kept per thread
+  MAX_ANSWER_CHARS: 800,  // Older answers are trimmed before going into the prompt
+};
+
 // Cache settings
 export const CACHE_TTL = {
   FACTS: 3600000,      // 1 hour for factual responses
@@ -38,6 +64,62 @@ export const CACHE_TTL = {
 };
 export const MAX_CACHE_SIZE = 500;
 
+// Persistent cache stores (CACHE_BACKEND)
+export const CACHE_STORE = {
+  REDIS_PREFIX: 'pepperpal', // Each store is one Redis hash: pepperpal:<namespace>
+  REDIS_TIMEOUT_MS: 2000,    // A slow cache is treated as a miss, never a wait
+};
+
+// Paraphrase matching in the response cache (trigram Jaccard over query keywords)
+export const SEMANTIC_CACHE = {
+  MIN_SIMILARITY: 0.75, // Default threshold, override with CACHE_SIMILARITY_THRESHOLD
+};
+
+// FAQ retrieval (answers straight from the knowledge base, no AI)
+export const FAQ_MATCH = {
+  MIN_CONFIDENCE: 0.8, // 0-1 term overlap needed to trust an FAQ answer
+  DEGRADED_MIN_CONFIDENCE: 0.5, // Looser match accepted while the AI is unavailable
+};
+
+// Knowledge citations on AI answers
+export const CITATION = {
+  MIN_SUPPORT: 0.3, // 0-1 share of the answer's terms a section must contain
+  MIN_SHARED_TERMS: 3, // Short answers must still share this many terms
+  CHILD_SHARE: 0.8, // Cite a ### subsection if it holds this much of its parent's support
+  MAX_SOURCES: 2,
+};
+
+// Moderator escalation of low-confidence answers
+export const ESCALATION = {
+  TTL_MS: 7 * 24 * 60 * 60 * 1000, // How long a moderator can still reply
+  MAX_OPEN: 500,
+  MAX_DRAFT_LENGTH: 1500, // Draft answer shown to moderators
+  OVERRIDE_TTL_MS: 90 * 24 * 60 * 60 * 1000, // Saved moderator answers
+  MAX_OVERRIDES: 500,
+};
+
+// Reads of raw metrics_events rows
+export const ANALYTICS_QUERY = {
+  PAGE_SIZE: 1000, // Supabase's default row cap per select
+};
+
+// Knowledge-gap report (/analytics gaps)
+export const GAP_REPORT = {
+  DAYS: 7, // Period the report covers
+  MAX_EVENTS: 2000, // Most recent gap events clustered
+  MIN_SIMILARITY: 0.5, // Keyword Jaccard similarity to join a cluster
+  TOP_CLUSTERS: 10,
+  EXAMPLES: 3, // Example phrasings shown per cluster
+  MAX_QUESTION_LENGTH: 200, // Stored normalized question
+};
+
+// Helpful / not helpful buttons on AI answers
+export const FEEDBACK = {
+  TTL_MS: 7 * 24 * 60 * 60 * 1000, // How long an answer accepts votes
+  MAX_ENTRIES: 5000,
+  CALLBACK_PREFIX: 'fb', // callback_data: "fb:<up|down>:<pipelineId>"
+};
+
 // Complexity thresholds
 export const COMPLEXITY_THRESHOLDS = {
   SIMPLE: 3,   // 0-3: use fast model, may use template
@@ -65,13 +147,60 @@ export const TIMEOUTS = {
   TOTAL_RESPONSE_MS: 20000, // 20s max total
 };
 
+// AI call resilience (retries + per-provider circuit breaker)
+export const AI_RESILIENCE = {
+  MAX_RETRIES: 2,              // Retries per provider on 429/5xx/network errors
+  BASE_BACKOFF_MS: 500,        // First retry waits up to this long (full jitter)
+  MAX_BACKOFF_MS: 8000,        // Cap on any single wait, including Retry-After
+  BREAKER_THRESHOLD: 3,        // Consecutive failures before the breaker opens
+  BREAKER_COOLDOWN_MS: 60000,  // How long an open breaker skips the provider
+};
+
+// Model prices in USD per 1M tokens (override/extend with MODEL_PRICING)
+export const MODEL_PRICING = {
+  'liquid/lfm-2.5-1.2b-instruct:free': { prompt: 0, completion: 0 },
+  'google/gemma-3-4b-it:free': { prompt: 0, completion: 0 },
+};
+
+// Models missing from the pricing table are assumed to be expensive,
+// so switching to a paid model without pricing it trips the budget early
+export const UNKNOWN_MODEL_PRICING = { prompt: 10, completion: 30 };
+
+// AI spend cap (budgets themselves are configured in USD, see config.budget)
+export const BUDGET = {
+  ECONOMY_RATIO: 0.8,   // Share of a budget spent before switching to the cheaper model
+  LOCAL_RATIO: 0.95,    // Share spent before answering from FAQ/templates only
+};
+
+// LLM fallback for queries the keyword rules are unsure about
+export const LLM_CLASSIFICATION = {
+  MIN_CONFIDENCE: 0.6,     // Rule verdicts below this are checked by the LLM
+  MAX_TOKENS: 120,         // Verdict is a small JSON object
+  TIMEOUT_MS: 5000,        // Classification must not hold up the answer
+  CACHE_TTL_MS: 3600000,   // 1 hour per normalized query
+  MAX_ENTRIES: 1000,
+};
+
+// Prompt-injection detection (src/safety/injectionDetector.js)
+export const INJECTION = {
+  THRESHOLD: 1,            // Score at which a message is treated as adversarial
+  OBFUSCATION_WEIGHT: 0.5, // Per obfuscation trick; never enough on its own
+  MIN_BASE64_LENGTH: 16,   // Shorter runs are words, not payloads
+};
+
+// Admin-managed refusal rules (/rules)
+export const RUNTIME_RULES = {
+  TTL_MS: 10 * 365 * 24 * 60 * 60 * 1000, // Kept until removed
+  MAX_RULES: 200,
+  MAX_PATTERN_LENGTH: 200,
+  REFRESH_MS: 60000,  // Shared (Redis) stores: pick up other instances' changes
+  CATEGORY: 'CUSTOM',
+};
+
 // Intent detection keywords
 export const INTENT_KEYWORDS = {
   GREETING: ['hi', 'hello', 'hey', 'gm', 'good morning', 'good evening', 'sup', 'yo'],
   CLOSING: ['thanks', 'thank you', 'thx', 'ok', 'okay', 'got it', 'cool', 'bye', 'goodbye'],
-  FORBIDDEN_INVESTMENT: ['should i buy', 'should i sell', 'should i invest', 'is it worth', 'good investment'],
-  FORBIDDEN_PRICE: ['price prediction', 'price target', 'will price', 'when moon', 'wen moon', 'price go up', 'price go down'],
-  FORBIDDEN_SENTIMENT: ['bullish', 'bearish', 'pump', 'dump', 'moon', 'lambo', 'wen lambo'],
   PROCEDURAL: ['how to', 'how do i', 'step by step', 'guide', 'tutorial', 'set up', 'setup'],
 };
 
@@ -90,16 +219,52 @@ export const VERIFIED_FACTS = {
   AUDITOR: 'Halborn',
 };
 
+// Reply languages (templates in src/templates/locales, English is the fallback)
+export const LANGUAGES = {
+  DEFAULT: 'en',
+  NAMES: {
+    en: 'English',
+    tr: 'Turkish',
+    es: 'Spanish',
+  },
+  HINT_WEIGHT: 0.5, // Telegram language_code breaks ties, never outvotes the text
+};
+
+// Exchanges where PEPPER is actually listed (see knowledge: "How to Buy")
+export const VERIFIED_EXCHANGES = [
+  'FanX', 'Kewl', 'Diviswap',                     // DEX
+  'MEXC', 'CoinEx', 'Bitrue', 'Cube', 'Paribu',   // CEX
+];
+
 export default {
   CHAR_BUDGETS,
   HARD_CHAR_LIMIT,
   SOFT_CHAR_LIMIT,
   SPLIT_THRESHOLD,
+  STREAMING,
+  CONTINUATION,
+  CONVERSATION_MEMORY,
   CACHE_TTL,
+  CACHE_STORE,
+  SEMANTIC_CACHE,
+  FAQ_MATCH,
+  CITATION,
+  ESCALATION,
+  GAP_REPORT,
+  FEEDBACK,
   COMPLEXITY_THRESHOLDS,
   LENGTH_BUCKETS,
   MODELS,
   TIMEOUTS,
+  AI_RESILIENCE,
+  MODEL_PRICING,
+  UNKNOWN_MODEL_PRICING,
+  BUDGET,
+  LLM_CLASSIFICATION,
+  INJECTION,
+  RUNTIME_RULES,
   INTENT_KEYWORDS,
   VERIFIED_FACTS,
+  VERIFIED_EXCHANGES,
+  LANGUAGES,
 };
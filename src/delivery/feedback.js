@@ -0,0 +1,138 @@
+/**
+ * Answer Feedback
+ * 👍/👎 buttons under AI answers. Each answer is registered under its
+ * pipeline id with what produced it (strategy, model, prompt variant), so
+ * a vote can be attributed; each user votes once per answer.
+ * Registrations live in the cache store (CACHE_BACKEND).
+ */
+
+import config from '../config.js';
+import { FEEDBACK } from '../constants.js';
+import { createStore } from '../cache/store.js';
+import { localize } from '../templates/localize.js';
+import logger from '../utils/logger.js';
+
+/**
+ * @typedef {Object} FeedbackContext
+ * @property {string} pipelineId
+ * @property {string} strategy - Generation strategy (generate, cache, ...)
+ * @property {string|null} model - Model that wrote the answer (null when served from cache)
+ * @property {string} promptVariant - Prompt id ("name@version")
+ * @property {string|null} experiment - Prompt experiment, if any
+ * @property {string|null} language - Language code of the answer
+ */
+
+/**
+ * @typedef {FeedbackContext & { votes: Object<string, 'up'|'down'> }} FeedbackRecord
+ */
+
+const VOTES = ['up', 'down'];
+
+const CALLBACK_PATTERN = new RegExp(`^${FEEDBACK.CALLBACK_PREFIX}:(up|down):(.+)$`);
+
+const answers = createStore('feedback', { maxEntries: FEEDBACK.MAX_ENTRIES });
+
+/**
+ * Whether answers get feedback buttons
+ * @returns {boolean}
+ */
+export function isFeedbackEnabled() {
+  return config.feedback.enabled;
+}
+
+/**
+ * Inline keyboard with the two feedback buttons
+ * @param {string} pipelineId
+ * @param {string|null} [language]
+ * @returns {{ inline_keyboard: Array<Array<{ text: string, callback_data: string }>> }}
+ */
+export function feedbackKeyboard(pipelineId, language = null) {
+  return {
+    inline_keyboard: [[
+      { text: localize(language, 'feedback.helpful', '👍 Helpful'), callback_data: `${FEEDBACK.CALLBACK_PREFIX}:up:${pipelineId}` },
+      { text: localize(language, 'feedback.notHelpful', '👎 Not helpful'), callback_data: `${FEEDBACK.CALLBACK_PREFIX}:down:${pipelineId}` },
+    ]],
+  };
+}
+
+/**
+ * Read a feedback button press
+ * @param {string} data - callback_data
+ * @returns {{ vote: 'up'|'down', pipelineId: string }|null}
+ */
+export function parseFeedbackData(data) {
+  const match = (data || '').match(CALLBACK_PATTERN);
+  return match ? { vote: match[1], pipelineId: match[2] } : null;
+}
+
+/**
+ * Register an answer so votes on it can be attributed
+ * @param {FeedbackContext} context
+ * @returns {Promise<void>}
+ */
+export async function registerAnswer(context) {
+  await answers.set(context.pipelineId, { ...context, votes: {} }, FEEDBACK.TTL_MS);
+}
+
+/**
+ * Record a user's vote on an answer
+ * @param {string} pipelineId
+ * @param {number} userId
+ * @param {'up'|'down'} vote
+ * @returns {Promise<{ status: 'recorded'|'duplicate'|'expired', record?: FeedbackRecord }>}
+ */
+export async function recordVote(pipelineId, userId, vote) {
+  if (!VOTES.includes(vote)) {
+    return { status: 'expired' };
+  }
+
+  const record = await answers.get(pipelineId);
+  if (!record) {
+    return { status: 'expired' };
+  }
+
+  if (record.votes[userId]) {
+    return { status: 'duplicate', record };
+  }
+
+  record.votes[userId] = vote;
+  await answers.set(pipelineId, record, FEEDBACK.TTL_MS);
+
+  return { status: 'recorded', record };
+}
+
+/**
+ * Remove an answer's buttons after config.feedback.removeAfterMinutes
+ * The timer lives in this process; a restart leaves the buttons in place.
+ * @param {Object} telegram - Telegraf telegram instance
+ * @param {number} chatId
+ * @param {number|undefined} messageId
+ */
+export function scheduleButtonRemoval(telegram, chatId, messageId) {
+  const minutes = config.feedback.removeAfterMinutes;
+  if (!minutes || minutes <= 0 || !messageId) return;
+
+  const timer = setTimeout(() => {
+    telegram.editMessageReplyMarkup(chatId, messageId, undefined, { inline_keyboard: [] })
+      .catch(err => logger.debug('Failed to remove feedback buttons', { chatId, messageId, error: err.message }));
+  }, minutes * 60 * 1000);
+  timer.unref();
+}
+
+/**
+ * Remove every registration (tests)
+ * @returns {Promise<void>}
+ */
+export async function clearFeedback() {
+  await answers.clear();
+}
+
+export default {
+  isFeedbackEnabled,
+  feedbackKeyboard,
+  parseFeedbackData,
+  registerAnswer,
+  recordVote,
+  scheduleButtonRemoval,
+  clearFeedback,
+};
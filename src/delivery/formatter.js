@@ -7,6 +7,7 @@
 
 import { VERIFIED_FACTS } from '../constants.js';
 import { stripAllUrls, detectRelevantLinks, appendVerifiedLinks } from '../knowledge/verifiedLinks.js';
+import { formatCitation } from '../knowledge/citations.js';
 import logger from '../utils/logger.js';
 
 /**
@@ -39,6 +40,29 @@ export function format(text, query = '') {
   return formatted.trim();
 }
 
+/**
+ * Format a partial (still streaming) AI response
+ * Same cleanup as format() so unverified URLs never show, but no links
+ * are appended until the final text is known.
+ * @param {string} text - Partial AI response
+ * @returns {string}
+ */
+export function formatPartial(text) {
+  return cleanWhitespace(stripAllUrls(stripMarkdown(text || ''))).trim();
+}
+
+/**
+ * Append the knowledge sections an answer is based on
+ * "Source: FAQ › Governance and Staking (kb v1.0.0)"
+ * @param {string} text - Formatted response
+ * @param {string[]} [sources] - Supporting section slugs
+ * @returns {string}
+ */
+export function appendCitation(text, sources = []) {
+  const citation = formatCitation(sources);
+  return citation ? `${text}\n\n${citation}` : text;
+}
+
 /**
  * Strip all markdown formatting
  * @param {string} text
@@ -111,4 +135,4 @@ export function ensureFacts(text, requiredFacts = []) {
   return result;
 }
 
-export default { format, ensureFacts };
+export default { format, formatPartial, appendCitation, ensureFacts };
@@ -0,0 +1,168 @@
+/**
+ * Streaming Reply
+ * Posts a placeholder reply and edits it as AI text streams in.
+ * Edits are throttled per chat type and back off on Telegram 429s.
+ */
+
+import { STREAMING, TELEGRAM_MAX_MESSAGE_LENGTH } from '../constants.js';
+import { formatPartial } from './formatter.js';
+import logger from '../utils/logger.js';
+
+/**
+ * @typedef {Object} StreamingReply
+ * @property {() => Promise<void>} start - Post the placeholder reply
+ * @property {(text: string) => void} update - Queue a throttled edit with the text so far
+ * @property {(text: string, extra?: Object) => Promise<boolean>} finish - Final edit; false if it could not be applied
+ * @property {() => Promise<void>} discard - Delete the placeholder (when the final edit failed)
+ * @property {() => boolean} isActive - Whether a placeholder was posted
+ * @property {() => number|null} getMessageId - Placeholder message ID
+ */
+
+/**
+ * Create a streaming reply for the current message
+ * @param {Object} ctx - Telegraf context
+ * @param {Object} [options]
+ * @param {string} [options.placeholder] - Text shown until the answer arrives (localized by the caller)
+ * @returns {StreamingReply}
+ */
+export function createStreamingReply(ctx, { placeholder = STREAMING.PLACEHOLDER } = {}) {
+  const intervalMs = ctx.chat?.type === 'private'
+    ? STREAMING.EDIT_INTERVAL_MS
+    : STREAMING.GROUP_EDIT_INTERVAL_MS;
+
+  let messageId = null;
+  let lastSentText = '';
+  let pendingText = null;
+  let nextEditAt = 0;
+  let timer = null;
+  let inFlight = null;
+  let finished = false;
+
+  /**
+   * Edit the placeholder, respecting Telegram rate limits
+   * @param {string} text
+   * @param {Object} [extra]
+   * @returns {Promise<boolean>}
+   */
+  const edit = async (text, extra = {}) => {
+    const trimmed = text.length > TELEGRAM_MAX_MESSAGE_LENGTH
+      ? `${text.substring(0, TELEGRAM_MAX_MESSAGE_LENGTH - 1)}…`
+      : text;
+
+    // Same text still needs the edit when it adds buttons
+    if (!trimmed || (trimmed === lastSentText && !extra.reply_markup)) return true;
+
+    try {
+      await ctx.telegram.editMessageText(ctx.chat.id, messageId, undefined, trimmed, {
+        disable_web_page_preview: true,
+        ...extra,
+      });
+      lastSentText = trimmed;
+      nextEditAt = Date.now() + intervalMs;
+      return true;
+    } catch (err) {
+      const retryAfter = err.parameters?.retry_after;
+      if (retryAfter) {
+        nextEditAt = Date.now() + retryAfter * 1000;
+        logger.warn('Streaming edit rate limited', { retryAfterSeconds: retryAfter });
+        return false;
+      }
+
+      if (/message is not modified/i.test(err.description || err.message)) {
+        return true;
+      }
+
+      logger.debug('Streaming edit failed', { error: err.message });
+      return false;
+    }
+  };
+
+  const flush = async () => {
+    timer = null;
+    if (finished || pendingText === null) return;
+
+    const text = pendingText;
+    pendingText = null;
+    inFlight = edit(text);
+    await inFlight;
+    inFlight = null;
+
+    if (pendingText !== null) schedule();
+  };
+
+  const schedule = () => {
+    if (timer || inFlight || finished) return;
+    timer = setTimeout(flush, Math.max(0, nextEditAt - Date.now()));
+  };
+
+  return {
+    async start() {
+      if (messageId || finished) return;
+
+      try {
+        const message = await ctx.reply(placeholder, {
+          reply_to_message_id: ctx.message?.message_id,
+          disable_web_page_preview: true,
+        });
+        messageId = message.message_id;
+        lastSentText = placeholder;
+        nextEditAt = Date.now() + intervalMs;
+      } catch (err) {
+        // No placeholder: the handler falls back to a normal reply
+        logger.warn('Failed to post streaming placeholder', { error: err.message });
+      }
+    },
+
+    update(text) {
+      if (!messageId || finished) return;
+
+      const partial = formatPartial(text);
+      if (!partial) return;
+
+      pendingText = partial;
+      schedule();
+    },
+
+    async finish(text, extra = {}) {
+      finished = true;
+      if (timer) {
+        clearTimeout(timer);
+        timer = null;
+      }
+      if (inFlight) await inFlight;
+      if (!messageId) return false;
+
+      const waitMs = nextEditAt - Date.now();
+      if (waitMs > STREAMING.MAX_FINAL_WAIT_MS) {
+        logger.warn('Final streaming edit blocked by rate limit', { waitMs });
+        return false;
+      }
+      if (waitMs > 0) {
+        await new Promise(resolve => setTimeout(resolve, waitMs));
+      }
+
+      return edit(text, extra);
+    },
+
+    async discard() {
+      if (!messageId) return;
+
+      try {
+        await ctx.telegram.deleteMessage(ctx.chat.id, messageId);
+      } catch (err) {
+        logger.debug('Failed to delete streaming placeholder', { error: err.message });
+      }
+      messageId = null;
+    },
+
+    isActive() {
+      return messageId !== null;
+    },
+
+    getMessageId() {
+      return messageId;
+    },
+  };
+}
+
+export default { createStreamingReply };
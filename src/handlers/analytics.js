@@ -13,6 +13,8 @@ import {
   checkAlerts,
   formatTelegramSummary,
   formatWeeklySummary,
+  getKnowledgeGaps,
+  formatGapReport,
 } from '../analytics/index.js';
 
 /**
@@ -22,6 +24,7 @@ import {
  *   /analytics week   - Weekly summary
  *   /analytics errors - Recent errors
  *   /analytics alerts - Check for alerts
+ *   /analytics gaps   - Questions the bot couldn't answer well, clustered
  */
 export async function analyticsHandler(ctx) {
   // Admin check
@@ -100,6 +103,12 @@ export async function analyticsHandler(ctx) {
         break;
       }
 
+      case 'gaps': {
+        const gaps = await getKnowledgeGaps();
+        await ctx.reply(formatGapReport(gaps), { parse_mode: 'Markdown' });
+        break;
+      }
+
       case 'help': {
         await ctx.reply(
           '📊 *Analytics Commands*\n\n' +
@@ -107,6 +116,7 @@ export async function analyticsHandler(ctx) {
           '`/analytics week` - Weekly summary\n' +
           '`/analytics errors` - Recent errors\n' +
           '`/analytics alerts` - Check for alerts\n' +
+          '`/analytics gaps` - Questions the bot couldn\'t answer well\n' +
           '`/analytics help` - This message',
           { parse_mode: 'Markdown' }
         );
@@ -0,0 +1,69 @@
+/**
+ * Handler: Answer Feedback
+ * Records 👍/👎 button presses on AI answers (see delivery/feedback.js)
+ */
+
+import logger from '../utils/logger.js';
+import { parseFeedbackData, recordVote } from '../delivery/feedback.js';
+import { trackFeedback } from '../analytics/index.js';
+import { getUserLanguage } from '../pipeline/language.js';
+import { localize } from '../templates/localize.js';
+
+/**
+ * Handle a feedback button press
+ * @param {Object} ctx - Telegraf context (callback_query)
+ */
+export async function feedbackHandler(ctx) {
+  const parsed = parseFeedbackData(ctx.callbackQuery?.data);
+  const language = getUserLanguage(ctx);
+
+  if (!parsed || !ctx.from?.id) {
+    await answer(ctx, localize(language, 'feedback.expired', 'This answer can no longer be rated.'));
+    return;
+  }
+
+  const { status, record } = await recordVote(parsed.pipelineId, ctx.from.id, parsed.vote);
+
+  if (status === 'expired') {
+    await answer(ctx, localize(language, 'feedback.expired', 'This answer can no longer be rated.'));
+    return;
+  }
+
+  if (status === 'duplicate') {
+    await answer(ctx, localize(language, 'feedback.duplicate', 'You already rated this answer.'));
+    return;
+  }
+
+  trackFeedback({
+    helpful: parsed.vote === 'up',
+    pipelineId: record.pipelineId,
+    strategy: record.strategy,
+    model: record.model,
+    promptVariant: record.promptVariant,
+    experiment: record.experiment,
+    chatId: ctx.chat?.id,
+  });
+
+  logger.info('Answer feedback', {
+    pipelineId: record.pipelineId,
+    vote: parsed.vote,
+    promptVariant: record.promptVariant,
+  });
+
+  await answer(ctx, localize(language, 'feedback.thanks', 'Thanks for the feedback!'));
+}
+
+/**
+ * Answer the callback query (stops the button's loading spinner)
+ * @param {Object} ctx - Telegraf context
+ * @param {string} text - Toast shown to the user
+ */
+async function answer(ctx, text) {
+  try {
+    await ctx.answerCbQuery(text);
+  } catch (err) {
+    logger.warn('Failed to answer feedback callback', { error: err.message });
+  }
+}
+
+export default feedbackHandler;
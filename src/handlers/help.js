@@ -1,14 +1,16 @@
 import logger from '../utils/logger.js';
 import config from '../config.js';
+import { getUserLanguage } from '../pipeline/language.js';
+import { localize } from '../templates/localize.js';
 
 /**
- * Handler: /help command
- * Explains how to use Pepper Pal and lists available commands.
+ * English help message
+ * @param {Object} params
+ * @param {boolean} params.isGroup
+ * @param {string} params.botUsername
+ * @returns {string}
  */
-export async function helpHandler(ctx) {
-  const chatType = ctx.chat?.type;
-  const isGroup = chatType === 'group' || chatType === 'supergroup';
-
+function englishHelp({ isGroup, botUsername }) {
   let message = `Pepper Pal - Help
 
 Commands:
@@ -28,7 +30,7 @@ Examples:
 
 In groups:
 - Use /ask followed by your question
-- Or mention @${config.botUsername} with your question`;
+- Or mention @${botUsername} with your question`;
   }
 
   message += `
@@ -51,6 +53,20 @@ Official Resources:
 - Twitter: x.com/PepperChain
 - Telegram: t.me/officialpeppercoin`;
 
+  return message;
+}
+
+/**
+ * Handler: /help command
+ * Explains how to use Pepper Pal and lists available commands, in the user's language.
+ */
+export async function helpHandler(ctx) {
+  const chatType = ctx.chat?.type;
+  const isGroup = chatType === 'group' || chatType === 'supergroup';
+
+  const render = localize(getUserLanguage(ctx), 'help', englishHelp);
+  const message = render({ isGroup, botUsername: config.botUsername });
+
   try {
     await ctx.reply(message);
     logger.info('Help command handled', {
@@ -7,8 +7,27 @@ import logger from '../utils/logger.js';
 import { process } from '../pipeline/index.js';
 import { send, sendError } from '../delivery/sender.js';
 import { withTyping } from '../delivery/typing.js';
+import { createStreamingReply } from '../delivery/streamer.js';
 import { isDuplicate } from '../safety/duplicateGuard.js';
+import {
+  isMoreRequest,
+  saveContinuation,
+  trackContinuationMessage,
+  takeNextPart,
+} from '../cache/continuationStore.js';
+import { recordExchange } from '../cache/conversationMemory.js';
+import { escalate } from '../admin/escalation.js';
+import {
+  isFeedbackEnabled,
+  feedbackKeyboard,
+  registerAnswer,
+  scheduleButtonRemoval,
+} from '../delivery/feedback.js';
+import { trackError } from '../analytics/index.js';
+import { CONTINUATION, STREAMING } from '../constants.js';
 import { isKnowledgeAvailable } from '../knowledge/loader.js';
+import { getUserLanguage, detectLanguage } from '../pipeline/language.js';
+import { localize } from '../templates/localize.js';
 import {
   recordQuestion,
   recordAnswer,
@@ -17,6 +36,9 @@ import {
 } from '../monitoring/stats.js';
 import config from '../config.js';
 
+// Plans that refuse instead of answering
+const REFUSAL_INTENTS = new Set(['forbidden', 'adversarial']);
+
 /**
  * Pipeline-based message handler
  * Handles all text messages through the classification → generation → validation pipeline
@@ -28,6 +50,8 @@ export async function pipelineHandler(ctx) {
   const chatType = ctx.chat?.type;
   const isPrivate = chatType === 'private';
   const rawText = ctx.message?.text || '';
+  // Same detection as the pipeline, for the replies sent from here
+  const language = detectLanguage(rawText, ctx.from?.language_code);
   
   // Ignore unknown commands (e.g., /report, /unknown)
   // Only process text that doesn't start with / or is a valid mention
@@ -45,7 +69,17 @@ export async function pipelineHandler(ctx) {
       chatType,
     });
     
-    await sendError(ctx, 'I am temporarily unable to access my knowledge base. Please try again later.');
+    // Logged for the knowledge-gap report
+    trackError({
+      errorType: 'knowledge_unavailable',
+      message: 'Knowledge base unavailable',
+      stage: 'handler',
+      gapReason: 'knowledge_unavailable',
+      question: rawText,
+      chatId,
+    });
+    
+    await sendError(ctx, localize(language, 'messages.knowledgeUnavailable', 'I am temporarily unable to access my knowledge base. Please try again later.'));
     return;
   }
   
@@ -53,9 +87,15 @@ export async function pipelineHandler(ctx) {
   const botMention = `@${config.botUsername}`;
   const question = rawText.replace(new RegExp(botMention, 'gi'), '').trim();
   
+  // "more" continues a compressed answer (checked before the duplicate guard)
+  if (isMoreRequest(question)) {
+    await sendContinuation(ctx, language);
+    return;
+  }
+  
   // If no actual question, send friendly prompt
   if (question.length < 2) {
-    await send(ctx, "Hey! What would you like to know about Peppercoin? 🌶️");
+    await send(ctx, localize(language, 'messages.emptyQuestion', 'Hey! What would you like to know about Peppercoin? 🌶️'));
     return;
   }
   
@@ -75,9 +115,14 @@ export async function pipelineHandler(ctx) {
   });
   
   try {
+    // Long AI answers are streamed into a placeholder reply
+    const stream = createStreamingReply(ctx, {
+      placeholder: localize(language, 'messages.thinking', STREAMING.PLACEHOLDER),
+    });
+    
     // Process through pipeline with typing indicator
     const deliveryPlan = await withTyping(ctx, async () => {
-      return await process(ctx);
+      return await process(ctx, { stream });
     });
     
     // Log performance
@@ -89,16 +134,36 @@ export async function pipelineHandler(ctx) {
     // Ensure message is a string (handle edge cases)
     const messageText = Array.isArray(deliveryPlan.message) 
       ? deliveryPlan.message.join('\n\n')
-      : String(deliveryPlan.message || 'Sorry, I could not generate a response.');
+      : String(deliveryPlan.message || localize(language, 'messages.generationError', 'Sorry, I could not generate a response.'));
+    
+    // 👍/👎 buttons under AI answers
+    const feedbackMarkup = await prepareFeedback(deliveryPlan);
+    
+    // Streamed: the final, validated text replaces the placeholder
+    if (stream.isActive()) {
+      const edited = await stream.finish(messageText, { parse_mode: deliveryPlan.parseMode, ...feedbackMarkup });
+      if (edited) {
+        rememberDelivery(ctx, question, messageText, deliveryPlan, stream.getMessageId());
+        recordAnswer();
+        if (feedbackMarkup.reply_markup) scheduleButtonRemoval(ctx.telegram, chatId, stream.getMessageId());
+        await escalateIfNeeded(ctx, deliveryPlan);
+        return;
+      }
+      await stream.discard();
+    }
     
     // Send single message with HTML parse mode
-    await ctx.reply(messageText, {
+    const sent = await ctx.reply(messageText, {
       parse_mode: deliveryPlan.parseMode,
       reply_to_message_id: ctx.message?.message_id,
       disable_web_page_preview: true, // Prevent link previews cluttering chat
+      ...feedbackMarkup,
     });
     
+    rememberDelivery(ctx, question, messageText, deliveryPlan, sent?.message_id);
     recordAnswer();
+    if (feedbackMarkup.reply_markup) scheduleButtonRemoval(ctx.telegram, chatId, sent?.message_id);
+    await escalateIfNeeded(ctx, deliveryPlan);
     
   } catch (error) {
     logger.error('Pipeline handler error', {
@@ -108,7 +173,121 @@ export async function pipelineHandler(ctx) {
     });
     
     recordFallback();
-    await sendError(ctx);
+    await sendError(ctx, localize(language, 'messages.pipelineError', 'Sorry, I encountered an issue. Please try again or type /start to restart.'));
+  }
+}
+
+/**
+ * Remember a delivered answer for follow-ups and "more"
+ * @param {Object} ctx - Telegraf context
+ * @param {string} question - Question without the bot mention
+ * @param {string} answer - Delivered text
+ * @param {import('../types/index.js').DeliveryPlan} deliveryPlan
+ * @param {number|undefined} messageId - Bot message that was delivered
+ */
+function rememberDelivery(ctx, question, answer, deliveryPlan, messageId) {
+  const userId = ctx.from?.id;
+  const chatId = ctx.chat?.id;
+  
+  // Refusals and fallbacks would become history for the next answer and keep it out of the cache
+  if (!deliveryPlan.fallback && !REFUSAL_INTENTS.has(deliveryPlan.intent)) {
+    recordExchange({
+      chatId,
+      userId,
+      replyToMessageId: ctx.message?.reply_to_message?.message_id,
+      botMessageId: messageId,
+      question,
+      answer,
+    });
+  }
+  
+  if (deliveryPlan.continuation) {
+    saveContinuation(userId, chatId, deliveryPlan.continuation);
+    trackContinuationMessage(userId, chatId, messageId);
+  }
+}
+
+/**
+ * Register an AI answer for feedback and build its buttons
+ * Answers that can't be registered are sent without buttons.
+ * @param {import('../types/index.js').DeliveryPlan} deliveryPlan
+ * @returns {Promise<{ reply_markup?: Object }>} Extra reply options
+ */
+async function prepareFeedback(deliveryPlan) {
+  if (!deliveryPlan.feedback || !isFeedbackEnabled()) return {};
+  
+  try {
+    await registerAnswer(deliveryPlan.feedback);
+    return { reply_markup: feedbackKeyboard(deliveryPlan.feedback.pipelineId, deliveryPlan.feedback.language) };
+  } catch (error) {
+    logger.warn('Failed to register answer for feedback', { error: error.message });
+    return {};
+  }
+}
+
+/**
+ * Send a low-confidence question to the moderator chat
+ * The user already has their answer, so failures are only logged; the
+ * user is told a moderator will follow up only once the moderators have it.
+ * @param {Object} ctx - Telegraf context
+ * @param {import('../types/index.js').DeliveryPlan} deliveryPlan
+ */
+async function escalateIfNeeded(ctx, deliveryPlan) {
+  if (!deliveryPlan.escalation) return;
+  
+  let escalated = false;
+  try {
+    escalated = await escalate(ctx, deliveryPlan.escalation);
+  } catch (error) {
+    logger.warn('Escalation failed', { error: error.message });
+  }
+  if (!escalated) return;
+  
+  await send(ctx, localize(
+    deliveryPlan.escalation.language,
+    'messages.escalated',
+    "I've also passed your question to a moderator; their answer will appear here."
+  ), { reply: true, replyToMessageId: ctx.message?.message_id });
+}
+
+/**
+ * Deliver the next part of a compressed answer
+ * @param {Object} ctx - Telegraf context
+ * @param {string} language - Language code for the bot's own wording
+ */
+async function sendContinuation(ctx, language) {
+  const chatId = ctx.chat?.id;
+  const next = takeNextPart({
+    userId: ctx.from?.id,
+    chatId,
+    replyToMessageId: ctx.message?.reply_to_message?.message_id,
+  });
+  
+  if (!next) {
+    await send(ctx, localize(language, 'messages.noContinuation', "There's nothing more to show right now. Ask me anything about Peppercoin! 🌶️"));
+    return;
+  }
+  
+  logger.info('Delivering continuation', { userId: ctx.from?.id, hasMore: next.hasMore });
+  
+  const prompt = localize(language, 'messages.morePrompt', CONTINUATION.PROMPT);
+  const text = next.hasMore ? `${next.text}\n\n${prompt}` : next.text;
+  
+  try {
+    const sent = await ctx.reply(text, {
+      reply_to_message_id: ctx.message?.message_id,
+      disable_web_page_preview: true,
+    });
+    
+    // Replying "more" to this part continues the same answer
+    if (next.hasMore) {
+      trackContinuationMessage(next.userId, chatId, sent?.message_id);
+    }
+    
+    recordAnswer();
+  } catch (error) {
+    logger.error('Failed to send continuation', { error: error.message });
+    await sendError(ctx, localize(language, 'messages.pipelineError', 'Sorry, I encountered an issue. Please try again or type /start to restart.'));
   }
 }
 
@@ -122,7 +301,7 @@ export async function pipelineAskHandler(ctx) {
   
   // Check if question was provided
   if (!question) {
-    await send(ctx, 'Please provide a question after /ask.\n\nExample: /ask What is Peppercoin?');
+    await send(ctx, localize(getUserLanguage(ctx), 'messages.askUsage', 'Please provide a question after /ask.\n\nExample: /ask What is Peppercoin?'));
     return;
   }
   
@@ -1,11 +1,25 @@
 import logger from '../utils/logger.js';
 import config from '../config.js';
+import { getUserLanguage } from '../pipeline/language.js';
+import { localize } from '../templates/localize.js';
 
 /**
  * Quick Commands - Static responses for instant information
  * These bypass AI processing for fast, direct answers
  */
 
+/**
+ * Reply with a command's text in the user's language
+ * @param {Object} ctx - Telegraf context
+ * @param {string} command - Key under "commands" in the template packs
+ * @param {string} english - English text (fallback)
+ * @param {Object} [extra] - Telegram send options
+ * @returns {Promise}
+ */
+function replyLocalized(ctx, command, english, extra) {
+  return ctx.reply(localize(getUserLanguage(ctx), `commands.${command}`, english), extra);
+}
+
 export async function debugHandler(ctx) {
   try {
     await ctx.reply(`Bot Username: ${config.botUsername}\nChat Type: ${ctx.chat?.type}\nMessage: ${ctx.message?.text}`);
@@ -26,7 +40,7 @@ export async function websiteHandler(ctx) {
 
 export async function contractHandler(ctx) {
   try {
-    await ctx.reply(
+    await replyLocalized(ctx, 'contract',
       'PEPPER Contract Address:\n' +
       '`0x60F397acBCfB8f4e3234C659A3E10867e6fA6b67`\n\n' +
       'Network: Chiliz Chain (88888)',
@@ -40,7 +54,7 @@ export async function contractHandler(ctx) {
 
 export async function buyHandler(ctx) {
   try {
-    await ctx.reply(
+    await replyLocalized(ctx, 'buy',
       'How to Buy PEPPER:\n\n' +
       '🟢 Decentralized:\n' +
       '• FanX DEX: https://app.fanx.xyz\n\n' +
@@ -60,7 +74,7 @@ export async function buyHandler(ctx) {
 
 export async function stakeHandler(ctx) {
   try {
-    await ctx.reply(
+    await replyLocalized(ctx, 'stake',
       'Staking PEPPER:\n\n' +
       'Stake your PEPPER tokens to earn rewards and participate in governance.\n\n' +
       '📊 Current Stats:\n' +
@@ -76,7 +90,7 @@ export async function stakeHandler(ctx) {
 
 export async function governanceHandler(ctx) {
   try {
-    await ctx.reply(
+    await replyLocalized(ctx, 'governance',
       'Pepper Inc - Community Governance:\n\n' +
       'Stake PEPPER to vote on proposals and shape the future of Peppercoin.\n\n' +
       '🗳️ https://www.peppercoin.com/pepper-inc'
@@ -116,7 +130,7 @@ export async function coingeckoHandler(ctx) {
 
 export async function explorerHandler(ctx) {
   try {
-    await ctx.reply(
+    await replyLocalized(ctx, 'explorer',
       'Chiliz Chain Explorer:\n' +
       'https://chiliscan.com\n\n' +
       'View PEPPER transactions and holder data.'
@@ -129,7 +143,7 @@ export async function explorerHandler(ctx) {
 
 export async function chainHandler(ctx) {
   try {
-    await ctx.reply(
+    await replyLocalized(ctx, 'chain',
       'Chiliz Chain Details:\n\n' +
       '• Chain ID: 88888\n' +
       '• RPC: https://rpc.chiliz.com\n' +
@@ -145,7 +159,7 @@ export async function chainHandler(ctx) {
 
 export async function linksHandler(ctx) {
   try {
-    await ctx.reply(
+    await replyLocalized(ctx, 'links',
       'Official Peppercoin Links:\n\n' +
       '🌐 Website: https://www.peppercoin.com\n' +
       '🐦 Twitter: https://x.com/PepperChain\n' +
@@ -165,7 +179,7 @@ export async function linksHandler(ctx) {
 
 export async function tokenomicsHandler(ctx) {
   try {
-    await ctx.reply(
+    await replyLocalized(ctx, 'tokenomics',
       'PEPPER Tokenomics:\n\n' +
       '📊 Max Supply: 8,888,888,888,000,000\n' +
       '🔥 Burning: No token burning\n' +
@@ -181,7 +195,7 @@ export async function tokenomicsHandler(ctx) {
 
 export async function cexHandler(ctx) {
   try {
-    await ctx.reply(
+    await replyLocalized(ctx, 'cex',
       '🏛 Centralized Exchange Listings:\n\n' +
       '• MEXC: https://www.mexc.com/exchange/PEPPER_USDT\n' +
       '• CoinEx: https://www.coinex.com/en/exchange/PEPPER-USDT\n' +
@@ -198,7 +212,7 @@ export async function cexHandler(ctx) {
 
 export async function dexHandler(ctx) {
   try {
-    await ctx.reply(
+    await replyLocalized(ctx, 'dex',
       '🔄 Decentralized Exchange Listings:\n\n' +
       '• FanX Protocol: https://app.fanx.xyz (PEPPER/WCHZ)\n' +
       '• Kewl: https://kewl.exchange/ (PEPPER/WCHZ)\n' +
@@ -0,0 +1,140 @@
+/**
+ * Rules Command Handler
+ * Admin-only management of runtime refusal rules
+ */
+
+import { isAdmin } from '../admin/adminCheck.js';
+import { listRules, addRule, removeRule, isPersistent } from '../safety/runtimeRules.js';
+import { matchInput, findBlocking } from '../safety/policy.js';
+import logger from '../utils/logger.js';
+
+const USAGE = `Usage:
+/rules list - Show admin rules
+/rules add [phrase|word|regex] <pattern> | <refusal text> - Refuse matching questions
+/rules remove <id> - Delete a rule
+/rules test <text> - Show which rule would fire
+
+Example:
+/rules add airdrop claim | There is no PEPPER airdrop. Never connect your wallet to "claim" sites.`;
+
+/**
+ * Describe a stored rule in one line
+ * @param {import('../safety/runtimeRules.js').RuntimeRule} rule
+ * @returns {string}
+ */
+function formatRule(rule) {
+  const refusal = rule.text ? `"${rule.text}"` : 'generic refusal';
+  return `• ${rule.id} [${rule.match}] ${rule.pattern} → ${refusal}`;
+}
+
+/**
+ * Describe a policy match in one line
+ * @param {import('../safety/policy.js').PolicyMatch} match
+ * @returns {string}
+ */
+function formatMatch(match) {
+  const source = match.ruleId ? `admin rule ${match.ruleId}` : 'policy file';
+  return `• ${match.category} (${source}, ${match.severity}) matched "${match.matched}"`;
+}
+
+/**
+ * Handle /rules command
+ * Usage:
+ *   /rules list
+ *   /rules add [phrase|word|regex] <pattern> | <refusal text>
+ *   /rules remove <id>
+ *   /rules test <text>
+ */
+export async function rulesHandler(ctx) {
+  // Admin check
+  const admin = await isAdmin(ctx);
+  if (!admin) {
+    try {
+      await ctx.reply('This command is restricted to administrators.');
+    } catch (err) {
+      logger.warn('Failed to send admin restriction message', {
+        error: err.message,
+      });
+    }
+    return;
+  }
+
+  // Parse subcommand: /rules <subcommand> <rest>
+  const input = (ctx.message?.text || '').replace(/^\/rules(@\w+)?\s*/i, '');
+  const [word] = input.split(/\s+/, 1);
+  const subcommand = (word || 'list').toLowerCase();
+  const rest = input.slice(word.length).trim();
+
+  try {
+    switch (subcommand) {
+      case 'list': {
+        const rules = await listRules();
+        await ctx.reply(rules.length > 0
+          ? `Admin rules (${rules.length}):\n\n${rules.map(formatRule).join('\n')}`
+          : `No admin rules yet.\n\n${USAGE}`);
+        break;
+      }
+
+      case 'add': {
+        // A memory store forgets the rule on restart (and per serverless instance)
+        if (!isPersistent()) {
+          await ctx.reply('❌ Admin rules need a persistent cache. Set CACHE_BACKEND to file or redis, then add the rule again.');
+          break;
+        }
+
+        const [first = ''] = rest.split(/\s+/, 1);
+        const hasType = ['phrase', 'word', 'regex'].includes(first.toLowerCase());
+        const body = hasType ? rest.slice(first.length).trim() : rest;
+        const separator = body.indexOf('|');
+        const pattern = separator === -1 ? body : body.slice(0, separator);
+        const text = separator === -1 ? null : body.slice(separator + 1);
+
+        const { rule, error } = await addRule({
+          pattern,
+          match: hasType ? first.toLowerCase() : 'phrase',
+          text,
+          createdBy: ctx.from?.id ?? null,
+        });
+        await ctx.reply(error ? `❌ ${error}\n\n${USAGE}` : `✅ Rule added:\n${formatRule(rule)}`);
+        break;
+      }
+
+      case 'remove':
+      case 'delete': {
+        const removed = rest ? await removeRule(rest) : false;
+        await ctx.reply(removed ? `✅ Rule ${rest} removed.` : `❌ No rule with id "${rest}". See /rules list.`);
+        break;
+      }
+
+      case 'test': {
+        if (!rest) {
+          await ctx.reply(USAGE);
+          break;
+        }
+        const matches = matchInput(rest);
+        const blocking = findBlocking(matches);
+        const verdict = blocking
+          ? `🚫 Would be refused by ${blocking.ruleId ? `admin rule ${blocking.ruleId}` : blocking.category}` +
+            (blocking.text ? `:\n"${blocking.text}"` : ` (${blocking.refusal} refusal)`)
+          : '✅ Would be answered - no blocking rule fires.';
+        await ctx.reply(matches.length > 0
+          ? `${verdict}\n\nMatching rules:\n${matches.map(formatMatch).join('\n')}`
+          : verdict);
+        break;
+      }
+
+      default:
+        await ctx.reply(USAGE);
+    }
+
+    logger.info('Rules command handled', {
+      adminId: ctx.from?.id,
+      subcommand,
+    });
+  } catch (err) {
+    logger.error('Rules command failed', { error: err.message });
+    await ctx.reply('❌ Failed to manage rules. Check logs for details.');
+  }
+}
+
+export default rulesHandler;
@@ -1,14 +1,17 @@
 import logger from '../utils/logger.js';
 import config from '../config.js';
+import { getUserLanguage } from '../pipeline/language.js';
+import { localize } from '../templates/localize.js';
 
 /**
- * Handler: /start command
- * Introduces Pepper Pal with a friendly, helpful tone.
+ * English welcome message
+ * @param {Object} params
+ * @param {string} [params.firstName]
+ * @param {string} params.botUsername
+ * @returns {string}
  */
-export async function startHandler(ctx) {
-  const firstName = ctx.from?.first_name || 'there';
-
-  const message = `Hey ${firstName}! Welcome to Pepper Pal, your community assistant for Peppercoin on Chiliz Chain.
+function englishStart({ firstName, botUsername }) {
+  return `Hey ${firstName || 'there'}! Welcome to Pepper Pal, your community assistant for Peppercoin on Chiliz Chain.
 
 I can help you with:
 - How Peppercoin works and how to get started
@@ -28,7 +31,16 @@ Official links:
 - Telegram: t.me/officialpeppercoin
 - Twitter: x.com/PepperChain
 
-In group chats, mention me with @${config.botUsername} to get my attention.`;
+In group chats, mention me with @${botUsername} to get my attention.`;
+}
+
+/**
+ * Handler: /start command
+ * Introduces Pepper Pal with a friendly, helpful tone, in the user's language.
+ */
+export async function startHandler(ctx) {
+  const render = localize(getUserLanguage(ctx), 'start', englishStart);
+  const message = render({ firstName: ctx.from?.first_name, botUsername: config.botUsername });
 
   try {
     await ctx.reply(message);
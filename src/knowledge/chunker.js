@@ -0,0 +1,108 @@
+/**
+ * Knowledge Chunker
+ * Splits the knowledge markdown into addressable sections by heading.
+ * Slugs match the ones produced by the planner (e.g. "governance-and-staking").
+ */
+
+import crypto from 'crypto';
+
+/**
+ * @typedef {Object} KnowledgeSection
+ * @property {string} slug - URL-style identifier derived from the heading
+ * @property {string} title - Heading text
+ * @property {number} level - Heading level (2 for ##, 3 for ###)
+ * @property {string|null} parent - Slug of the enclosing ## section (for ### only)
+ * @property {string} content - Heading plus body, ready to drop into a prompt
+ * @property {string} hash - Content fingerprint (changes whenever the section is edited)
+ */
+
+// Only ## and ### headings become sections; # is the document title
+const HEADING_PATTERN = /^(#{2,3})\s+(.+?)\s*$/;
+
+/**
+ * Convert a heading into a slug
+ * "Pepper Inc - Governance Portal" -> "pepper-inc-governance-portal"
+ * @param {string} heading
+ * @returns {string}
+ */
+export function slugify(heading) {
+  return heading
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Short content fingerprint
+ * @param {string} text
+ * @returns {string}
+ */
+export function hashContent(text) {
+  return crypto.createHash('sha256').update(text).digest('hex').substring(0, 16);
+}
+
+/**
+ * Parse markdown into sections
+ * A ## section spans its ### children; a ### section ends at the next heading.
+ * @param {string} markdown
+ * @returns {KnowledgeSection[]}
+ */
+export function parseSections(markdown) {
+  const lines = (markdown || '').split('\n');
+  const sections = [];
+  const seenSlugs = new Set();
+
+  // Collect heading positions first
+  const headings = [];
+  lines.forEach((line, index) => {
+    const match = line.match(HEADING_PATTERN);
+    if (match) {
+      headings.push({ index, level: match[1].length, title: match[2] });
+    }
+  });
+
+  let currentParent = null;
+
+  headings.forEach((heading, i) => {
+    // Find where this section ends: next heading of same or higher level
+    let end = lines.length;
+    for (let j = i + 1; j < headings.length; j++) {
+      if (headings[j].level <= heading.level) {
+        end = headings[j].index;
+        break;
+      }
+    }
+
+    let slug = slugify(heading.title);
+    if (seenSlugs.has(slug)) {
+      let suffix = 2;
+      while (seenSlugs.has(`${slug}-${suffix}`)) suffix++;
+      slug = `${slug}-${suffix}`;
+    }
+    seenSlugs.add(slug);
+
+    if (heading.level === 2) {
+      currentParent = slug;
+    }
+
+    const content = lines
+      .slice(heading.index, end)
+      .join('\n')
+      // Drop horizontal rules that separate top-level sections
+      .replace(/\n-{3,}\s*$/g, '')
+      .trim();
+
+    sections.push({
+      slug,
+      title: heading.title,
+      level: heading.level,
+      parent: heading.level === 3 ? currentParent : null,
+      content,
+      hash: hashContent(content),
+    });
+  });
+
+  return sections;
+}
+
+export default { slugify, hashContent, parseSections };
@@ -0,0 +1,124 @@
+/**
+ * Knowledge Citations
+ * Works out which knowledge base sections back an answer, so replies can
+ * end with "Source: FAQ › Governance and Staking (kb v1.0.0)".
+ *
+ * Support is inferred, not asked of the model: a section supports an
+ * answer when it contains enough of the answer's terms. Candidates are
+ * the sections the planner sent with the prompt; a ## section gives way
+ * to its ### subsection when the subsection holds most of the support.
+ */
+
+import { CITATION } from '../constants.js';
+import { tokenize } from './faqIndex.js';
+import {
+  getKnowledgeSections,
+  getChildSections,
+  getKnowledgeVersion,
+} from './loader.js';
+
+// Long headings shortened for the citation line
+const SHORT_TITLES = {
+  'frequently-asked-questions': 'FAQ',
+};
+
+/**
+ * @typedef {Object} SectionSupport
+ * @property {import('./chunker.js').KnowledgeSection} section
+ * @property {number} score - 0-1 share of the answer's terms found in the section
+ * @property {number} shared - Number of answer terms found in the section
+ */
+
+/**
+ * Measure how much of an answer a section contains
+ * @param {Set<string>} answerTerms
+ * @param {import('./chunker.js').KnowledgeSection} section
+ * @returns {SectionSupport}
+ */
+function measureSupport(answerTerms, section) {
+  const sectionTerms = new Set(tokenize(section.content));
+  let shared = 0;
+
+  for (const term of answerTerms) {
+    if (sectionTerms.has(term)) shared++;
+  }
+
+  return { section, score: shared / answerTerms.size, shared };
+}
+
+/**
+ * Narrow a section to its best subsection when that one carries the support
+ * @param {Set<string>} answerTerms
+ * @param {SectionSupport} support
+ * @returns {SectionSupport}
+ */
+function mostSpecific(answerTerms, support) {
+  let best = null;
+
+  for (const child of getChildSections(support.section.slug)) {
+    const childSupport = measureSupport(answerTerms, child);
+    if (!best || childSupport.score > best.score) {
+      best = childSupport;
+    }
+  }
+
+  return best && best.score >= support.score * CITATION.CHILD_SHARE ? best : support;
+}
+
+/**
+ * Find the knowledge sections that support an answer
+ * @param {string} answer - Answer text
+ * @param {string[]|null} [sectionSlugs] - Sections the answer was built from; null for the whole document
+ * @returns {string[]} Slugs of supporting sections, best first (empty if none)
+ */
+export function findSupportingSections(answer, sectionSlugs = null) {
+  const answerTerms = new Set(tokenize(answer));
+  if (answerTerms.size === 0) {
+    return [];
+  }
+
+  const candidates = sectionSlugs ? getKnowledgeSections(sectionSlugs) : getChildSections(null);
+  const seen = new Set();
+
+  return candidates
+    .map(section => mostSpecific(answerTerms, measureSupport(answerTerms, section)))
+    .filter(({ section, score, shared }) => {
+      if (seen.has(section.slug)) return false;
+      seen.add(section.slug);
+      return score >= CITATION.MIN_SUPPORT && shared >= CITATION.MIN_SHARED_TERMS;
+    })
+    .sort((a, b) => b.score - a.score)
+    .slice(0, CITATION.MAX_SOURCES)
+    .map(({ section }) => section.slug);
+}
+
+/**
+ * Readable name of a section: "FAQ › Governance and Staking"
+ * @param {import('./chunker.js').KnowledgeSection} section
+ * @returns {string}
+ */
+export function getSectionLabel(section) {
+  const title = SHORT_TITLES[section.slug] || section.title;
+  const [parent] = section.parent ? getKnowledgeSections([section.parent]) : [];
+
+  return parent ? `${SHORT_TITLES[parent.slug] || parent.title} › ${title}` : title;
+}
+
+/**
+ * Citation line for an answer
+ * @param {string[]} sectionSlugs - Supporting sections
+ * @returns {string|null} Null when none of the sections exist
+ */
+export function formatCitation(sectionSlugs = []) {
+  const sections = getKnowledgeSections(sectionSlugs);
+  if (sections.length === 0) {
+    return null;
+  }
+
+  const version = getKnowledgeVersion()?.version;
+  const labels = sections.map(getSectionLabel).join('; ');
+
+  return version ? `Source: ${labels} (kb v${version})` : `Source: ${labels}`;
+}
+
+export default { findSupportingSections, getSectionLabel, formatCitation };
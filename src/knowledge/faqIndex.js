@@ -0,0 +1,317 @@
+/**
+ * FAQ Index
+ * Local BM25 retrieval over the knowledge base's "**Q:** / A:" pairs.
+ * Lets common questions be answered with verified wording, no AI call.
+ */
+
+import { FAQ_MATCH } from '../constants.js';
+import { extractKeywords } from '../pipeline/classifier.js';
+import { slugify } from './chunker.js';
+import logger from '../utils/logger.js';
+
+/**
+ * @typedef {Object} FaqEntry
+ * @property {string} question - Question text as written in the knowledge base
+ * @property {string} answer - Plain-text answer (markdown removed)
+ * @property {string|null} section - Slug of the FAQ subsection (e.g. "governance-and-staking")
+ * @property {string[]} terms - Normalized question terms
+ */
+
+/**
+ * @typedef {Object} FaqMatch
+ * @property {FaqEntry} entry - Best matching entry
+ * @property {number} score - Raw BM25 score
+ * @property {number} confidence - 0-1, IDF-weighted overlap of query and question terms
+ */
+
+// BM25 parameters (standard defaults)
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Collapse spelling variants so "peppercoin" questions match "pepper" queries
+const TERM_ALIASES = {
+  peppercoin: 'pepper',
+  chz: 'chiliz',
+  unstake: 'stake',
+  staking: 'stake',
+  staked: 'stake',
+  voting: 'vote',
+  airdropped: 'airdrop',
+};
+
+/**
+ * In-memory index, rebuilt whenever knowledge is loaded
+ */
+let index = {
+  entries: [],
+  docFreq: new Map(),
+  avgLength: 0,
+};
+
+/**
+ * Normalize text into index terms
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  return extractKeywords((text || '').toLowerCase())
+    .map(normalizeTerm);
+}
+
+/**
+ * Normalize a single term (aliases + naive suffix stripping)
+ * "launched" -> "launch", "fees" -> "fee", "buying" -> "buy"
+ * @param {string} term
+ * @returns {string}
+ */
+function normalizeTerm(term) {
+  if (TERM_ALIASES[term]) return TERM_ALIASES[term];
+
+  let stem = term;
+  if (stem.length > 5 && stem.endsWith('ing')) {
+    stem = stem.slice(0, -3);
+  } else if (stem.length > 5 && stem.endsWith('ed')) {
+    stem = stem.slice(0, -2);
+  } else if (stem.length > 3 && stem.endsWith('s') && !stem.endsWith('ss')) {
+    stem = stem.slice(0, -1);
+  }
+
+  return TERM_ALIASES[stem] || stem;
+}
+
+/**
+ * Extract Q/A pairs from the knowledge markdown
+ * Answers run until the next question, heading, or horizontal rule.
+ * @param {string} markdown
+ * @returns {Omit<FaqEntry, 'terms'>[]}
+ */
+export function parseFaqEntries(markdown) {
+  const lines = (markdown || '').split('\n');
+  const entries = [];
+  let section = null;
+  let current = null;
+
+  const flush = () => {
+    if (current && current.answerLines.length > 0) {
+      entries.push({
+        question: current.question,
+        answer: cleanAnswer(current.answerLines.join('\n')),
+        section: current.section,
+      });
+    }
+    current = null;
+  };
+
+  for (const line of lines) {
+    const heading = line.match(/^(#{2,3})\s+(.+?)\s*$/);
+    if (heading) {
+      flush();
+      section = heading[1].length === 3 ? slugify(heading[2]) : null;
+      continue;
+    }
+
+    if (/^-{3,}\s*$/.test(line)) {
+      flush();
+      continue;
+    }
+
+    const question = line.match(/^\*\*Q:\s*(.+?)\*\*\s*$/);
+    if (question) {
+      flush();
+      current = { question: question[1].trim(), answerLines: [], section };
+      continue;
+    }
+
+    if (current) {
+      // First answer line carries the "A:" prefix
+      const text = current.answerLines.length === 0 ? line.replace(/^A:\s*/, '') : line;
+      current.answerLines.push(text);
+    }
+  }
+
+  flush();
+  return entries;
+}
+
+/**
+ * Strip markdown so the answer can be sent as plain text
+ * @param {string} answer
+ * @returns {string}
+ */
+function cleanAnswer(answer) {
+  return answer
+    .replace(/\*\*([^*]+)\*\*/g, '$1')
+    .replace(/`([^`]+)`/g, '$1')
+    .replace(/[ \t]{2,}/g, ' ')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Build the BM25 index from knowledge markdown
+ * @param {string} markdown
+ * @returns {number} Number of indexed entries
+ */
+export function buildFaqIndex(markdown) {
+  const entries = parseFaqEntries(markdown).map(entry => ({
+    ...entry,
+    terms: tokenize(entry.question),
+  }));
+
+  const docFreq = new Map();
+  for (const entry of entries) {
+    for (const term of new Set(entry.terms)) {
+      docFreq.set(term, (docFreq.get(term) || 0) + 1);
+    }
+  }
+
+  const totalLength = entries.reduce((sum, e) => sum + e.terms.length, 0);
+
+  index = {
+    entries,
+    docFreq,
+    avgLength: entries.length ? totalLength / entries.length : 0,
+  };
+
+  logger.debug('FAQ index built', {
+    entries: entries.length,
+    vocabulary: docFreq.size,
+  });
+
+  return entries.length;
+}
+
+/**
+ * Clear the index (used when knowledge fails to load)
+ */
+export function clearFaqIndex() {
+  index = { entries: [], docFreq: new Map(), avgLength: 0 };
+}
+
+/**
+ * Get number of indexed entries
+ * @returns {number}
+ */
+export function getFaqCount() {
+  return index.entries.length;
+}
+
+/**
+ * Inverse document frequency (BM25 variant, always positive)
+ * Terms unknown to the corpus get the maximum weight.
+ * @param {string} term
+ * @returns {number}
+ */
+function idf(term) {
+  const n = index.entries.length;
+  const df = index.docFreq.get(term) || 0;
+  return Math.log(1 + (n - df + 0.5) / (df + 0.5));
+}
+
+/**
+ * BM25 score of query terms against one entry
+ * @param {string[]} queryTerms
+ * @param {FaqEntry} entry
+ * @returns {number}
+ */
+function bm25(queryTerms, entry) {
+  let score = 0;
+  const length = entry.terms.length;
+
+  for (const term of new Set(queryTerms)) {
+    const tf = entry.terms.filter(t => t === term).length;
+    if (tf === 0) continue;
+    const norm = tf * (BM25_K1 + 1) /
+      (tf + BM25_K1 * (1 - BM25_B + BM25_B * length / (index.avgLength || 1)));
+    score += idf(term) * norm;
+  }
+
+  return score;
+}
+
+/**
+ * IDF-weighted overlap between query and question terms
+ * Geometric mean of "how much of the query is covered" and
+ * "how much of the question is covered", so both sides must agree.
+ * @param {string[]} queryTerms
+ * @param {FaqEntry} entry
+ * @returns {number}
+ */
+function confidence(queryTerms, entry) {
+  const querySet = new Set(queryTerms);
+  const docSet = new Set(entry.terms);
+  const weight = terms => [...terms].reduce((sum, t) => sum + idf(t), 0);
+
+  const shared = [...querySet].filter(t => docSet.has(t));
+  if (shared.length === 0) return 0;
+
+  const sharedWeight = weight(shared);
+  const queryCoverage = sharedWeight / weight(querySet);
+  const docCoverage = sharedWeight / weight(docSet);
+
+  return Math.sqrt(queryCoverage * docCoverage);
+}
+
+/**
+ * Find the best FAQ entry for a query
+ * @param {string} query
+ * @returns {FaqMatch|null} Best match regardless of confidence, or null if nothing overlaps
+ */
+export function searchFaq(query) {
+  const queryTerms = tokenize(query);
+  if (queryTerms.length === 0 || index.entries.length === 0) {
+    return null;
+  }
+
+  let best = null;
+  for (const entry of index.entries) {
+    const score = bm25(queryTerms, entry);
+    if (score > 0 && (!best || score > best.score)) {
+      best = { entry, score };
+    }
+  }
+
+  if (!best) return null;
+
+  return {
+    ...best,
+    confidence: confidence(queryTerms, best.entry),
+  };
+}
+
+/**
+ * Match a query to an FAQ answer with high confidence
+ * @param {string} query
+ * @param {number} [threshold] - Minimum confidence (default: FAQ_MATCH.MIN_CONFIDENCE)
+ * @returns {FaqMatch|null}
+ */
+export function matchFaq(query, threshold = FAQ_MATCH.MIN_CONFIDENCE) {
+  const result = searchFaq(query);
+
+  if (!result || result.confidence < threshold) {
+    if (result) {
+      logger.debug('FAQ match below threshold', {
+        question: result.entry.question,
+        confidence: Number(result.confidence.toFixed(2)),
+      });
+    }
+    return null;
+  }
+
+  logger.debug('FAQ match', {
+    question: result.entry.question,
+    confidence: Number(result.confidence.toFixed(2)),
+  });
+
+  return result;
+}
+
+export default {
+  tokenize,
+  parseFaqEntries,
+  buildFaqIndex,
+  clearFaqIndex,
+  getFaqCount,
+  searchFaq,
+  matchFaq,
+};
@@ -1,8 +1,12 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import config from '../config.js';
 import logger from '../utils/logger.js';
 import { validateAllKnowledge } from './validator.js';
+import { parseSections, hashContent } from './chunker.js';
+import { buildFaqIndex, clearFaqIndex } from './faqIndex.js';
+import { invalidateStale } from '../cache/responseCache.js';
 
 /**
  * Knowledge Loader
@@ -25,6 +29,8 @@ let knowledgeCache = {
   loaded: false,
   valid: false,
   content: null,
+  hash: null,
+  sections: [],
   version: null,
   loadedAt: null,
   errors: [],
@@ -64,6 +70,45 @@ export function getKnowledgeContent() {
   return knowledgeCache.content;
 }
 
+/**
+ * Get knowledge sections by slug, in the order requested
+ * Unknown slugs are skipped silently.
+ * @param {string[]} slugs - Section slugs (e.g. from ResponsePlan.knowledgeSections)
+ * @returns {import('./chunker.js').KnowledgeSection[]}
+ */
+export function getKnowledgeSections(slugs = []) {
+  if (!isKnowledgeAvailable()) {
+    return [];
+  }
+
+  const found = [];
+  const seen = new Set();
+
+  for (const slug of slugs) {
+    if (seen.has(slug)) continue;
+    const section = knowledgeCache.sections.find((s) => s.slug === slug);
+    if (section) {
+      seen.add(slug);
+      found.push(section);
+    }
+  }
+
+  return found;
+}
+
+/**
+ * Get the subsections of a section, in document order
+ * @param {string|null} slug - Parent ## section slug; null for the top-level ## sections
+ * @returns {import('./chunker.js').KnowledgeSection[]}
+ */
+export function getChildSections(slug) {
+  if (!isKnowledgeAvailable()) {
+    return [];
+  }
+
+  return knowledgeCache.sections.filter((s) => s.parent === slug);
+}
+
 /**
  * Get the knowledge version info
  * @returns {Object|null} Version info or null if unavailable
@@ -75,6 +120,30 @@ export function getKnowledgeVersion() {
   return knowledgeCache.version;
 }
 
+/**
+ * @typedef {Object} KnowledgeStamp
+ * @property {string|null} version - version.json version
+ * @property {string|null} hash - Fingerprint of the whole document
+ * @property {Object<string, string>|null} sections - Section slug → fingerprint; null means the whole document
+ */
+
+/**
+ * Stamp identifying the knowledge an answer was generated from
+ * @param {import('./chunker.js').KnowledgeSection[]|null} [sections] - Sections used (default: all of them)
+ * @returns {KnowledgeStamp|null} Null if knowledge is unavailable
+ */
+export function getKnowledgeStamp(sections = knowledgeCache.sections) {
+  if (!isKnowledgeAvailable()) {
+    return null;
+  }
+
+  return {
+    version: knowledgeCache.version?.version || null,
+    hash: knowledgeCache.hash,
+    sections: sections ? Object.fromEntries(sections.map((s) => [s.slug, s.hash])) : null,
+  };
+}
+
 /**
  * Load knowledge from files into memory
  * @param {string} [knowledgeDir] - Optional path to knowledge directory
@@ -88,10 +157,13 @@ export function loadKnowledge(knowledgeDir = DEFAULT_KNOWLEDGE_DIR) {
     loaded: false,
     valid: false,
     content: null,
+    hash: null,
+    sections: [],
     version: null,
     loadedAt: null,
     errors: [],
   };
+  clearFaqIndex();
 
   // Validate all knowledge files first
   const validationResult = validateAllKnowledge(knowledgeDir);
@@ -119,11 +191,19 @@ export function loadKnowledge(knowledgeDir = DEFAULT_KNOWLEDGE_DIR) {
     const versionRaw = fs.readFileSync(versionPath, 'utf-8');
     const version = JSON.parse(versionRaw);
 
+    // Split into addressable sections for targeted prompts
+    const sections = parseSections(content);
+
+    // Index FAQ entries for direct answers without AI
+    const faqCount = buildFaqIndex(content);
+
     // Update cache
     knowledgeCache = {
       loaded: true,
       valid: true,
       content: content.trim(),
+      hash: hashContent(content.trim()),
+      sections,
       version: version,
       loadedAt: new Date().toISOString(),
       errors: [],
@@ -133,6 +213,8 @@ export function loadKnowledge(knowledgeDir = DEFAULT_KNOWLEDGE_DIR) {
       version: version.version,
       lastUpdated: version.last_updated,
       contentLength: content.length,
+      sectionCount: sections.length,
+      faqCount,
     });
 
     return {
@@ -156,18 +238,27 @@ export function loadKnowledge(knowledgeDir = DEFAULT_KNOWLEDGE_DIR) {
 /**
  * Reload knowledge (used by admin refresh)
  * @param {string} [knowledgeDir] - Optional path to knowledge directory
- * @returns {Object} Reload result
+ * @returns {Promise<Object>} Reload result
  */
-export function reloadKnowledge(knowledgeDir = DEFAULT_KNOWLEDGE_DIR) {
+export async function reloadKnowledge(knowledgeDir = DEFAULT_KNOWLEDGE_DIR) {
   logger.info('Reloading knowledge...');
 
   const previousState = getKnowledgeState();
   const result = loadKnowledge(knowledgeDir);
 
   if (result.success) {
+    // Cached AI answers built from the old knowledge must not outlive it
+    const cache = await invalidateStale(getKnowledgeStamp(), {
+      sectionsOnly: config.responseCache.invalidation === 'sections',
+    });
+    result.cacheDropped = cache.dropped;
+    result.cacheKept = cache.kept;
+
     logger.info('Knowledge reloaded successfully', {
       previousVersion: previousState.version?.version,
       newVersion: result.version,
+      cacheDropped: cache.dropped,
+      cacheKept: cache.kept,
     });
   } else {
     logger.error('Knowledge reload failed', { errors: result.errors });
@@ -189,7 +280,10 @@ export default {
   reloadKnowledge,
   getKnowledgeState,
   getKnowledgeContent,
+  getKnowledgeSections,
+  getChildSections,
   getKnowledgeVersion,
+  getKnowledgeStamp,
   isKnowledgeAvailable,
   getKnowledgeUnavailableMessage,
 };
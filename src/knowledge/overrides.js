@@ -0,0 +1,77 @@
+/**
+ * Override Answers
+ * Moderator answers saved with /save when replying to an escalated
+ * question. The same question (normalized, same language) is answered
+ * with the moderator's words instead of the AI until the override expires.
+ * Stored in the cache store (CACHE_BACKEND), like runtime rules.
+ */
+
+import { ESCALATION } from '../constants.js';
+import { createStore } from '../cache/store.js';
+import { normalizeKey } from '../cache/responseCache.js';
+import logger from '../utils/logger.js';
+
+/**
+ * @typedef {Object} OverrideAnswer
+ * @property {string} question - Question as first asked
+ * @property {string} answer - Moderator's answer
+ * @property {string|null} language - Language code of the question
+ * @property {number|null} createdBy - Moderator user id
+ * @property {string} createdAt - ISO timestamp
+ */
+
+const overrides = createStore('overrides', { maxEntries: ESCALATION.MAX_OVERRIDES });
+
+/**
+ * Store key of a question
+ * @param {string} question
+ * @param {string|null} [language]
+ * @returns {string}
+ */
+function overrideKey(question, language) {
+  return `${language || 'en'}:${normalizeKey(question)}`;
+}
+
+/**
+ * Save a moderator's answer for a question
+ * @param {Object} params
+ * @param {string} params.question
+ * @param {string} params.answer
+ * @param {string|null} [params.language]
+ * @param {number|null} [params.createdBy]
+ * @returns {Promise<OverrideAnswer>}
+ */
+export async function saveOverride({ question, answer, language = null, createdBy = null }) {
+  const override = {
+    question,
+    answer: answer.trim(),
+    language,
+    createdBy,
+    createdAt: new Date().toISOString(),
+  };
+
+  await overrides.set(overrideKey(question, language), override, ESCALATION.OVERRIDE_TTL_MS);
+
+  logger.info('Override answer saved', { question: question.substring(0, 50), language, createdBy });
+  return override;
+}
+
+/**
+ * Saved answer for a question, if a moderator left one
+ * @param {string} question
+ * @param {string|null} [language]
+ * @returns {Promise<OverrideAnswer|null>}
+ */
+export async function findOverride(question, language = null) {
+  return (await overrides.get(overrideKey(question, language))) || null;
+}
+
+/**
+ * Remove every override (tests)
+ * @returns {Promise<void>}
+ */
+export async function clearOverrides() {
+  await overrides.clear();
+}
+
+export default { saveOverride, findOverride, clearOverrides };
@@ -38,7 +38,7 @@ export async function refreshKnowledgeHandler(ctx) {
   const beforeState = getKnowledgeState();
 
   // Attempt reload
-  const result = reloadKnowledge();
+  const result = await reloadKnowledge();
 
   // Build response message
   let message;
@@ -50,11 +50,13 @@ export async function refreshKnowledgeHandler(ctx) {
 Version: ${version.version}
 Last Updated: ${version.last_updated}
 Source: ${version.source}
-Loaded At: ${getKnowledgeState().loadedAt}`;
+Loaded At: ${getKnowledgeState().loadedAt}
+Cached answers dropped: ${result.cacheDropped} (${result.cacheKept} still current)`;
 
     logger.info('Knowledge refresh completed', {
       adminId: userId,
       version: version.version,
+      cacheDropped: result.cacheDropped,
     });
   } else {
     message = `❌ Knowledge refresh failed.
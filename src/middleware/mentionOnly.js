@@ -6,6 +6,7 @@ import logger from '../utils/logger.js';
  * In groups, Pepper Pal only responds if:
  * - Explicitly mentioned (@PepperPal)
  * - A command is used (/start, /help)
+ * - The message replies to one of the bot's messages (e.g. "more")
  *
  * In private chats, all messages are allowed through.
  */
@@ -45,6 +46,12 @@ export function mentionOnly() {
         return next();
       }
 
+      // Replies to the bot are addressed to it
+      if (isReplyToBot(message, config.botUsername)) {
+        logger.info('✅ Reply to bot - ALLOWING');
+        return next();
+      }
+
       // Check for bot mention in text
       const textMention = isBotMentioned(message, config.botUsername);
       logger.info('[MENTION CHECK] Text mention result', { textMention, pattern: `@${config.botUsername}` });
@@ -93,6 +100,21 @@ function isBotMentioned(message, botUsername) {
   return mentionPattern.test(message.text);
 }
 
+/**
+ * Check if message replies to a message sent by the bot
+ * @param {object} message - Telegram message object
+ * @param {string} botUsername - Bot username without @
+ * @returns {boolean}
+ */
+function isReplyToBot(message, botUsername) {
+  const repliedFrom = message.reply_to_message?.from;
+  if (!repliedFrom?.is_bot || !repliedFrom.username) {
+    return false;
+  }
+
+  return repliedFrom.username.toLowerCase() === botUsername.toLowerCase();
+}
+
 /**
  * Check if message has a mention entity for the bot
  * @param {object} message - Telegram message object
@@ -3,8 +3,11 @@ import config from '../config.js';
 import { isAdmin } from '../admin/adminCheck.js';
 import { getMode } from '../admin/modes.js';
 import { getKnowledgeVersion, isKnowledgeAvailable } from '../knowledge/loader.js';
-import { getSystemPromptVersion } from '../ai/systemPrompt.js';
-import { isOpenRouterConfigured } from '../ai/openrouterClient.js';
+import { describePrompts } from '../ai/promptRegistry.js';
+import { isOpenRouterConfigured, getProviderChain } from '../ai/openrouterClient.js';
+import { describeRoutes } from '../ai/modelRouter.js';
+import { describeBudget } from '../ai/budget.js';
+import { describeStore } from '../cache/store.js';
 
 /**
  * Handler: /health command (Admin Only)
@@ -40,10 +43,16 @@ export async function healthHandler(ctx) {
       version: knowledgeVersion?.version || 'N/A',
       lastUpdated: knowledgeVersion?.last_updated || 'N/A',
     },
+    cache: describeStore(),
     ai: {
       configured: isOpenRouterConfigured(),
       model: config.openRouter.model,
-      systemPromptVersion: getSystemPromptVersion(),
+      providers: getProviderChain()
+        .map(p => `${p.name}${p.configured ? '' : ' (no key)'}${p.breaker === 'closed' ? '' : ` (${p.breaker})`}`)
+        .join(' → '),
+      routes: describeRoutes(),
+      prompts: describePrompts(),
+      budget: describeBudget(),
     },
     timestamp: now,
   };
@@ -61,11 +70,17 @@ Knowledge:
 • Available: ${knowledgeStatus}
 • Version: ${status.knowledge.version}
 • Updated: ${status.knowledge.lastUpdated}
+• Cache: ${status.cache}
 
 AI:
 • Configured: ${aiStatus}
-• Model: ${status.ai.model}
-• Prompt Version: ${status.ai.systemPromptVersion}
+• Default Model: ${status.ai.model}
+• Providers: ${status.ai.providers}
+• Prompt: ${status.ai.prompts}
+• Budget: ${status.ai.budget}
+
+Model Routes:
+${status.ai.routes.map(r => `• ${r}`).join('\n')}
 
 Timestamp: ${status.timestamp}`;
 
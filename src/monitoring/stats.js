@@ -4,6 +4,8 @@
  * No user-level data, no message content, aggregates only.
  */
 
+import { getStats as getCacheStats } from '../cache/responseCache.js';
+
 /**
  * In-memory stats storage
  * Resets on bot restart (intentionally ephemeral)
@@ -106,9 +108,9 @@ export function recordCommand() {
 
 /**
  * Get all stats (for admin /stats command)
- * @returns {Object}
+ * @returns {Promise<Object>}
  */
-export function getStats() {
+export async function getStats() {
   const now = new Date();
   const started = new Date(stats.startedAt);
   const uptimeMs = now - started;
@@ -147,15 +149,17 @@ export function getStats() {
     },
 
     commands: stats.commandsProcessed,
+
+    cache: await getCacheStats(),
   };
 }
 
 /**
  * Get stats as formatted string for Telegram
- * @returns {string}
+ * @returns {Promise<string>}
  */
-export function getStatsString() {
-  const s = getStats();
+export async function getStatsString() {
+  const s = await getStats();
 
   return `📊 Pepper Pal Stats
 
@@ -176,6 +180,11 @@ Safety:
 • Rate limit hits: ${s.safety.rateLimitHits}
 • Duplicate queries: ${s.safety.duplicates}
 
+Response cache:
+• Entries: ${s.cache.size} (${s.cache.backend})
+• Hit rate: ${Math.round(s.cache.hitRate * 100)}% of ${s.cache.lookups} lookups
+• Paraphrase hits: ${Math.round(s.cache.fuzzyHitRate * 100)}% (threshold ${s.cache.minSimilarity})
+
 Commands processed: ${s.commands}`;
 }
 
@@ -25,7 +25,7 @@ export async function statsHandler(ctx) {
   }
 
   // Get formatted stats
-  const statsMessage = getStatsString();
+  const statsMessage = await getStatsString();
 
   try {
     await ctx.reply(statsMessage);
@@ -10,22 +10,43 @@ import {
   INTENT_KEYWORDS,
   COMPLEXITY_THRESHOLDS,
 } from '../constants.js';
+import { matchInput, findBlocking } from '../safety/policy.js';
 import logger from '../utils/logger.js';
 
+// Replies that lean on the previous exchange ("and how do I unstake?", "what about fees?")
+const FOLLOW_UP_PATTERN = /^(and|but|also|so|then|what about|how about)\b|\b(it|its|that|this|they|them|those|there)\b/;
+
+// Plain questions the factual default is right about ("what is...", "how much...")
+const QUESTION_PATTERN = /^(what|who|where|when|which|why|is|are|does|do|can|how (much|many|long|often))\b|\?$/;
+
 /**
  * Classify a user query into intent, complexity, and response class
  * @param {string} query - Raw user query
+ * @param {Object} [context]
+ * @param {string} [context.previousQuery] - Question this message replies to
+ * @param {import('../types/index.js').IntentType} [context.intent] - Known intent, skips rule detection
  * @returns {import('../types/index.js').ClassificationResult}
  */
-export function classify(query) {
+export function classify(query, context = {}) {
   const startTime = Date.now();
   const normalized = (query || '').toLowerCase().trim();
+  const previous = (context.previousQuery || '').toLowerCase().trim();
   
   // Determine length bucket
   const lengthBucket = getLengthBucket(normalized.length);
   
   // Detect intent
-  const intent = detectIntent(normalized);
+  let intent = context.intent || detectIntent(normalized, query);
+  
+  // How sure the keyword rules are about that intent
+  const confidence = context.intent ? 1 : scoreConfidence(normalized, intent);
+  
+  // Resolve follow-ups against the previous question
+  const followUp = Boolean(previous) && isFollowUp(normalized, intent);
+  if (!context.intent && followUp && intent === 'factual' && detectIntent(previous) === 'procedural') {
+    // "and on mobile?" after "how do i stake" is still a how-to
+    intent = 'procedural';
+  }
   
   // Calculate complexity
   const complexity = calculateComplexity(normalized, intent);
@@ -36,8 +57,10 @@ export function classify(query) {
   // Assign character budget
   const charBudget = CHAR_BUDGETS[responseClass] || CHAR_BUDGETS.FACTUAL;
   
-  // Extract keywords for knowledge matching
-  const keywords = extractKeywords(normalized);
+  // Extract keywords for knowledge matching (follow-ups inherit the topic)
+  const keywords = followUp
+    ? [...new Set([...extractKeywords(normalized), ...extractKeywords(previous)])]
+    : extractKeywords(normalized);
   
   const result = {
     intent,
@@ -46,6 +69,9 @@ export function classify(query) {
     responseClass,
     charBudget,
     keywords,
+    followUp,
+    confidence,
+    source: 'rules',
   };
   
   logger.debug('Query classified', {
@@ -72,22 +98,19 @@ function getLengthBucket(length) {
 /**
  * Detect user intent from query text
  * @param {string} query - Normalized query
+ * @param {string} [raw] - Original text, for the content policy
  * @returns {import('../types/index.js').IntentType}
  */
-function detectIntent(query) {
+function detectIntent(query, raw = query) {
   // Check greeting first (highest priority for short messages)
   if (isGreeting(query)) return 'greeting';
   
   // Check closing
   if (isClosing(query)) return 'closing';
   
-  // Check forbidden intents
-  if (isForbiddenInvestment(query)) return 'forbidden';
-  if (isForbiddenPrice(query)) return 'forbidden';
-  if (isForbiddenSentiment(query)) return 'forbidden';
-  
-  // Check adversarial patterns
-  if (isAdversarial(query)) return 'adversarial';
+  // Check forbidden and adversarial intents (content policy)
+  const blocking = findBlocking(matchInput(raw));
+  if (blocking) return blocking.category === 'ADVERSARIAL' ? 'adversarial' : 'forbidden';
   
   // Check procedural
   if (isProcedural(query)) return 'procedural';
@@ -96,6 +119,51 @@ function detectIntent(query) {
   return 'factual';
 }
 
+/**
+ * Score how reliable a rule verdict is, 0-1
+ * Exact greetings and safety patterns are near-certain; a greeting word
+ * in front of a real question ("yo whats the ca") or an unmatched query
+ * that only reached factual by default is not.
+ * @param {string} query - Normalized query
+ * @param {import('../types/index.js').IntentType} intent
+ * @returns {number}
+ */
+function scoreConfidence(query, intent) {
+  switch (intent) {
+    case 'greeting':
+    case 'closing': {
+      const phrases = intent === 'greeting' ? INTENT_KEYWORDS.GREETING : INTENT_KEYWORDS.CLOSING;
+      const bare = query.replace(/[^\w\s]/g, '').trim();
+      if (phrases.includes(bare)) return 0.95;
+      // Words left over once greeting/closing words are removed
+      const phraseWords = new Set(phrases.flatMap(p => p.split(' ')));
+      const rest = bare.split(/\s+/).filter(w => !phraseWords.has(w));
+      return rest.length <= 1 ? 0.8 : 0.5;
+    }
+    case 'forbidden':
+    case 'adversarial':
+      return 0.9;
+    case 'procedural':
+      return INTENT_KEYWORDS.PROCEDURAL.some(p => query.startsWith(p)) ? 0.9 : 0.65;
+    default:
+      if (QUESTION_PATTERN.test(query)) return 0.75;
+      return extractKeywords(query).length > 0 ? 0.55 : 0.4;
+  }
+}
+
+/**
+ * Check if a reply depends on the previous exchange
+ * Short or anaphoric questions are follow-ups; greetings, closings and
+ * refusals stand on their own.
+ * @param {string} query - Normalized query
+ * @param {string} intent
+ * @returns {boolean}
+ */
+function isFollowUp(query, intent) {
+  if (intent !== 'factual' && intent !== 'procedural') return false;
+  return FOLLOW_UP_PATTERN.test(query) || extractKeywords(query).length <= 2;
+}
+
 /**
  * Check if query is a greeting
  */
@@ -121,47 +189,6 @@ function isClosing(query) {
   return false;
 }
 
-/**
- * Check for investment advice requests
- */
-function isForbiddenInvestment(query) {
-  return INTENT_KEYWORDS.FORBIDDEN_INVESTMENT.some(p => query.includes(p));
-}
-
-/**
- * Check for price prediction requests
- */
-function isForbiddenPrice(query) {
-  return INTENT_KEYWORDS.FORBIDDEN_PRICE.some(p => query.includes(p));
-}
-
-/**
- * Check for market sentiment language
- */
-function isForbiddenSentiment(query) {
-  // Only match as standalone words
-  return INTENT_KEYWORDS.FORBIDDEN_SENTIMENT.some(p => {
-    const regex = new RegExp(`\\b${p}\\b`, 'i');
-    return regex.test(query);
-  });
-}
-
-/**
- * Check for adversarial/jailbreak attempts
- */
-function isAdversarial(query) {
-  const adversarialPatterns = [
-    /ignore\s+(previous|all|your)\s+(instructions?|rules?)/i,
-    /disregard\s+(your|the)\s+(rules?|instructions?)/i,
-    /pretend\s+(you('re|are)|to\s+be)/i,
-    /act\s+as\s+(if|a|an)/i,
-    /bypass\s+(your|the)/i,
-    /jailbreak/i,
-    /dan\s+mode/i,
-  ];
-  return adversarialPatterns.some(p => p.test(query));
-}
-
 /**
  * Check for procedural/how-to questions
  */
@@ -209,7 +236,7 @@ function calculateComplexity(query, intent) {
  * @param {string} intent
  * @returns {import('../types/index.js').ResponseClass}
  */
-function getResponseClass(intent) {
+export function getResponseClass(intent) {
   const mapping = {
     greeting: 'GREETING',
     closing: 'CLOSING',
@@ -223,10 +250,10 @@ function getResponseClass(intent) {
 
 /**
  * Extract keywords for knowledge base matching
- * @param {string} query
+ * @param {string} query - Lowercased query
  * @returns {string[]}
  */
-function extractKeywords(query) {
+export function extractKeywords(query) {
   // Remove common words
   const stopWords = new Set([
     'what', 'is', 'the', 'a', 'an', 'how', 'do', 'i', 'to', 'can', 'you',
@@ -243,4 +270,4 @@ function extractKeywords(query) {
   return [...new Set(words)];
 }
 
-export default { classify };
+export default { classify, extractKeywords, getResponseClass };
@@ -1,33 +1,62 @@
 /**
  * Response Generator
  * Generates responses based on ResponsePlan
- * Handles template, cache, and AI generation strategies
+ * Handles template, cache, FAQ, and AI generation strategies
  */
 
-import { MODELS, HARD_CHAR_LIMIT, CHAR_BUDGETS } from '../constants.js';
-import { selectModel } from './planner.js';
+import {
+  FAQ_MATCH,
+  STREAMING,
+  VERIFIED_FACTS,
+} from '../constants.js';
+import { resolveRoute, economyRoute, getComplexityBand } from '../ai/modelRouter.js';
+import { renderPrompt } from '../ai/promptRegistry.js';
+import { DEFAULT_PROMPT } from '../ai/prompts.js';
 import * as cache from '../cache/responseCache.js';
+import { singleFlight } from '../cache/singleFlight.js';
 import { getRandomGreeting } from '../templates/greetings.js';
 import { getRandomClosing } from '../templates/closings.js';
 import { getRefusalTemplate, detectForbiddenType } from '../templates/refusals.js';
 import { matchFactualTemplate } from '../templates/factual.js';
-import { chatCompletion } from '../ai/openrouterClient.js';
-import { getKnowledgeContent, isKnowledgeAvailable } from '../knowledge/loader.js';
+import { localize } from '../templates/localize.js';
+import { getLanguageName } from './language.js';
+import { matchFaq } from '../knowledge/faqIndex.js';
+import { findSupportingSections } from '../knowledge/citations.js';
+import { findOverride } from '../knowledge/overrides.js';
+import { chatCompletion, isAIAvailable } from '../ai/openrouterClient.js';
+import { verifyGrounding, isGroundedPartial } from '../safety/groundingVerifier.js';
+import {
+  getKnowledgeContent,
+  getKnowledgeSections,
+  getKnowledgeStamp,
+  isKnowledgeAvailable,
+} from '../knowledge/loader.js';
 import logger from '../utils/logger.js';
 
+// Core facts every AI prompt needs regardless of topic
+const ALWAYS_INCLUDED_SECTION = 'quick-reference';
+
+// First answer + one regeneration before falling back to a template
+const MAX_GROUNDING_ATTEMPTS = 2;
+
 /**
  * Generate response based on plan
  * @param {import('../types/index.js').ResponsePlan} plan
  * @param {string} query - Original user query
  * @param {import('../types/index.js').ClassificationResult} classification
+ * @param {Object} [options]
+ * @param {import('../delivery/streamer.js').StreamingReply} [options.stream] - Stream long AI answers here
+ * @param {import('../cache/conversationMemory.js').ConversationTurn[]} [options.history] - Previous exchanges (follow-ups)
+ * @param {string} [options.prompt] - Prompt template id ("name@version")
+ * @param {string} [options.language] - Language code to answer in (see pipeline/language.js)
  * @returns {Promise<import('../types/index.js').GeneratedResponse>}
  */
-export async function generate(plan, query, classification) {
+export async function generate(plan, query, classification, options = {}) {
   const startTime = Date.now();
   
   // Strategy: Template
   if (plan.strategy === 'template') {
-    const templateResponse = generateFromTemplate(plan.responseClass, query);
+    const templateResponse = generateFromTemplate(plan.responseClass, query, options.language);
     return {
       text: templateResponse,
       tokensUsed: 0,
@@ -40,7 +69,7 @@ export async function generate(plan, query, classification) {
   // Strategy: Cache (with fallback to generate)
   if (plan.strategy === 'cache') {
     // Try factual templates first
-    const factualMatch = matchFactualTemplate(query);
+    const factualMatch = matchFactualTemplate(query, options.language);
     if (factualMatch) {
       return {
         text: factualMatch,
@@ -50,15 +79,60 @@ export async function generate(plan, query, classification) {
         generationTimeMs: Date.now() - startTime,
       };
     }
-    
+  }
+  
+  // Strategy: Override (a moderator answered this exact question before)
+  const override = await findOverride(query, options.language);
+  if (override) {
+    return {
+      text: override.answer,
+      tokensUsed: 0,
+      fromCache: false,
+      fromTemplate: false,
+      fromOverride: true,
+      generationTimeMs: Date.now() - startTime,
+    };
+  }
+  
+  // Strategy: FAQ (verified answer from the knowledge base, no AI call)
+  const faqMatch = isKnowledgeAvailable() ? matchFaq(query) : null;
+  if (faqMatch) {
+    return {
+      text: faqMatch.entry.answer,
+      tokensUsed: 0,
+      fromCache: false,
+      fromTemplate: false,
+      fromFaq: true,
+      faqQuestion: faqMatch.entry.question,
+      sources: getFaqSources(faqMatch.entry),
+      generationTimeMs: Date.now() - startTime,
+    };
+  }
+  
+  // Answers given with thread context depend on it, so the query alone is not a safe cache key
+  const cacheable = !options.history?.length;
+  
+  // Paraphrases only share an answer when they were classified the same way,
+  // and prompt variants and languages never share answers
+  const cacheContext = {
+    intent: classification.intent,
+    responseClass: plan.responseClass,
+    prompt: options.prompt,
+    language: options.language,
+    // Entries a restart kept from older knowledge miss
+    currentKnowledge: getKnowledgeStamp(),
+  };
+  
+  if (plan.strategy === 'cache' && cacheable) {
     // Try response cache
-    const cached = cache.get(query);
+    const cached = await cache.get(query, cacheContext);
     if (cached.hit) {
       return {
         text: cached.response,
         tokensUsed: 0,
         fromCache: true,
         fromTemplate: false,
+        ...(cached.sources && { sources: cached.sources }),
         generationTimeMs: Date.now() - startTime,
       };
     }
@@ -66,171 +140,375 @@ export async function generate(plan, query, classification) {
     // Fall through to generate
   }
   
+  // AI unavailable (circuit breaker open) or over budget: answer locally instead
+  if (plan.budgetMode === 'local' || !isAIAvailable()) {
+    return {
+      ...(await generateWithoutAI(plan, query, cacheable ? cacheContext : null, options.language)),
+      generationTimeMs: Date.now() - startTime,
+    };
+  }
+  
   // Strategy: Generate (AI call)
-  const aiResponse = await generateFromAI(plan, query, classification);
+  if (!cacheable) {
+    return {
+      ...(await generateFromAI(plan, query, classification, options)),
+      generationTimeMs: Date.now() - startTime,
+    };
+  }
+  
+  // The same question asked again before its answer is cached waits for
+  // that answer instead of making its own AI call
+  const flight = await singleFlight(getFlightKey(query, classification, options), async () => {
+    const aiResponse = await generateFromAI(plan, query, classification, options);
+    
+    // Cache successful generations (never the grounding fallback or a failure message)
+    const usable = !aiResponse.fromTemplate && !aiResponse.failed && !aiResponse.degraded && !aiResponse.ungrounded;
+    if (usable && aiResponse.text) {
+      await cache.set(query, aiResponse.text, undefined, {
+        ...cacheContext,
+        // Lets a knowledge reload drop only the answers it affects
+        knowledge: getKnowledgeStamp(resolveKnowledgeSections(plan.knowledgeSections)),
+        sources: aiResponse.sources,
+      });
+    }
+    
+    return aiResponse;
+  });
   
-  // Cache successful generations
-  if (aiResponse.text && !aiResponse.text.includes('error')) {
-    cache.set(query, aiResponse.text);
+  if (flight.shared) {
+    // Tokens and grounding failures belong to the request that made the call
+    const { ungrounded, draft, ...shared } = flight.value;
+    return {
+      ...shared,
+      tokensUsed: 0,
+      coalesced: true,
+      generationTimeMs: Date.now() - startTime,
+    };
   }
   
   return {
-    ...aiResponse,
+    ...flight.value,
     generationTimeMs: Date.now() - startTime,
   };
 }
 
+/**
+ * Key under which identical AI requests share one call
+ * Same normalized question, intent, prompt, language and knowledge version.
+ * @param {string} query
+ * @param {import('../types/index.js').ClassificationResult} classification
+ * @param {Object} options - Same options as generate()
+ * @returns {string}
+ */
+function getFlightKey(query, classification, options) {
+  return [
+    cache.normalizeKey(query),
+    classification.intent,
+    options.prompt || DEFAULT_PROMPT,
+    options.language,
+    getKnowledgeStamp(null)?.hash,
+  ].join('|');
+}
+
 /**
  * Generate response from template pool
  * @param {string} responseClass
  * @param {string} query
+ * @param {string} [language]
  * @returns {string}
  */
-function generateFromTemplate(responseClass, query) {
+function generateFromTemplate(responseClass, query, language) {
   switch (responseClass) {
     case 'GREETING':
-      return getRandomGreeting();
+      return getRandomGreeting(language);
     
     case 'CLOSING':
-      return getRandomClosing();
+      return getRandomClosing(language);
     
     case 'REFUSAL':
       const forbiddenType = detectForbiddenType(query);
-      return getRefusalTemplate(forbiddenType);
+      return getRefusalTemplate(forbiddenType, language);
     
     default:
       // Shouldn't happen, but fallback
-      return getRandomGreeting();
+      return getRandomGreeting(language);
   }
 }
 
+/**
+ * Best-effort answer while the AI is unavailable or the budget is spent
+ * Tries factual templates and the response cache (if the plan skipped them),
+ * then a looser FAQ match, before admitting the AI is down.
+ * @param {import('../types/index.js').ResponsePlan} plan
+ * @param {string} query
+ * @param {import('../cache/responseCache.js').CacheContext|null} cacheContext - Null when the response cache may not be used
+ * @param {string} [language]
+ * @returns {Promise<Omit<import('../types/index.js').GeneratedResponse, 'generationTimeMs'>>}
+ */
+async function generateWithoutAI(plan, query, cacheContext, language) {
+  const base = { tokensUsed: 0, fromCache: false, fromTemplate: false, degraded: true };
+  
+  if (plan.strategy !== 'cache') {
+    const factualMatch = matchFactualTemplate(query, language);
+    if (factualMatch) {
+      return { ...base, text: factualMatch, fromTemplate: true };
+    }
+    
+    const cached = cacheContext ? await cache.get(query, cacheContext) : { hit: false };
+    if (cached.hit) {
+      return {
+        ...base,
+        text: cached.response,
+        fromCache: true,
+        ...(cached.sources && { sources: cached.sources }),
+      };
+    }
+  }
+  
+  const faqMatch = isKnowledgeAvailable()
+    ? matchFaq(query, FAQ_MATCH.DEGRADED_MIN_CONFIDENCE)
+    : null;
+  if (faqMatch) {
+    return {
+      ...base,
+      text: faqMatch.entry.answer,
+      fromFaq: true,
+      faqQuestion: faqMatch.entry.question,
+      sources: getFaqSources(faqMatch.entry),
+    };
+  }
+  
+  if (plan.budgetMode === 'local') {
+    logger.warn('AI budget nearly spent, no local answer found');
+    return {
+      ...base,
+      text: localize(language, 'messages.budgetLocal', 'I can only answer common questions right now. Please try again tomorrow, or use /help for quick answers.'),
+    };
+  }
+  
+  logger.warn('AI unavailable, no local answer found');
+  return {
+    ...base,
+    text: localize(language, 'messages.aiUnavailable', 'My AI service is temporarily unavailable. Please try again in a minute, or use /help for quick answers.'),
+  };
+}
+
 /**
  * Generate response using AI
  * @param {import('../types/index.js').ResponsePlan} plan
  * @param {string} query
  * @param {import('../types/index.js').ClassificationResult} classification
+ * @param {Object} [options] - Same options as generate()
  * @returns {Promise<import('../types/index.js').GeneratedResponse>}
  */
-async function generateFromAI(plan, query, classification) {
+async function generateFromAI(plan, query, classification, options = {}) {
+  const { stream, history = [], language } = options;
+  
   // Check knowledge availability
   if (!isKnowledgeAvailable()) {
     logger.warn('Knowledge unavailable for AI generation');
     return {
-      text: 'I am temporarily unable to access my knowledge base. Please try again later.',
+      text: localize(language, 'messages.knowledgeUnavailable', 'I am temporarily unable to access my knowledge base. Please try again later.'),
       tokensUsed: 0,
       fromCache: false,
       fromTemplate: false,
+      failed: true,
+      knowledgeUnavailable: true,
     };
   }
   
-  // Get knowledge content (TODO: use chunker to get only relevant sections)
-  const knowledge = getKnowledgeContent();
+  // Only send the planned sections to keep the context small
+  const knowledge = buildKnowledgeContext(plan.knowledgeSections);
   
-  // Build constrained prompt
-  const systemPrompt = buildConstrainedPrompt(plan, classification);
-  
-  // Select model based on complexity
-  const modelKey = selectModel(classification.complexity);
-  const model = MODELS[modelKey];
+  // Versioned prompt for this chat (experiments may pick a variant)
+  const systemPrompt = renderPrompt(options.prompt || DEFAULT_PROMPT, {
+    charBudget: plan.charBudget,
+    responseClass: plan.responseClass,
+    // Without a detected language the prompt asks for the question's language
+    ...(language && { language: getLanguageName(language) }),
+  });
   
-  // Give AI enough tokens for complete responses
-  // charBudget is in chars, tokens ≈ chars/4 for English
-  // Use higher multiplier to prevent mid-sentence cutoffs
-  const baseTokens = Math.ceil(plan.charBudget * 0.6);
-  const maxTokens = Math.max(600, Math.min(baseTokens, 1500)); // 600-1500 range
+  // Model, token limit and temperature come from the routing table
+  const routed = resolveRoute(plan.responseClass, classification.complexity);
+  const route = plan.budgetMode === 'economy' ? economyRoute(routed) : routed;
   
   const messages = [
     { role: 'system', content: systemPrompt },
     { role: 'system', content: `KNOWLEDGE:\n${knowledge}` },
+    // Previous exchanges in this reply thread, so follow-ups make sense
+    ...history.flatMap(turn => [
+      { role: 'user', content: turn.question },
+      { role: 'assistant', content: turn.answer },
+    ]),
     { role: 'user', content: query },
   ];
   
   logger.debug('Calling AI', {
-    model,
-    maxTokens,
+    model: route.model,
+    fallbackModel: route.fallbackModel,
+    maxTokens: route.maxTokens,
+    budgetMode: plan.budgetMode,
+    prompt: options.prompt || DEFAULT_PROMPT,
     charBudget: plan.charBudget,
     complexity: classification.complexity,
+    historyTurns: history.length,
   });
   
+  // Long answers stream into a placeholder instead of a long "typing…"
+  const shouldStream = Boolean(stream) && (
+    STREAMING.RESPONSE_CLASSES.includes(plan.responseClass) ||
+    STREAMING.COMPLEXITY_BANDS.includes(getComplexityBand(classification.complexity))
+  );
+  
   try {
-    const result = await chatCompletion(messages, { model, maxTokens });
+    if (shouldStream) {
+      await stream.start();
+    }
     
-    if (!result.success) {
-      logger.error('AI generation failed', { error: result.error });
-      return {
-        text: 'I encountered an issue generating a response. Please try again.',
-        tokensUsed: 0,
-        fromCache: false,
-        fromTemplate: false,
-      };
+    let tokensUsed = 0;
+    let rejected = null;
+    
+    // One regeneration is allowed when the answer is not grounded
+    for (let attempt = 1; attempt <= MAX_GROUNDING_ATTEMPTS; attempt++) {
+      const result = await chatCompletion(messages, {
+        model: route.model,
+        fallbackModel: route.fallbackModel,
+        maxTokens: route.maxTokens,
+        temperature: route.temperature,
+        // Never show a partial with an unverified address, number or exchange,
+        // even briefly; the stream holds at the last grounded partial
+        onDelta: shouldStream
+          ? text => { if (isGroundedPartial(text, getKnowledgeContent())) stream.update(text); }
+          : undefined,
+      });
+      
+      if (!result.success) {
+        logger.error('AI generation failed', { error: result.error });
+        return {
+          text: localize(language, 'messages.generationError', 'I encountered an issue generating a response. Please try again.'),
+          tokensUsed,
+          fromCache: false,
+          fromTemplate: false,
+          failed: true,
+        };
+      }
+      
+      tokensUsed += result.usage?.total_tokens || 0;
+      
+      const grounding = verifyGrounding(result.content, getKnowledgeContent());
+      if (grounding.grounded) {
+        return {
+          text: result.content,
+          tokensUsed,
+          fromCache: false,
+          fromTemplate: false,
+          model: result.model,
+          // Sections the answer draws on, cited under it
+          sources: findSupportingSections(
+            result.content,
+            resolveKnowledgeSections(plan.knowledgeSections)?.map(s => s.slug) ?? null
+          ),
+        };
+      }
+      
+      rejected = result.content;
+      logger.warn('Ungrounded AI answer rejected', {
+        attempt,
+        issues: grounding.issues.map(i => `${i.type}:${i.value}`),
+      });
+      
+      // Tell the model exactly what it got wrong before retrying
+      messages.push({
+        role: 'system',
+        content: `Your previous answer contained unverified claims (${grounding.issues.map(i => i.value).join(', ')}). Answer again using ONLY facts, numbers, addresses and exchanges that appear in KNOWLEDGE.`,
+      });
     }
     
     return {
-      text: result.content,
-      tokensUsed: result.usage?.total_tokens || 0,
+      text: getGroundingFallback(query, language),
+      tokensUsed,
       fromCache: false,
-      fromTemplate: false,
+      fromTemplate: true,
+      ungrounded: true,
+      draft: rejected,
     };
     
   } catch (error) {
     logger.error('AI generation error', { error: error.message });
     return {
-      text: 'I encountered an issue generating a response. Please try again.',
+      text: localize(language, 'messages.generationError', 'I encountered an issue generating a response. Please try again.'),
       tokensUsed: 0,
       fromCache: false,
       fromTemplate: false,
+      failed: true,
     };
   }
 }
 
 /**
- * Build system prompt with constraints
- * @param {import('../types/index.js').ResponsePlan} plan
- * @param {import('../types/index.js').ClassificationResult} classification
+ * Safe answer when the AI keeps making unverifiable claims
+ * Prefers a matching factual template; otherwise points at verified commands.
+ * @param {string} query
+ * @param {string} [language]
  * @returns {string}
  */
-function buildConstrainedPrompt(plan, classification) {
-  const charLimit = plan.charBudget;
-  
-  let prompt = `You are Pepper Pal, a friendly community assistant for Peppercoin ($PEPPER) on Chiliz Chain.
-
-GUIDELINES:
-- Aim for ${charLimit} characters, but prioritize completeness
-- Use plain text - NO markdown, NO asterisks, NO formatting
-- Be direct, helpful, and informative
-- DO NOT include any URLs or links - the system will add verified links automatically
-- DO NOT make up or invent any website addresses
-- End with a forward path when appropriate
+function getGroundingFallback(query, language) {
+  return matchFactualTemplate(query, language) || localize(language, 'messages.groundingFallback', [
+    "I couldn't verify every detail of that answer, so here are the official facts instead:",
+    '',
+    `Contract (Chiliz Chain): ${VERIFIED_FACTS.CONTRACT}`,
+    `Website: ${VERIFIED_FACTS.WEBSITE}`,
+    '',
+    'Use /cex and /dex for verified listings, /tokenomics for supply figures, or ask me a more specific question.',
+  ].join('\n'));
+}
 
-RESPONSE CLASS: ${plan.responseClass}
-`;
+/**
+ * Section an FAQ answer comes from
+ * @param {import('../knowledge/faqIndex.js').FaqEntry} entry
+ * @returns {string[]}
+ */
+function getFaqSources(entry) {
+  return entry.section ? [entry.section] : [];
+}
 
-  if (plan.responseClass === 'FACTUAL') {
-    prompt += `
-This is a factual question. Provide accurate, complete information.
-Include contract address if relevant. DO NOT include URLs.
-Give a thorough answer - users want useful information.`;
-  }
+/**
+ * Sections an answer is built from
+ * Quick Reference is always included; null means the full document
+ * because none of the planned sections can be resolved.
+ * @param {string[]} [sectionSlugs]
+ * @returns {import('../knowledge/chunker.js').KnowledgeSection[]|null}
+ */
+function resolveKnowledgeSections(sectionSlugs = []) {
+  const planned = getKnowledgeSections(sectionSlugs.filter(s => s !== ALWAYS_INCLUDED_SECTION));
   
-  if (plan.responseClass === 'PROCEDURAL') {
-    prompt += `
-This is a how-to question. Provide clear, complete steps.
-Include all necessary information to complete the task.
-DO NOT include URLs - they will be added automatically.`;
+  if (planned.length === 0) {
+    return null;
   }
+  
+  return [...getKnowledgeSections([ALWAYS_INCLUDED_SECTION]), ...planned];
+}
 
-  if (plan.responseClass === 'COMPLEX') {
-    prompt += `
-This is a complex question requiring explanation.
-Provide a thorough, informative response.
-Include context and details. DO NOT include any URLs.`;
+/**
+ * Build knowledge context from planned sections
+ * @param {string[]} [sectionSlugs]
+ * @returns {string}
+ */
+function buildKnowledgeContext(sectionSlugs = []) {
+  const sections = resolveKnowledgeSections(sectionSlugs);
+  
+  if (!sections) {
+    logger.debug('No planned knowledge sections resolved, using full document', {
+      requested: sectionSlugs,
+    });
+    return getKnowledgeContent();
   }
   
-  prompt += `
-
-Plain text only. Be helpful and informative. NO URLs.`;
-
-  return prompt;
+  logger.debug('Using knowledge sections', {
+    sections: sections.map(s => s.slug),
+  });
+  
+  return sections.map(s => s.content).join('\n\n');
 }
 
 export default { generate };
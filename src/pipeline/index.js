@@ -6,35 +6,48 @@
  * 1. Forbidden Check (pre-AI safety)
  * 2. Classification (intent, complexity, response class)
  * 3. Planning (strategy, char budget)
- * 4. Generation (template/cache/AI)
+ * 4. Generation (template/cache/FAQ/AI)
  * 5. Validation (length enforcement, forbidden patterns)
  * 6. Formatting (HTML for Telegram)
  */
 
 import { classify } from './classifier.js';
-import { plan, selectModel } from './planner.js';
+import { refineClassification } from './llmClassifier.js';
+import { plan } from './planner.js';
 import { generate } from './generator.js';
 import { validate } from './validator.js';
 import { checkForbidden, getRefusal } from '../safety/intentDetector.js';
-import { format } from '../delivery/formatter.js';
+import { detectLanguage } from './language.js';
+import { format, appendCitation } from '../delivery/formatter.js';
+import { getRemainder, hasMoreSignal } from '../cache/continuationStore.js';
+import { getConversation } from '../cache/conversationMemory.js';
+import { selectPrompt } from '../ai/promptRegistry.js';
+import { localize } from '../templates/localize.js';
+import { isEscalationEnabled } from '../admin/escalation.js';
 import { trackQuestion, trackForbidden, trackError } from '../analytics/index.js';
 import logger from '../utils/logger.js';
 
 /**
  * Process a message through the full pipeline
  * @param {Object} ctx - Telegraf context
+ * @param {Object} [options]
+ * @param {import('../delivery/streamer.js').StreamingReply} [options.stream] - Stream long AI answers here
  * @returns {Promise<import('../types/index.js').DeliveryPlan>}
  */
-export async function process(ctx) {
+export async function process(ctx, options = {}) {
   const pipelineId = generatePipelineId();
   const startTime = Date.now();
   
   const messageText = ctx.message?.text || '';
   
+  // Reply language: the message itself, with the sender's Telegram language as tie-break
+  const language = detectLanguage(messageText, ctx.from?.language_code);
+  
   logger.info('Pipeline started', {
     pipelineId,
     messageLength: messageText.length,
     chatType: ctx.chat?.type,
+    language,
   });
   
   try {
@@ -44,25 +57,45 @@ export async function process(ctx) {
       logger.info('Forbidden intent blocked', {
         pipelineId,
         intent: forbiddenCheck.intent,
+        signals: forbiddenCheck.signals,
+        ruleId: forbiddenCheck.ruleId,
       });
       
       // Track forbidden intent (non-blocking)
       trackForbidden({
         intent: forbiddenCheck.intent,
+        signals: forbiddenCheck.signals,
+        ruleId: forbiddenCheck.ruleId,
         chatId: ctx.chat?.id,
       });
       
-      const refusalText = getRefusal(forbiddenCheck.intent);
-      return createDeliveryPlan(refusalText, Date.now() - startTime);
+      const refusalText = forbiddenCheck.refusalText || getRefusal(forbiddenCheck.intent, language);
+      const intent = forbiddenCheck.intent === 'ADVERSARIAL' ? 'adversarial' : 'forbidden';
+      return createDeliveryPlan(refusalText, Date.now() - startTime, null, intent);
     }
     
-    // Stage 1: Classification
-    const classification = classify(messageText);
+    // Replies to the bot carry the previous exchange of that thread
+    const history = getConversation({
+      chatId: ctx.chat?.id,
+      userId: ctx.from?.id,
+      replyToMessageId: ctx.message?.reply_to_message?.message_id,
+    });
+    
+    // Stage 1: Classification (LLM second opinion when the rules are unsure)
+    const previousQuery = history.at(-1)?.question;
+    const classification = await refineClassification(
+      messageText,
+      classify(messageText, { previousQuery }),
+      { previousQuery }
+    );
     logger.debug('Stage 1 complete: Classification', {
       pipelineId,
       intent: classification.intent,
       complexity: classification.complexity,
       responseClass: classification.responseClass,
+      followUp: classification.followUp,
+      confidence: classification.confidence,
+      source: classification.source,
     });
     
     // Stage 2: Planning
@@ -73,16 +106,37 @@ export async function process(ctx) {
       charBudget: responsePlan.charBudget,
     });
     
+    // Prompt variant for this chat (stable while an experiment runs)
+    const prompt = selectPrompt(ctx.chat?.id);
+    
     // Stage 3: Generation
-    const generated = await generate(responsePlan, messageText, classification);
+    const generated = await generate(responsePlan, messageText, classification, {
+      stream: options.stream,
+      history,
+      prompt: prompt.id,
+      language,
+    });
     logger.debug('Stage 3 complete: Generation', {
       pipelineId,
       fromTemplate: generated.fromTemplate,
       fromCache: generated.fromCache,
+      fromFaq: Boolean(generated.fromFaq),
+      degraded: Boolean(generated.degraded),
+      coalesced: Boolean(generated.coalesced),
       length: generated.text?.length,
       generationTimeMs: generated.generationTimeMs,
     });
     
+    // Grounding fallback replaced the AI answer - worth seeing in analytics
+    if (generated.ungrounded) {
+      trackError({
+        errorType: 'grounding_error',
+        message: 'AI answer failed grounding check',
+        stage: 'generation',
+        chatId: ctx.chat?.id,
+      });
+    }
+    
     // Stage 4: Validation
     const validated = validate(generated, responsePlan.charBudget);
     if (!validated.valid) {
@@ -91,9 +145,24 @@ export async function process(ctx) {
         error: validated.error,
       });
       
+      // Logged for the knowledge-gap report
+      trackError({
+        errorType: 'validation_error',
+        message: validated.error,
+        stage: 'validation',
+        gapReason: 'validation',
+        question: messageText,
+        chatId: ctx.chat?.id,
+      });
+      
+      const escalation = createEscalation('validation', messageText, generated.text, language);
+      
       return createDeliveryPlan(
-        'I apologize, but I had trouble with that response. Could you rephrase your question?',
-        Date.now() - startTime
+        localize(language, 'messages.validationFailed', 'I apologize, but I had trouble with that response. Could you rephrase your question?'),
+        Date.now() - startTime,
+        null,
+        classification.intent,
+        { escalation, fallback: true }
       );
     }
     logger.debug('Stage 4 complete: Validation', {
@@ -103,40 +172,110 @@ export async function process(ctx) {
     });
     
     // Stage 5: Format for Telegram
-    // SKIP URL stripping for template responses - they already have verified URLs
+    // SKIP URL stripping for template, FAQ and moderator responses - they already have verified URLs
+    const verified = generated.fromTemplate || generated.fromFaq || generated.fromOverride;
     let formatted;
-    if (generated.fromTemplate) {
-      // Templates are pre-verified, don't strip their URLs
+    if (verified) {
+      // Templates, FAQ and moderator answers are pre-verified, don't strip their URLs
       formatted = validated.text;
-      logger.debug('Skipping URL strip for template response');
+      logger.debug('Skipping URL strip for verified response');
     } else {
       // AI responses need URL stripping and verified link injection
       formatted = format(validated.text, messageText);
     }
     
+    // Compressed answers keep the rest for a "more" follow-up
+    let continuation = null;
+    if (validated.wasCompressed && hasMoreSignal(formatted)) {
+      const full = verified
+        ? generated.text
+        : format(generated.text, messageText);
+      continuation = getRemainder(full, formatted) || null;
+    }
+    
+    // Knowledge answers name the sections they come from; fresh AI answers
+    // no section supports are reported as low confidence
+    const sources = generated.sources || [];
+    const freshAI = !generated.fromCache && !generated.fromTemplate && !generated.fromFaq &&
+      !generated.fromOverride && !generated.degraded;
+    const lowConfidence = freshAI && Array.isArray(generated.sources) && sources.length === 0;
+    formatted = appendCitation(formatted, sources);
+    
+    // Answers the knowledge can't back go to the moderators too (after delivery)
+    const escalation = generated.ungrounded
+      ? createEscalation('ungrounded', messageText, generated.draft || generated.text, language)
+      : lowConfidence
+        ? createEscalation('unsupported', messageText, formatted, language)
+        : null;
+    
+    // Fallbacks worth a knowledge update (/analytics gaps)
+    const gapReason = generated.knowledgeUnavailable
+      ? 'knowledge_unavailable'
+      : generated.ungrounded
+        ? 'ungrounded'
+        : lowConfidence ? 'low_confidence' : null;
+    
+    // FAQ and moderator answers are reported as their own strategies
+    const strategy = generated.fromFaq ? 'faq' : generated.fromOverride ? 'override' : responsePlan.strategy;
+    
     const totalTime = Date.now() - startTime;
     logger.info('Pipeline complete', {
       pipelineId,
       totalTimeMs: totalTime,
       responseClass: classification.responseClass,
-      strategy: responsePlan.strategy,
+      classificationSource: classification.source,
+      promptVariant: prompt.id,
+      language,
+      strategy,
       fromCache: generated.fromCache,
       fromTemplate: generated.fromTemplate,
+      sources,
+      lowConfidence,
+      escalated: Boolean(escalation),
     });
     
     // Track successful question (non-blocking)
     trackQuestion({
       intent: classification.intent,
       responseClass: classification.responseClass,
-      strategy: responsePlan.strategy,
+      classificationSource: classification.source,
+      classificationConfidence: classification.confidence,
+      promptVariant: prompt.id,
+      experiment: prompt.experiment,
+      language,
+      strategy,
       responseTimeMs: totalTime,
       success: true,
       fromCache: generated.fromCache,
       fromTemplate: generated.fromTemplate,
+      sources,
+      lowConfidence,
+      escalated: Boolean(escalation),
+      gapReason,
+      question: messageText,
+      pipelineId,
       chatId: ctx.chat?.id,
     });
     
-    return createDeliveryPlan(formatted, totalTime);
+    // AI answers get 👍/👎 buttons; votes are tied back to this run
+    const aiAnswer = !generated.fromTemplate && !generated.fromFaq && !generated.fromOverride &&
+      !generated.failed && !(generated.degraded && !generated.fromCache);
+    const feedback = aiAnswer
+      ? {
+        pipelineId,
+        strategy,
+        model: generated.model || null,
+        promptVariant: prompt.id,
+        experiment: prompt.experiment,
+        language,
+      }
+      : null;
+    
+    // Apologies and safe fallbacks stand in for an answer; follow-ups should not build on them
+    const fallback = Boolean(generated.failed || generated.ungrounded) ||
+      (generated.degraded && !generated.fromTemplate && !generated.fromCache && !generated.fromFaq);
+    
+    return createDeliveryPlan(formatted, totalTime, continuation, classification.intent, { escalation, feedback, fallback });
     
   } catch (error) {
     logger.error('Pipeline failed', {
@@ -155,8 +294,11 @@ export async function process(ctx) {
     
     // Return safe fallback
     return createDeliveryPlan(
-      'Sorry, I encountered an issue. Please try again or type /start to restart.',
-      Date.now() - startTime
+      localize(language, 'messages.pipelineError', 'Sorry, I encountered an issue. Please try again or type /start to restart.'),
+      Date.now() - startTime,
+      null,
+      null,
+      { fallback: true }
     );
   }
 }
@@ -165,16 +307,43 @@ export async function process(ctx) {
  * Create a delivery plan object - simple single message
  * @param {string} message
  * @param {number} processingTimeMs
+ * @param {string|null} [continuation] - Remaining content for "more"
+ * @param {string|null} [intent] - Intent the message was routed by
+ * @param {Object} [followUp]
+ * @param {import('../admin/escalation.js').Escalation|null} [followUp.escalation] - Question for the moderators
+ * @param {import('../delivery/feedback.js').FeedbackContext|null} [followUp.feedback] - Show feedback buttons
+ * @param {boolean} [followUp.fallback] - Message stands in for an answer (apology, safe fallback)
  * @returns {import('../types/index.js').DeliveryPlan}
  */
-function createDeliveryPlan(message, processingTimeMs) {
+function createDeliveryPlan(message, processingTimeMs, continuation = null, intent = null, { escalation = null, feedback = null, fallback = false } = {}) {
   return {
     message,          // Single message, no array
     parseMode: null,  // Plain text (URLs auto-clickable in Telegram)
     processingTimeMs,
+    continuation,
+    intent,
+    escalation,
+    feedback,
+    fallback,
   };
 }
 
+/**
+ * Escalation for a low-confidence answer, if a moderator chat is configured
+ * @param {import('../admin/escalation.js').EscalationReason} reason
+ * @param {string} question
+ * @param {string} draft - Answer the bot gave or would have given
+ * @param {string} language
+ * @returns {import('../admin/escalation.js').Escalation|null}
+ */
+function createEscalation(reason, question, draft, language) {
+  if (!isEscalationEnabled()) {
+    return null;
+  }
+  
+  return { reason, question, draft: draft || '', language };
+}
+
 /**
  * Generate unique pipeline ID for tracing
  * @returns {string}
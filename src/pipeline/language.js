@@ -0,0 +1,116 @@
+/**
+ * Language Detector
+ * Picks the reply language for a message: English, Turkish or Spanish.
+ * Scores letters and common words unique to each language; the sender's
+ * Telegram language_code only decides when the text doesn't (short
+ * questions, "ca?", "PEPPER"). Pure logic, no AI calls.
+ */
+
+import { LANGUAGES } from '../constants.js';
+
+/**
+ * Per-language signals
+ * letters: characters only that language uses (of the three)
+ * words: frequent words, with and without diacritics since many people
+ * type Turkish and Spanish on English keyboards
+ */
+const SIGNALS = {
+  en: {
+    letters: null,
+    words: [
+      'the', 'is', 'are', 'what', 'how', 'where', 'when', 'why', 'which', 'who',
+      'can', 'do', 'does', 'i', 'to', 'and', 'of', 'you', 'my', 'it', 'with',
+      'buy', 'hello', 'hi', 'hey', 'thanks', 'thank', 'please', 'about',
+    ],
+  },
+  tr: {
+    letters: /[ğış]/g,
+    words: [
+      'nasıl', 'nasil', 'nedir', 'ne', 'neden', 'nerede', 'nereden', 'hangi', 'kaç', 'kac',
+      'mi', 'mı', 'mu', 'mü', 'bir', 've', 'bu', 'için', 'icin', 'ile', 'var', 'yok',
+      'değil', 'degil', 'merhaba', 'selam', 'teşekkürler', 'tesekkurler', 'teşekkür',
+      'sağol', 'sagol', 'alabilirim', 'alınır', 'alinir', 'adresi', 'nerden', 'nasılsın',
+    ],
+  },
+  es: {
+    letters: /[ñ¿¡áéóú]/g,
+    words: [
+      'qué', 'que', 'cómo', 'como', 'dónde', 'donde', 'cuál', 'cual', 'cuándo', 'cuando',
+      'por', 'para', 'el', 'la', 'los', 'las', 'es', 'un', 'una', 'del', 'y', 'puedo',
+      'hola', 'gracias', 'comprar', 'dirección', 'direccion', 'cuánto', 'cuanto', 'está',
+    ],
+  },
+};
+
+/**
+ * Supported language code for a Telegram language_code
+ * @param {string|null|undefined} code - e.g. "tr", "es-419", "en-GB"
+ * @returns {string|null} Null when missing or unsupported
+ */
+export function normalizeLanguageCode(code) {
+  const base = String(code || '').toLowerCase().split(/[-_]/)[0];
+  return base in LANGUAGES.NAMES ? base : null;
+}
+
+/**
+ * Score each language for a text
+ * @param {string} text
+ * @returns {Object<string, number>}
+ */
+export function scoreLanguages(text) {
+  const lower = (text || '').toLowerCase();
+  const words = lower.split(/[^\p{L}]+/u).filter(Boolean);
+  const scores = {};
+
+  for (const [language, { letters, words: common }] of Object.entries(SIGNALS)) {
+    const wordHits = words.filter(word => common.includes(word)).length;
+    const letterHits = letters ? new Set(lower.match(letters) || []).size : 0;
+    scores[language] = wordHits + letterHits * 2;
+  }
+
+  return scores;
+}
+
+/**
+ * Detect the language to reply in
+ * @param {string} text - User message
+ * @param {string|null} [hint] - Telegram language_code of the sender
+ * @returns {string} Language code (a key of LANGUAGES.NAMES)
+ */
+export function detectLanguage(text, hint = null) {
+  const hinted = normalizeLanguageCode(hint);
+  const scores = scoreLanguages(text);
+
+  if (hinted) {
+    scores[hinted] += LANGUAGES.HINT_WEIGHT;
+  }
+
+  const [best, score] = Object.entries(scores).reduce((a, b) => (b[1] > a[1] ? b : a));
+  return score > 0 ? best : LANGUAGES.DEFAULT;
+}
+
+/**
+ * Language for replies without text to go by (commands)
+ * @param {Object} ctx - Telegraf context
+ * @returns {string} Language code
+ */
+export function getUserLanguage(ctx) {
+  return normalizeLanguageCode(ctx.from?.language_code) || LANGUAGES.DEFAULT;
+}
+
+/**
+ * English name of a language, for the prompt
+ * @param {string} language - Language code
+ * @returns {string}
+ */
+export function getLanguageName(language) {
+  return LANGUAGES.NAMES[language] || LANGUAGES.NAMES[LANGUAGES.DEFAULT];
+}
+
+export default {
+  detectLanguage,
+  scoreLanguages,
+  normalizeLanguageCode,
+  getUserLanguage,
+  getLanguageName,
+};
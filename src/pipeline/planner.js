@@ -1,7 +1,7 @@
 /**
  * Response Planner
  * Takes ClassificationResult and produces ResponsePlan
- * Determines strategy and whether to split
+ * Determines strategy, whether to split and how much AI the budget allows
  */
 
 import {
@@ -9,6 +9,7 @@ import {
   COMPLEXITY_THRESHOLDS,
   SPLIT_THRESHOLD,
 } from '../constants.js';
+import { getBudgetMode } from '../ai/budget.js';
 import logger from '../utils/logger.js';
 
 /**
@@ -34,6 +35,8 @@ export function plan(classification) {
     responseClass,
     shouldSplit,
     knowledgeSections,
+    // Near the spend cap: cheaper model (economy), then no AI at all (local)
+    budgetMode: getBudgetMode(),
   };
   
   logger.debug('Response planned', {
@@ -103,13 +106,13 @@ function selectKnowledgeSections(keywords, responseClass) {
     'chain': ['technical', 'what-is-peppercoin'],
     
     // Governance
-    'governance': ['pepper-inc-governance', 'governance-and-staking'],
-    'vote': ['pepper-inc-governance', 'governance-and-staking'],
-    'voting': ['pepper-inc-governance', 'governance-and-staking'],
+    'governance': ['pepper-inc-governance-portal', 'governance-and-staking'],
+    'vote': ['pepper-inc-governance-portal', 'governance-and-staking'],
+    'voting': ['pepper-inc-governance-portal', 'governance-and-staking'],
     'staking': ['governance-and-staking'],
     'stake': ['governance-and-staking'],
-    'treasury': ['pepper-inc-governance'],
-    'inc': ['pepper-inc-governance'],
+    'treasury': ['pepper-inc-governance-portal'],
+    'inc': ['pepper-inc-governance-portal'],
     
     // Tokenomics
     'supply': ['tokenomics'],
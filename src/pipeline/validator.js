@@ -6,27 +6,9 @@
 
 import { HARD_CHAR_LIMIT, SOFT_CHAR_LIMIT, MIN_RESPONSE_LENGTH } from '../constants.js';
 import { compress } from '../safety/compressor.js';
+import { matchOutput, findBlocking } from '../safety/policy.js';
 import logger from '../utils/logger.js';
 
-/**
- * Forbidden patterns in AI output (containment check)
- */
-const FORBIDDEN_OUTPUT_PATTERNS = [
-  // AI self-reference (breaks persona)
-  /\bas\s+an?\s+(ai|artificial\s+intelligence|language\s+model|llm)\b/i,
-  /\bi'?m\s+(just\s+)?(a|an)\s+(bot|ai|language\s+model)\b/i,
-  /\bi\s+am\s+(a|an)\s+(ai|bot|language\s+model)/i,
-  
-  // System leakage
-  /\b(system\s+prompt|openrouter|api\s+key)/i,
-  /\b(knowledge\s+file|peppercoin\.md)/i,
-  
-  // Direct trading advice (AI generated despite instructions)
-  /\b(buy|sell)\s+(now|immediately|today|soon)\b/i,
-  /\bguaranteed\s+(return|profit)/i,
-  /\bprice\s+(will|should|going\s+to)\s+(go|rise|fall|moon)/i,
-];
-
 /**
  * Validate generated response
  * @param {import('../types/index.js').GeneratedResponse} generated
@@ -64,21 +46,27 @@ export function validate(generated, charBudget) {
     }
   }
   
-  // Step 3: Check forbidden output patterns
-  for (const pattern of FORBIDDEN_OUTPUT_PATTERNS) {
-    if (pattern.test(text)) {
-      const match = text.match(pattern);
-      logger.warn('Forbidden pattern in output', {
-        pattern: pattern.source,
-        match: match?.[0],
-      });
-      return {
-        valid: false,
-        text: '',
-        wasCompressed,
-        error: 'Contains forbidden content',
-      };
-    }
+  // Step 3: Check forbidden output patterns (content policy)
+  const matches = matchOutput(text);
+  for (const match of matches.filter(m => m.severity === 'flag')) {
+    logger.info('Flagged pattern in output', {
+      category: match.category,
+      match: match.matched,
+    });
+  }
+  
+  const blocking = findBlocking(matches);
+  if (blocking) {
+    logger.warn('Forbidden pattern in output', {
+      category: blocking.category,
+      match: blocking.matched,
+    });
+    return {
+      valid: false,
+      text: '',
+      wasCompressed,
+      error: 'Contains forbidden content',
+    };
   }
   
   // Step 4: Normalize whitespace
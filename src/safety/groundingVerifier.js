@@ -0,0 +1,210 @@
+/**
+ * Grounding Verifier
+ * Post-generation check that AI answers only state verifiable facts:
+ * - every 0x address is the official contract
+ * - every numeric claim appears in the knowledge base
+ * - every named exchange is one where PEPPER is actually listed
+ * A wrong address in a crypto community costs users real money.
+ */
+
+import { VERIFIED_FACTS, VERIFIED_EXCHANGES } from '../constants.js';
+import { stripAllUrls } from '../knowledge/verifiedLinks.js';
+import logger from '../utils/logger.js';
+
+/**
+ * @typedef {Object} GroundingIssue
+ * @property {'address'|'number'|'exchange'} type
+ * @property {string} value - Offending text
+ */
+
+/**
+ * @typedef {Object} GroundingResult
+ * @property {boolean} grounded - True when no issues were found
+ * @property {GroundingIssue[]} issues
+ */
+
+// Hex runs long enough to be (part of) an address
+const HEX_PATTERN = /0x[a-fA-F0-9]{8,}/g;
+
+// 1,234 / 8.88 / $5 / 70% / 128 trillion / 5k
+const NUMBER_PATTERN = /(\$)?\b(\d[\d,]*(?:\.\d+)?)(?:\s*(%|percent\b|k\b|m\b|b\b|thousand\b|million\b|billion\b|trillion\b|quadrillion\b))?/gi;
+
+const MAGNITUDE_ALIASES = {
+  percent: '%',
+  k: 'thousand',
+  m: 'million',
+  b: 'billion',
+};
+
+// Exchanges the model might name; anything here that is not verified is a hallucination
+const KNOWN_EXCHANGES = [
+  ...VERIFIED_EXCHANGES,
+  'Binance', 'Coinbase', 'Kraken', 'OKX', 'Bybit', 'KuCoin', 'Gate.io',
+  'Bitget', 'HTX', 'Huobi', 'Crypto.com', 'Bitfinex', 'Bitstamp', 'Gemini',
+  'Upbit', 'Bithumb', 'LBank', 'BingX', 'Poloniex', 'BitMart', 'Uniswap',
+  'PancakeSwap', 'SushiSwap', 'Raydium', 'Jupiter',
+];
+
+// Sentences that deny a listing ("not listed on Binance") are not claims
+const NEGATION_PATTERN = /\b(not|no|never|isn'?t|aren'?t|won'?t)\b/i;
+
+// Sentences about buying CHZ for gas legitimately name major exchanges
+const CHZ_ONLY_PATTERN = /\b(chz|chiliz token)\b/i;
+
+/**
+ * Numbers known to the knowledge base, memoized per knowledge text
+ */
+let knownNumbers = { source: null, values: new Set() };
+
+/**
+ * Extract normalized numeric claims
+ * Single digits without a unit (list items, "step 2") are ignored.
+ * @param {string} text
+ * @returns {{ raw: string, key: string }[]}
+ */
+export function extractNumbers(text) {
+  const claims = [];
+
+  for (const match of text.matchAll(NUMBER_PATTERN)) {
+    const [raw, currency, number, unit] = match;
+    const digits = number.replace(/,/g, '').replace(/\.$/, '');
+    const magnitude = unit ? (MAGNITUDE_ALIASES[unit.toLowerCase()] || unit.toLowerCase()) : '';
+
+    if (!currency && !magnitude && digits.replace('.', '').length < 2) continue;
+
+    claims.push({
+      raw: raw.trim(),
+      key: magnitude ? `${digits} ${magnitude}` : digits,
+    });
+  }
+
+  return claims;
+}
+
+/**
+ * Build (or reuse) the set of numbers that appear in the knowledge base
+ * Both the bare number and "number magnitude" forms are accepted.
+ * @param {string} knowledge
+ * @returns {Set<string>}
+ */
+function getKnownNumbers(knowledge) {
+  if (knownNumbers.source === knowledge) {
+    return knownNumbers.values;
+  }
+
+  const source = [
+    knowledge,
+    VERIFIED_FACTS.TOTAL_SUPPLY,
+    VERIFIED_FACTS.BURNED,
+    VERIFIED_FACTS.CHAIN_ID,
+  ].join('\n');
+
+  const values = new Set();
+  for (const { key } of extractNumbers(source.replace(HEX_PATTERN, ' '))) {
+    values.add(key);
+    values.add(key.split(' ')[0]);
+  }
+
+  knownNumbers = { source: knowledge, values };
+  return values;
+}
+
+/**
+ * Find exchange names claimed as PEPPER venues but not verified
+ * @param {string} text
+ * @returns {string[]}
+ */
+function findUnverifiedExchanges(text) {
+  const verified = new Set(VERIFIED_EXCHANGES.map(e => e.toLowerCase()));
+  const found = new Set();
+
+  for (const sentence of text.split(/(?<=[.!?])\s+|\n+/)) {
+    if (NEGATION_PATTERN.test(sentence)) continue;
+    if (CHZ_ONLY_PATTERN.test(sentence) && !/\bpepper\b/i.test(sentence)) continue;
+
+    for (const name of KNOWN_EXCHANGES) {
+      if (verified.has(name.toLowerCase())) continue;
+      const escaped = name.replace(/\./g, '\\.');
+      if (new RegExp(`\\b${escaped}\\b`, 'i').test(sentence)) {
+        found.add(name);
+      }
+    }
+  }
+
+  return [...found];
+}
+
+/**
+ * Check text for any address other than the official contract
+ * Cheap enough to run on every streamed partial.
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function hasUnverifiedAddress(text) {
+  const contract = VERIFIED_FACTS.CONTRACT.toLowerCase();
+  return [...(text || '').matchAll(HEX_PATTERN)].some(([hex]) => !contract.startsWith(hex.toLowerCase()));
+}
+
+/**
+ * Claims in a text that the knowledge base doesn't back
+ * @param {string} text
+ * @param {string} knowledge - Full knowledge base content
+ * @returns {GroundingIssue[]}
+ */
+function findIssues(text, knowledge) {
+  const issues = [];
+  const contract = VERIFIED_FACTS.CONTRACT.toLowerCase();
+
+  // Addresses: full or shortened, must be the official contract
+  for (const [hex] of (text || '').matchAll(HEX_PATTERN)) {
+    if (!contract.startsWith(hex.toLowerCase())) {
+      issues.push({ type: 'address', value: hex });
+    }
+  }
+
+  // Numbers: URLs and addresses are not claims
+  const claimText = stripAllUrls((text || '').replace(HEX_PATTERN, ' '));
+  const known = getKnownNumbers(knowledge || '');
+  for (const claim of extractNumbers(claimText)) {
+    if (!known.has(claim.key)) {
+      issues.push({ type: 'number', value: claim.raw });
+    }
+  }
+
+  // Exchanges
+  for (const name of findUnverifiedExchanges(text || '')) {
+    issues.push({ type: 'exchange', value: name });
+  }
+
+  return issues;
+}
+
+/**
+ * Whether a streamed partial answer may be shown
+ * The same checks as verifyGrounding, without logging; a number still
+ * being typed may fail until it is complete, which only skips that edit.
+ * @param {string} text - Partial AI answer
+ * @param {string} knowledge - Full knowledge base content
+ * @returns {boolean}
+ */
+export function isGroundedPartial(text, knowledge) {
+  return findIssues(text, knowledge).length === 0;
+}
+
+/**
+ * Verify that an AI answer is grounded in verified facts
+ * @param {string} text - Raw AI answer
+ * @param {string} knowledge - Full knowledge base content
+ * @returns {GroundingResult}
+ */
+export function verifyGrounding(text, knowledge) {
+  const issues = findIssues(text, knowledge);
+
+  if (issues.length > 0) {
+    logger.warn('Ungrounded claims in AI response', { issues });
+  }
+
+  return { grounded: issues.length === 0, issues };
+}
+
+export default { verifyGrounding, isGroundedPartial, hasUnverifiedAddress, extractNumbers };
@@ -0,0 +1,161 @@
+/**
+ * Injection Detector
+ * Scores messages for prompt-injection and jailbreak attempts.
+ *
+ * Text is normalized first so spelling tricks don't hide the payload:
+ * Unicode NFKC, zero-width stripping, Cyrillic/Greek look-alikes folded
+ * to Latin, diacritics dropped, then leetspeak ("ign0re"), spaced-out
+ * letters ("i g n o r e") and base64 payloads are tried as extra readings.
+ * Each matched signal adds its weight; obfuscation adds a little on top,
+ * since nobody hides a harmless question.
+ */
+
+import { INJECTION } from '../constants.js';
+
+/**
+ * @typedef {Object} InjectionResult
+ * @property {boolean} isInjection - Score reached INJECTION.THRESHOLD
+ * @property {number} score
+ * @property {string[]} signals - Matched signal and obfuscation names
+ */
+
+// Invisible characters used to split trigger words
+const ZERO_WIDTH = /[\u00AD\u034F\u180E\u200B-\u200F\u2060-\u2064\uFEFF]/g;
+const HIDDEN_SPLIT = /\p{L}[\u00AD\u034F\u180E\u200B-\u200F\u2060-\u2064\uFEFF]+\p{L}/u;
+
+// Cyrillic and Greek letters that render like Latin ones
+const CONFUSABLES = {
+  'а': 'a', 'в': 'b', 'е': 'e', 'ё': 'e', 'к': 'k', 'м': 'm', 'н': 'h', 'о': 'o',
+  'р': 'p', 'с': 'c', 'т': 't', 'у': 'y', 'х': 'x', 'і': 'i', 'ї': 'i', 'ј': 'j',
+  'ѕ': 's', 'ԁ': 'd', 'һ': 'h', 'ӏ': 'l', 'ԛ': 'q', 'ԝ': 'w',
+  'α': 'a', 'β': 'b', 'ε': 'e', 'η': 'n', 'ι': 'i', 'κ': 'k', 'ν': 'v', 'ο': 'o',
+  'ρ': 'p', 'τ': 't', 'υ': 'u', 'χ': 'x',
+  // Turkish dotless i, so Turkish patterns can be written in ASCII
+  'ı': 'i',
+};
+const CONFUSABLE_PATTERN = new RegExp(`[${Object.keys(CONFUSABLES).join('')}]`, 'g');
+const MIXED_SCRIPT_WORD = /(?=\S*[a-z])(?=\S*[\u0370-\u03FF\u0400-\u04FF])\S+/i;
+
+const LEETSPEAK = {
+  '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't', '8': 'b',
+  '@': 'a', '$': 's', '!': 'i', '|': 'l',
+};
+
+// Single letters separated by one space, dot, dash, underscore or asterisk
+const SPACED_LETTERS = /(?<=(?:^|[^\p{L}])\p{L})[ .\-_*](?=\p{L}(?:[^\p{L}]|$))/gu;
+
+const BASE64_RUN = new RegExp(`[A-Za-z0-9+/]{${INJECTION.MIN_BASE64_LENGTH},}={0,2}`, 'g');
+
+/**
+ * Injection signals, matched against normalized text (lowercase ASCII
+ * letters for English, Turkish and Spanish alike)
+ * Weight 1 blocks on its own; 0.5 needs a second signal or an obfuscation.
+ */
+const SIGNALS = [
+  // "ignore previous instructions", "forget your rules"
+  { name: 'instruction_override', weight: 1, pattern: /\b(ignore|disregard|forget|override|skip)\s+(all\s+|any\s+)?(of\s+)?(the\s+|your\s+|my\s+|these\s+)?(previous|prior|above|earlier|original|system|all|your)?\s*(instructions?|rules?|prompts?|guidelines?|directives?)\b/ },
+  { name: 'instruction_override', weight: 1, pattern: /\b(onceki|tum|butun|verilen)?\s*(talimat|kural|yonerge)\w*\s+(\w+\s+)?(yok\s*say|unut|gormezden\s+gel|atla)/ },
+  { name: 'instruction_override', weight: 1, pattern: /\b(ignora|olvida|omite|descarta|ignorar|olvidar)\w*\s+(todas\s+)?(las\s+|tus\s+|sus\s+)?(\w+\s+)?(instrucciones|reglas|normas|indicaciones)\b/ },
+  // "reveal your system prompt"
+  { name: 'prompt_extraction', weight: 1, pattern: /\b(reveal|show|print|repeat|output|leak|tell|give)\s+(me\s+)?(your\s+(system\s+|initial\s+|hidden\s+)?|the\s+(system|initial|hidden)\s+)(prompt|instructions)\b/ },
+  { name: 'prompt_extraction', weight: 0.5, pattern: /\b(system\s+prompt|sistem\s+(istem|prompt)\w*|prompt\s+del\s+sistema)\b/ },
+  // Named jailbreaks
+  { name: 'jailbreak', weight: 1, pattern: /jailbreak|\b(you\s+are|act\s+as|be)\s+dan\b|\b(dan|developer|evil|god|debug)\s+mode\b|\bdo\s+anything\s+now\b|\bmodo\s+(desarrollador|dan)\b|\bgelistirici\s+modu\b/ },
+  // "limits" and "rules" stay out: "withdraw without limits" is an ordinary question
+  { name: 'restriction_removal', weight: 1, pattern: /\b(no|without)\s+(restrictions|filters|guidelines)\b|\bbypass\s+(your|the|any|all)\b|\bsin\s+(restricciones|filtros)\b|\bkisitlama(siz|\w*\s+olmadan)\b/ },
+  // Role-play and persona switches
+  { name: 'role_play', weight: 1, pattern: /\bpretend\s+(you('re|\s+are)|to\s+be|that\s+you)\b|\bfinge\s+(que\s+)?(eres|ser)\b/ },
+  { name: 'role_play', weight: 0.5, pattern: /\bact\s+as\s+(if|a|an|though)\b|\brole[\s-]?play\b|\bactua\s+como\b|\bimagina\s+que\s+eres\b|\bgibi\s+davran|\brol\s+yap/ },
+  { name: 'persona_switch', weight: 0.5, pattern: /\byou\s+are\s+now\b|\bfrom\s+now\s+on\b|\bnew\s+instructions?\b|\bahora\s+eres\b|\bartik\s+sen\b/ },
+];
+
+/**
+ * Fold text to lowercase Latin letters without diacritics
+ * @param {string} text
+ * @returns {string}
+ */
+function fold(text) {
+  return text
+    .normalize('NFKC')
+    .replace(ZERO_WIDTH, '')
+    .toLowerCase()
+    .replace(CONFUSABLE_PATTERN, char => CONFUSABLES[char])
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '');
+}
+
+/**
+ * Decode base64 runs that turn out to be readable text
+ * @param {string} text
+ * @returns {string[]}
+ */
+function decodeBase64(text) {
+  const decoded = [];
+
+  for (const run of text.match(BASE64_RUN) || []) {
+    const value = Buffer.from(run, 'base64').toString('utf8');
+    const printable = value.match(/[\p{L}\p{N}\p{P}\s]/gu) || [];
+    if (value.includes(' ') && printable.length / value.length > 0.9) {
+      decoded.push(value);
+    }
+  }
+
+  return decoded;
+}
+
+/**
+ * Normalize a message into the readings the detector checks
+ * @param {string} text - Raw user message
+ * @returns {{ readings: Array<{ text: string, via: string|null }>, obfuscation: string[] }}
+ */
+export function normalizeForDetection(text) {
+  const raw = (text || '').normalize('NFKC');
+  const folded = fold(raw);
+  const leet = folded.replace(/[0134578@$!|]/g, char => LEETSPEAK[char]);
+
+  const obfuscation = [];
+  if (HIDDEN_SPLIT.test(raw)) obfuscation.push('zero_width');
+  if (MIXED_SCRIPT_WORD.test(raw.replace(ZERO_WIDTH, ''))) obfuscation.push('homoglyph');
+
+  const readings = [
+    { text: folded, via: null },
+    { text: leet, via: 'leetspeak' },
+    { text: leet.replace(SPACED_LETTERS, ''), via: 'spaced_letters' },
+    ...decodeBase64(raw).map(value => ({ text: fold(value), via: 'base64' })),
+  ];
+
+  return { readings, obfuscation };
+}
+
+/**
+ * Score a message for prompt injection
+ * @param {string} text - Raw user message
+ * @returns {InjectionResult}
+ */
+export function detectInjection(text) {
+  const { readings, obfuscation } = normalizeForDetection(text);
+  const weights = new Map();
+  const tricks = new Set(obfuscation);
+
+  for (const { name, weight, pattern } of SIGNALS) {
+    const reading = readings.find(({ text: candidate }) => pattern.test(candidate));
+    if (!reading) continue;
+
+    weights.set(name, Math.max(weights.get(name) || 0, weight));
+    if (reading.via) tricks.add(reading.via);
+  }
+
+  const signalScore = [...weights.values()].reduce((sum, weight) => sum + weight, 0);
+  const score = signalScore + tricks.size * INJECTION.OBFUSCATION_WEIGHT;
+
+  return {
+    isInjection: signalScore > 0 && score >= INJECTION.THRESHOLD,
+    score,
+    signals: [...weights.keys(), ...tricks],
+  };
+}
+
+export default {
+  detectInjection,
+  normalizeForDetection,
+};
@@ -1,10 +1,12 @@
 /**
  * Intent Detector
  * Pre-AI layer to catch forbidden queries before wasting API calls
+ * Rules come from the content policy (src/safety/policy.json) and the
+ * rules admins add at runtime (/rules).
  */
 
-import { INTENT_KEYWORDS } from '../constants.js';
-import { detectForbiddenType, getRefusalTemplate } from '../templates/refusals.js';
+import { getRefusalTemplate } from '../templates/refusals.js';
+import { matchInput, findBlocking, getInputRule } from './policy.js';
 import logger from '../utils/logger.js';
 
 /**
@@ -14,117 +16,53 @@ import logger from '../utils/logger.js';
  */
 export function checkForbidden(query) {
   const normalized = (query || '').toLowerCase().trim();
+  const matches = matchInput(query);
   
-  // Check investment advice
-  if (isInvestmentAdvice(normalized)) {
-    logger.info('Forbidden intent detected: INVESTMENT_ADVICE', { query: normalized.substring(0, 50) });
-    return {
-      isForbidden: true,
-      intent: 'INVESTMENT_ADVICE',
-      suggestedRedirect: 'how PEPPER works',
-    };
-  }
-  
-  // Check price speculation
-  if (isPriceSpeculation(normalized)) {
-    logger.info('Forbidden intent detected: PRICE_SPECULATION', { query: normalized.substring(0, 50) });
-    return {
-      isForbidden: true,
-      intent: 'PRICE_SPECULATION',
-      suggestedRedirect: 'PEPPER utility',
-    };
+  // Flagged rules are only logged
+  for (const match of matches.filter(m => m.severity === 'flag')) {
+    logger.info('Flagged by content policy', {
+      category: match.category,
+      matched: match.matched,
+      query: normalized.substring(0, 50),
+    });
   }
   
-  // Check market sentiment
-  if (isMarketSentiment(normalized)) {
-    logger.info('Forbidden intent detected: MARKET_SENTIMENT', { query: normalized.substring(0, 50) });
+  const blocking = findBlocking(matches);
+  if (!blocking) {
     return {
-      isForbidden: true,
-      intent: 'MARKET_SENTIMENT',
-      suggestedRedirect: 'what makes PEPPER unique',
+      isForbidden: false,
+      intent: null,
+      suggestedRedirect: null,
     };
   }
   
-  // Check adversarial
-  if (isAdversarial(normalized)) {
-    logger.warn('Adversarial intent detected', { query: normalized.substring(0, 50) });
-    return {
-      isForbidden: true,
-      intent: 'ADVERSARIAL',
-      suggestedRedirect: 'Peppercoin basics',
-    };
-  }
+  // Injection attempts are worth a closer look than ordinary refusals
+  const level = blocking.signals ? 'warn' : 'info';
+  logger[level]('Forbidden intent detected', {
+    intent: blocking.category,
+    matched: blocking.matched,
+    ruleId: blocking.ruleId,
+    query: normalized.substring(0, 50),
+  });
   
   return {
-    isForbidden: false,
-    intent: null,
-    suggestedRedirect: null,
+    isForbidden: true,
+    intent: blocking.category,
+    suggestedRedirect: blocking.redirect,
+    ...(blocking.signals && { signals: blocking.signals }),
+    ...(blocking.text && { refusalText: blocking.text, ruleId: blocking.ruleId }),
   };
 }
 
 /**
  * Get appropriate refusal response for forbidden intent
- * @param {string} forbiddenIntent
+ * @param {string} forbiddenIntent - Policy category
+ * @param {string} [language] - Language code of the question
  * @returns {string}
  */
-export function getRefusal(forbiddenIntent) {
-  return getRefusalTemplate(forbiddenIntent);
-}
-
-// Detection functions
-
-function isInvestmentAdvice(query) {
-  const patterns = [
-    /should\s+i\s+(buy|sell|invest|hold)/i,
-    /is\s+it\s+(worth|good)\s+(buying|to\s+buy|investing)/i,
-    /good\s+investment/i,
-    /buy\s+(now|today|soon)/i,
-    /sell\s+(now|today|soon)/i,
-    /invest\s+in\s+pepper/i,
-    /worth\s+(buying|investing)/i,
-  ];
-  return patterns.some(p => p.test(query));
-}
-
-function isPriceSpeculation(query) {
-  const patterns = [
-    /price\s+(prediction|target|forecast)/i,
-    /will\s+(the\s+)?price/i,
-    /when\s+(will\s+)?(moon|lambo)/i,
-    /wen\s+(moon|lambo)/i,
-    /price\s+go\s+(up|down)/i,
-    /how\s+high\s+(can|will)/i,
-    /reach\s+\$?\d/i,
-    /\$?\d+\s+(by|in|before)/i,
-  ];
-  return patterns.some(p => p.test(query));
-}
-
-function isMarketSentiment(query) {
-  // Must be standalone words, not part of other words
-  const sentimentWords = ['bullish', 'bearish', 'pump', 'dump', 'moon', 'lambo', 'mooning', 'pumping', 'dumping'];
-  return sentimentWords.some(word => {
-    const regex = new RegExp(`\\b${word}\\b`, 'i');
-    return regex.test(query);
-  });
-}
-
-function isAdversarial(query) {
-  const patterns = [
-    /ignore\s+(previous|all|your|above)\s+(instructions?|rules?|prompts?)/i,
-    /disregard\s+(your|the)\s+(rules?|instructions?|guidelines?)/i,
-    /forget\s+(your|the|all)\s+(rules?|instructions?)/i,
-    /pretend\s+(you('re|are)|to\s+be)/i,
-    /act\s+as\s+(if|a|an|though)/i,
-    /you\s+are\s+now/i,
-    /bypass\s+(your|the|any)/i,
-    /jailbreak/i,
-    /dan\s+mode/i,
-    /developer\s+mode/i,
-    /evil\s+mode/i,
-    /no\s+restrictions/i,
-  ];
-  return patterns.some(p => p.test(query));
+export function getRefusal(forbiddenIntent, language) {
+  const refusal = getInputRule(forbiddenIntent)?.refusal || forbiddenIntent;
+  return getRefusalTemplate(refusal, language);
 }
 
 export default {
@@ -0,0 +1,220 @@
+/**
+ * Content Policy
+ * Loads the forbidden-content rules from policy.json, the single place
+ * they are defined. Input rules decide what gets refused before the AI
+ * (intent detector, classifier, refusal templates); output rules decide
+ * which AI answers the validator rejects.
+ *
+ * Rule fields:
+ * - category: name reported in logs and analytics
+ * - severity: "block" stops the message, "flag" only logs it
+ * - match: "phrase" (substring), "word" (whole words), "regex", or
+ *   "injection" (delegates to the scored injection detector)
+ * - refusal / redirect (input only): REFUSAL_TEMPLATES key and topic to offer instead
+ *
+ * Admins can add input rules at runtime (/rules, src/safety/runtimeRules.js);
+ * those are checked before the file's rules and may carry their own refusal text.
+ */
+
+import fs from 'fs';
+import { detectInjection } from './injectionDetector.js';
+
+const POLICY_FILE = new URL('./policy.json', import.meta.url);
+
+const SEVERITIES = ['block', 'flag'];
+const MATCH_TYPES = ['phrase', 'word', 'regex', 'injection'];
+
+/**
+ * @typedef {Object} PolicyRule
+ * @property {string} category
+ * @property {'block'|'flag'} severity
+ * @property {'phrase'|'word'|'regex'|'injection'} match
+ * @property {RegExp[]} patterns - Compiled, case-insensitive
+ * @property {string} [refusal] - REFUSAL_TEMPLATES key (input rules)
+ * @property {string} [redirect] - Topic to suggest instead (input rules)
+ * @property {string} [id] - Runtime rule id
+ * @property {string} [text] - Custom refusal text (runtime rules)
+ */
+
+/**
+ * @typedef {Object} PolicyMatch
+ * @property {string} category
+ * @property {'block'|'flag'} severity
+ * @property {string|null} refusal
+ * @property {string|null} redirect
+ * @property {string} matched - Text (or pattern) that triggered the rule
+ * @property {string[]} [signals] - Injection signals (injection rules)
+ * @property {string} [ruleId] - Runtime rule id
+ * @property {string} [text] - Custom refusal text (runtime rules)
+ */
+
+/**
+ * Escape a literal for use in a RegExp
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Compile one rule from the policy file
+ * @param {Object} rule - Raw rule
+ * @param {string} section - "input", "runtime" or "output"
+ * @returns {PolicyRule}
+ */
+export function compileRule(rule, section) {
+  const where = `${section} rule "${rule.category || '?'}"`;
+
+  if (!rule.category) {
+    throw new Error(`Policy ${section} rule is missing a category`);
+  }
+  if (!SEVERITIES.includes(rule.severity)) {
+    throw new Error(`Policy ${where}: severity must be one of ${SEVERITIES.join(', ')}`);
+  }
+  if (!MATCH_TYPES.includes(rule.match)) {
+    throw new Error(`Policy ${where}: match must be one of ${MATCH_TYPES.join(', ')}`);
+  }
+  if (!Array.isArray(rule.patterns) || (rule.match !== 'injection' && rule.patterns.length === 0)) {
+    throw new Error(`Policy ${where}: patterns must be a non-empty array`);
+  }
+  if (section !== 'output' && !rule.refusal && !rule.text) {
+    throw new Error(`Policy ${where}: input rules need a refusal template key or text`);
+  }
+
+  const patterns = rule.patterns.map(pattern => {
+    switch (rule.match) {
+      case 'phrase':
+        return new RegExp(escapeRegExp(pattern), 'i');
+      case 'word':
+        return new RegExp(`\\b${escapeRegExp(pattern)}\\b`, 'i');
+      default:
+        return new RegExp(pattern, 'i');
+    }
+  });
+
+  return {
+    category: rule.category,
+    severity: rule.severity,
+    match: rule.match,
+    patterns,
+    refusal: rule.refusal || null,
+    redirect: rule.redirect || null,
+    ...(rule.id && { id: rule.id }),
+    ...(rule.text && { text: rule.text }),
+  };
+}
+
+/**
+ * Load and compile a policy file
+ * Throws on a malformed policy - a broken safety policy must not start.
+ * @param {string|URL} [file]
+ * @returns {{ version: number, input: PolicyRule[], output: PolicyRule[] }}
+ */
+export function loadPolicy(file = POLICY_FILE) {
+  const raw = JSON.parse(fs.readFileSync(file, 'utf-8'));
+
+  return {
+    version: raw.version,
+    input: (raw.input || []).map(rule => compileRule(rule, 'input')),
+    output: (raw.output || []).map(rule => compileRule(rule, 'output')),
+  };
+}
+
+const policy = loadPolicy();
+
+// Admin-managed input rules, checked first
+let runtimeRules = [];
+
+/**
+ * Replace the runtime input rules
+ * @param {PolicyRule[]} rules - Compiled with compileRule(rule, 'runtime')
+ */
+export function setRuntimeRules(rules) {
+  runtimeRules = rules;
+}
+
+/**
+ * Test one rule against text
+ * @param {PolicyRule} rule
+ * @param {string} text
+ * @returns {PolicyMatch|null}
+ */
+function applyRule(rule, text) {
+  const base = {
+    category: rule.category,
+    severity: rule.severity,
+    refusal: rule.refusal,
+    redirect: rule.redirect,
+    ...(rule.id && { ruleId: rule.id }),
+    ...(rule.text && { text: rule.text }),
+  };
+
+  if (rule.match === 'injection') {
+    const injection = detectInjection(text);
+    return injection.isInjection
+      ? { ...base, matched: injection.signals.join(','), signals: injection.signals }
+      : null;
+  }
+
+  for (const pattern of rule.patterns) {
+    const match = text.match(pattern);
+    if (match) return { ...base, matched: match[0] };
+  }
+  return null;
+}
+
+/**
+ * Input rules a user message triggers: runtime rules, then the file's in order
+ * @param {string} text - Raw user message
+ * @returns {PolicyMatch[]}
+ */
+export function matchInput(text) {
+  return [...runtimeRules, ...policy.input].map(rule => applyRule(rule, text || '')).filter(Boolean);
+}
+
+/**
+ * Output rules an AI answer triggers, in policy order
+ * @param {string} text - Generated answer
+ * @returns {PolicyMatch[]}
+ */
+export function matchOutput(text) {
+  return policy.output.map(rule => applyRule(rule, text || '')).filter(Boolean);
+}
+
+/**
+ * First blocking match, if any
+ * @param {PolicyMatch[]} matches
+ * @returns {PolicyMatch|null}
+ */
+export function findBlocking(matches) {
+  return matches.find(match => match.severity === 'block') || null;
+}
+
+/**
+ * Input rule for a category
+ * @param {string} category
+ * @returns {PolicyRule|null}
+ */
+export function getInputRule(category) {
+  return policy.input.find(rule => rule.category === category) || null;
+}
+
+/**
+ * Loaded policy rules
+ * @returns {{ version: number, input: PolicyRule[], output: PolicyRule[] }}
+ */
+export function getPolicy() {
+  return policy;
+}
+
+export default {
+  loadPolicy,
+  compileRule,
+  matchInput,
+  matchOutput,
+  findBlocking,
+  getInputRule,
+  getPolicy,
+  setRuntimeRules,
+};
@@ -0,0 +1,198 @@
+/**
+ * Runtime Rules
+ * Refusal rules admins add with /rules, for scam narratives that can't
+ * wait for a deploy ("airdrop claim", "migration to v2"). Rules live in
+ * the cache store (CACHE_BACKEND), so file and Redis backends keep them
+ * across restarts, and are checked before the policy file's rules.
+ */
+
+import { RUNTIME_RULES } from '../constants.js';
+import { createStore } from '../cache/store.js';
+import { compileRule, setRuntimeRules } from './policy.js';
+import logger from '../utils/logger.js';
+
+/**
+ * @typedef {Object} RuntimeRule
+ * @property {string} id - "r1", "r2", ...
+ * @property {'phrase'|'word'|'regex'} match
+ * @property {string} pattern
+ * @property {string|null} text - Custom refusal text (null: generic refusal)
+ * @property {number|null} createdBy - Admin user id
+ * @property {string} createdAt - ISO timestamp
+ */
+
+const MATCH_TYPES = ['phrase', 'word', 'regex'];
+
+const rules = createStore('rules', { maxEntries: RUNTIME_RULES.MAX_RULES });
+
+let refreshTimer = null;
+
+/**
+ * Compile a stored rule for the policy
+ * @param {RuntimeRule} rule
+ * @returns {import('./policy.js').PolicyRule}
+ */
+function compile(rule) {
+  return compileRule({
+    id: rule.id,
+    category: RUNTIME_RULES.CATEGORY,
+    severity: 'block',
+    match: rule.match,
+    patterns: [rule.pattern],
+    refusal: rule.text ? null : 'GENERIC',
+    text: rule.text,
+  }, 'runtime');
+}
+
+/**
+ * Numeric part of a rule id, for ordering
+ * @param {string} id
+ * @returns {number}
+ */
+function idNumber(id) {
+  return Number(id.slice(1)) || 0;
+}
+
+/**
+ * Stored rules, oldest first
+ * @returns {Promise<RuntimeRule[]>}
+ */
+export async function listRules() {
+  const entries = await rules.entries();
+  return entries.map(([, rule]) => rule).sort((a, b) => idNumber(a.id) - idNumber(b.id));
+}
+
+/**
+ * Whether rules outlive the process (file or Redis backend)
+ * With the memory backend a restart, or each serverless instance, starts empty.
+ * @returns {boolean}
+ */
+export function isPersistent() {
+  return rules.type !== 'memory';
+}
+
+/**
+ * Reload the stored rules into the policy
+ * Rules that no longer compile are skipped, not fatal.
+ * @returns {Promise<number>} Number of active rules
+ */
+export async function loadRuntimeRules() {
+  const compiled = [];
+
+  for (const rule of await listRules()) {
+    try {
+      compiled.push(compile(rule));
+    } catch (err) {
+      logger.warn('Skipping invalid runtime rule', { id: rule.id, error: err.message });
+    }
+  }
+
+  setRuntimeRules(compiled);
+  return compiled.length;
+}
+
+/**
+ * Load the stored rules, and keep them in sync when the store is shared
+ * @returns {Promise<void>}
+ */
+export async function initRuntimeRules() {
+  const count = await loadRuntimeRules();
+  logger.info('Runtime rules loaded', { count, backend: rules.type });
+
+  if (rules.type === 'redis' && !refreshTimer) {
+    refreshTimer = setInterval(() => {
+      loadRuntimeRules().catch(err => logger.warn('Runtime rule refresh failed', { error: err.message }));
+    }, RUNTIME_RULES.REFRESH_MS);
+    refreshTimer.unref();
+  }
+}
+
+/**
+ * Add a rule
+ * @param {Object} params
+ * @param {string} params.pattern
+ * @param {'phrase'|'word'|'regex'} [params.match='phrase']
+ * @param {string|null} [params.text] - Custom refusal text
+ * @param {number|null} [params.createdBy]
+ * @returns {Promise<{ rule?: RuntimeRule, error?: string }>}
+ */
+export async function addRule({ pattern, match = 'phrase', text = null, createdBy = null }) {
+  const trimmed = (pattern || '').trim();
+
+  if (!MATCH_TYPES.includes(match)) {
+    return { error: `Match type must be one of: ${MATCH_TYPES.join(', ')}` };
+  }
+  if (!trimmed) {
+    return { error: 'Pattern is empty' };
+  }
+  if (trimmed.length > RUNTIME_RULES.MAX_PATTERN_LENGTH) {
+    return { error: `Pattern is longer than ${RUNTIME_RULES.MAX_PATTERN_LENGTH} characters` };
+  }
+
+  const existing = await listRules();
+  if (existing.length >= RUNTIME_RULES.MAX_RULES) {
+    return { error: `Rule limit reached (${RUNTIME_RULES.MAX_RULES}); remove one first` };
+  }
+
+  const next = Math.max(0, ...existing.map(rule => idNumber(rule.id))) + 1;
+  const rule = {
+    id: `r${next}`,
+    match,
+    pattern: trimmed,
+    text: text?.trim() || null,
+    createdBy,
+    createdAt: new Date().toISOString(),
+  };
+
+  try {
+    compile(rule);
+  } catch (err) {
+    return { error: `Invalid pattern: ${err.message}` };
+  }
+
+  await rules.set(rule.id, rule, RUNTIME_RULES.TTL_MS);
+
+  // Redis write errors are only logged by the store, so read the rule back
+  if (!(await rules.get(rule.id))) {
+    logger.error('Runtime rule was not stored', { id: rule.id, backend: rules.type });
+    return { error: 'The cache store did not save the rule, so it is not active. Check the cache backend and try again.' };
+  }
+
+  await loadRuntimeRules();
+
+  logger.info('Runtime rule added', { id: rule.id, match, pattern: trimmed, createdBy });
+  return { rule };
+}
+
+/**
+ * Remove a rule
+ * @param {string} id
+ * @returns {Promise<boolean>} False if there was no such rule
+ */
+export async function removeRule(id) {
+  const removed = await rules.delete(id);
+  if (removed) {
+    await loadRuntimeRules();
+    logger.info('Runtime rule removed', { id });
+  }
+  return removed;
+}
+
+/**
+ * Remove every rule (tests)
+ * @returns {Promise<void>}
+ */
+export async function clearRules() {
+  await rules.clear();
+  setRuntimeRules([]);
+}
+
+export default {
+  listRules,
+  isPersistent,
+  loadRuntimeRules,
+  initRuntimeRules,
+  addRule,
+  removeRule,
+  clearRules,
+};
@@ -3,6 +3,8 @@
  * Zero-AI responses for thank you / closing intents
  */
 
+import { localize } from './localize.js';
+
 /**
  * Pool of closing responses
  */
@@ -20,11 +22,13 @@ export const CLOSING_TEMPLATES = [
 
 /**
  * Get a random closing template
+ * @param {string} [language] - Language code (English when not translated)
  * @returns {string}
  */
-export function getRandomClosing() {
-  const index = Math.floor(Math.random() * CLOSING_TEMPLATES.length);
-  return CLOSING_TEMPLATES[index];
+export function getRandomClosing(language) {
+  const templates = localize(language, 'closings', CLOSING_TEMPLATES);
+  const index = Math.floor(Math.random() * templates.length);
+  return templates[index];
 }
 
 export default {
@@ -5,6 +5,7 @@
  */
 
 import { VERIFIED_FACTS } from '../constants.js';
+import { localize, getLocalizedQueries } from './localize.js';
 
 /**
  * Factual templates for exact-match queries
@@ -71,21 +72,52 @@ export const FACTUAL_TEMPLATES = {
 };
 
 /**
- * Try to match query to factual template
- * @param {string} query - Normalized query
- * @returns {string|null} Template response or null if no match
+ * Which answer each key gives
+ * Localized packs translate answers, not keys.
+ */
+export const FACTUAL_ANSWERS = {
+  'contract': 'contract',
+  'contract address': 'contract',
+  'what is the contract': 'contractShort',
+  'chain id': 'chainId',
+  'what is the chain id': 'chainId',
+  'website': 'website',
+  'telegram': 'telegram',
+  'twitter': 'twitter',
+  'total supply': 'supply',
+  'what is the total supply': 'supply',
+  'burned': 'burned',
+  'how much has been burned': 'burned',
+  'audited': 'audited',
+  'is the contract audited': 'audited',
+  'is it audited': 'audited',
+  'exchanges': 'exchanges',
+  'where to buy': 'whereToBuy',
+  'where can i buy': 'whereToBuy',
+  'links': 'links',
+  'all links': 'links',
+  'all the links': 'links',
+  'official links': 'links',
+  'socials': 'socials',
+  'social links': 'socials',
+};
+
+/**
+ * Find the factual template key for a query
+ * @param {string} query
+ * @returns {string|null}
  */
-export function matchFactualTemplate(query) {
+function findFactualKey(query) {
   const normalized = query.toLowerCase().trim();
   
   // Direct match first
   if (FACTUAL_TEMPLATES[normalized]) {
-    return FACTUAL_TEMPLATES[normalized];
+    return normalized;
   }
   
   // Word-boundary partial match (prevent "contract creation" matching "contract")
   // Only match if the key appears as a complete phrase, not as part of a longer word/phrase
-  for (const [key, response] of Object.entries(FACTUAL_TEMPLATES)) {
+  for (const key of Object.keys(FACTUAL_TEMPLATES)) {
     // Keys that are safe for partial matching (won't cause false positives)
     const safePartialKeys = [
       'links', 'all links', 'all the links', 'official links', 'socials', 'social links',
@@ -100,14 +132,35 @@ export function matchFactualTemplate(query) {
       // Use word boundary matching for safe keys
       const regex = new RegExp(`\\b${key.replace(/\s+/g, '\\s+')}\\b`, 'i');
       if (regex.test(normalized)) {
-        return response;
+        return key;
       }
     }
   }
   
+  // Turkish and Spanish phrasings (\b doesn't know letters like ı or ñ)
+  for (const [phrase, key] of Object.entries(getLocalizedQueries())) {
+    const regex = new RegExp(`(^|[^\\p{L}])${phrase.replace(/\s+/g, '\\s+')}($|[^\\p{L}])`, 'u');
+    if (regex.test(normalized)) {
+      return key;
+    }
+  }
+  
   return null;
 }
 
+/**
+ * Try to match query to factual template
+ * @param {string} query - Normalized query
+ * @param {string} [language] - Language to answer in (English when not translated)
+ * @returns {string|null} Template response or null if no match
+ */
+export function matchFactualTemplate(query, language) {
+  const key = findFactualKey(query);
+  if (!key) return null;
+  
+  return localize(language, `factual.${FACTUAL_ANSWERS[key]}`, FACTUAL_TEMPLATES[key]);
+}
+
 /**
  * Check if query likely has a factual template
  * @param {string} query
@@ -119,6 +172,7 @@ export function hasFactualTemplate(query) {
 
 export default {
   FACTUAL_TEMPLATES,
+  FACTUAL_ANSWERS,
   matchFactualTemplate,
   hasFactualTemplate,
 };
@@ -4,6 +4,7 @@
  */
 
 import { VERIFIED_FACTS } from '../constants.js';
+import { localize } from './localize.js';
 
 /**
  * Pool of greeting responses
@@ -29,11 +30,13 @@ export const GREETING_TEMPLATES = [
 
 /**
  * Get a random greeting template
+ * @param {string} [language] - Language code (English when not translated)
  * @returns {string}
  */
-export function getRandomGreeting() {
-  const index = Math.floor(Math.random() * GREETING_TEMPLATES.length);
-  return GREETING_TEMPLATES[index];
+export function getRandomGreeting(language) {
+  const templates = localize(language, 'greetings', GREETING_TEMPLATES);
+  const index = Math.floor(Math.random() * templates.length);
+  return templates[index];
 }
 
 /**
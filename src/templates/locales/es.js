@@ -0,0 +1,243 @@
+/**
+ * Spanish Templates
+ * Spanish versions of the templates and command replies.
+ * Keys mirror the English sources; anything missing falls back to English.
+ * Links, the contract address and product names are kept verbatim.
+ */
+
+import { VERIFIED_FACTS } from '../../constants.js';
+
+const CONTRACT = VERIFIED_FACTS.CONTRACT;
+
+const LINKS = `Enlaces oficiales de Peppercoin:\n\n🌐 Sitio web: ${VERIFIED_FACTS.WEBSITE}\n🐦 Twitter: ${VERIFIED_FACTS.TWITTER}\n💬 Telegram: ${VERIFIED_FACTS.TELEGRAM}\n📊 CoinGecko: ${VERIFIED_FACTS.COINGECKO}\n🏛️ Gobernanza: ${VERIFIED_FACTS.WEBSITE}/pepper-inc\n💱 FanX DEX: ${VERIFIED_FACTS.DEX}\n🔍 Explorador: https://chiliscan.com\n\n📝 Contrato: ${CONTRACT}`;
+
+export default {
+  greetings: [
+    `¡Hola! Soy Pepper Pal, tu guía de Peppercoin en Chiliz Chain. ¿Qué te gustaría saber?`,
+    `¡Hola! Bienvenido a la comunidad PEPPER. Pregúntame cómo comprar, sobre la gobernanza o cómo empezar.`,
+    `¡Hey! Estoy aquí para ayudarte con todo lo relacionado con Peppercoin. ¿En qué te puedo ayudar hoy?`,
+    `¡Hola! Soy Pepper Pal. ¿Te interesa PEPPER? Puedo ayudarte con la compra, el staking y más.`,
+  ],
+
+  closings: [
+    `¡De nada! Si tienes más preguntas sobre PEPPER, aquí estoy.`,
+    `¡Encantado de ayudar! Vuelve cuando necesites información sobre Peppercoin.`,
+    `¡Cuando quieras! La comunidad PEPPER está aquí para ti.`,
+    `¡No hay problema! Escríbeme si necesitas algo más.`,
+  ],
+
+  refusals: {
+    INVESTMENT_ADVICE: [
+      `Me centro en información oficial, no en consejos de inversión. ¿Quieres entender primero cómo funciona PEPPER?`,
+      `No puedo aconsejarte sobre decisiones de compra, pero puedo explicarte qué es PEPPER y cómo funciona. ¿Te interesa?`,
+      `Las decisiones de inversión son personales. En su lugar, puedo compartir datos sobre la utilidad y la gobernanza de PEPPER.`,
+    ],
+    PRICE_SPECULATION: [
+      `No puedo predecir precios. ¿Quieres saber sobre la utilidad y la gobernanza de PEPPER?`,
+      `Las predicciones de precio no son lo mío. Pero puedo explicarte qué hace único a PEPPER.`,
+      `Me quedo con los hechos, no con la especulación de precios. ¿Te interesa la tokenomía o la gobernanza de PEPPER?`,
+    ],
+    MARKET_SENTIMENT: [
+      `Me centro en información oficial, no en el sentimiento del mercado. ¿Quieres información verificada sobre PEPPER?`,
+      `No puedo comentar tendencias del mercado. Pero puedo contarte qué es PEPPER y cómo funciona.`,
+    ],
+    ADVERSARIAL: [
+      `Soy Pepper Pal y me centro en ayudar con preguntas sobre Peppercoin. ¿Qué te gustaría saber?`,
+      `Estoy aquí para ayudar con información sobre PEPPER. Pregúntame sobre tokenomía, compra o gobernanza.`,
+    ],
+    GENERIC: [
+      `Me centro en información oficial de Peppercoin. ¿Quieres aprender lo básico de PEPPER o sobre la gobernanza?`,
+      `Puedo ayudarte con preguntas concretas sobre PEPPER. ¿Qué te gustaría saber?`,
+    ],
+  },
+
+  // Answers by FACTUAL_ANSWERS id
+  factual: {
+    contract: `El contrato oficial de PEPPER en Chiliz Chain es:\n${CONTRACT}\n\nVerifícalo siempre antes de cualquier transacción.`,
+    contractShort: `El contrato oficial de PEPPER en Chiliz Chain es:\n${CONTRACT}`,
+    chainId: `El Chain ID de Chiliz Chain es ${VERIFIED_FACTS.CHAIN_ID}. Úsalo al añadir la red a tu wallet.`,
+    website: `Sitio web oficial: ${VERIFIED_FACTS.WEBSITE}`,
+    telegram: `Telegram oficial: ${VERIFIED_FACTS.TELEGRAM}`,
+    twitter: `Twitter oficial: ${VERIFIED_FACTS.TWITTER}`,
+    supply: `El suministro total de PEPPER es ${VERIFIED_FACTS.TOTAL_SUPPLY} (8,88 mil billones).`,
+    burned: `Más de 128 billones de PEPPER se han quemado de forma permanente del suministro total.`,
+    audited: `Sí, el contrato de PEPPER está certificado por ${VERIFIED_FACTS.AUDITOR}, una reconocida empresa de seguridad blockchain.`,
+    exchanges: `PEPPER está disponible en:\n- DEX: FanX Protocol (${VERIFIED_FACTS.DEX}), Kewl, Diviswap\n- CEX: MEXC, CoinEx, Bitrue, Cube, Paribu\n\nContrato: ${CONTRACT}`,
+    whereToBuy: `Compra PEPPER en:\n- DEX: FanX (${VERIFIED_FACTS.DEX}), Kewl, Diviswap - par PEPPER/WCHZ\n- CEX: MEXC, CoinEx, Bitrue, Cube, Paribu\n\nVerifica siempre el contrato: ${CONTRACT}`,
+    links: LINKS,
+    socials: `Redes sociales de Peppercoin:\n\n🐦 Twitter: ${VERIFIED_FACTS.TWITTER}\n💬 Telegram: ${VERIFIED_FACTS.TELEGRAM}\n🌐 Sitio web: ${VERIFIED_FACTS.WEBSITE}`,
+  },
+
+  // Spanish phrasings of factual questions -> FACTUAL_TEMPLATES key
+  factualQueries: {
+    'dirección del contrato': 'contract address',
+    'direccion del contrato': 'contract address',
+    'id de la cadena': 'chain id',
+    'sitio web': 'website',
+    'página web': 'website',
+    'suministro total': 'total supply',
+    'cuánto se ha quemado': 'burned',
+    'cuanto se ha quemado': 'burned',
+    'está auditado': 'audited',
+    'esta auditado': 'audited',
+    'dónde comprar': 'where to buy',
+    'donde comprar': 'where to buy',
+    'dónde puedo comprar': 'where to buy',
+    'donde puedo comprar': 'where to buy',
+    'enlaces oficiales': 'links',
+    'redes sociales': 'socials',
+  },
+
+  start: ({ firstName, botUsername }) => `¡Hola${firstName ? ` ${firstName}` : ''}! Bienvenido a Pepper Pal, tu asistente comunitario de Peppercoin en Chiliz Chain.
+
+Puedo ayudarte con:
+- Cómo funciona Peppercoin y cómo empezar
+- Tokenomía e información del suministro
+- Gobernanza y staking de Pepper Inc
+- Recursos y enlaces oficiales
+- Preguntas frecuentes sobre la comunidad
+
+Inicio rápido:
+/ask [tu pregunta] - Pregúntame lo que quieras sobre Peppercoin
+/help - Ver todos los comandos disponibles
+
+Ejemplo: /ask ¿Cómo compro PEPPER?
+
+Enlaces oficiales:
+- Sitio web: peppercoin.com
+- Telegram: t.me/officialpeppercoin
+- Twitter: x.com/PepperChain
+
+En los grupos, mencióname con @${botUsername} para llamar mi atención.`,
+
+  help: ({ isGroup, botUsername }) => `Pepper Pal - Ayuda
+
+Comandos:
+/start - Mensaje de bienvenida y resumen
+/help - Este mensaje de ayuda
+/ask [pregunta] - Pregunta sobre Peppercoin
+/price - Precio de PEPPER en vivo
+
+Ejemplos:
+/ask ¿Qué es Peppercoin?
+/ask ¿Cómo compro PEPPER?
+/ask ¿Qué es Pepper Inc?
+/ask ¿Cómo hago staking?${isGroup ? `
+
+En grupos:
+- Usa /ask seguido de tu pregunta
+- O menciona a @${botUsername} con tu pregunta` : ''}
+
+Puedo ayudarte con:
+- Lo básico de Peppercoin y cómo funciona
+- Comprar PEPPER y configurar tu wallet
+- Gobernanza y staking de Pepper Inc
+- Enlaces y recursos oficiales
+- Consejos de seguridad y prevención de estafas
+
+No puedo ayudarte con:
+- Predicciones de precio o consejos de trading
+- Decisiones de inversión
+- Resolución de problemas de wallets
+
+Recursos oficiales:
+- Sitio web: peppercoin.com
+- Gobernanza: peppercoin.com/pepper-inc
+- Twitter: x.com/PepperChain
+- Telegram: t.me/officialpeppercoin`,
+
+  // Quick command replies (src/handlers/quick.js)
+  commands: {
+    contract: 'Dirección del contrato de PEPPER:\n' +
+      `\`${CONTRACT}\`\n\n` +
+      'Red: Chiliz Chain (88888)',
+    buy: 'Cómo comprar PEPPER:\n\n' +
+      '🟢 Descentralizados:\n' +
+      '• FanX DEX: https://app.fanx.xyz\n\n' +
+      '• Diviswap: https://diviswap.io/\n\n' +
+      '🟢 Exchanges centralizados:\n' +
+      '• MEXC: https://www.mexc.com\n' +
+      '• CoinEx: https://www.coinex.com\n' +
+      '• Paribu: https://www.paribu.com\n\n' +
+      `Contrato: \`${CONTRACT}\``,
+    stake: 'Staking de PEPPER:\n\n' +
+      'Haz staking de tus tokens PEPPER para ganar recompensas y participar en la gobernanza.\n\n' +
+      '📊 Datos actuales:\n' +
+      '• ~50% del suministro circulante en staking\n' +
+      '• Gobernanza impulsada por la comunidad\n\n' +
+      'Más información: https://www.peppercoin.com/pepper-inc',
+    governance: 'Pepper Inc - Gobernanza comunitaria:\n\n' +
+      'Haz staking de PEPPER para votar propuestas y dar forma al futuro de Peppercoin.\n\n' +
+      '🗳️ https://www.peppercoin.com/pepper-inc',
+    explorer: 'Explorador de Chiliz Chain:\n' +
+      'https://chiliscan.com\n\n' +
+      'Consulta las transacciones de PEPPER y los datos de los holders.',
+    chain: 'Detalles de Chiliz Chain:\n\n' +
+      '• Chain ID: 88888\n' +
+      '• RPC: https://rpc.chiliz.com\n' +
+      '• Explorador: https://chiliscan.com\n' +
+      '• Tipo: compatible con EVM\n\n' +
+      'PEPPER vive en Chiliz Chain.',
+    links: 'Enlaces oficiales de Peppercoin:\n\n' +
+      '🌐 Sitio web: https://www.peppercoin.com\n' +
+      '🐦 Twitter: https://x.com/PepperChain\n' +
+      '💬 Telegram: https://t.me/officialpeppercoin\n' +
+      '🗳️ Gobernanza: https://www.peppercoin.com/pepper-inc\n' +
+      '🦎 CoinGecko: https://www.coingecko.com/en/coins/pepper\n' +
+      '🔍 Explorador: https://chiliscan.com\n' +
+      '💱 FanX DEX: https://app.fanx.xyz\n\n' +
+      `Contrato: \`${CONTRACT}\``,
+    tokenomics: 'Tokenomía de PEPPER:\n\n' +
+      '📊 Suministro máximo: 8,888,888,888,000,000\n' +
+      '🔥 Quema: sin quema de tokens\n' +
+      '⚡ Red: Chiliz Chain (88888)\n' +
+      '🔒 Seguridad: auditado por Halborn\n\n' +
+      '~50% del suministro circulante está en staking en la gobernanza de Pepper Inc.',
+    cex: '🏛 Listados en exchanges centralizados:\n\n' +
+      '• MEXC: https://www.mexc.com/exchange/PEPPER_USDT\n' +
+      '• CoinEx: https://www.coinex.com/en/exchange/PEPPER-USDT\n' +
+      '• Bitrue: https://www.bitrue.com/trade/pepper_usdt/\n' +
+      '• Cube: https://www.cube.exchange/en/trade/PEPPERUSDT\n' +
+      '• Paribu: https://www.paribu.com/markets/pepper_tl',
+    dex: '🔄 Listados en exchanges descentralizados:\n\n' +
+      '• FanX Protocol: https://app.fanx.xyz (PEPPER/WCHZ)\n' +
+      '• Kewl: https://kewl.exchange/ (PEPPER/WCHZ)\n' +
+      '• Diviswap: https://diviswap.io/ (PEPPER/WCHZ)\n\n' +
+      `Contrato: \`${CONTRACT}\``,
+  },
+
+  // Pipeline and generator messages
+  messages: {
+    aiUnavailable: 'Mi servicio de IA no está disponible temporalmente. Inténtalo de nuevo en un minuto o usa /help para respuestas rápidas.',
+    budgetLocal: 'Ahora mismo solo puedo responder preguntas frecuentes. Inténtalo de nuevo mañana o usa /help para respuestas rápidas.',
+    knowledgeUnavailable: 'No puedo acceder temporalmente a mi base de conocimiento. Inténtalo más tarde.',
+    generationError: 'Tuve un problema al generar la respuesta. Inténtalo de nuevo.',
+    groundingFallback: [
+      'No pude verificar todos los detalles de esa respuesta, así que aquí tienes los datos oficiales:',
+      '',
+      `Contrato (Chiliz Chain): ${CONTRACT}`,
+      `Sitio web: ${VERIFIED_FACTS.WEBSITE}`,
+      '',
+      'Usa /cex y /dex para ver los listados verificados, /tokenomics para las cifras de suministro, o hazme una pregunta más concreta.',
+    ].join('\n'),
+    validationFailed: 'Lo siento, tuve un problema con esa respuesta. ¿Podrías reformular tu pregunta?',
+    pipelineError: 'Lo siento, tuve un problema. Inténtalo de nuevo o escribe /start para reiniciar.',
+    askUsage: 'Escribe una pregunta después de /ask.\n\nEjemplo: /ask ¿Qué es Peppercoin?',
+    escalated: 'También he pasado tu pregunta a un moderador; su respuesta aparecerá aquí.',
+    moderatorAnswer: 'Un moderador respondió a tu pregunta:',
+    emptyQuestion: '¡Hola! ¿Qué te gustaría saber sobre Peppercoin? 🌶️',
+    noContinuation: 'No hay nada más que mostrar por ahora. ¡Pregúntame lo que quieras sobre Peppercoin! 🌶️',
+    // "MORE" stays in English: it is the word the bot listens for
+    morePrompt: 'Escribe MORE para ver más.',
+    thinking: '🌶️ Pensando…',
+  },
+
+  // Feedback buttons under AI answers
+  feedback: {
+    helpful: '👍 Útil',
+    notHelpful: '👎 No útil',
+    thanks: '¡Gracias por tu opinión!',
+    duplicate: 'Ya valoraste esta respuesta.',
+    expired: 'Esta respuesta ya no se puede valorar.',
+  },
+};
@@ -0,0 +1,241 @@
+/**
+ * Turkish Templates
+ * Turkish versions of the templates and command replies.
+ * Keys mirror the English sources; anything missing falls back to English.
+ * Links, the contract address and product names are kept verbatim.
+ */
+
+import { VERIFIED_FACTS } from '../../constants.js';
+
+const CONTRACT = VERIFIED_FACTS.CONTRACT;
+
+const LINKS = `Resmi Peppercoin Bağlantıları:\n\n🌐 Website: ${VERIFIED_FACTS.WEBSITE}\n🐦 Twitter: ${VERIFIED_FACTS.TWITTER}\n💬 Telegram: ${VERIFIED_FACTS.TELEGRAM}\n📊 CoinGecko: ${VERIFIED_FACTS.COINGECKO}\n🏛️ Yönetişim: ${VERIFIED_FACTS.WEBSITE}/pepper-inc\n💱 FanX DEX: ${VERIFIED_FACTS.DEX}\n🔍 Gezgin: https://chiliscan.com\n\n📝 Kontrat: ${CONTRACT}`;
+
+export default {
+  greetings: [
+    `Merhaba! Ben Pepper Pal, Chiliz Chain üzerindeki Peppercoin rehberin. Ne öğrenmek istersin?`,
+    `Selam! PEPPER topluluğuna hoş geldin. Bana satın alma, yönetişim veya başlangıç hakkında sorabilirsin.`,
+    `Merhaba! Peppercoin ile ilgili her konuda yardım için buradayım. Bugün sana nasıl yardımcı olabilirim?`,
+    `Selam! Ben Pepper Pal. PEPPER'ı merak mı ediyorsun? Satın alma, staking ve daha fazlasında yardımcı olabilirim.`,
+  ],
+
+  closings: [
+    `Rica ederim! PEPPER hakkında başka sorun olursa sormaktan çekinme.`,
+    `Yardımcı olabildiysem ne mutlu! Peppercoin bilgisi için istediğin zaman gel.`,
+    `Her zaman! PEPPER topluluğu yanında.`,
+    `Ne demek! Başka bir şeye ihtiyacın olursa yaz.`,
+  ],
+
+  refusals: {
+    INVESTMENT_ADVICE: [
+      `Yatırım tavsiyesi yerine resmi bilgilere odaklanıyorum. Önce PEPPER'ın nasıl çalıştığını öğrenmek ister misin?`,
+      `Alım kararları konusunda tavsiye veremem ama PEPPER'ın ne olduğunu ve nasıl çalıştığını anlatabilirim. İlgilenir misin?`,
+      `Yatırım kararları kişiseldir. Bunun yerine PEPPER'ın kullanım alanları ve yönetişimi hakkında bilgi verebilirim.`,
+    ],
+    PRICE_SPECULATION: [
+      `Fiyat tahmini yapamam. Bunun yerine PEPPER'ın kullanım alanlarını ve yönetişimini öğrenmek ister misin?`,
+      `Fiyat tahminleri benim işim değil. Ama PEPPER'ı neyin özel kıldığını anlatabilirim.`,
+      `Fiyat spekülasyonuna değil, gerçeklere bağlı kalırım. PEPPER'ın tokenomiği veya yönetişimi ilgini çeker mi?`,
+    ],
+    MARKET_SENTIMENT: [
+      `Piyasa duyarlılığı yerine resmi bilgilere odaklanıyorum. PEPPER hakkında doğrulanmış bilgi ister misin?`,
+      `Piyasa trendleri hakkında yorum yapamam. Ama PEPPER'ın ne olduğunu ve nasıl çalıştığını anlatabilirim.`,
+    ],
+    ADVERSARIAL: [
+      `Ben Pepper Pal, Peppercoin sorularında yardımcı olmaya odaklanıyorum. Ne öğrenmek istersin?`,
+      `PEPPER bilgileri için buradayım. Bana tokenomik, satın alma veya yönetişim hakkında sor.`,
+    ],
+    GENERIC: [
+      `Resmi Peppercoin bilgilerine odaklanıyorum. PEPPER'ın temellerini veya yönetişimini öğrenmek ister misin?`,
+      `PEPPER ile ilgili somut sorularda yardımcı olabilirim. Ne öğrenmek istersin?`,
+    ],
+  },
+
+  // Answers by FACTUAL_ANSWERS id
+  factual: {
+    contract: `Chiliz Chain üzerindeki resmi PEPPER kontratı:\n${CONTRACT}\n\nHerhangi bir işlemden önce mutlaka doğrula.`,
+    contractShort: `Chiliz Chain üzerindeki resmi PEPPER kontratı:\n${CONTRACT}`,
+    chainId: `Chiliz Chain ID: ${VERIFIED_FACTS.CHAIN_ID}. Ağı cüzdanına eklerken bunu kullan.`,
+    website: `Resmi website: ${VERIFIED_FACTS.WEBSITE}`,
+    telegram: `Resmi Telegram: ${VERIFIED_FACTS.TELEGRAM}`,
+    twitter: `Resmi Twitter: ${VERIFIED_FACTS.TWITTER}`,
+    supply: `PEPPER toplam arzı ${VERIFIED_FACTS.TOTAL_SUPPLY} (8,88 katrilyon).`,
+    burned: `Toplam arzdan 128 trilyondan fazla PEPPER kalıcı olarak yakıldı.`,
+    audited: `Evet, PEPPER kontratı saygın bir blokzincir güvenlik firması olan ${VERIFIED_FACTS.AUDITOR} tarafından sertifikalandırıldı.`,
+    exchanges: `PEPPER şu platformlarda mevcut:\n- DEX: FanX Protocol (${VERIFIED_FACTS.DEX}), Kewl, Diviswap\n- CEX: MEXC, CoinEx, Bitrue, Cube, Paribu\n\nKontrat: ${CONTRACT}`,
+    whereToBuy: `PEPPER'ı şuradan alabilirsin:\n- DEX: FanX (${VERIFIED_FACTS.DEX}), Kewl, Diviswap - PEPPER/WCHZ paritesi\n- CEX: MEXC, CoinEx, Bitrue, Cube, Paribu\n\nKontratı mutlaka doğrula: ${CONTRACT}`,
+    links: LINKS,
+    socials: `Peppercoin Sosyal Medya:\n\n🐦 Twitter: ${VERIFIED_FACTS.TWITTER}\n💬 Telegram: ${VERIFIED_FACTS.TELEGRAM}\n🌐 Website: ${VERIFIED_FACTS.WEBSITE}`,
+  },
+
+  // Turkish phrasings of factual questions -> FACTUAL_TEMPLATES key
+  factualQueries: {
+    'kontrat adresi': 'contract address',
+    'sözleşme adresi': 'contract address',
+    'zincir kimliği': 'chain id',
+    'web sitesi': 'website',
+    'toplam arz': 'total supply',
+    'ne kadar yakıldı': 'burned',
+    'denetlendi mi': 'audited',
+    'nereden alabilirim': 'where to buy',
+    'nereden alınır': 'where to buy',
+    'nereden alinir': 'where to buy',
+    'hangi borsalarda': 'exchanges',
+    'resmi linkler': 'links',
+    'bağlantılar': 'links',
+    'sosyal medya': 'socials',
+  },
+
+  start: ({ firstName, botUsername }) => `Merhaba${firstName ? ` ${firstName}` : ''}! Pepper Pal'a hoş geldin. Chiliz Chain üzerindeki Peppercoin için topluluk asistanınım.
+
+Sana şu konularda yardımcı olabilirim:
+- Peppercoin nasıl çalışır ve nasıl başlanır
+- Tokenomik ve arz bilgileri
+- Pepper Inc yönetişimi ve staking
+- Resmi kaynaklar ve bağlantılar
+- Toplulukla ilgili sık sorulan sorular
+
+Hızlı başlangıç:
+/ask [sorun] - Peppercoin hakkında bana her şeyi sor
+/help - Tüm komutları gör
+
+Örnek: /ask PEPPER nasıl alınır?
+
+Resmi bağlantılar:
+- Website: peppercoin.com
+- Telegram: t.me/officialpeppercoin
+- Twitter: x.com/PepperChain
+
+Grup sohbetlerinde dikkatimi çekmek için beni @${botUsername} ile etiketle.`,
+
+  help: ({ isGroup, botUsername }) => `Pepper Pal - Yardım
+
+Komutlar:
+/start - Karşılama mesajı ve genel bakış
+/help - Bu yardım mesajı
+/ask [soru] - Peppercoin hakkında soru sor
+/price - Canlı PEPPER fiyatı
+
+Örnekler:
+/ask Peppercoin nedir?
+/ask PEPPER nasıl alınır?
+/ask Pepper Inc nedir?
+/ask Nasıl stake ederim?${isGroup ? `
+
+Gruplarda:
+- /ask komutundan sonra sorunu yaz
+- Ya da sorunla birlikte @${botUsername} etiketle` : ''}
+
+Yardımcı olabileceğim konular:
+- Peppercoin'in temelleri ve nasıl çalıştığı
+- PEPPER satın alma ve cüzdan kurulumu
+- Pepper Inc yönetişimi ve staking
+- Resmi bağlantılar ve kaynaklar
+- Güvenlik ipuçları ve dolandırıcılıktan korunma
+
+Yardımcı olamayacağım konular:
+- Fiyat tahminleri veya alım satım tavsiyesi
+- Yatırım kararları
+- Cüzdan sorunlarının giderilmesi
+
+Resmi Kaynaklar:
+- Website: peppercoin.com
+- Yönetişim: peppercoin.com/pepper-inc
+- Twitter: x.com/PepperChain
+- Telegram: t.me/officialpeppercoin`,
+
+  // Quick command replies (src/handlers/quick.js)
+  commands: {
+    contract: 'PEPPER Kontrat Adresi:\n' +
+      `\`${CONTRACT}\`\n\n` +
+      'Ağ: Chiliz Chain (88888)',
+    buy: 'PEPPER Nasıl Alınır:\n\n' +
+      '🟢 Merkeziyetsiz:\n' +
+      '• FanX DEX: https://app.fanx.xyz\n\n' +
+      '• Diviswap: https://diviswap.io/\n\n' +
+      '🟢 Merkezi Borsalar:\n' +
+      '• MEXC: https://www.mexc.com\n' +
+      '• CoinEx: https://www.coinex.com\n' +
+      '• Paribu: https://www.paribu.com\n\n' +
+      `Kontrat: \`${CONTRACT}\``,
+    stake: 'PEPPER Staking:\n\n' +
+      'Ödül kazanmak ve yönetişime katılmak için PEPPER tokenlarını stake et.\n\n' +
+      '📊 Güncel Durum:\n' +
+      '• Dolaşımdaki arzın ~%50\'si stake edilmiş\n' +
+      '• Topluluk odaklı yönetişim\n\n' +
+      'Daha fazla bilgi: https://www.peppercoin.com/pepper-inc',
+    governance: 'Pepper Inc - Topluluk Yönetişimi:\n\n' +
+      'Tekliflere oy vermek ve Peppercoin\'in geleceğini şekillendirmek için PEPPER stake et.\n\n' +
+      '🗳️ https://www.peppercoin.com/pepper-inc',
+    explorer: 'Chiliz Chain Gezgini:\n' +
+      'https://chiliscan.com\n\n' +
+      'PEPPER işlemlerini ve sahip verilerini görüntüle.',
+    chain: 'Chiliz Chain Bilgileri:\n\n' +
+      '• Chain ID: 88888\n' +
+      '• RPC: https://rpc.chiliz.com\n' +
+      '• Gezgin: https://chiliscan.com\n' +
+      '• Tür: EVM uyumlu\n\n' +
+      'PEPPER, Chiliz Chain üzerinde yaşar.',
+    links: 'Resmi Peppercoin Bağlantıları:\n\n' +
+      '🌐 Website: https://www.peppercoin.com\n' +
+      '🐦 Twitter: https://x.com/PepperChain\n' +
+      '💬 Telegram: https://t.me/officialpeppercoin\n' +
+      '🗳️ Yönetişim: https://www.peppercoin.com/pepper-inc\n' +
+      '🦎 CoinGecko: https://www.coingecko.com/en/coins/pepper\n' +
+      '🔍 Gezgin: https://chiliscan.com\n' +
+      '💱 FanX DEX: https://app.fanx.xyz\n\n' +
+      `Kontrat: \`${CONTRACT}\``,
+    tokenomics: 'PEPPER Tokenomiği:\n\n' +
+      '📊 Maksimum Arz: 8,888,888,888,000,000\n' +
+      '🔥 Yakım: Token yakımı yok\n' +
+      '⚡ Ağ: Chiliz Chain (88888)\n' +
+      '🔒 Güvenlik: Halborn denetimli\n\n' +
+      'Dolaşımdaki arzın ~%50\'si Pepper Inc yönetişiminde stake edilmiş.',
+    cex: '🏛 Merkezi Borsa Listelemeleri:\n\n' +
+      '• MEXC: https://www.mexc.com/exchange/PEPPER_USDT\n' +
+      '• CoinEx: https://www.coinex.com/en/exchange/PEPPER-USDT\n' +
+      '• Bitrue: https://www.bitrue.com/trade/pepper_usdt/\n' +
+      '• Cube: https://www.cube.exchange/en/trade/PEPPERUSDT\n' +
+      '• Paribu: https://www.paribu.com/markets/pepper_tl',
+    dex: '🔄 Merkeziyetsiz Borsa Listelemeleri:\n\n' +
+      '• FanX Protocol: https://app.fanx.xyz (PEPPER/WCHZ)\n' +
+      '• Kewl: https://kewl.exchange/ (PEPPER/WCHZ)\n' +
+      '• Diviswap: https://diviswap.io/ (PEPPER/WCHZ)\n\n' +
+      `Kontrat: \`${CONTRACT}\``,
+  },
+
+  // Pipeline and generator messages
+  messages: {
+    aiUnavailable: 'Yapay zeka servisim şu anda kullanılamıyor. Lütfen bir dakika sonra tekrar dene veya hızlı yanıtlar için /help kullan.',
+    budgetLocal: 'Şu anda yalnızca sık sorulan sorulara yanıt verebiliyorum. Lütfen yarın tekrar dene veya hızlı yanıtlar için /help kullan.',
+    knowledgeUnavailable: 'Bilgi tabanıma şu anda geçici olarak erişemiyorum. Lütfen daha sonra tekrar dene.',
+    generationError: 'Yanıt oluştururken bir sorunla karşılaştım. Lütfen tekrar dene.',
+    groundingFallback: [
+      'Bu yanıttaki her ayrıntıyı doğrulayamadım, bu yüzden resmi bilgiler şunlar:',
+      '',
+      `Kontrat (Chiliz Chain): ${CONTRACT}`,
+      `Website: ${VERIFIED_FACTS.WEBSITE}`,
+      '',
+      'Doğrulanmış listelemeler için /cex ve /dex, arz rakamları için /tokenomics kullan ya da bana daha belirli bir soru sor.',
+    ].join('\n'),
+    validationFailed: 'Üzgünüm, bu yanıtta bir sorun yaşadım. Sorunu farklı bir şekilde sorabilir misin?',
+    pipelineError: 'Üzgünüm, bir sorunla karşılaştım. Lütfen tekrar dene veya yeniden başlatmak için /start yaz.',
+    askUsage: '/ask komutundan sonra bir soru yaz.\n\nÖrnek: /ask Peppercoin nedir?',
+    escalated: 'Sorunu ayrıca bir moderatöre ilettim; cevabı burada görünecek.',
+    moderatorAnswer: 'Bir moderatör sorunu cevapladı:',
+    emptyQuestion: 'Merhaba! Peppercoin hakkında ne öğrenmek istersin? 🌶️',
+    noContinuation: 'Şu an gösterilecek başka bir şey yok. Peppercoin hakkında istediğini sor! 🌶️',
+    // "MORE" stays in English: it is the word the bot listens for
+    morePrompt: 'Devamı için MORE yaz.',
+    thinking: '🌶️ Düşünüyorum…',
+  },
+
+  // Feedback buttons under AI answers
+  feedback: {
+    helpful: '👍 Faydalı',
+    notHelpful: '👎 Faydalı değil',
+    thanks: 'Geri bildirimin için teşekkürler!',
+    duplicate: 'Bu cevabı zaten değerlendirdin.',
+    expired: 'Bu cevap artık değerlendirilemez.',
+  },
+};
@@ -0,0 +1,37 @@
+/**
+ * Template Localization
+ * Looks up the Turkish and Spanish versions of templates and command
+ * replies (src/templates/locales). English stays next to the code that
+ * uses it and is the fallback for anything a pack doesn't translate.
+ */
+
+import tr from './locales/tr.js';
+import es from './locales/es.js';
+
+/**
+ * Template packs by language code
+ */
+export const TEMPLATE_PACKS = { tr, es };
+
+/**
+ * Localized version of a template
+ * @template T
+ * @param {string} [language] - Language code
+ * @param {string} path - Dotted key in the pack, e.g. "commands.buy"
+ * @param {T} english - English template, returned when there is no translation
+ * @returns {T}
+ */
+export function localize(language, path, english) {
+  const value = path.split('.').reduce((node, key) => node?.[key], TEMPLATE_PACKS[language]);
+  return value ?? english;
+}
+
+/**
+ * Localized phrasings of factual questions from every pack
+ * @returns {Object<string, string>} Phrase -> FACTUAL_TEMPLATES key
+ */
+export function getLocalizedQueries() {
+  return Object.assign({}, ...Object.values(TEMPLATE_PACKS).map(pack => pack.factualQueries || {}));
+}
+
+export default { TEMPLATE_PACKS, localize, getLocalizedQueries };
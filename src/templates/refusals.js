@@ -3,6 +3,9 @@
  * Graceful redirects for forbidden intents
  */
 
+import { localize } from './localize.js';
+import { matchInput } from '../safety/policy.js';
+
 /**
  * Refusal templates by forbidden intent type
  */
@@ -39,45 +42,23 @@ export const REFUSAL_TEMPLATES = {
 /**
  * Get refusal template for specific forbidden intent
  * @param {string} forbiddenIntent - Type of forbidden intent
+ * @param {string} [language] - Language code (English when not translated)
  * @returns {string}
  */
-export function getRefusalTemplate(forbiddenIntent) {
-  const templates = REFUSAL_TEMPLATES[forbiddenIntent] || REFUSAL_TEMPLATES.GENERIC;
+export function getRefusalTemplate(forbiddenIntent, language) {
+  const type = REFUSAL_TEMPLATES[forbiddenIntent] ? forbiddenIntent : 'GENERIC';
+  const templates = localize(language, `refusals.${type}`, REFUSAL_TEMPLATES[type]);
   const index = Math.floor(Math.random() * templates.length);
   return templates[index];
 }
 
 /**
- * Detect which forbidden intent type matches
- * @param {string} query - Normalized query
- * @returns {string}
+ * Detect which refusal template fits a query
+ * @param {string} query - User query
+ * @returns {string} REFUSAL_TEMPLATES key (GENERIC when no policy rule matches)
  */
 export function detectForbiddenType(query) {
-  const normalized = query.toLowerCase();
-  
-  if (/should\s+i\s+(buy|sell|invest)/.test(normalized) || 
-      /good\s+investment/.test(normalized) ||
-      /is\s+it\s+worth/.test(normalized)) {
-    return 'INVESTMENT_ADVICE';
-  }
-  
-  if (/price\s+(prediction|target)/.test(normalized) ||
-      /will\s+price/.test(normalized) ||
-      /when\s+moon|wen\s+moon/.test(normalized) ||
-      /price\s+go\s+(up|down)/.test(normalized)) {
-    return 'PRICE_SPECULATION';
-  }
-  
-  if (/\b(bullish|bearish|pump|dump|moon|lambo)\b/.test(normalized)) {
-    return 'MARKET_SENTIMENT';
-  }
-  
-  if (/ignore\s+(previous|all|your)/.test(normalized) ||
-      /jailbreak|dan\s+mode/.test(normalized)) {
-    return 'ADVERSARIAL';
-  }
-  
-  return 'GENERIC';
+  return matchInput(query)[0]?.refusal || 'GENERIC';
 }
 
 export default {
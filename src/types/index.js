@@ -16,7 +16,7 @@
  */
 
 /**
- * @typedef {'template' | 'generate' | 'cache'} ResponseStrategy
+ * @typedef {'template' | 'generate' | 'cache' | 'faq'} ResponseStrategy
  */
 
 /**
@@ -27,6 +27,9 @@
  * @property {ResponseClass} responseClass - Assigned response class
  * @property {number} charBudget - Character budget for response
  * @property {string[]} keywords - Extracted keywords for knowledge matching
+ * @property {boolean} [followUp] - Whether the query was resolved against the previous exchange
+ * @property {number} confidence - Rule confidence 0-1; low scores get an LLM second opinion
+ * @property {'rules' | 'llm' | 'llm_cache'} source - Who decided the intent
  */
 
 /**
@@ -36,6 +39,7 @@
  * @property {ResponseClass} responseClass - Response class
  * @property {boolean} shouldSplit - Whether response may need splitting
  * @property {string[]} knowledgeSections - Relevant knowledge sections to include
+ * @property {'normal'|'economy'|'local'} budgetMode - How much AI the spend budget allows
  */
 
 /**
@@ -44,6 +48,17 @@
  * @property {number} tokensUsed - Tokens consumed
  * @property {boolean} fromCache - Whether served from cache
  * @property {boolean} fromTemplate - Whether from template pool
+ * @property {boolean} [fromFaq] - Whether answered directly from a knowledge base FAQ entry
+ * @property {string} [faqQuestion] - Matched FAQ question (when fromFaq)
+ * @property {boolean} [degraded] - Whether the AI was skipped because it is unavailable or over budget
+ * @property {boolean} [ungrounded] - Whether the AI answer failed grounding and a template was used
+ * @property {string|null} [draft] - Last rejected AI answer (when ungrounded)
+ * @property {boolean} [fromOverride] - Whether this is a moderator's saved answer
+ * @property {string} [model] - Model that wrote the answer (fresh AI answers)
+ * @property {boolean} [failed] - Whether the text is a failure message (never cached)
+ * @property {boolean} [knowledgeUnavailable] - Whether generation failed because the knowledge base is not loaded
+ * @property {boolean} [coalesced] - Whether this shared the AI call of an identical request already in flight
+ * @property {string[]} [sources] - Knowledge section slugs backing the answer (AI, cached and FAQ answers); empty means unsupported
  * @property {number} generationTimeMs - Time to generate in ms
  */
 
@@ -57,10 +72,14 @@
 
 /**
  * @typedef {Object} DeliveryPlan
- * @property {string[]} messages - Array of messages to send
- * @property {number[]} delays - Delays between messages in ms
- * @property {Object|null} keyboard - Telegram inline keyboard markup
+ * @property {string} message - Message to send
  * @property {string|null} parseMode - Telegram parse mode (null for plain text)
+ * @property {number} processingTimeMs - Total pipeline time in ms
+ * @property {string|null} [continuation] - Content cut by compression, delivered on "more"
+ * @property {IntentType|null} [intent] - Intent the message was routed by (null on errors)
+ * @property {import('../admin/escalation.js').Escalation|null} [escalation] - Send to the moderator chat after replying
+ * @property {import('../delivery/feedback.js').FeedbackContext|null} [feedback] - Attach 👍/👎 buttons (AI answers)
+ * @property {boolean} [fallback] - Apology or safe fallback instead of an answer
  */
 
 /**
@@ -68,6 +87,9 @@
  * @property {boolean} isForbidden - Whether query is forbidden
  * @property {string|null} intent - Detected forbidden intent
  * @property {string|null} suggestedRedirect - Topic to redirect to
+ * @property {string[]} [signals] - Injection signals matched (ADVERSARIAL only)
+ * @property {string} [refusalText] - Custom refusal of the admin rule that matched
+ * @property {string} [ruleId] - Admin rule that matched
  */
 
 /**
@@ -76,6 +98,13 @@
  * @property {number} timestamp - When cached
  * @property {number} ttl - Time to live in ms
  * @property {number} hits - Number of cache hits
+ * @property {string|null} intent - Intent of the cached query (paraphrase hits must match)
+ * @property {string|null} responseClass - Response class of the cached query
+ * @property {string|null} prompt - Prompt id the answer was generated with
+ * @property {string|null} language - Language code the answer is in
+ * @property {import('../knowledge/loader.js').KnowledgeStamp|null} knowledge - Knowledge the answer was generated from
+ * @property {string[]|null} sources - Knowledge sections the answer cites (null: cached before citations)
+ * @property {Set<string>} trigrams - Keyword trigrams used for paraphrase matching
  */
 
 export default {};
@@ -0,0 +1,157 @@
+/**
+ * Unit Tests: Moderator Escalation
+ */
+
+import { describe, it, expect, beforeEach, afterAll } from 'vitest';
+import config from '../../src/config.js';
+import {
+  getMessageLink,
+  formatEscalation,
+  escalate,
+  handleModeratorReply,
+  clearEscalations,
+} from '../../src/admin/escalation.js';
+import { findOverride, clearOverrides } from '../../src/knowledge/overrides.js';
+
+const MODERATOR_CHAT = -1009999;
+const QUESTION = 'When is the PEPPER mobile app launching?';
+
+/**
+ * Fake Telegram API that records sent messages
+ */
+function createTelegram() {
+  let nextId = 100;
+  const sent = [];
+  return {
+    sent,
+    sendMessage: async (chatId, text, extra) => {
+      sent.push({ chatId, text, extra });
+      return { message_id: nextId++ };
+    },
+  };
+}
+
+/**
+ * Context of a user asking in a public group
+ */
+function askerContext(telegram, { messageId = 7, userId = 1 } = {}) {
+  return {
+    telegram,
+    chat: { id: -1001234567890, type: 'supergroup', title: 'Peppercoin', username: 'peppercoin' },
+    from: { id: userId, first_name: 'Ada', username: 'ada' },
+    message: { message_id: messageId, text: QUESTION },
+  };
+}
+
+/**
+ * Context of a moderator replying in the moderator chat
+ */
+function moderatorContext(telegram, replyToId, text) {
+  const replies = [];
+  return {
+    telegram,
+    replies,
+    chat: { id: MODERATOR_CHAT, type: 'supergroup' },
+    from: { id: 99, first_name: 'Mod' },
+    message: { message_id: 500, text, reply_to_message: { message_id: replyToId } },
+    reply: async (reply) => { replies.push(reply); },
+  };
+}
+
+const ESCALATION = {
+  reason: 'unsupported',
+  question: QUESTION,
+  draft: 'Please check the official channels.',
+  language: 'en',
+};
+
+describe('Moderator Escalation', () => {
+  const savedChatId = config.moderatorChatId;
+
+  beforeEach(async () => {
+    config.moderatorChatId = MODERATOR_CHAT;
+    await clearEscalations();
+    await clearOverrides();
+  });
+
+  afterAll(() => {
+    config.moderatorChatId = savedChatId;
+  });
+
+  it('should link public and private supergroup messages', () => {
+    expect(getMessageLink({ id: -100123, username: 'peppercoin' }, 5)).toBe('https://t.me/peppercoin/5');
+    expect(getMessageLink({ id: -1001234567890 }, 5)).toBe('https://t.me/c/1234567890/5');
+    expect(getMessageLink({ id: 42, type: 'private' }, 5)).toBeNull();
+  });
+
+  it('should send the question, link and draft to the moderator chat', async () => {
+    const telegram = createTelegram();
+    expect(await escalate(askerContext(telegram), ESCALATION)).toBe(true);
+
+    expect(telegram.sent).toHaveLength(1);
+    const [message] = telegram.sent;
+    expect(message.chatId).toBe(MODERATOR_CHAT);
+    expect(message.text).toContain(QUESTION);
+    expect(message.text).toContain('https://t.me/peppercoin/7');
+    expect(message.text).toContain('Please check the official channels.');
+    expect(message.text).toContain('Ada (@ada) in Peppercoin');
+  });
+
+  it('should do nothing without a moderator chat', async () => {
+    config.moderatorChatId = null;
+    const telegram = createTelegram();
+    expect(await escalate(askerContext(telegram), ESCALATION)).toBe(false);
+    expect(telegram.sent).toHaveLength(0);
+  });
+
+  it('should cut long drafts', () => {
+    const text = formatEscalation(askerContext(createTelegram()), { ...ESCALATION, draft: 'x'.repeat(5000) });
+    expect(text.length).toBeLessThan(2500);
+  });
+
+  it('should post a repeated question once and answer everyone waiting', async () => {
+    const telegram = createTelegram();
+    await escalate(askerContext(telegram, { messageId: 7, userId: 1 }), ESCALATION);
+    await escalate(askerContext(telegram, { messageId: 8, userId: 2 }), ESCALATION);
+    expect(telegram.sent).toHaveLength(1);
+
+    const moderator = moderatorContext(telegram, 100, 'The app has not been announced yet.');
+    expect(await handleModeratorReply(moderator)).toBe(true);
+
+    const answers = telegram.sent.slice(1);
+    expect(answers.map(a => a.extra.reply_to_message_id)).toEqual([7, 8]);
+    expect(answers[0].text).toContain('A moderator answered your question:');
+    expect(answers[0].text).toContain('The app has not been announced yet.');
+    expect(moderator.replies[0]).toContain('Sent to 2 of 2');
+    expect(await findOverride(QUESTION, 'en')).toBeNull();
+  });
+
+  it('should save the answer as an override with /save', async () => {
+    const telegram = createTelegram();
+    await escalate(askerContext(telegram), ESCALATION);
+
+    await handleModeratorReply(moderatorContext(telegram, 100, '/save No app has been announced.'));
+
+    expect(telegram.sent[1].text).toContain('No app has been announced.');
+    expect(telegram.sent[1].text).not.toContain('/save');
+    expect(await findOverride(QUESTION, 'en')).toMatchObject({ answer: 'No app has been announced.', createdBy: 99 });
+    expect(await findOverride(QUESTION, 'es')).toBeNull();
+  });
+
+  it('should answer in the asker\'s language', async () => {
+    const telegram = createTelegram();
+    await escalate(askerContext(telegram), { ...ESCALATION, language: 'es' });
+    await handleModeratorReply(moderatorContext(telegram, 100, 'Todavía no hay app.'));
+    expect(telegram.sent[1].text).toContain('Un moderador respondió a tu pregunta:');
+  });
+
+  it('should ignore other messages', async () => {
+    const telegram = createTelegram();
+    await escalate(askerContext(telegram), ESCALATION);
+
+    expect(await handleModeratorReply(moderatorContext(telegram, 12345, 'unrelated reply'))).toBe(false);
+    const elsewhere = { ...moderatorContext(telegram, 100, 'answer'), chat: { id: -100777 } };
+    expect(await handleModeratorReply(elsewhere)).toBe(false);
+    expect(telegram.sent).toHaveLength(1);
+  });
+});
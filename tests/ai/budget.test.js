@@ -0,0 +1,162 @@
+/**
+ * Unit Tests: Model Pricing and AI Budget
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import config, { parseModelPricing } from '../../src/config.js';
+import { calculateCost, getEventCost, getModelPrice } from '../../src/ai/pricing.js';
+import {
+  getBudgetMode,
+  getSpend,
+  isBudgetExhausted,
+  recordSpend,
+  seedSpend,
+  onBudgetModeChange,
+  resetBudget,
+} from '../../src/ai/budget.js';
+import { economyRoute } from '../../src/ai/modelRouter.js';
+import { chatCompletion } from '../../src/ai/openrouterClient.js';
+import { UNKNOWN_MODEL_PRICING } from '../../src/constants.js';
+
+const PRICING = {
+  'cheap': { prompt: 0.1, completion: 0.4 },
+  'pricey': { prompt: 3, completion: 15 },
+  'free': { prompt: 0, completion: 0 },
+};
+
+describe('Model Pricing', () => {
+  afterEach(() => {
+    delete process.env.MODEL_PRICING;
+  });
+
+  it('should price prompt and completion tokens separately', () => {
+    expect(calculateCost('pricey', 1_000_000, 0, PRICING)).toBeCloseTo(3);
+    expect(calculateCost('pricey', 0, 1_000_000, PRICING)).toBeCloseTo(15);
+    expect(calculateCost('cheap', 2000, 500, PRICING)).toBeCloseTo(0.0004);
+    expect(calculateCost('free', 50_000, 50_000, PRICING)).toBe(0);
+  });
+
+  it('should charge unpriced models the unknown-model rate', () => {
+    const price = getModelPrice('mystery/model', PRICING);
+    expect(price.known).toBe(false);
+    expect(calculateCost('mystery/model', 1_000_000, 0, PRICING)).toBe(UNKNOWN_MODEL_PRICING.prompt);
+  });
+
+  it('should prefer the cost recorded on an event', () => {
+    expect(getEventCost({ metadata: { model: 'mystery/model', promptTokens: 10, costUsd: 0.5 } })).toBe(0.5);
+    expect(getEventCost({ metadata: { model: 'mystery/model', promptTokens: 1_000_000 } }))
+      .toBe(UNKNOWN_MODEL_PRICING.prompt);
+  });
+
+  it('should merge MODEL_PRICING over the built-in table', () => {
+    process.env.MODEL_PRICING = JSON.stringify({ 'openai/gpt-4o-mini': { prompt: 0.15, completion: 0.6 } });
+    const { pricing, error } = parseModelPricing();
+    expect(error).toBeNull();
+    expect(pricing['openai/gpt-4o-mini']).toEqual({ prompt: 0.15, completion: 0.6 });
+    expect(Object.keys(pricing).length).toBeGreaterThan(1);
+  });
+
+  it('should reject invalid MODEL_PRICING', () => {
+    process.env.MODEL_PRICING = '{nope';
+    expect(parseModelPricing().error).toMatch(/Invalid MODEL_PRICING JSON/);
+
+    process.env.MODEL_PRICING = JSON.stringify({ 'a/b': { prompt: -1, completion: 1 } });
+    expect(parseModelPricing().error).toMatch(/"a\/b"/);
+  });
+});
+
+describe('AI Budget', () => {
+  const savedBudget = { ...config.budget };
+
+  beforeEach(() => {
+    resetBudget();
+    config.budget.dailyUsd = 1;
+    config.budget.monthlyUsd = 20;
+  });
+
+  afterEach(() => {
+    Object.assign(config.budget, savedBudget);
+    resetBudget();
+  });
+
+  it('should step from normal to economy to local as spend grows', () => {
+    expect(getBudgetMode()).toBe('normal');
+
+    recordSpend(0.5);
+    expect(getBudgetMode()).toBe('normal');
+
+    recordSpend(0.3);
+    expect(getBudgetMode()).toBe('economy');
+
+    recordSpend(0.16);
+    expect(getBudgetMode()).toBe('local');
+    expect(isBudgetExhausted()).toBe(false);
+
+    recordSpend(0.04);
+    expect(isBudgetExhausted()).toBe(true);
+  });
+
+  it('should apply the monthly budget too', () => {
+    config.budget.monthlyUsd = 0.5;
+    recordSpend(0.45);
+    expect(getSpend().ratio).toBeCloseTo(0.9);
+    expect(getBudgetMode()).toBe('economy');
+  });
+
+  it('should treat a zero budget as spent', () => {
+    config.budget.dailyUsd = 0;
+    expect(isBudgetExhausted()).toBe(true);
+  });
+
+  it('should keep the larger of seeded and recorded spend', () => {
+    recordSpend(0.2);
+    seedSpend({ dailyUsd: 0.1, monthlyUsd: 5 });
+    expect(getSpend()).toMatchObject({ dailyUsd: 0.2, monthlyUsd: 5 });
+  });
+
+  it('should notify once per step up', async () => {
+    const changes = [];
+    onBudgetModeChange((mode, spend) => changes.push([mode, spend.dailyUsd]));
+
+    recordSpend(0.85);
+    recordSpend(0.01);
+    recordSpend(0.1);
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(changes.map(([mode]) => mode)).toEqual(['economy', 'local']);
+    expect(changes[0][1]).toBeCloseTo(0.85);
+  });
+
+  it('should not let a failing listener break spend recording', async () => {
+    onBudgetModeChange(() => { throw new Error('telegram down'); });
+    expect(() => recordSpend(0.9)).not.toThrow();
+    await new Promise(resolve => setImmediate(resolve));
+    expect(getBudgetMode()).toBe('economy');
+  });
+
+  it('should refuse AI calls once the budget is spent', async () => {
+    recordSpend(1);
+    const result = await chatCompletion([{ role: 'user', content: 'hi' }], {
+      providers: [{ name: 'never', baseUrl: 'http://127.0.0.1:9', apiKey: 'key' }],
+    });
+    expect(result.success).toBe(false);
+    expect(result.error).toBe('AI budget exhausted');
+  });
+});
+
+describe('Economy Route', () => {
+  const route = { responseClass: '*', complexity: '*', maxTokens: 600, temperature: 0.1 };
+
+  it('should keep the cheaper of the model and fallback model', () => {
+    config.modelPricing.__cheap = { prompt: 0.1, completion: 0.1 };
+    config.modelPricing.__pricey = { prompt: 5, completion: 5 };
+
+    expect(economyRoute({ ...route, model: '__pricey', fallbackModel: '__cheap' }))
+      .toMatchObject({ model: '__cheap', fallbackModel: null });
+    expect(economyRoute({ ...route, model: '__cheap', fallbackModel: '__pricey' }))
+      .toMatchObject({ model: '__cheap', fallbackModel: null });
+
+    delete config.modelPricing.__cheap;
+    delete config.modelPricing.__pricey;
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * Unit Tests: Model Routing Table
+ */
+
+import { describe, it, expect, afterEach } from 'vitest';
+import { getComplexityBand, resolveRoute, describeRoutes } from '../../src/ai/modelRouter.js';
+import { parseModelRoutes } from '../../src/config.js';
+import { MODELS } from '../../src/constants.js';
+
+const BASE_MODEL = 'base-model';
+
+function parse(routes) {
+  process.env.MODEL_ROUTES = typeof routes === 'string' ? routes : JSON.stringify(routes);
+  return parseModelRoutes(BASE_MODEL, 0.1, 500);
+}
+
+describe('Model Router', () => {
+  afterEach(() => {
+    delete process.env.MODEL_ROUTES;
+  });
+
+  it('should map complexity scores to bands', () => {
+    expect(getComplexityBand(0)).toBe('simple');
+    expect(getComplexityBand(3)).toBe('simple');
+    expect(getComplexityBand(5)).toBe('medium');
+    expect(getComplexityBand(8)).toBe('complex');
+  });
+
+  describe('Default table', () => {
+    it('should use the configured model for everyday answers', () => {
+      const { routes } = parseModelRoutes(BASE_MODEL, 0.1, 500);
+      const route = resolveRoute('FACTUAL', 2, routes);
+      expect(route.model).toBe(BASE_MODEL);
+      expect(route.fallbackModel).toBe(MODELS.QUALITY);
+    });
+
+    it('should use the quality model for complex answers', () => {
+      const { routes } = parseModelRoutes(BASE_MODEL, 0.1, 500);
+      const route = resolveRoute('PROCEDURAL', 8, routes);
+      expect(route.model).toBe(MODELS.QUALITY);
+      expect(route.fallbackModel).toBe(BASE_MODEL);
+      expect(route.maxTokens).toBe(720);
+    });
+  });
+
+  describe('Configured table', () => {
+    it('should use the first matching route', () => {
+      const { routes, error } = parse([
+        { responseClass: 'PROCEDURAL', complexity: 'complex', model: 'big', maxTokens: 1500, temperature: 0.3 },
+        { responseClass: 'PROCEDURAL', model: 'medium' },
+        { responseClass: '*', complexity: '*', model: 'small', fallbackModel: 'medium' },
+      ]);
+      expect(error).toBeNull();
+      expect(resolveRoute('PROCEDURAL', 9, routes)).toMatchObject({ model: 'big', maxTokens: 1500, temperature: 0.3 });
+      expect(resolveRoute('PROCEDURAL', 1, routes).model).toBe('medium');
+      expect(resolveRoute('FACTUAL', 9, routes)).toMatchObject({ model: 'small', fallbackModel: 'medium' });
+    });
+
+    it('should fill token and temperature defaults from config', () => {
+      const { routes } = parse([{ model: 'only' }]);
+      expect(routes[0]).toMatchObject({ responseClass: '*', complexity: '*', maxTokens: 500, temperature: 0.1, fallbackModel: null });
+    });
+
+    it('should reject invalid routes', () => {
+      expect(parse('[oops').error).toMatch(/Invalid MODEL_ROUTES/);
+      expect(parse([]).error).toMatch(/non-empty/);
+      expect(parse([{ responseClass: 'CHAT', model: 'x' }]).error).toMatch(/unknown responseClass/);
+      expect(parse([{ complexity: 'huge', model: 'x' }]).error).toMatch(/complexity/);
+      expect(parse([{ responseClass: '*' }]).error).toMatch(/model is required/);
+      expect(parse([{ model: 'x', maxTokens: -1 }]).error).toMatch(/maxTokens/);
+      expect(parse([{ model: 'x', temperature: 3 }]).error).toMatch(/temperature/);
+    });
+
+    it('should reject tables that leave answers without a route', () => {
+      const { error } = parse([{ responseClass: 'FACTUAL', model: 'x' }]);
+      expect(error).toMatch(/no route for GREETING\/simple/);
+    });
+  });
+
+  it('should describe routes for /health', () => {
+    const { routes } = parse([{ model: 'small', fallbackModel: 'big' }]);
+    expect(describeRoutes(routes)).toEqual(['*/* → small (500 tok, t=0.1, fallback big)']);
+  });
+});
@@ -0,0 +1,337 @@
+/**
+ * Unit Tests: AI Client Failover and Retries
+ */
+
+import { describe, it, expect, beforeAll, beforeEach, afterAll, vi } from 'vitest';
+import http from 'http';
+import { chatCompletion, getBackoffDelay } from '../../src/ai/openrouterClient.js';
+import {
+  resetBreakers,
+  getBreakerState,
+  canRequest,
+  isAvailable,
+  recordSuccess,
+  recordFailure,
+} from '../../src/ai/circuitBreaker.js';
+import { AI_RESILIENCE } from '../../src/constants.js';
+
+const messages = [{ role: 'user', content: 'What is PEPPER?' }];
+
+/**
+ * Stub provider behaviours, keyed by URL prefix
+ */
+const behaviours = {
+  '/ok': (req, res) => reply(res, 200, completion('Answer from ok')),
+  '/backup': (req, res) => reply(res, 200, completion('Answer from backup')),
+  '/error': (req, res) => reply(res, 500, { error: 'boom' }),
+  '/empty': (req, res) => reply(res, 200, completion('')),
+  '/reasoning': (req, res) => reply(res, 200, {
+    choices: [{ message: { content: '', reasoning: 'thinking...' }, finish_reason: 'length' }],
+  }),
+  '/slow': (req, res) => setTimeout(() => reply(res, 200, completion('Too late')), 500),
+  '/bad-request': (req, res) => reply(res, 400, { error: 'bad' }),
+  // 429 on every other call, honoring Retry-After
+  '/flaky': (req, res) => {
+    flakyCalls++;
+    if (flakyCalls % 2 === 1) {
+      res.setHeader('Retry-After', '0');
+      return reply(res, 429, { error: 'rate limited' });
+    }
+    reply(res, 200, completion('Answer from flaky'));
+  },
+  '/stream': (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    res.write(': OPENROUTER PROCESSING\n\n');
+    for (const piece of ['Step 1: open ', 'your wallet.', '\nStep 2: stake.']) {
+      res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: piece } }] })}\n\n`);
+    }
+    res.write(`data: ${JSON.stringify({ choices: [{ delta: {}, finish_reason: 'stop' }], usage: { total_tokens: 42 } })}\n\n`);
+    res.end('data: [DONE]\n\n');
+  },
+  // Only knows one model
+  '/models': (req, res) => {
+    const { model } = requests.at(-1).body;
+    if (model !== 'known-model') return reply(res, 404, { error: 'model not found' });
+    reply(res, 200, completion(`Answer from ${model}`));
+  },
+  '/throttled': (req, res) => {
+    res.setHeader('Retry-After', '120');
+    reply(res, 429, { error: 'rate limited' });
+  },
+};
+
+let flakyCalls = 0;
+
+const requests = [];
+let server;
+let baseUrl;
+
+function completion(content) {
+  return {
+    choices: [{ message: { content }, finish_reason: 'stop' }],
+    usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 },
+  };
+}
+
+function reply(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function provider(name, overrides = {}) {
+  return { name, baseUrl: `${baseUrl}/${name}`, apiKey: 'test-key', model: null, timeoutMs: null, ...overrides };
+}
+
+describe('AI Client Failover', () => {
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        requests.push({ url: req.url, headers: req.headers, body: JSON.parse(body || '{}') });
+        const key = Object.keys(behaviours).find(prefix => req.url.startsWith(`${prefix}/`));
+        behaviours[key](req, res);
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  beforeEach(() => {
+    resetBreakers();
+    requests.length = 0;
+  });
+
+  afterAll(async () => {
+    server.closeAllConnections?.();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('should use the first provider when it succeeds', async () => {
+    const result = await chatCompletion(messages, {
+      providers: [provider('ok'), provider('backup')],
+    });
+    expect(result.success).toBe(true);
+    expect(result.content).toBe('Answer from ok');
+    expect(result.provider).toBe('ok');
+    expect(result.usage.total_tokens).toBe(15);
+  });
+
+  it('should fail over on HTTP errors', async () => {
+    const result = await chatCompletion(messages, {
+      maxRetries: 0,
+      providers: [provider('error'), provider('backup')],
+    });
+    expect(result.success).toBe(true);
+    expect(result.provider).toBe('backup');
+  });
+
+  it('should fail over on empty and reasoning-only content', async () => {
+    const result = await chatCompletion(messages, {
+      providers: [provider('empty'), provider('reasoning'), provider('backup')],
+    });
+    expect(result.success).toBe(true);
+    expect(result.content).toBe('Answer from backup');
+  });
+
+  it('should fail over on timeout', async () => {
+    const result = await chatCompletion(messages, {
+      providers: [provider('slow', { timeoutMs: 50 }), provider('backup')],
+    });
+    expect(result.success).toBe(true);
+    expect(result.provider).toBe('backup');
+  });
+
+  it('should skip providers without an API key', async () => {
+    const result = await chatCompletion(messages, {
+      maxRetries: 0,
+      providers: [provider('error', { apiKey: undefined }), provider('ok')],
+    });
+    expect(result.provider).toBe('ok');
+  });
+
+  it('should return the last error when every provider fails', async () => {
+    const result = await chatCompletion(messages, {
+      maxRetries: 0,
+      providers: [provider('empty'), provider('error')],
+    });
+    expect(result.success).toBe(false);
+    expect(result.error).toBe('API error: 500');
+    expect(result.provider).toBe('error');
+  });
+
+  it('should report not configured when no provider has a key', async () => {
+    const result = await chatCompletion(messages, {
+      providers: [provider('ok', { apiKey: '' })],
+    });
+    expect(result.success).toBe(false);
+    expect(result.error).toBe('AI service not configured');
+  });
+
+  it('should prefer a pinned provider model over the requested one', async () => {
+    await chatCompletion(messages, {
+      model: 'requested-model',
+      providers: [provider('ok', { model: 'pinned-model' })],
+    });
+    expect(requests[0].body.model).toBe('pinned-model');
+    expect(requests[0].headers.authorization).toBe('Bearer test-key');
+    // OpenRouter-only fields are not sent to other providers
+    expect(requests[0].body.reasoning).toBeUndefined();
+  });
+
+  describe('Fallback Model', () => {
+    it('should try the fallback model before failing over', async () => {
+      const result = await chatCompletion(messages, {
+        model: 'retired-model',
+        fallbackModel: 'known-model',
+        providers: [provider('models'), provider('backup')],
+      });
+      expect(result.provider).toBe('models');
+      expect(result.content).toBe('Answer from known-model');
+      expect(requests.map(r => r.body.model)).toEqual(['retired-model', 'known-model']);
+    });
+
+    it('should not switch models on a provider with a pinned model', async () => {
+      const result = await chatCompletion(messages, {
+        model: 'retired-model',
+        fallbackModel: 'known-model',
+        providers: [provider('models', { model: 'pinned-model' }), provider('backup')],
+      });
+      expect(result.provider).toBe('backup');
+      expect(requests.filter(r => r.url.startsWith('/models/'))).toHaveLength(1);
+    });
+  });
+
+  describe('Retries', () => {
+    it('should retry a 429 honoring Retry-After', async () => {
+      flakyCalls = 0;
+      const result = await chatCompletion(messages, {
+        providers: [provider('flaky'), provider('backup')],
+      });
+      expect(result.provider).toBe('flaky');
+      expect(requests).toHaveLength(2);
+    });
+
+    it('should retry server errors before failing over', async () => {
+      const result = await chatCompletion(messages, {
+        maxRetries: 1,
+        providers: [provider('error'), provider('backup')],
+      });
+      expect(result.provider).toBe('backup');
+      expect(requests.filter(r => r.url.startsWith('/error/'))).toHaveLength(2);
+    });
+
+    it('should not retry client errors', async () => {
+      await chatCompletion(messages, {
+        providers: [provider('bad-request'), provider('backup')],
+      });
+      expect(requests.filter(r => r.url.startsWith('/bad-request/'))).toHaveLength(1);
+    });
+
+    it('should fail over instead of waiting out a long Retry-After', async () => {
+      const result = await chatCompletion(messages, {
+        providers: [provider('throttled'), provider('backup')],
+      });
+      expect(result.provider).toBe('backup');
+      expect(requests.filter(r => r.url.startsWith('/throttled/'))).toHaveLength(1);
+    });
+
+    it('should keep backoff within the jittered exponential ceiling', () => {
+      for (let attempt = 0; attempt < 6; attempt++) {
+        const ceiling = Math.min(AI_RESILIENCE.BASE_BACKOFF_MS * 2 ** attempt, AI_RESILIENCE.MAX_BACKOFF_MS);
+        const delay = getBackoffDelay(attempt);
+        expect(delay).toBeGreaterThanOrEqual(0);
+        expect(delay).toBeLessThan(ceiling);
+      }
+      expect(getBackoffDelay(0, 2000)).toBe(2000);
+      expect(getBackoffDelay(0, 60000)).toBe(AI_RESILIENCE.MAX_BACKOFF_MS);
+    });
+  });
+
+  describe('Circuit Breaker', () => {
+    it('should skip a provider after consecutive failures', async () => {
+      const chain = [provider('error'), provider('backup')];
+      for (let i = 0; i < AI_RESILIENCE.BREAKER_THRESHOLD; i++) {
+        await chatCompletion(messages, { maxRetries: 0, providers: chain });
+      }
+      expect(getBreakerState('error').state).toBe('open');
+
+      requests.length = 0;
+      const result = await chatCompletion(messages, { maxRetries: 0, providers: chain });
+      expect(result.provider).toBe('backup');
+      expect(requests.map(r => r.url)).toEqual(['/backup/chat/completions']);
+    });
+
+    it('should fail fast when every breaker is open', async () => {
+      const chain = [provider('error')];
+      for (let i = 0; i < AI_RESILIENCE.BREAKER_THRESHOLD; i++) {
+        await chatCompletion(messages, { maxRetries: 0, providers: chain });
+      }
+
+      requests.length = 0;
+      const result = await chatCompletion(messages, { providers: chain });
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('AI service temporarily unavailable');
+      expect(requests).toHaveLength(0);
+    });
+
+    it('should let one trial request through after the cool-down', () => {
+      const start = Date.now();
+      const clock = vi.spyOn(Date, 'now').mockReturnValue(start);
+      try {
+        for (let i = 0; i < AI_RESILIENCE.BREAKER_THRESHOLD; i++) recordFailure('trial');
+        expect(canRequest('trial')).toBe(false);
+
+        clock.mockReturnValue(start + AI_RESILIENCE.BREAKER_COOLDOWN_MS);
+        expect(isAvailable('trial')).toBe(true);
+        expect([canRequest('trial'), canRequest('trial')]).toEqual([true, false]);
+        expect(isAvailable('trial')).toBe(false);
+
+        // A failed trial re-opens the breaker
+        recordFailure('trial');
+        expect(getBreakerState('trial').state).toBe('open');
+
+        clock.mockReturnValue(start + 2 * AI_RESILIENCE.BREAKER_COOLDOWN_MS);
+        expect(canRequest('trial')).toBe(true);
+        recordSuccess('trial');
+        expect([canRequest('trial'), canRequest('trial')]).toEqual([true, true]);
+      } finally {
+        clock.mockRestore();
+      }
+    });
+
+    it('should free a trial that never reports back', () => {
+      const start = Date.now();
+      const clock = vi.spyOn(Date, 'now').mockReturnValue(start);
+      try {
+        for (let i = 0; i < AI_RESILIENCE.BREAKER_THRESHOLD; i++) recordFailure('stuck');
+        clock.mockReturnValue(start + AI_RESILIENCE.BREAKER_COOLDOWN_MS);
+        expect(canRequest('stuck')).toBe(true);
+
+        clock.mockReturnValue(start + 2 * AI_RESILIENCE.BREAKER_COOLDOWN_MS);
+        expect(canRequest('stuck')).toBe(true);
+      } finally {
+        clock.mockRestore();
+      }
+    });
+  });
+
+  describe('Streaming', () => {
+    it('should stream deltas and return the full completion', async () => {
+      const partials = [];
+      const result = await chatCompletion(messages, {
+        providers: [provider('stream')],
+        onDelta: text => partials.push(text),
+      });
+      expect(requests[0].body.stream).toBe(true);
+      expect(partials).toEqual([
+        'Step 1: open ',
+        'Step 1: open your wallet.',
+        'Step 1: open your wallet.\nStep 2: stake.',
+      ]);
+      expect(result.success).toBe(true);
+      expect(result.content).toBe('Step 1: open your wallet.\nStep 2: stake.');
+      expect(result.usage.total_tokens).toBe(42);
+    });
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * Unit Tests: Prompt Registry
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  getPrompt,
+  renderPrompt,
+  selectPrompt,
+  validatePromptExperiment,
+} from '../../src/ai/promptRegistry.js';
+
+const experiment = {
+  name: 'concise-answers',
+  variants: { 'pepper-pal': 50, 'pepper-pal-concise@1.0.0': 50 },
+};
+
+describe('Prompt Registry', () => {
+  describe('Lookup', () => {
+    it('should find prompts by name and by pinned version', () => {
+      expect(getPrompt('pepper-pal').name).toBe('pepper-pal');
+      expect(getPrompt('pepper-pal-concise@1.0.0').version).toBe('1.0.0');
+    });
+
+    it('should return null for unknown prompts and versions', () => {
+      expect(getPrompt('nope')).toBeNull();
+      expect(getPrompt('pepper-pal@0.0.1')).toBeNull();
+    });
+  });
+
+  describe('Rendering', () => {
+    it('should fill variables and class guidance', () => {
+      const text = renderPrompt('pepper-pal', { charBudget: 1200, responseClass: 'PROCEDURAL', language: 'Spanish' });
+      expect(text).toContain('1200 characters');
+      expect(text).toContain('RESPONSE CLASS: PROCEDURAL');
+      expect(text).toContain('how-to question');
+      expect(text).toContain('Reply in Spanish');
+      expect(text).not.toMatch(/\{\{\w+\}\}/);
+    });
+
+    it('should default to the language of the question', () => {
+      const text = renderPrompt('pepper-pal', { charBudget: 1000, responseClass: 'FACTUAL' });
+      expect(text).toContain('Reply in the same language as the question');
+    });
+
+    it('should fall back to the default prompt for unknown ids', () => {
+      const text = renderPrompt('missing@9.9.9', { charBudget: 1000, responseClass: 'FACTUAL' });
+      expect(text).toContain('You are Pepper Pal');
+    });
+  });
+
+  describe('Experiments', () => {
+    it('should use the default prompt without an experiment', () => {
+      expect(selectPrompt(123, null)).toEqual({ id: 'pepper-pal@3.0.0', experiment: null });
+    });
+
+    it('should keep a chat on the same variant', () => {
+      const first = selectPrompt(-100123, experiment);
+      for (let i = 0; i < 5; i++) {
+        expect(selectPrompt(-100123, experiment)).toEqual(first);
+      }
+      expect(first.experiment).toBe('concise-answers');
+    });
+
+    it('should split chats roughly by weight', () => {
+      const counts = {};
+      for (let chatId = 0; chatId < 2000; chatId++) {
+        const { id } = selectPrompt(chatId, experiment);
+        counts[id] = (counts[id] || 0) + 1;
+      }
+      expect(counts['pepper-pal@3.0.0']).toBeGreaterThan(800);
+      expect(counts['pepper-pal-concise@1.0.0']).toBeGreaterThan(800);
+    });
+
+    it('should reject experiments with unknown prompts', () => {
+      expect(() => validatePromptExperiment(experiment)).not.toThrow();
+      expect(() => validatePromptExperiment({ name: 'x', variants: { 'pepper-pal': 1, ghost: 1 } }))
+        .toThrow(/unknown prompts: ghost/);
+    });
+  });
+});
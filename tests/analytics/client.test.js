@@ -0,0 +1,55 @@
+/**
+ * Unit Tests: Analytics Client
+ */
+
+import { describe, it, expect } from 'vitest';
+import { fetchAll } from '../../src/analytics/client.js';
+import { ANALYTICS_QUERY } from '../../src/constants.js';
+
+/**
+ * Query over a fixed table that records the ranges it was asked for
+ */
+function fakeQuery(rows, ranges, failAt = null) {
+  return () => ({
+    order: function () { return this; },
+    range: async (from, to) => {
+      ranges.push([from, to]);
+      if (from === failAt) return { data: null, error: { message: 'boom' } };
+      return { data: rows.slice(from, to + 1), error: null };
+    },
+  });
+}
+
+describe('Analytics Client', () => {
+  describe('Paged reads', () => {
+    it('should read past the per-select row cap', async () => {
+      const rows = Array.from({ length: ANALYTICS_QUERY.PAGE_SIZE * 2 + 5 }, (_, id) => ({ id }));
+      const ranges = [];
+
+      const { data, error } = await fetchAll(fakeQuery(rows, ranges));
+
+      expect(error).toBeNull();
+      expect(data).toHaveLength(rows.length);
+      expect(ranges).toHaveLength(3);
+    });
+
+    it('should stop after an exactly full last page', async () => {
+      const rows = Array.from({ length: ANALYTICS_QUERY.PAGE_SIZE }, (_, id) => ({ id }));
+      const ranges = [];
+
+      const { data } = await fetchAll(fakeQuery(rows, ranges));
+
+      expect(data).toHaveLength(rows.length);
+      expect(ranges).toHaveLength(2);
+    });
+
+    it('should return the error of a failed page', async () => {
+      const rows = Array.from({ length: ANALYTICS_QUERY.PAGE_SIZE + 1 }, (_, id) => ({ id }));
+
+      const { data, error } = await fetchAll(fakeQuery(rows, [], ANALYTICS_QUERY.PAGE_SIZE));
+
+      expect(data).toBeNull();
+      expect(error.message).toBe('boom');
+    });
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * Unit Tests: Knowledge-Gap Report
+ */
+
+import { describe, it, expect } from 'vitest';
+import { normalizeQuestion } from '../../src/analytics/tracker.js';
+import { clusterGaps, formatGapReport } from '../../src/analytics/reporter.js';
+import { GAP_REPORT } from '../../src/constants.js';
+
+describe('Knowledge-Gap Report', () => {
+  describe('Question normalization', () => {
+    it('should drop contact details, addresses and markup', () => {
+      const question = normalizeQuestion('@PepperPal Is https://pepper-claim.xyz legit? Sent 0x1234567890abcdef to it, email me at ada@example.com or +90 5321234567 *now*');
+
+      expect(question).toBe('is legit? sent to it, email me at or 90 now');
+    });
+
+    it('should cap the stored length', () => {
+      expect(normalizeQuestion('why '.repeat(200)).length).toBeLessThanOrEqual(GAP_REPORT.MAX_QUESTION_LENGTH);
+      expect(normalizeQuestion(undefined)).toBe('');
+    });
+  });
+
+  describe('Clustering', () => {
+    const gaps = [
+      { reason: 'low_confidence', question: 'when is the mobile app launching' },
+      { reason: 'low_confidence', question: 'mobile app launch date?' },
+      { reason: 'validation', question: 'when is the mobile app launching' },
+      { reason: 'ungrounded', question: 'how long is the unstaking period' },
+      { reason: 'low_confidence', question: 'unstaking period length' },
+      { reason: 'knowledge_unavailable', question: 'who audited the bridge contract' },
+      { reason: 'low_confidence', question: 'pepper?' },
+    ];
+
+    it('should group phrasings that share keywords', () => {
+      const clusters = clusterGaps(gaps);
+
+      expect(clusters.map(c => c.count)).toEqual([3, 2, 1]);
+      expect(clusters[0].keywords).toEqual(expect.arrayContaining(['mobile', 'app']));
+      expect(clusters[0].reasons).toEqual({ low_confidence: 2, validation: 1 });
+      expect(clusters[1].keywords).toEqual(expect.arrayContaining(['unstak', 'period']));
+    });
+
+    it('should list the most asked phrasing first, once', () => {
+      const [top] = clusterGaps(gaps);
+      expect(top.examples).toEqual(['when is the mobile app launching', 'mobile app launch date?']);
+    });
+
+    it('should skip questions with no topic terms', () => {
+      expect(clusterGaps([{ reason: 'low_confidence', question: 'pepper?' }, null])).toEqual([]);
+    });
+
+    it('should keep only the top clusters', () => {
+      const many = Array.from({ length: 30 }, (_, i) => ({ reason: 'low_confidence', question: `topic${i} question${i}` }));
+      expect(clusterGaps(many)).toHaveLength(GAP_REPORT.TOP_CLUSTERS);
+    });
+  });
+
+  describe('Report', () => {
+    it('should show clusters with counts, reasons and examples', () => {
+      const text = formatGapReport({
+        days: 7,
+        total: 3,
+        clusters: clusterGaps([
+          { reason: 'low_confidence', question: 'mobile app launch date?' },
+          { reason: 'validation', question: 'mobile app launch date?' },
+          { reason: 'low_confidence', question: 'when does the mobile app launch' },
+        ]),
+      });
+
+      expect(text).toContain('Last 7 days: 3 questions hit a fallback');
+      expect(text).toContain('(3)');
+      expect(text).toContain('low confidence 2, validation failed 1');
+      expect(text).toContain('• mobile app launch date?');
+    });
+
+    it('should handle empty and missing data', () => {
+      expect(formatGapReport({ days: 7, total: 0, clusters: [] })).toContain('No questions hit a fallback');
+      expect(formatGapReport(null)).toContain('unavailable');
+    });
+  });
+});
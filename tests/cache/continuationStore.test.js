@@ -0,0 +1,104 @@
+/**
+ * Unit Tests: Continuation Store
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  hasMoreSignal,
+  isMoreRequest,
+  getRemainder,
+  saveContinuation,
+  trackContinuationMessage,
+  takeNextPart,
+  clearContinuations,
+} from '../../src/cache/continuationStore.js';
+import { compress } from '../../src/safety/compressor.js';
+import { CONTINUATION } from '../../src/constants.js';
+
+const paragraph = 'Staking locks nothing and you can withdraw anytime. ';
+
+describe('Continuation Store', () => {
+  beforeEach(() => {
+    clearContinuations();
+  });
+
+  describe('Detection', () => {
+    it('should recognize "more" requests', () => {
+      expect(isMoreRequest('more')).toBe(true);
+      expect(isMoreRequest('MORE!')).toBe(true);
+      expect(isMoreRequest('say more')).toBe(true);
+      expect(isMoreRequest('tell me more please')).toBe(true);
+    });
+
+    it('should not treat questions as "more" requests', () => {
+      expect(isMoreRequest('more about staking')).toBe(false);
+      expect(isMoreRequest('what is more important')).toBe(false);
+    });
+
+    it('should detect the compressor signal', () => {
+      const compressed = compress(paragraph.repeat(80), 500);
+      expect(hasMoreSignal(compressed)).toBe(true);
+      expect(hasMoreSignal('A short answer.')).toBe(false);
+    });
+  });
+
+  describe('Remainder', () => {
+    it('should drop the part that was already shown', () => {
+      const full = 'First sentence. Second sentence. Third sentence.';
+      const shown = 'First sentence. Second sen\n\nSay MORE.';
+      expect(getRemainder(full, shown)).toBe('Second sentence. Third sentence.');
+    });
+
+    it('should skip the first sentence kept by compression', () => {
+      const full = paragraph.repeat(80).trim();
+      const remainder = getRemainder(full, compress(full, 500));
+      expect(remainder).toBe(full.substring(paragraph.length));
+    });
+
+    it('should return the full text when nothing was shared', () => {
+      expect(getRemainder('Full answer.', 'Different.')).toBe('Full answer.');
+    });
+  });
+
+  describe('Delivery', () => {
+    it('should deliver parts in order per user and chat', () => {
+      const remainder = paragraph.repeat(80).trim();
+      const parts = saveContinuation(1, 100, remainder);
+      expect(parts).toBeGreaterThan(1);
+
+      const first = takeNextPart({ userId: 1, chatId: 100 });
+      expect(first.text.length).toBeLessThanOrEqual(CONTINUATION.PART_LENGTH);
+      expect(first.hasMore).toBe(true);
+
+      let last = first;
+      for (let i = 1; i < parts; i++) {
+        last = takeNextPart({ userId: 1, chatId: 100 });
+      }
+      expect(last.hasMore).toBe(false);
+      expect(takeNextPart({ userId: 1, chatId: 100 })).toBeNull();
+    });
+
+    it('should keep users and chats separate', () => {
+      saveContinuation(1, 100, 'Rest of the answer.');
+      expect(takeNextPart({ userId: 2, chatId: 100 })).toBeNull();
+      expect(takeNextPart({ userId: 1, chatId: 200 })).toBeNull();
+      expect(takeNextPart({ userId: 1, chatId: 100 }).text).toBe('Rest of the answer.');
+    });
+
+    it('should continue from a reply to the truncated message', () => {
+      saveContinuation(1, 100, 'Rest of the answer.');
+      trackContinuationMessage(1, 100, 555);
+
+      // Another group member replies "more" to the bot's message
+      const next = takeNextPart({ userId: 2, chatId: 100, replyToMessageId: 555 });
+      expect(next.text).toBe('Rest of the answer.');
+      expect(next.userId).toBe(1);
+    });
+
+    it('should replace an older continuation for the same user', () => {
+      saveContinuation(1, 100, 'Old answer.');
+      saveContinuation(1, 100, 'New answer.');
+      expect(takeNextPart({ userId: 1, chatId: 100 }).text).toBe('New answer.');
+    });
+  });
+});
@@ -0,0 +1,70 @@
+/**
+ * Unit Tests: Conversation Memory
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  getConversation,
+  recordExchange,
+  clearConversations,
+  getConversationCount,
+} from '../../src/cache/conversationMemory.js';
+import { CONVERSATION_MEMORY } from '../../src/constants.js';
+
+describe('Conversation Memory', () => {
+  beforeEach(() => {
+    clearConversations();
+  });
+
+  it('should return the previous exchange for a reply to the bot', () => {
+    recordExchange({ chatId: 100, userId: 1, botMessageId: 10, question: 'how do i stake', answer: 'Go to the portal.' });
+
+    const history = getConversation({ chatId: 100, userId: 1, replyToMessageId: 10 });
+    expect(history).toEqual([{ question: 'how do i stake', answer: 'Go to the portal.' }]);
+  });
+
+  it('should return nothing for messages that are not replies', () => {
+    recordExchange({ chatId: 100, userId: 1, botMessageId: 10, question: 'q', answer: 'a' });
+    expect(getConversation({ chatId: 100, userId: 1 })).toEqual([]);
+  });
+
+  it('should chain replies into one thread, capped at MAX_TURNS', () => {
+    let replyTo;
+    for (let i = 0; i < CONVERSATION_MEMORY.MAX_TURNS + 2; i++) {
+      recordExchange({ chatId: 100, userId: 1, replyToMessageId: replyTo, botMessageId: 10 + i, question: `q${i}`, answer: `a${i}` });
+      replyTo = 10 + i;
+    }
+
+    const history = getConversation({ chatId: 100, userId: 1, replyToMessageId: replyTo });
+    expect(history).toHaveLength(CONVERSATION_MEMORY.MAX_TURNS);
+    expect(history.at(-1).question).toBe(`q${CONVERSATION_MEMORY.MAX_TURNS + 1}`);
+    expect(getConversationCount()).toBe(1);
+  });
+
+  it('should not mix threads between users in a group', () => {
+    recordExchange({ chatId: 100, userId: 1, botMessageId: 10, question: 'user 1 question', answer: 'a' });
+
+    // Another member replying to user 1's answer gets no context
+    expect(getConversation({ chatId: 100, userId: 2, replyToMessageId: 10 })).toEqual([]);
+
+    // ...and starts their own thread
+    recordExchange({ chatId: 100, userId: 2, replyToMessageId: 10, botMessageId: 11, question: 'user 2 question', answer: 'b' });
+    expect(getConversation({ chatId: 100, userId: 2, replyToMessageId: 11 })).toEqual([
+      { question: 'user 2 question', answer: 'b' },
+    ]);
+    expect(getConversation({ chatId: 100, userId: 1, replyToMessageId: 10 })).toHaveLength(1);
+  });
+
+  it('should not mix chats', () => {
+    recordExchange({ chatId: 100, userId: 1, botMessageId: 10, question: 'q', answer: 'a' });
+    expect(getConversation({ chatId: 200, userId: 1, replyToMessageId: 10 })).toEqual([]);
+  });
+
+  it('should trim long answers', () => {
+    const answer = 'x'.repeat(CONVERSATION_MEMORY.MAX_ANSWER_CHARS + 100);
+    recordExchange({ chatId: 100, userId: 1, botMessageId: 10, question: 'q', answer });
+
+    const [turn] = getConversation({ chatId: 100, userId: 1, replyToMessageId: 10 });
+    expect(turn.answer.length).toBe(CONVERSATION_MEMORY.MAX_ANSWER_CHARS + 1);
+  });
+});
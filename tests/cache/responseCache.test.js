@@ -3,77 +3,190 @@
  */
 
 import { describe, it, expect, beforeEach } from 'vitest';
-import { get, set, clear, getStats } from '../../src/cache/responseCache.js';
+import { get, set, clear, getStats, keywordTrigrams, jaccard, invalidateStale } from '../../src/cache/responseCache.js';
+import { CACHE_TTL } from '../../src/constants.js';
+
+const HOW_TO = { intent: 'procedural', responseClass: 'PROCEDURAL' };
 
 describe('Response Cache', () => {
-  beforeEach(() => {
-    clear();
+  beforeEach(async () => {
+    await clear();
   });
 
   describe('Basic Operations', () => {
-    it('should store and retrieve a response', () => {
-      set('what is pepper', 'Peppercoin is the first meme coin on Chiliz Chain.');
-      const result = get('what is pepper');
+    it('should store and retrieve a response', async () => {
+      await set('what is pepper', 'Peppercoin is the first meme coin on Chiliz Chain.');
+      const result = await get('what is pepper');
       expect(result.hit).toBe(true);
       expect(result.response).toBe('Peppercoin is the first meme coin on Chiliz Chain.');
     });
 
-    it('should return miss for unknown query', () => {
-      const result = get('unknown query');
+    it('should return miss for unknown query', async () => {
+      const result = await get('unknown query');
       expect(result.hit).toBe(false);
       expect(result.response).toBeNull();
     });
 
-    it('should normalize query for matching', () => {
-      set('What is PEPPER?', 'Response here');
-      const result = get('what is pepper');
+    it('should normalize query for matching', async () => {
+      await set('What is PEPPER?', 'Response here');
+      const result = await get('what is pepper');
       expect(result.hit).toBe(true);
     });
 
-    it('should handle special characters in query', () => {
-      set('what is the $PEPPER token?', 'Token info');
-      const result = get('what is the pepper token');
+    it('should handle special characters in query', async () => {
+      await set('what is the $PEPPER token?', 'Token info');
+      const result = await get('what is the pepper token');
       expect(result.hit).toBe(true);
     });
   });
 
   describe('Cache Statistics', () => {
-    it('should track cache size', () => {
-      set('query1', 'response1');
-      set('query2', 'response2');
-      const stats = getStats();
+    it('should track cache size', async () => {
+      await set('query1', 'response1');
+      await set('query2', 'response2');
+      const stats = await getStats();
       expect(stats.size).toBe(2);
     });
 
-    it('should track hit counts', () => {
-      set('popular query', 'response');
-      get('popular query');
-      get('popular query');
-      get('popular query');
-      const stats = getStats();
+    it('should track hit counts', async () => {
+      await set('popular query', 'response');
+      await get('popular query');
+      await get('popular query');
+      await get('popular query');
+      const stats = await getStats();
       const entry = stats.entries.find(e => e.key.includes('popular'));
       expect(entry.hits).toBe(3);
     });
   });
 
   describe('Cache Clear', () => {
-    it('should clear all entries', () => {
-      set('query1', 'response1');
-      set('query2', 'response2');
-      clear();
-      const stats = getStats();
+    it('should clear all entries', async () => {
+      await set('query1', 'response1');
+      await set('query2', 'response2');
+      await clear();
+      const stats = await getStats();
       expect(stats.size).toBe(0);
     });
   });
 
   describe('TTL Handling', () => {
-    it('should accept custom TTL', () => {
-      set('short-lived', 'response', 100); // 100ms TTL
-      const immediate = get('short-lived');
+    it('should accept custom TTL', async () => {
+      await set('short-lived', 'response', 100); // 100ms TTL
+      const immediate = await get('short-lived');
       expect(immediate.hit).toBe(true);
     });
 
     // Note: TTL expiration test would need async/await and timers
     // Skipping actual TTL test to avoid flaky tests
   });
+
+  describe('Paraphrase Matching', () => {
+    it('should reuse an answer for a paraphrase', async () => {
+      await set('how do I buy PEPPER?', 'Buy on FanX.', CACHE_TTL.FACTS, HOW_TO);
+      const result = await get('how can I buy pepper', HOW_TO);
+      expect(result.hit).toBe(true);
+      expect(result.fuzzy).toBe(true);
+      expect(result.response).toBe('Buy on FanX.');
+    });
+
+    it('should ignore word order and stop words', async () => {
+      expect(jaccard(keywordTrigrams('staking pepper rewards'), keywordTrigrams('what are the rewards for pepper staking'))).toBe(1);
+    });
+
+    it('should require the same intent and response class', async () => {
+      await set('how do I buy PEPPER?', 'Buy on FanX.', CACHE_TTL.FACTS, HOW_TO);
+      expect((await get('how can I buy pepper', { intent: 'factual', responseClass: 'FACTUAL' })).hit).toBe(false);
+      expect((await get('how can I buy pepper')).hit).toBe(false);
+    });
+
+    it('should not match questions about something else', async () => {
+      await set('how do I stake pepper', 'Staking steps.', CACHE_TTL.FACTS, HOW_TO);
+      expect((await get('how do I unstake pepper', HOW_TO)).hit).toBe(false);
+      expect((await get('how do I buy pepper', HOW_TO)).hit).toBe(false);
+    });
+
+    it('should not match an expired answer', async () => {
+      await set('how do I buy PEPPER?', 'Buy on FanX.', 1, HOW_TO);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      expect((await get('how can I buy pepper', HOW_TO)).hit).toBe(false);
+    });
+
+    it('should report the paraphrase hit rate', async () => {
+      await set('how do I buy PEPPER?', 'Buy on FanX.', CACHE_TTL.FACTS, HOW_TO);
+      await get('how do I buy PEPPER?', HOW_TO);
+      await get('how can I buy pepper', HOW_TO);
+      await get('how do I bridge chz', HOW_TO);
+      await get('what is the supply', HOW_TO);
+
+      const stats = await getStats();
+      expect(stats.lookups).toBe(4);
+      expect(stats.hitRate).toBe(0.5);
+      expect(stats.fuzzyHitRate).toBe(0.25);
+    });
+  });
+
+  describe('Prompt Variants', () => {
+    it('should not serve an answer generated with another prompt', async () => {
+      await set('how do I buy PEPPER?', 'Buy on FanX.', CACHE_TTL.FACTS, { ...HOW_TO, prompt: 'pepper-pal@3.0.0' });
+      expect((await get('how do I buy PEPPER?', { ...HOW_TO, prompt: 'pepper-pal-concise@1.0.0' })).hit).toBe(false);
+      expect((await get('how can I buy pepper', { ...HOW_TO, prompt: 'pepper-pal-concise@1.0.0' })).hit).toBe(false);
+      expect((await get('how do I buy PEPPER?', { ...HOW_TO, prompt: 'pepper-pal@3.0.0' })).hit).toBe(true);
+    });
+
+    it('should not serve an answer given in another language', async () => {
+      await set('PEPPER', 'PEPPER es el token de la comunidad.', CACHE_TTL.FACTS, { ...HOW_TO, language: 'es' });
+      expect((await get('PEPPER', { ...HOW_TO, language: 'tr' })).hit).toBe(false);
+      expect((await get('PEPPER', { ...HOW_TO, language: 'es' })).hit).toBe(true);
+    });
+
+    it('should keep the sections an answer cites', async () => {
+      await set('how do I stake pepper', 'Stake on the portal.', CACHE_TTL.FACTS, { ...HOW_TO, sources: ['governance-and-staking'] });
+      expect((await get('how do I stake pepper', HOW_TO)).sources).toEqual(['governance-and-staking']);
+      expect((await get('how can I stake pepper', HOW_TO)).sources).toEqual(['governance-and-staking']);
+    });
+  });
+
+  describe('Knowledge Invalidation', () => {
+    const stamp = (hash, sections) => ({ version: '1.0.0', hash, sections });
+    const current = stamp('doc-v2', { 'quick-reference': 'q1', 'buying-and-trading': 'b2', 'tokenomics': 't1' });
+
+    beforeEach(async () => {
+      await set('how do I buy pepper', 'Buy answer', CACHE_TTL.FACTS, { knowledge: stamp('doc-v1', { 'quick-reference': 'q1', 'buying-and-trading': 'b1' }) });
+      await set('what is the supply', 'Supply answer', CACHE_TTL.FACTS, { knowledge: stamp('doc-v1', { 'quick-reference': 'q1', 'tokenomics': 't1' }) });
+      await set('tell me everything', 'Full answer', CACHE_TTL.FACTS, { knowledge: stamp('doc-v1', null) });
+      await set('no provenance', 'Old answer');
+    });
+
+    it('should drop every entry from other knowledge', async () => {
+      expect(await invalidateStale(current)).toEqual({ dropped: 4, kept: 0 });
+    });
+
+    it('should keep entries whose sections are unchanged', async () => {
+      expect(await invalidateStale(current, { sectionsOnly: true })).toEqual({ dropped: 3, kept: 1 });
+      expect((await get('what is the supply')).hit).toBe(true);
+      expect((await get('how do I buy pepper')).hit).toBe(false);
+
+      // Carried over entries now belong to the new document
+      expect(await invalidateStale(current)).toEqual({ dropped: 0, kept: 1 });
+    });
+
+    it('should keep entries from the same knowledge', async () => {
+      await set('what is the supply', 'Supply answer', CACHE_TTL.FACTS, { knowledge: current });
+      expect((await invalidateStale(current)).kept).toBe(1);
+    });
+
+    it('should drop everything when knowledge is unavailable', async () => {
+      expect((await invalidateStale(null, { sectionsOnly: true })).kept).toBe(0);
+    });
+
+    it('should not serve answers from other knowledge after a restart', async () => {
+      // No reload ran: the store still holds the v1 answers
+      expect((await get('what is the supply', { currentKnowledge: current })).hit).toBe(true);
+      expect((await get('how do I buy pepper', { currentKnowledge: current })).hit).toBe(false);
+      expect((await get('no provenance', { currentKnowledge: current })).hit).toBe(false);
+
+      // The stale entries are gone for every lookup
+      expect((await get('how do I buy pepper')).hit).toBe(false);
+    });
+  });
 });
@@ -0,0 +1,74 @@
+/**
+ * Unit Tests: Single Flight
+ */
+
+import { describe, it, expect } from 'vitest';
+import { singleFlight, getInFlightCount } from '../../src/cache/singleFlight.js';
+
+function deferred() {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+}
+
+describe('Single Flight', () => {
+  it('should run concurrent tasks with the same key once', async () => {
+    const call = deferred();
+    let calls = 0;
+    const task = () => {
+      calls++;
+      return call.promise;
+    };
+
+    const first = singleFlight('how do i buy pepper|procedural', task);
+    const second = singleFlight('how do i buy pepper|procedural', task);
+    const third = singleFlight('how do i buy pepper|procedural', task);
+    expect(getInFlightCount()).toBe(1);
+
+    call.resolve({ text: 'Buy on FanX.' });
+    const results = await Promise.all([first, second, third]);
+
+    expect(calls).toBe(1);
+    expect(results.map(r => r.shared)).toEqual([false, true, true]);
+    expect(results.every(r => r.value.text === 'Buy on FanX.')).toBe(true);
+    expect(getInFlightCount()).toBe(0);
+  });
+
+  it('should run tasks with different keys separately', async () => {
+    const results = await Promise.all([
+      singleFlight('a', async () => 'answer a'),
+      singleFlight('b', async () => 'answer b'),
+    ]);
+
+    expect(results).toEqual([
+      { value: 'answer a', shared: false },
+      { value: 'answer b', shared: false },
+    ]);
+  });
+
+  it('should start a new task once the previous one settled', async () => {
+    let calls = 0;
+    const task = async () => ++calls;
+
+    await singleFlight('again', task);
+    const second = await singleFlight('again', task);
+
+    expect(second).toEqual({ value: 2, shared: false });
+  });
+
+  it('should share failures and free the key', async () => {
+    const call = deferred();
+    const first = singleFlight('failing', () => call.promise);
+    const second = singleFlight('failing', () => call.promise);
+
+    call.reject(new Error('provider down'));
+
+    await expect(first).rejects.toThrow('provider down');
+    await expect(second).rejects.toThrow('provider down');
+    expect(getInFlightCount()).toBe(0);
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * Unit Tests: Answer Feedback
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  feedbackKeyboard,
+  parseFeedbackData,
+  registerAnswer,
+  recordVote,
+  clearFeedback,
+} from '../../src/delivery/feedback.js';
+import { feedbackHandler } from '../../src/handlers/feedback.js';
+import { summarizeFeedback, mergeFeedback } from '../../src/analytics/aggregator.js';
+
+const ANSWER = {
+  pipelineId: 'abc123',
+  strategy: 'generate',
+  model: 'test-model',
+  promptVariant: 'pepper-pal@1.0.0',
+  experiment: null,
+  language: 'en',
+};
+
+/**
+ * Context of a user pressing a feedback button
+ */
+function buttonContext(data, userId = 1) {
+  const toasts = [];
+  return {
+    toasts,
+    from: { id: userId, language_code: 'en' },
+    chat: { id: -100123, type: 'supergroup' },
+    callbackQuery: { data },
+    answerCbQuery: async (text) => { toasts.push(text); },
+  };
+}
+
+describe('Answer Feedback', () => {
+  beforeEach(async () => {
+    await clearFeedback();
+  });
+
+  describe('Buttons', () => {
+    it('should tie both buttons to the pipeline id', () => {
+      const [[up, down]] = feedbackKeyboard('abc123').inline_keyboard;
+
+      expect(parseFeedbackData(up.callback_data)).toEqual({ vote: 'up', pipelineId: 'abc123' });
+      expect(parseFeedbackData(down.callback_data)).toEqual({ vote: 'down', pipelineId: 'abc123' });
+      expect(up.callback_data.length).toBeLessThanOrEqual(64);
+    });
+
+    it('should label the buttons in the answer\'s language', () => {
+      const [[up]] = feedbackKeyboard('abc123', 'es').inline_keyboard;
+      expect(up.text).toBe('👍 Útil');
+    });
+
+    it('should reject other callback data', () => {
+      expect(parseFeedbackData('fb:maybe:abc123')).toBeNull();
+      expect(parseFeedbackData('other:up:abc123')).toBeNull();
+      expect(parseFeedbackData(undefined)).toBeNull();
+    });
+  });
+
+  describe('Votes', () => {
+    it('should record one vote per user', async () => {
+      await registerAnswer(ANSWER);
+
+      const first = await recordVote('abc123', 1, 'up');
+      expect(first.status).toBe('recorded');
+      expect(first.record).toMatchObject({ strategy: 'generate', model: 'test-model', promptVariant: 'pepper-pal@1.0.0' });
+
+      expect((await recordVote('abc123', 1, 'down')).status).toBe('duplicate');
+      expect((await recordVote('abc123', 2, 'down')).status).toBe('recorded');
+    });
+
+    it('should not accept votes on unknown answers', async () => {
+      expect((await recordVote('missing', 1, 'up')).status).toBe('expired');
+    });
+
+    it('should thank the voter once', async () => {
+      await registerAnswer(ANSWER);
+
+      const first = buttonContext('fb:up:abc123');
+      await feedbackHandler(first);
+      const again = buttonContext('fb:down:abc123');
+      await feedbackHandler(again);
+      const stale = buttonContext('fb:up:gone');
+      await feedbackHandler(stale);
+
+      expect(first.toasts).toEqual(['Thanks for the feedback!']);
+      expect(again.toasts).toEqual(['You already rated this answer.']);
+      expect(stale.toasts).toEqual(['This answer can no longer be rated.']);
+    });
+  });
+
+  describe('Aggregates', () => {
+    const vote = (success, promptVariant, model = 'test-model') => ({
+      event_type: 'feedback',
+      success,
+      metadata: { promptVariant, model },
+    });
+
+    it('should compute helpful rates per prompt variant and model', () => {
+      const summary = summarizeFeedback([
+        vote(true, 'pepper-pal@1.0.0'),
+        vote(false, 'pepper-pal@1.0.0'),
+        vote(true, 'pepper-pal-concise@1.0.0', null),
+        vote(true, 'pepper-pal-concise@1.0.0'),
+      ]);
+
+      expect(summary).toMatchObject({ votes: 4, helpful: 3, rate: 75 });
+      expect(summary.variants['pepper-pal@1.0.0']).toEqual({ votes: 2, helpful: 1, rate: 50 });
+      expect(summary.models).toMatchObject({ 'test-model': { votes: 3, helpful: 2 }, cache: { votes: 1, helpful: 1 } });
+    });
+
+    it('should merge hourly summaries into a day', () => {
+      const day = mergeFeedback([
+        summarizeFeedback([vote(true, 'a'), vote(false, 'a')]),
+        null,
+        summarizeFeedback([vote(true, 'b')]),
+      ]);
+
+      expect(day).toMatchObject({ votes: 3, helpful: 2, rate: 66.67 });
+      expect(day.variants.b).toEqual({ votes: 1, helpful: 1, rate: 100 });
+      expect(mergeFeedback([]).rate).toBeNull();
+    });
+  });
+});
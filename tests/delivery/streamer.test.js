@@ -0,0 +1,137 @@
+/**
+ * Unit Tests: Streaming Reply
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createStreamingReply } from '../../src/delivery/streamer.js';
+import { STREAMING } from '../../src/constants.js';
+
+/**
+ * Minimal Telegraf context that records edits
+ */
+function createCtx(chatType = 'private') {
+  const edits = [];
+  const ctx = {
+    chat: { id: 1, type: chatType },
+    message: { message_id: 10 },
+    reply: vi.fn(async () => ({ message_id: 99 })),
+    telegram: {
+      editMessageText: vi.fn(async (chatId, messageId, inlineId, text) => {
+        edits.push(text);
+      }),
+      deleteMessage: vi.fn(async () => true),
+    },
+  };
+  return { ctx, edits };
+}
+
+describe('Streaming Reply', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should post a placeholder reply', async () => {
+    const { ctx } = createCtx();
+    const stream = createStreamingReply(ctx);
+    await stream.start();
+    expect(ctx.reply).toHaveBeenCalledWith(STREAMING.PLACEHOLDER, expect.objectContaining({
+      reply_to_message_id: 10,
+    }));
+    expect(stream.isActive()).toBe(true);
+  });
+
+  it('should post a localized placeholder', async () => {
+    const { ctx } = createCtx();
+    const stream = createStreamingReply(ctx, { placeholder: '🌶️ Pensando…' });
+    await stream.start();
+    expect(ctx.reply).toHaveBeenCalledWith('🌶️ Pensando…', expect.any(Object));
+  });
+
+  it('should throttle edits and only send the latest text', async () => {
+    const { ctx, edits } = createCtx();
+    const stream = createStreamingReply(ctx);
+    await stream.start();
+
+    stream.update('Step 1');
+    stream.update('Step 1 and 2');
+    await vi.advanceTimersByTimeAsync(STREAMING.EDIT_INTERVAL_MS - 100);
+    expect(edits).toEqual([]);
+
+    await vi.advanceTimersByTimeAsync(100);
+    expect(edits).toEqual(['Step 1 and 2']);
+
+    stream.update('Step 1 and 2 and 3');
+    await vi.advanceTimersByTimeAsync(STREAMING.EDIT_INTERVAL_MS);
+    expect(edits).toEqual(['Step 1 and 2', 'Step 1 and 2 and 3']);
+  });
+
+  it('should use the slower interval in groups', async () => {
+    const { ctx, edits } = createCtx('supergroup');
+    const stream = createStreamingReply(ctx);
+    await stream.start();
+
+    stream.update('Partial');
+    await vi.advanceTimersByTimeAsync(STREAMING.EDIT_INTERVAL_MS);
+    expect(edits).toEqual([]);
+
+    await vi.advanceTimersByTimeAsync(STREAMING.GROUP_EDIT_INTERVAL_MS);
+    expect(edits).toEqual(['Partial']);
+  });
+
+  it('should strip unverified URLs from partial text', async () => {
+    const { ctx, edits } = createCtx();
+    const stream = createStreamingReply(ctx);
+    await stream.start();
+
+    stream.update('Visit https://scam.example.com now');
+    await vi.advanceTimersByTimeAsync(STREAMING.EDIT_INTERVAL_MS);
+    expect(edits[0]).not.toContain('scam.example.com');
+  });
+
+  it('should apply the final text after pending partials', async () => {
+    const { ctx, edits } = createCtx();
+    const stream = createStreamingReply(ctx);
+    await stream.start();
+
+    stream.update('Partial');
+    const done = stream.finish('Final answer');
+    await vi.advanceTimersByTimeAsync(STREAMING.EDIT_INTERVAL_MS);
+    expect(await done).toBe(true);
+    expect(edits).toEqual(['Final answer']);
+
+    // Updates after finish are ignored
+    stream.update('Late partial');
+    await vi.advanceTimersByTimeAsync(STREAMING.EDIT_INTERVAL_MS);
+    expect(edits).toEqual(['Final answer']);
+  });
+
+  it('should back off when Telegram rate limits edits', async () => {
+    const { ctx } = createCtx();
+    ctx.telegram.editMessageText.mockRejectedValueOnce(
+      Object.assign(new Error('Too Many Requests'), { parameters: { retry_after: 30 } })
+    );
+    const stream = createStreamingReply(ctx);
+    await stream.start();
+
+    stream.update('Partial');
+    await vi.advanceTimersByTimeAsync(STREAMING.EDIT_INTERVAL_MS);
+
+    // Retry-After exceeds the final wait cap: caller must fall back
+    expect(await stream.finish('Final answer')).toBe(false);
+    expect(ctx.telegram.editMessageText).toHaveBeenCalledTimes(1);
+  });
+
+  it('should report failure when no placeholder was posted', async () => {
+    const { ctx } = createCtx();
+    ctx.reply.mockRejectedValueOnce(new Error('Forbidden'));
+    const stream = createStreamingReply(ctx);
+    await stream.start();
+
+    expect(stream.isActive()).toBe(false);
+    expect(await stream.finish('Final answer')).toBe(false);
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * Unit Tests: Eval Scoring
+ */
+
+import { describe, it, expect } from 'vitest';
+import { scoreCase, buildRun, diffRuns, formatReport } from '../../eval/scoring.js';
+import { recordingKey } from '../../eval/replayServer.js';
+
+const contractCase = {
+  id: 'contract',
+  question: 'what is the contract address',
+  expectedIntent: 'factual',
+  mustContain: ['0x60F397acBCfB8f4e3234C659A3E10867e6fA6b67'],
+  mustNotContain: ['binance'],
+};
+
+const goodAnswer = { message: 'Contract: 0x60f397acbcfb8f4e3234c659a3e10867e6fa6b67', intent: 'factual' };
+const badAnswer = { message: 'Buy it on Binance.', intent: 'procedural' };
+
+describe('Eval Scoring', () => {
+  it('should pass every check for a good answer', () => {
+    const result = scoreCase(contractCase, goodAnswer);
+    expect(result.score).toBe(1);
+    expect(result.checks).toHaveLength(3);
+  });
+
+  it('should fail intent, missing facts and forbidden patterns', () => {
+    const result = scoreCase(contractCase, badAnswer);
+    expect(result.score).toBe(0);
+    expect(result.checks.map(c => c.name)).toEqual([
+      'intent = factual',
+      'contains "0x60F397acBCfB8f4e3234C659A3E10867e6fA6b67"',
+      'lacks /binance/',
+    ]);
+  });
+
+  it('should average case scores into the run score', () => {
+    const run = buildRun([scoreCase(contractCase, goodAnswer), scoreCase(contractCase, badAnswer)], 'replay');
+    expect(run.score).toBe(0.5);
+  });
+
+  describe('Diffs', () => {
+    it('should report regressions and changed answers', () => {
+      const previous = buildRun([scoreCase(contractCase, goodAnswer)], 'replay');
+      const current = buildRun([scoreCase(contractCase, badAnswer)], 'replay');
+      const diff = diffRuns(previous, current);
+
+      expect(diff.scoreDelta).toBe(-1);
+      expect(diff.changes).toEqual([expect.objectContaining({ id: 'contract', before: 1, after: 0, answerChanged: true })]);
+
+      const report = formatReport(current, diff);
+      expect(report).toContain('▼ contract: 100.0% → 0.0%');
+      expect(report).toContain('+ Buy it on Binance.');
+    });
+
+    it('should report no changes for identical runs', () => {
+      const run = buildRun([scoreCase(contractCase, goodAnswer)], 'replay');
+      const diff = diffRuns(run, run);
+      expect(diff.changes).toEqual([]);
+      expect(formatReport(run, diff)).toContain('No answers changed.');
+    });
+
+    it('should handle the first run', () => {
+      const run = buildRun([scoreCase(contractCase, goodAnswer)], 'replay');
+      expect(formatReport(run, diffRuns(null, run))).toContain('No previous run');
+    });
+  });
+
+  it('should key recordings on the first system line and the question', () => {
+    const key = recordingKey([
+      { role: 'system', content: 'You are Pepper Pal.\nMore rules' },
+      { role: 'system', content: 'KNOWLEDGE: ...' },
+      { role: 'user', content: 'earlier question' },
+      { role: 'assistant', content: 'earlier answer' },
+      { role: 'user', content: 'how do i stake' },
+    ]);
+    expect(key).toEqual({ system: 'You are Pepper Pal.', user: 'how do i stake' });
+  });
+});
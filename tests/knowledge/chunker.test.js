@@ -0,0 +1,87 @@
+/**
+ * Unit Tests: Knowledge Chunker
+ */
+
+import { describe, it, expect, beforeAll } from 'vitest';
+import { slugify, parseSections } from '../../src/knowledge/chunker.js';
+import { loadKnowledge, getKnowledgeSections } from '../../src/knowledge/loader.js';
+
+describe('Knowledge Chunker', () => {
+  describe('Slugs', () => {
+    it('should slugify headings', () => {
+      expect(slugify('Quick Reference')).toBe('quick-reference');
+      expect(slugify('What is Peppercoin?')).toBe('what-is-peppercoin');
+      expect(slugify('Pepper Inc - Governance Portal')).toBe('pepper-inc-governance-portal');
+    });
+  });
+
+  describe('Section Parsing', () => {
+    const markdown = [
+      '# Title',
+      '',
+      '## First',
+      'Intro text',
+      '',
+      '### Child',
+      'Child text',
+      '',
+      '---',
+      '',
+      '## Second',
+      'Second text',
+    ].join('\n');
+
+    it('should create a section per ## and ### heading', () => {
+      const sections = parseSections(markdown);
+      expect(sections.map(s => s.slug)).toEqual(['first', 'child', 'second']);
+    });
+
+    it('should include child sections in the parent', () => {
+      const first = parseSections(markdown).find(s => s.slug === 'first');
+      expect(first.content).toContain('Intro text');
+      expect(first.content).toContain('Child text');
+      expect(first.content).not.toContain('Second text');
+    });
+
+    it('should record the parent of ### sections', () => {
+      const child = parseSections(markdown).find(s => s.slug === 'child');
+      expect(child.parent).toBe('first');
+      expect(child.content).not.toContain('---');
+    });
+
+    it('should fingerprint each section by its content', () => {
+      const before = parseSections(markdown);
+      const after = parseSections(markdown.replace('Second text', 'Edited text'));
+      expect(after.find(s => s.slug === 'first').hash).toBe(before.find(s => s.slug === 'first').hash);
+      expect(after.find(s => s.slug === 'second').hash).not.toBe(before.find(s => s.slug === 'second').hash);
+    });
+
+    it('should de-duplicate repeated headings', () => {
+      const sections = parseSections('## Notes\na\n## Notes\nb');
+      expect(sections.map(s => s.slug)).toEqual(['notes', 'notes-2']);
+    });
+  });
+
+  describe('Loader Integration', () => {
+    beforeAll(() => {
+      loadKnowledge();
+    });
+
+    it('should resolve the slugs used by the planner', () => {
+      const slugs = [
+        'quick-reference',
+        'governance-and-staking',
+        'safety-and-security',
+        'pepper-inc-governance-portal',
+      ];
+      const sections = getKnowledgeSections(slugs);
+      expect(sections.map(s => s.slug)).toEqual(slugs);
+    });
+
+    it('should skip unknown slugs', () => {
+      const sections = getKnowledgeSections(['does-not-exist', 'tokenomics']);
+      expect(sections).toHaveLength(1);
+      expect(sections[0].content).toContain('Max Supply');
+    });
+  });
+});
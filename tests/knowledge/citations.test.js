@@ -0,0 +1,77 @@
+/**
+ * Unit Tests: Knowledge Citations
+ */
+
+import { describe, it, expect, beforeAll } from 'vitest';
+import { loadKnowledge, getKnowledgeSections } from '../../src/knowledge/loader.js';
+import {
+  findSupportingSections,
+  getSectionLabel,
+  formatCitation,
+} from '../../src/knowledge/citations.js';
+import { appendCitation } from '../../src/delivery/formatter.js';
+
+const STAKING_ANSWER = 'To stake PEPPER, connect your wallet on the Pepper Inc governance portal, choose an amount and confirm. Staked tokens give you voting power on proposals.';
+
+describe('Knowledge Citations', () => {
+  beforeAll(() => {
+    loadKnowledge();
+  });
+
+  describe('Supporting sections', () => {
+    it('should find the planned sections an answer draws on', () => {
+      const sources = findSupportingSections(STAKING_ANSWER, [
+        'quick-reference',
+        'pepper-inc-governance-portal',
+        'governance-and-staking',
+      ]);
+
+      expect(sources).toContain('governance-and-staking');
+      expect(sources).not.toContain('quick-reference');
+    });
+
+    it('should narrow a ## section to the subsection that carries the answer', () => {
+      const sources = findSupportingSections(STAKING_ANSWER, ['frequently-asked-questions']);
+      expect(sources).toEqual(['governance-and-staking']);
+    });
+
+    it('should search every section when the whole document was used', () => {
+      const sources = findSupportingSections(STAKING_ANSWER, null);
+      expect(sources.length).toBeGreaterThan(0);
+    });
+
+    it('should find nothing for an answer the knowledge does not contain', () => {
+      expect(findSupportingSections('Quantum blockchains will revolutionize sandwich recipes tomorrow.', [
+        'quick-reference',
+        'what-is-peppercoin',
+      ])).toEqual([]);
+      expect(findSupportingSections('', ['quick-reference'])).toEqual([]);
+    });
+  });
+
+  describe('Citation line', () => {
+    it('should label subsections with their parent', () => {
+      const [section] = getKnowledgeSections(['governance-and-staking']);
+      expect(getSectionLabel(section)).toBe('FAQ › Governance and Staking');
+
+      const [tokenomics] = getKnowledgeSections(['tokenomics']);
+      expect(getSectionLabel(tokenomics)).toBe('Tokenomics');
+    });
+
+    it('should include the knowledge version', () => {
+      expect(formatCitation(['governance-and-staking', 'tokenomics']))
+        .toBe('Source: FAQ › Governance and Staking; Tokenomics (kb v1.0.0)');
+    });
+
+    it('should append nothing without known sections', () => {
+      expect(formatCitation([])).toBeNull();
+      expect(formatCitation(['no-such-section'])).toBeNull();
+      expect(appendCitation('Answer.', [])).toBe('Answer.');
+    });
+
+    it('should append the citation below the answer', () => {
+      expect(appendCitation('Answer.', ['governance-and-staking']))
+        .toBe('Answer.\n\nSource: FAQ › Governance and Staking (kb v1.0.0)');
+    });
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * Unit Tests: FAQ Index
+ */
+
+import { describe, it, expect, beforeAll } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  parseFaqEntries,
+  buildFaqIndex,
+  searchFaq,
+  matchFaq,
+  tokenize,
+} from '../../src/knowledge/faqIndex.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const knowledge = fs.readFileSync(
+  path.join(__dirname, '../../src/knowledge/peppercoin.md'),
+  'utf-8'
+);
+
+describe('FAQ Index', () => {
+  beforeAll(() => {
+    buildFaqIndex(knowledge);
+  });
+
+  describe('Parsing', () => {
+    it('should extract Q/A pairs with their subsection', () => {
+      const entries = parseFaqEntries(knowledge);
+      expect(entries.length).toBeGreaterThanOrEqual(25);
+
+      const locked = entries.find(e => e.question.startsWith('Do my tokens get locked'));
+      expect(locked.section).toBe('governance-and-staking');
+      expect(locked.answer).toMatch(/^No\./);
+    });
+
+    it('should keep multi-line answers and strip markdown', () => {
+      const entries = parseFaqEntries(knowledge);
+      const contract = entries.find(e => e.question === 'What is the contract address?');
+      expect(contract.answer).toContain('0x60F397acBCfB8f4e3234C659A3E10867e6fA6b67');
+      expect(contract.answer).toContain('Always verify');
+      expect(contract.answer).not.toContain('`');
+    });
+  });
+
+  describe('Tokenization', () => {
+    it('should normalize aliases and plurals', () => {
+      expect(tokenize('What is Peppercoin?')).toEqual(['pepper']);
+      expect(tokenize('gas fees')).toEqual(['gas', 'fee']);
+      expect(tokenize('When was it launched')).toContain('launch');
+    });
+  });
+
+  describe('Matching', () => {
+    it('should match paraphrased FAQ questions', () => {
+      const cases = [
+        ['what is peppercoin', 'What is Peppercoin?'],
+        ['do my tokens get locked when staking', 'Do my tokens get locked when I stake?'],
+        ['how to avoid scams', 'How do I avoid scams?'],
+        ['is there an airdrop', 'Are there airdrops?'],
+        ['are there fake tokens', 'Are there fake PEPPER tokens?'],
+      ];
+      for (const [query, question] of cases) {
+        const result = matchFaq(query);
+        expect(result, query).not.toBeNull();
+        expect(result.entry.question).toBe(question);
+      }
+    });
+
+    it('should not match loosely related questions', () => {
+      expect(matchFaq('how much pepper is staked')).toBeNull();
+      expect(matchFaq('wen binance listing')).toBeNull();
+      expect(matchFaq('tell me about tokenomics')).toBeNull();
+    });
+
+    it('should report confidence between 0 and 1', () => {
+      const result = searchFaq('how does staking work');
+      expect(result.confidence).toBeGreaterThan(0);
+      expect(result.confidence).toBeLessThan(1);
+    });
+
+    it('should return null for empty queries', () => {
+      expect(searchFaq('')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Unit Tests: Generator
+ */
+
+import { describe, it, expect, beforeAll, beforeEach, afterAll } from 'vitest';
+import http from 'http';
+import config from '../../src/config.js';
+import { generate } from '../../src/pipeline/generator.js';
+import { classify } from '../../src/pipeline/classifier.js';
+import { plan } from '../../src/pipeline/planner.js';
+import { loadKnowledge } from '../../src/knowledge/loader.js';
+import { resetBreakers } from '../../src/ai/circuitBreaker.js';
+import { clear as clearResponseCache } from '../../src/cache/responseCache.js';
+
+const LONG_QUESTION = 'Can you explain in detail how PEPPER tokenomics work, why the supply is so large, and how the burn and distribution compare to other Chiliz chain tokens?';
+const SHORT_QUESTION = 'what are the risks of providing liquidity for pepper';
+const ANSWER_PIECES = ['PEPPER is a community memecoin ', 'on Chiliz Chain. ', 'Always do your own research before buying.'];
+
+let server;
+const savedProviders = config.aiProviders;
+
+/**
+ * Streaming reply that records what the generator shows
+ */
+function createStream() {
+  const stream = {
+    started: false,
+    updates: [],
+    start: async () => { stream.started = true; },
+    update: text => { stream.updates.push(text); },
+  };
+  return stream;
+}
+
+/**
+ * Generate an answer the way the pipeline does
+ */
+function answer(question, stream) {
+  const classification = classify(question);
+  return generate(plan(classification), question, classification, { stream, language: 'en' });
+}
+
+describe('Generator', () => {
+  beforeAll(async () => {
+    loadKnowledge();
+
+    // Streams when asked to, answers in one piece otherwise
+    server = http.createServer((req, res) => {
+      let raw = '';
+      req.on('data', chunk => { raw += chunk; });
+      req.on('end', () => {
+        if (!JSON.parse(raw || '{}').stream) {
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ choices: [{ message: { content: ANSWER_PIECES.join('') }, finish_reason: 'stop' }] }));
+          return;
+        }
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        for (const piece of ANSWER_PIECES) {
+          res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: piece } }] })}\n\n`);
+        }
+        res.write(`data: ${JSON.stringify({ choices: [{ delta: {}, finish_reason: 'stop' }] })}\n\n`);
+        res.end('data: [DONE]\n\n');
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    config.aiProviders = [{
+      name: 'fake',
+      baseUrl: `http://127.0.0.1:${server.address().port}`,
+      apiKey: 'test-key',
+      model: null,
+      timeoutMs: null,
+    }];
+  });
+
+  beforeEach(async () => {
+    resetBreakers();
+    await clearResponseCache();
+  });
+
+  afterAll(async () => {
+    config.aiProviders = savedProviders;
+    server.closeAllConnections?.();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  describe('Streaming', () => {
+    it('should stream long answers that are not procedural', async () => {
+      expect(classify(LONG_QUESTION).responseClass).toBe('FACTUAL');
+      const stream = createStream();
+
+      const result = await answer(LONG_QUESTION, stream);
+
+      expect(result.text).toBe(ANSWER_PIECES.join(''));
+      expect(stream.started).toBe(true);
+      expect(stream.updates.at(-1)).toBe(ANSWER_PIECES.join(''));
+    });
+
+    it('should answer simple questions without a placeholder', async () => {
+      const stream = createStream();
+
+      const result = await answer(SHORT_QUESTION, stream);
+
+      expect(result.text).toBe(ANSWER_PIECES.join(''));
+      expect(stream.started).toBe(false);
+      expect(stream.updates).toEqual([]);
+    });
+  });
+});
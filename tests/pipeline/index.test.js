@@ -0,0 +1,102 @@
+/**
+ * Unit Tests: Pipeline
+ */
+
+import { describe, it, expect, beforeAll, beforeEach, afterAll } from 'vitest';
+import http from 'http';
+import config from '../../src/config.js';
+import { process as runPipeline } from '../../src/pipeline/index.js';
+import { loadKnowledge } from '../../src/knowledge/loader.js';
+import { resetBreakers } from '../../src/ai/circuitBreaker.js';
+import { clear as clearResponseCache } from '../../src/cache/responseCache.js';
+
+const QUESTION = 'what are the risks of providing liquidity for pepper';
+
+let server;
+let answer;
+const savedProviders = config.aiProviders;
+const savedModeratorChat = config.moderatorChatId;
+
+/**
+ * Context of a user asking in a group
+ */
+function questionContext(text) {
+  return {
+    message: { text, message_id: 1 },
+    chat: { id: -1001234567890, type: 'supergroup' },
+    from: { id: 1, language_code: 'en' },
+  };
+}
+
+describe('Pipeline', () => {
+  beforeAll(async () => {
+    loadKnowledge();
+
+    // Every completion (classifier or answer) returns the current answer
+    server = http.createServer((req, res) => {
+      req.resume();
+      req.on('end', () => {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ choices: [{ message: { content: answer }, finish_reason: 'stop' }] }));
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    config.aiProviders = [{
+      name: 'fake',
+      baseUrl: `http://127.0.0.1:${server.address().port}`,
+      apiKey: 'test-key',
+      model: null,
+      timeoutMs: null,
+    }];
+    config.moderatorChatId = -1009999;
+  });
+
+  beforeEach(async () => {
+    resetBreakers();
+    await clearResponseCache();
+  });
+
+  afterAll(async () => {
+    config.aiProviders = savedProviders;
+    config.moderatorChatId = savedModeratorChat;
+    server.closeAllConnections?.();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  describe('Validation', () => {
+    it('should apologize and escalate when the answer fails validation', async () => {
+      answer = 'Ok.';
+
+      const plan = await runPipeline(questionContext(QUESTION));
+
+      expect(plan.message).toBe('I apologize, but I had trouble with that response. Could you rephrase your question?');
+      expect(plan.escalation).toMatchObject({ reason: 'validation', question: QUESTION, draft: 'Ok.' });
+      expect(plan.fallback).toBe(true);
+    });
+  });
+
+  describe('Conversation history', () => {
+    it('should mark answers as something follow-ups can build on', async () => {
+      answer = 'PEPPER is a community memecoin on Chiliz Chain. Always do your own research before buying.';
+
+      const plan = await runPipeline(questionContext(QUESTION));
+
+      expect(plan.message).toContain(answer);
+      expect(plan.fallback).toBe(false);
+    });
+
+    it('should mark generation failures as fallbacks', async () => {
+      const saved = config.aiProviders;
+      config.aiProviders = [{ ...saved[0], baseUrl: 'http://127.0.0.1:1' }];
+
+      try {
+        const plan = await runPipeline(questionContext(QUESTION));
+        expect(plan.message).toBe('I encountered an issue generating a response. Please try again.');
+        expect(plan.fallback).toBe(true);
+      } finally {
+        config.aiProviders = saved;
+      }
+    });
+  });
+});
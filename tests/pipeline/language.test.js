@@ -0,0 +1,68 @@
+/**
+ * Unit Tests: Language Detector
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  detectLanguage,
+  normalizeLanguageCode,
+  getUserLanguage,
+  getLanguageName,
+} from '../../src/pipeline/language.js';
+
+describe('Language Detector', () => {
+  describe('detectLanguage', () => {
+    it('should detect Turkish', () => {
+      expect(detectLanguage('PEPPER nasıl alabilirim?')).toBe('tr');
+      expect(detectLanguage('kontrat adresi nedir')).toBe('tr');
+    });
+
+    it('should detect Spanish', () => {
+      expect(detectLanguage('¿Dónde puedo comprar PEPPER?')).toBe('es');
+      expect(detectLanguage('cual es la direccion del contrato')).toBe('es');
+    });
+
+    it('should detect English', () => {
+      expect(detectLanguage('How do I buy PEPPER?')).toBe('en');
+    });
+
+    it('should default to English without signals', () => {
+      expect(detectLanguage('PEPPER')).toBe('en');
+      expect(detectLanguage('')).toBe('en');
+    });
+
+    it('should use the Telegram language as a tie-break', () => {
+      expect(detectLanguage('PEPPER', 'tr')).toBe('tr');
+      expect(detectLanguage('PEPPER', 'es-419')).toBe('es');
+    });
+
+    it('should not let the hint override the message', () => {
+      expect(detectLanguage('How do I buy PEPPER?', 'tr')).toBe('en');
+      expect(detectLanguage('¿Dónde puedo comprar PEPPER?', 'en')).toBe('es');
+    });
+  });
+
+  describe('normalizeLanguageCode', () => {
+    it('should reduce regional codes to supported languages', () => {
+      expect(normalizeLanguageCode('es-419')).toBe('es');
+      expect(normalizeLanguageCode('en_GB')).toBe('en');
+      expect(normalizeLanguageCode('TR')).toBe('tr');
+    });
+
+    it('should return null for missing or unsupported codes', () => {
+      expect(normalizeLanguageCode(undefined)).toBeNull();
+      expect(normalizeLanguageCode('de')).toBeNull();
+    });
+  });
+
+  it('should read the user language from the Telegram context', () => {
+    expect(getUserLanguage({ from: { language_code: 'tr' } })).toBe('tr');
+    expect(getUserLanguage({ from: { language_code: 'fr' } })).toBe('en');
+    expect(getUserLanguage({})).toBe('en');
+  });
+
+  it('should name languages for the prompt', () => {
+    expect(getLanguageName('es')).toBe('Spanish');
+    expect(getLanguageName('xx')).toBe('English');
+  });
+});
@@ -0,0 +1,195 @@
+/**
+ * Unit Tests: LLM Classifier
+ */
+
+import { describe, it, expect, beforeAll, beforeEach, afterAll } from 'vitest';
+import http from 'http';
+import {
+  refineClassification,
+  parseVerdict,
+  normalizeQuery,
+  clearClassificationCache,
+} from '../../src/pipeline/llmClassifier.js';
+import { classify } from '../../src/pipeline/classifier.js';
+import { resetBreakers, isAvailable } from '../../src/ai/circuitBreaker.js';
+import { AI_RESILIENCE } from '../../src/constants.js';
+
+/**
+ * Stub provider replies, keyed by URL prefix
+ */
+const behaviours = {
+  '/factual': res => reply(res, 200, completion(
+    '{"intent": "factual", "responseClass": "FACTUAL", "entities": ["contract address"]}'
+  )),
+  '/fenced': res => reply(res, 200, completion(
+    '```json\n{"intent": "procedural", "responseClass": "PROCEDURAL", "entities": []}\n```'
+  )),
+  '/invalid': res => reply(res, 200, completion('It is a factual question.')),
+  '/error': res => reply(res, 500, { error: 'boom' }),
+  // Never answers; the request times out
+  '/slow': () => {},
+};
+
+const requests = [];
+let server;
+let baseUrl;
+
+function completion(content) {
+  return { choices: [{ message: { content }, finish_reason: 'stop' }] };
+}
+
+function reply(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function provider(name) {
+  return { name, baseUrl: `${baseUrl}/${name}`, apiKey: 'test-key', model: null, timeoutMs: null };
+}
+
+describe('LLM Classifier', () => {
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let raw = '';
+      req.on('data', chunk => { raw += chunk; });
+      req.on('end', () => {
+        requests.push({ url: req.url, body: JSON.parse(raw || '{}') });
+        const key = Object.keys(behaviours).find(prefix => req.url.startsWith(`${prefix}/`));
+        behaviours[key](res);
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  beforeEach(() => {
+    clearClassificationCache();
+    resetBreakers();
+    requests.length = 0;
+  });
+
+  afterAll(async () => {
+    server.closeAllConnections?.();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  describe('Schema', () => {
+    it('should accept a valid verdict', () => {
+      const verdict = parseVerdict('{"intent": "factual", "responseClass": "FACTUAL", "entities": ["Staking"]}');
+      expect(verdict).toEqual({ intent: 'factual', responseClass: 'FACTUAL', entities: ['staking'] });
+    });
+
+    it('should reject unknown intents and mismatched response classes', () => {
+      expect(parseVerdict('{"intent": "price", "responseClass": "FACTUAL", "entities": []}')).toBeNull();
+      expect(parseVerdict('{"intent": "factual", "responseClass": "REFUSAL", "entities": []}')).toBeNull();
+    });
+
+    it('should reject missing, extra and mistyped fields', () => {
+      expect(parseVerdict('{"intent": "factual", "responseClass": "FACTUAL"}')).toBeNull();
+      expect(parseVerdict('{"intent": "factual", "responseClass": "FACTUAL", "entities": [], "reason": "x"}')).toBeNull();
+      expect(parseVerdict('{"intent": "factual", "responseClass": "FACTUAL", "entities": "staking"}')).toBeNull();
+    });
+
+    it('should reject non-JSON replies', () => {
+      expect(parseVerdict('factual')).toBeNull();
+      expect(parseVerdict('{intent: factual}')).toBeNull();
+      expect(parseVerdict(null)).toBeNull();
+    });
+  });
+
+  describe('Refinement', () => {
+    it('should keep confident rule verdicts without calling the LLM', async () => {
+      const rules = classify('what is the contract address');
+      const result = await refineClassification('what is the contract address', rules, {
+        providers: [provider('factual')],
+      });
+      expect(result).toBe(rules);
+      expect(requests).toHaveLength(0);
+    });
+
+    it('should use the LLM verdict when the rules are unsure', async () => {
+      const query = 'yo whats the ca';
+      const result = await refineClassification(query, classify(query), {
+        providers: [provider('factual')],
+      });
+      expect(result.intent).toBe('factual');
+      expect(result.responseClass).toBe('FACTUAL');
+      expect(result.source).toBe('llm');
+      expect(result.keywords).toContain('contract');
+      expect(result.keywords).toContain('address');
+    });
+
+    it('should accept verdicts wrapped in code fences', async () => {
+      const query = 'ser pepper staking apy';
+      const result = await refineClassification(query, classify(query), {
+        providers: [provider('fenced')],
+      });
+      expect(result.intent).toBe('procedural');
+      expect(result.responseClass).toBe('PROCEDURAL');
+    });
+
+    it('should cache verdicts per normalized query', async () => {
+      await refineClassification('yo whats the ca', classify('yo whats the ca'), {
+        providers: [provider('factual')],
+      });
+      const result = await refineClassification('Yo, whats the CA', classify('Yo, whats the CA'), {
+        providers: [provider('factual')],
+      });
+      expect(result.source).toBe('llm_cache');
+      expect(requests).toHaveLength(1);
+    });
+
+    it('should cache follow-up verdicts per thread', async () => {
+      const followUp = 'yo whats that';
+      for (const previousQuery of ['what is the total supply', 'how do I bridge chz', 'what is the total supply']) {
+        await refineClassification(followUp, classify(followUp, { previousQuery }), {
+          previousQuery,
+          providers: [provider('factual')],
+        });
+      }
+      expect(requests).toHaveLength(2);
+      expect(JSON.stringify(requests[0].body.messages)).toContain('Earlier question: what is the total supply');
+    });
+
+    it('should fall back to the rules on provider errors', async () => {
+      const rules = classify('yo whats the ca');
+      const result = await refineClassification('yo whats the ca', rules, {
+        providers: [provider('error')],
+      });
+      expect(result).toBe(rules);
+    });
+
+    it('should leave the provider available to answers after classifier timeouts', async () => {
+      const rules = classify('yo whats the ca');
+      for (let i = 0; i < AI_RESILIENCE.BREAKER_THRESHOLD; i++) {
+        const result = await refineClassification('yo whats the ca', rules, {
+          providers: [{ ...provider('slow'), timeoutMs: 50 }],
+        });
+        expect(result).toBe(rules);
+      }
+      expect(requests).toHaveLength(AI_RESILIENCE.BREAKER_THRESHOLD);
+      expect(isAvailable('slow')).toBe(true);
+    });
+
+    it('should fall back to the rules on invalid output', async () => {
+      const rules = classify('yo whats the ca');
+      const result = await refineClassification('yo whats the ca', rules, {
+        providers: [provider('invalid')],
+      });
+      expect(result).toBe(rules);
+    });
+
+    it('should never overturn safety verdicts', async () => {
+      const rules = { ...classify('wen lambo'), confidence: 0 };
+      const result = await refineClassification('wen lambo', rules, {
+        providers: [provider('factual')],
+      });
+      expect(result).toBe(rules);
+      expect(requests).toHaveLength(0);
+    });
+  });
+
+  it('should normalize queries', () => {
+    expect(normalizeQuery('  Yo,  whats the CA?! ')).toBe('yo whats the ca?');
+  });
+});
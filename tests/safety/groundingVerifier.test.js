@@ -0,0 +1,93 @@
+/**
+ * Unit Tests: Grounding Verifier
+ */
+
+import { describe, it, expect } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  verifyGrounding,
+  isGroundedPartial,
+  hasUnverifiedAddress,
+  extractNumbers,
+} from '../../src/safety/groundingVerifier.js';
+import { VERIFIED_FACTS } from '../../src/constants.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const knowledge = fs.readFileSync(
+  path.join(__dirname, '../../src/knowledge/peppercoin.md'),
+  'utf-8'
+);
+
+const issueTypes = text => verifyGrounding(text, knowledge).issues.map(i => i.type);
+
+describe('Grounding Verifier', () => {
+  describe('Addresses', () => {
+    it('should accept the official contract', () => {
+      expect(verifyGrounding(`The contract is ${VERIFIED_FACTS.CONTRACT}.`, knowledge).grounded).toBe(true);
+      expect(verifyGrounding(`Contract: ${VERIFIED_FACTS.CONTRACT.toLowerCase()}`, knowledge).grounded).toBe(true);
+    });
+
+    it('should reject any other address', () => {
+      const fake = '0x60F397acBCfB8f4e3234C659A3E10867e6fA6b68';
+      expect(issueTypes(`The contract is ${fake}.`)).toEqual(['address']);
+      expect(hasUnverifiedAddress(`Send to ${fake}`)).toBe(true);
+      expect(hasUnverifiedAddress(`Send to ${VERIFIED_FACTS.CONTRACT}`)).toBe(false);
+    });
+
+    it('should accept shortened forms of the contract only', () => {
+      expect(hasUnverifiedAddress('Contract 0x60F397ac…6b67')).toBe(false);
+      expect(hasUnverifiedAddress('Contract 0x12345678…6b67')).toBe(true);
+    });
+  });
+
+  describe('Numbers', () => {
+    it('should normalize numeric claims', () => {
+      expect(extractNumbers('Supply is 8,888,888,888,000,000 and 128 trillion were burned')).toEqual([
+        { raw: '8,888,888,888,000,000', key: '8888888888000000' },
+        { raw: '128 trillion', key: '128 trillion' },
+      ]);
+      expect(extractNumbers('Step 1. Open your wallet')).toEqual([]);
+    });
+
+    it('should accept numbers from the knowledge base', () => {
+      const text = 'PEPPER runs on Chain ID 88888. Total supply is 8.88 quadrillion and 128 trillion were burned.';
+      expect(verifyGrounding(text, knowledge).grounded).toBe(true);
+    });
+
+    it('should reject invented figures', () => {
+      expect(issueTypes('Total supply is 9.5 quadrillion.')).toEqual(['number']);
+      expect(issueTypes('Staking pays 45% APY.')).toEqual(['number']);
+      expect(issueTypes('128 billion tokens were burned.')).toEqual(['number']);
+    });
+
+    it('should ignore numbers inside URLs and addresses', () => {
+      expect(verifyGrounding(`See https://example.com/page/12345 and ${VERIFIED_FACTS.CONTRACT}`, knowledge).grounded).toBe(true);
+    });
+  });
+
+  describe('Exchanges', () => {
+    it('should accept verified listings', () => {
+      expect(verifyGrounding('You can trade PEPPER on MEXC, CoinEx or FanX.', knowledge).grounded).toBe(true);
+    });
+
+    it('should reject unverified listings', () => {
+      expect(issueTypes('PEPPER is available on Binance and Coinbase.')).toEqual(['exchange', 'exchange']);
+    });
+
+    it('should allow denials and CHZ purchase advice', () => {
+      expect(verifyGrounding('PEPPER is not listed on Binance.', knowledge).grounded).toBe(true);
+      expect(verifyGrounding('You can buy CHZ for gas on Binance or Coinbase.', knowledge).grounded).toBe(true);
+    });
+  });
+
+  describe('Streamed partials', () => {
+    it('should hold back partials with any unverified claim', () => {
+      expect(isGroundedPartial('PEPPER runs on Chain ID 88888.', knowledge)).toBe(true);
+      expect(isGroundedPartial('Staking pays 45% APY', knowledge)).toBe(false);
+      expect(isGroundedPartial('You can buy PEPPER on Binance', knowledge)).toBe(false);
+      expect(isGroundedPartial('Send to 0x1234567890abcdef', knowledge)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * Unit Tests: Runtime Rules
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+  listRules,
+  loadRuntimeRules,
+  addRule,
+  removeRule,
+  clearRules,
+} from '../../src/safety/runtimeRules.js';
+import { matchInput, setRuntimeRules } from '../../src/safety/policy.js';
+import { checkForbidden } from '../../src/safety/intentDetector.js';
+import { RUNTIME_RULES } from '../../src/constants.js';
+
+const AIRDROP = 'There is no PEPPER airdrop. Never connect your wallet to claim sites.';
+
+describe('Runtime Rules', () => {
+  beforeEach(async () => {
+    await clearRules();
+  });
+
+  it('should refuse matching questions with the custom text', async () => {
+    const { rule } = await addRule({ pattern: 'airdrop claim', text: AIRDROP, createdBy: 42 });
+    expect(rule).toMatchObject({ id: 'r1', match: 'phrase', pattern: 'airdrop claim', createdBy: 42 });
+
+    const result = checkForbidden('Where is the PEPPER airdrop claim page?');
+    expect(result).toMatchObject({
+      isForbidden: true,
+      intent: RUNTIME_RULES.CATEGORY,
+      refusalText: AIRDROP,
+      ruleId: 'r1',
+    });
+  });
+
+  it('should fall back to the generic refusal without custom text', async () => {
+    await addRule({ pattern: 'v2', match: 'word' });
+    const [match] = matchInput('is there a migration to v2?');
+    expect(match).toMatchObject({ category: RUNTIME_RULES.CATEGORY, refusal: 'GENERIC', ruleId: 'r1' });
+    expect(matchInput('what is v20')).toEqual([]);
+    expect(checkForbidden('migration to v2').refusalText).toBeUndefined();
+  });
+
+  it('should be checked before the policy file', async () => {
+    await addRule({ pattern: 'should i buy', text: 'Custom answer.' });
+    expect(checkForbidden('should i buy pepper').refusalText).toBe('Custom answer.');
+  });
+
+  it('should list in order and remove rules', async () => {
+    await addRule({ pattern: 'first' });
+    await addRule({ pattern: 'second' });
+    expect((await listRules()).map(rule => rule.id)).toEqual(['r1', 'r2']);
+
+    expect(await removeRule('r1')).toBe(true);
+    expect(await removeRule('r1')).toBe(false);
+    expect(checkForbidden('first').isForbidden).toBe(false);
+    expect((await addRule({ pattern: 'third' })).rule.id).toBe('r3');
+  });
+
+  it('should reject invalid rules', async () => {
+    expect((await addRule({ pattern: '  ' })).error).toMatch(/empty/);
+    expect((await addRule({ pattern: 'x', match: 'fuzzy' })).error).toMatch(/Match type/);
+    expect((await addRule({ pattern: '(unclosed', match: 'regex' })).error).toMatch(/Invalid pattern/);
+    expect((await addRule({ pattern: 'a'.repeat(RUNTIME_RULES.MAX_PATTERN_LENGTH + 1) })).error).toMatch(/longer/);
+    expect(await listRules()).toEqual([]);
+  });
+
+  it('should reload stored rules into the policy', async () => {
+    await addRule({ pattern: 'fake support' });
+    setRuntimeRules([]);
+    expect(checkForbidden('fake support dm').isForbidden).toBe(false);
+
+    expect(await loadRuntimeRules()).toBe(1);
+    expect(checkForbidden('fake support dm').isForbidden).toBe(true);
+  });
+
+  it('should report a rule the store failed to save', async () => {
+    // Fresh modules on a Redis backend nothing listens on
+    const saved = { backend: process.env.CACHE_BACKEND, url: process.env.REDIS_URL };
+    process.env.CACHE_BACKEND = 'redis';
+    process.env.REDIS_URL = 'redis://127.0.0.1:1';
+    vi.resetModules();
+
+    try {
+      const unreachable = await import('../../src/safety/runtimeRules.js');
+      const { checkForbidden: check } = await import('../../src/safety/intentDetector.js');
+      const { closeStores } = await import('../../src/cache/store.js');
+
+      const { rule, error } = await unreachable.addRule({ pattern: 'airdrop claim' });
+      expect(rule).toBeUndefined();
+      expect(error).toMatch(/not active/);
+      expect(check('airdrop claim here').isForbidden).toBe(false);
+
+      await closeStores();
+    } finally {
+      for (const [name, value] of [['CACHE_BACKEND', saved.backend], ['REDIS_URL', saved.url]]) {
+        if (value === undefined) delete process.env[name];
+        else process.env[name] = value;
+      }
+      vi.resetModules();
+    }
+  });
+});
@@ -6,7 +6,8 @@ import { describe, it, expect } from 'vitest';
 import { getRandomGreeting, GREETING_TEMPLATES } from '../../src/templates/greetings.js';
 import { getRandomClosing, CLOSING_TEMPLATES } from '../../src/templates/closings.js';
 import { getRefusalTemplate, detectForbiddenType } from '../../src/templates/refusals.js';
-import { matchFactualTemplate, FACTUAL_TEMPLATES } from '../../src/templates/factual.js';
+import { matchFactualTemplate, FACTUAL_TEMPLATES, FACTUAL_ANSWERS } from '../../src/templates/factual.js';
+import { TEMPLATE_PACKS } from '../../src/templates/localize.js';
 import { CHAR_BUDGETS } from '../../src/constants.js';
 
 describe('Templates', () => {
@@ -110,4 +111,48 @@ describe('Templates', () => {
       }
     });
   });
+
+  describe('Localized Templates', () => {
+    const VERBATIM = /https?:\/\/\S+|0x[0-9a-fA-F]{40}/g;
+
+    it('should greet, close and refuse in the requested language', () => {
+      expect(TEMPLATE_PACKS.tr.greetings).toContain(getRandomGreeting('tr'));
+      expect(TEMPLATE_PACKS.es.closings).toContain(getRandomClosing('es'));
+      expect(TEMPLATE_PACKS.es.refusals.PRICE_SPECULATION).toContain(getRefusalTemplate('PRICE_SPECULATION', 'es'));
+      expect(TEMPLATE_PACKS.tr.refusals.GENERIC).toContain(getRefusalTemplate('UNKNOWN_TYPE', 'tr'));
+    });
+
+    it('should fall back to English for unsupported languages', () => {
+      expect(GREETING_TEMPLATES).toContain(getRandomGreeting('de'));
+      expect(matchFactualTemplate('what is the chain id', 'de')).toBe(FACTUAL_TEMPLATES['what is the chain id']);
+    });
+
+    it('should answer factual questions in the requested language', () => {
+      expect(matchFactualTemplate('what is the chain id', 'es')).toBe(TEMPLATE_PACKS.es.factual.chainId);
+    });
+
+    it('should match localized phrasings of factual questions', () => {
+      const result = matchFactualTemplate('PEPPER kontrat adresi nedir?', 'tr');
+      expect(result).toBe(TEMPLATE_PACKS.tr.factual.contract);
+      expect(result).toContain('0x60F397');
+      expect(matchFactualTemplate('¿dónde puedo comprar?', 'es')).toBe(TEMPLATE_PACKS.es.factual.whereToBuy);
+    });
+
+    it('should keep links and the contract verbatim in every pack', () => {
+      for (const pack of Object.values(TEMPLATE_PACKS)) {
+        for (const [key, id] of Object.entries(FACTUAL_ANSWERS)) {
+          const english = FACTUAL_TEMPLATES[key].match(VERBATIM) || [];
+          expect(pack.factual[id].match(VERBATIM) || []).toEqual(english);
+        }
+      }
+    });
+
+    it('should map localized phrasings to existing English keys', () => {
+      for (const pack of Object.values(TEMPLATE_PACKS)) {
+        for (const key of Object.values(pack.factualQueries)) {
+          expect(FACTUAL_TEMPLATES).toHaveProperty([key]);
+        }
+      }
+    });
+  });
 });